@@ -16,6 +16,61 @@ const mimeTypes = {
     '.webp': 'image/webp'
 };
 
+// Whether a request comes from a page served by this server. Browsers send
+// Origin on cross-site POSTs (and Sec-Fetch-Site where supported); same-origin
+// fetches either omit Origin or send our own host.
+function isSameOrigin(req) {
+    if (req.headers['sec-fetch-site'] && !['same-origin', 'none'].includes(req.headers['sec-fetch-site'])) {
+        return false;
+    }
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch {
+        return false;
+    }
+}
+
+// POST to a DirectLine token route with `bearer` (secret or conversation token)
+// and answer with the token fields only
+function requestDirectLineToken(dlPath, bearer, res, jsonHeaders) {
+    const dlReq = require('https').request({
+        hostname: 'directline.botframework.com',
+        path: dlPath,
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer ' + bearer, 'Content-Length': 0 },
+        timeout: 10000
+    }, (dlRes) => {
+        let body = '';
+        dlRes.setEncoding('utf8');
+        dlRes.on('data', (chunk) => { body += chunk; });
+        dlRes.on('end', () => {
+            let data = null;
+            try { data = JSON.parse(body); } catch { /* handled below */ }
+            if (dlRes.statusCode >= 400 || !data || !data.token) {
+                res.writeHead(dlRes.statusCode >= 400 ? dlRes.statusCode : 502, jsonHeaders);
+                res.end(JSON.stringify({ error: data?.error?.message || 'DirectLine token request failed (HTTP ' + dlRes.statusCode + ')' }));
+                return;
+            }
+            // Only the short-lived token leaves the server
+            res.writeHead(200, { ...jsonHeaders, 'Cache-Control': 'no-store' });
+            res.end(JSON.stringify({
+                token: data.token,
+                conversationId: data.conversationId,
+                expires_in: data.expires_in,
+                streamUrl: data.streamUrl
+            }));
+        });
+    });
+    dlReq.on('timeout', () => dlReq.destroy(new Error('timeout')));
+    dlReq.on('error', (err) => {
+        res.writeHead(502, jsonHeaders);
+        res.end(JSON.stringify({ error: 'DirectLine token request failed: ' + err.message }));
+    });
+    dlReq.end();
+}
+
 const server = http.createServer((req, res) => {
     const parsedUrl = new URL(req.url, `http://localhost:${PORT}`);
 
@@ -62,10 +117,56 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    // ── DirectLine token exchange (keeps the secret on the server) ──
+    // POST /api/directline/token          → token for a new conversation (secret → tokens/generate)
+    // POST /api/directline/token/refresh  → fresh token for the caller's own conversation. The caller
+    //     authenticates with its current conversation token (Authorization: Bearer <token>), which
+    //     DirectLine renews (tokens/refresh); the secret is not used, so no one can obtain a token
+    //     for a conversation they do not already hold a token for.
+    // The secret comes from DIRECTLINE_SECRET, or DIRECTLINE_SECRET_<AGENT> when ?agent=<agent> is given.
+    // Same-origin only: no CORS headers, and cross-site requests are refused.
+    if (parsedUrl.pathname === '/api/directline/token' || parsedUrl.pathname === '/api/directline/token/refresh') {
+        const jsonHeaders = { 'Content-Type': 'application/json' };
+        if (!isSameOrigin(req)) {
+            res.writeHead(403, jsonHeaders);
+            res.end(JSON.stringify({ error: 'Cross-origin requests are not allowed' }));
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(405, { ...jsonHeaders, 'Allow': 'POST' });
+            res.end(JSON.stringify({ error: 'Use POST' }));
+            return;
+        }
+
+        if (parsedUrl.pathname === '/api/directline/token/refresh') {
+            const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+            if (!match) {
+                res.writeHead(401, jsonHeaders);
+                res.end(JSON.stringify({ error: 'Send the current conversation token as Authorization: Bearer <token>' }));
+                return;
+            }
+            requestDirectLineToken('/v3/directline/tokens/refresh', match[1], res, jsonHeaders);
+            return;
+        }
+
+        const agentKey = (parsedUrl.searchParams.get('agent') || '').toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+        const secret = (agentKey && process.env['DIRECTLINE_SECRET_' + agentKey]) || process.env.DIRECTLINE_SECRET;
+        if (!secret) {
+            res.writeHead(503, jsonHeaders);
+            res.end(JSON.stringify({ error: 'DirectLine secret not configured on server (set DIRECTLINE_SECRET)' }));
+            return;
+        }
+        requestDirectLineToken('/v3/directline/tokens/generate', secret, res, jsonHeaders);
+        return;
+    }
+
     // ── Health check for proxy availability detection ──
     if (parsedUrl.pathname === '/api/health') {
         res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
-        res.end(JSON.stringify({ status: 'ok', proxy: true }));
+        // Token mode is available with the default secret or any per-agent one
+        const directLineToken = Object.keys(process.env)
+            .some(name => (name === 'DIRECTLINE_SECRET' || name.startsWith('DIRECTLINE_SECRET_')) && process.env[name]);
+        res.end(JSON.stringify({ status: 'ok', proxy: true, directLineToken }));
         return;
     }
 
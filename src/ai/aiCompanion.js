@@ -12,6 +12,7 @@
 import { DOMUtils } from '../utils/domUtils.js';
 import { Utils } from '../utils/helpers.js';
 import { SecureStorage } from '../utils/secureStorage.js';
+import { codeHighlighter } from '../utils/codeHighlighter.js';
 import { speechEngine } from '../services/speechEngine.js';
 import { getSVGPath } from '../components/svg-icon-manager/index.js';
 import { promptManager } from './promptManager.js';
@@ -4495,6 +4496,7 @@ Analyze both responses considering the question type:
             const processed = this.processMarkdownContent(content, isError);
             if (processed.html) {
                 parentDiv.innerHTML = processed.content;
+                codeHighlighter.enhance(parentDiv);
                 // Add target="_blank" to external links after setting content
                 this.addTargetBlankToExternalLinks(parentDiv);
             } else {
@@ -4578,6 +4580,7 @@ Analyze both responses considering the question type:
         if (processed.html) {
             // For HTML content, append typing cursor as HTML
             messageDiv.innerHTML = processed.content + '<span class="typing-cursor">|</span>';
+            codeHighlighter.enhance(messageDiv);
         } else {
             // For plain text, append typing cursor as text
             messageDiv.innerHTML = processed.content + '<span class="typing-cursor">|</span>';
@@ -4601,6 +4604,7 @@ Analyze both responses considering the question type:
 
         if (processed.html) {
             textElement.innerHTML = processed.content;
+            codeHighlighter.enhance(textElement);
         } else {
             textElement.textContent = processed.content;
         }
@@ -555,7 +555,8 @@ export class AutoQAEngine {
     }
 
     /**
-     * Submit an adaptive card with form data
+     * Submit an adaptive card with form data: the newest inline card that is
+     * not submitted yet, else the first card preview (opened in the modal)
      * @param {Object} formData - Key-value pairs to fill in the card
      * @param {Object} uiElements - Detected UI elements
      * @private
@@ -563,6 +564,22 @@ export class AutoQAEngine {
     async _autoQASubmitAdaptiveCard(formData, uiElements) {
         console.log('[AutoQA] Submitting adaptive card:', formData);
 
+        const inlineCards = document.querySelectorAll('.adaptive-card-inline:not(.locked)');
+        const inlineCard = inlineCards[inlineCards.length - 1];
+        if (inlineCard) {
+            this._autoQAFillAdaptiveCard(inlineCard, formData);
+            await new Promise(r => setTimeout(r, 300));
+            // Skip Action.ShowCard buttons, which only expand a sub-card
+            const submitBtn = inlineCard.querySelector('.ac-pushButton:not([aria-expanded])');
+            if (submitBtn) {
+                submitBtn.click();
+            } else {
+                console.warn('[AutoQA] No submit button found in inline adaptive card');
+                await this._autoQASendText(JSON.stringify(formData));
+            }
+            return;
+        }
+
         // Find the adaptive card expand button and click it to open the modal
         const expandBtn = document.querySelector('.adaptive-card-expand-btn');
         if (expandBtn) {
@@ -574,21 +591,7 @@ export class AutoQAEngine {
             // Find the modal and fill in inputs
             const modal = document.querySelector('.adaptive-card-modal');
             if (modal && typeof formData === 'object') {
-                // Fill input fields
-                const inputs = modal.querySelectorAll('input, textarea, select');
-                inputs.forEach(input => {
-                    const inputId = input.id || input.name || '';
-                    // Try matching by id, name, or placeholder
-                    for (const [key, val] of Object.entries(formData)) {
-                        if (inputId.toLowerCase().includes(key.toLowerCase()) ||
-                            (input.placeholder && input.placeholder.toLowerCase().includes(key.toLowerCase()))) {
-                            input.value = val;
-                            input.dispatchEvent(new Event('input', { bubbles: true }));
-                            input.dispatchEvent(new Event('change', { bubbles: true }));
-                            break;
-                        }
-                    }
-                });
+                this._autoQAFillAdaptiveCard(modal, formData);
 
                 // Click submit button
                 await new Promise(r => setTimeout(r, 300));
@@ -611,6 +614,31 @@ export class AutoQAEngine {
         }
     }
 
+    /**
+     * Fill the inputs of a rendered adaptive card, matching form data keys
+     * against each input's id, name, placeholder or label
+     * @param {HTMLElement} root - The card (inline) or the modal
+     * @param {Object} formData - Key-value pairs to fill in
+     * @private
+     */
+    _autoQAFillAdaptiveCard(root, formData) {
+        if (!formData || typeof formData !== 'object') return;
+        const inputs = root.querySelectorAll('input, textarea, select');
+        inputs.forEach(input => {
+            const names = [input.id, input.name, input.placeholder, input.getAttribute('aria-label')]
+                .filter(Boolean)
+                .map(name => name.toLowerCase());
+            for (const [key, val] of Object.entries(formData)) {
+                if (names.some(name => name.includes(key.toLowerCase()))) {
+                    input.value = val;
+                    input.dispatchEvent(new Event('input', { bubbles: true }));
+                    input.dispatchEvent(new Event('change', { bubbles: true }));
+                    break;
+                }
+            }
+        });
+    }
+
     /**
      * Seed the AutoQA conversation log with existing chat history
      * so the LLM understands the agent's welcome message and context.
@@ -702,6 +730,21 @@ export class AutoQAEngine {
         // Detect adaptive cards
         const cardContainers = document.querySelectorAll('.adaptive-card-container');
         cardContainers.forEach(container => {
+            if (container.classList.contains('inline')) {
+                // Inline cards: list their inputs so the form data can name them
+                const card = container.querySelector('.adaptive-card-inline');
+                const inputNames = [...container.querySelectorAll('.ac-input')]
+                    .map(input => input.getAttribute('aria-label') || input.placeholder || input.id)
+                    .filter(Boolean);
+                result.adaptiveCards.push({
+                    title: container.dataset.cardTitle || 'Adaptive Card',
+                    actionsInfo: card?.classList.contains('locked')
+                        ? 'already submitted'
+                        : `inline card${inputNames.length ? `, inputs: ${inputNames.join(', ')}` : ''}`,
+                    hasExpandButton: false
+                });
+                return;
+            }
             const titleEl = container.querySelector('.adaptive-card-preview-title');
             const actionsInfo = container.querySelector('.adaptive-card-preview-info');
             result.adaptiveCards.push({
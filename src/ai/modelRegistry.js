@@ -316,6 +316,82 @@ export class ModelRegistry {
         this.renderRegisteredModelsTable();
     }
 
+    async getRegisteredModelApiKey(provider) {
+        const storageKey = this._getRegisteredModelApiKeyStorageKey(provider);
+        return storageKey ? SecureStorage.retrieve(storageKey) : null;
+    }
+
+    // ─── Chat Requests ───────────────────────────────────────
+
+    /**
+     * Build a streaming multi-turn chat request for a registered model.
+     * Unlike the companion's single-prompt requests, the caller owns the
+     * whole message list (system prompt + history). Used by LLM agents.
+     * @param {Object} model - Registered model entry
+     * @param {Array<{role: string, content: string}>} messages
+     * @returns {Promise<{ url: string, headers: Object, body: string, provider: string }>}
+     */
+    async buildChatRequest(model, messages) {
+        const { provider, config = {} } = model;
+        const reasoningOff = model.reasoningDisabled === true;
+
+        if (provider === 'ollama') {
+            const baseUrl = (config.url || 'http://localhost:11434').replace(/\/+$/, '');
+            const bodyObj = { model: config.model, messages, stream: true };
+            if (reasoningOff) bodyObj.think = false;
+            return {
+                url: `${baseUrl}/api/chat`,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(bodyObj),
+                provider
+            };
+        }
+
+        const apiKey = await this.getRegisteredModelApiKey(provider);
+        if (!apiKey) throw new Error(`No API key found for ${provider}. Please configure it in settings.`);
+
+        let url, headers, bodyObj;
+        switch (provider) {
+            case 'azure': {
+                if (!config.endpoint || !config.deployment) {
+                    throw new Error('Azure OpenAI configuration incomplete. Please set endpoint and deployment in settings.');
+                }
+                url = `${config.endpoint}/openai/deployments/${config.deployment}/chat/completions?api-version=${config.apiVersion || '2024-02-01'}`;
+                headers = { 'Content-Type': 'application/json', 'api-key': apiKey };
+                bodyObj = { messages, stream: true };
+                break;
+            }
+            case 'openai':
+                url = 'https://api.openai.com/v1/chat/completions';
+                headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
+                bodyObj = { model: 'gpt-3.5-turbo', messages, stream: true };
+                break;
+            case 'anthropic': {
+                const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+                url = 'https://api.anthropic.com/v1/messages';
+                headers = { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' };
+                bodyObj = { model: 'claude-3-haiku-20240307', messages: messages.filter(m => m.role !== 'system'), max_tokens: 2000, stream: true };
+                if (system) bodyObj.system = system;
+                break;
+            }
+            case 'openai-compatible': {
+                const baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+                if (!baseUrl || !config.model) {
+                    throw new Error('OpenAI Compatible configuration incomplete. Please set Base URL and Model in settings.');
+                }
+                url = baseUrl.endsWith('/chat/completions') ? baseUrl : baseUrl.replace(/\/v1\/?$/, '') + '/v1/chat/completions';
+                headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
+                bodyObj = { model: config.model, messages, stream: true };
+                if (reasoningOff) bodyObj.chat_template_kwargs = { enable_thinking: false };
+                break;
+            }
+            default:
+                throw new Error(`Unsupported provider: ${provider}`);
+        }
+
+        return { url, headers, body: JSON.stringify(bodyObj), provider };
+    }
+
     // ─── Model Switching ─────────────────────────────────────
 
     async switchToModel(modelId) {
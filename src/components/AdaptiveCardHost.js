@@ -0,0 +1,217 @@
+/**
+ * Adaptive Card Host
+ *
+ * What the Adaptive Card modal and inline cards share:
+ * - the HostConfig, themed with the app's CSS variables. Colors are `var(...)`
+ *   references, so rendered cards follow a color theme change without being
+ *   rendered again (`--theme-accent` is set by the color theme)
+ * - card JSON preparation (schema version, validation messages)
+ * - Universal Actions: the `adaptiveCard/action` invoke value of an
+ *   Action.Execute or a card refresh, and the meaning of the invoke response
+ * - the values a submit sent, as label/value pairs for display
+ *
+ * @author MCSChat Team
+ * @version 1.0.0
+ */
+
+const CARD_CONTENT_TYPE = 'application/vnd.microsoft.card.adaptive';
+const MESSAGE_CONTENT_TYPE = 'application/vnd.microsoft.activity.message';
+const ERROR_CONTENT_TYPE = 'application/vnd.microsoft.error';
+const LOGIN_CONTENT_TYPE = 'application/vnd.microsoft.activity.loginRequest';
+const INPUT_TYPES = ['Input.Text', 'Input.Number', 'Input.Date', 'Input.Time', 'Input.Toggle', 'Input.ChoiceSet'];
+// Our user id on every channel; a card refresh runs automatically for listed users only
+const USER_ID = 'user';
+
+const FONT_FAMILY = "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+export class AdaptiveCardHost {
+    /**
+     * HostConfig themed with the app's colors
+     * @returns {Object} AdaptiveCards.HostConfig
+     */
+    createHostConfig() {
+        const foregroundColors = {
+            default: { default: 'var(--color-text-primary, #323130)', subtle: 'var(--color-text-secondary, #605e5c)' },
+            dark: { default: '#201f1e', subtle: '#484644' },
+            light: { default: '#ffffff', subtle: '#f3f2f1' },
+            accent: { default: 'var(--theme-accent, #0078d4)', subtle: 'var(--theme-accent, #0078d4)' },
+            good: { default: '#107c10', subtle: '#107c10' },
+            warning: { default: '#8a6914', subtle: '#8a6914' },
+            attention: { default: '#d83b01', subtle: '#d83b01' }
+        };
+        return new AdaptiveCards.HostConfig({
+            "spacing": {
+                "small": 4,
+                "default": 8,
+                "medium": 16,
+                "large": 24,
+                "extraLarge": 32,
+                "padding": 16
+            },
+            "separator": {
+                "lineThickness": 1,
+                "lineColor": "var(--color-border, #e1e5e9)"
+            },
+            "fontFamily": FONT_FAMILY,
+            "containerStyles": {
+                "default": {
+                    "backgroundColor": "var(--color-surface, #ffffff)",
+                    "foregroundColors": foregroundColors
+                },
+                "emphasis": {
+                    "backgroundColor": "var(--color-surface-secondary, #f8f9fa)",
+                    "foregroundColors": foregroundColors
+                }
+            }
+        });
+    }
+
+    /**
+     * Copy of the card JSON ready for the Adaptive Cards library:
+     * - a version newer than the library supports (1.6) is rendered as the
+     *   latest supported one; unknown properties are ignored
+     * - required inputs without an errorMessage get one, so validation
+     *   errors are always shown under the input
+     * @param {Object} cardContent - Adaptive card JSON content
+     * @returns {Object}
+     */
+    prepareCardJson(cardContent) {
+        const cardJson = JSON.parse(JSON.stringify(cardContent || {}));
+
+        const latest = AdaptiveCards.Versions?.latest;
+        const [major, minor] = String(cardJson.version || '').split('.').map(Number);
+        if (latest && (major > latest.major || (major === latest.major && minor > latest.minor))) {
+            cardJson.version = `${latest.major}.${latest.minor}`;
+        }
+
+        this._inputs(cardJson).forEach(input => {
+            if (input.isRequired && !input.errorMessage) {
+                input.errorMessage = input.label ? `${input.label} is required` : 'This field is required';
+            }
+        });
+        return cardJson;
+    }
+
+    /**
+     * The card's refresh action, when it is an Action.Execute
+     * @param {Object} cardJson - Adaptive card JSON content
+     * @returns {Object|null}
+     */
+    getRefreshAction(cardJson) {
+        const action = cardJson?.refresh?.action;
+        return action && action.type === 'Action.Execute' ? action : null;
+    }
+
+    /**
+     * Whether the card refreshes itself when shown: it has a refresh action
+     * and no `userIds` list, or a list with our user in it
+     * @param {Object} cardJson - Adaptive card JSON content
+     * @returns {boolean}
+     */
+    isAutoRefreshCard(cardJson) {
+        if (!this.getRefreshAction(cardJson)) return false;
+        const userIds = cardJson.refresh.userIds;
+        return !Array.isArray(userIds) || userIds.length === 0 || userIds.includes(USER_ID);
+    }
+
+    /**
+     * `adaptiveCard/action` invoke value of an Action.Execute (a library
+     * ExecuteAction, or the JSON of a refresh action)
+     * @param {Object} action - { id, verb, data }
+     * @param {'manual'|'automatic'} trigger
+     * @returns {Object}
+     */
+    createInvokeValue(action, trigger = 'manual') {
+        return {
+            action: { type: 'Action.Execute', id: action.id, verb: action.verb, data: action.data || {} },
+            trigger
+        };
+    }
+
+    /**
+     * What an `adaptiveCard/action` invoke response asks for
+     * @param {Object|null} response - { status, body: { statusCode, type, value } }
+     * @returns {{kind: 'none'|'card'|'message'|'error', card?: Object, message?: string}}
+     *          'none': no response, the agent answers in the chat
+     */
+    parseInvokeResponse(response) {
+        const body = response?.body;
+        if (!body) return { kind: 'none' };
+
+        const statusCode = body.statusCode ?? response.status ?? 200;
+        if (body.type === CARD_CONTENT_TYPE && body.value && statusCode < 400) {
+            return { kind: 'card', card: body.value };
+        }
+        if (body.type === MESSAGE_CONTENT_TYPE && statusCode < 400) {
+            return { kind: 'message', message: String(body.value || 'Done') };
+        }
+        if (body.type === LOGIN_CONTENT_TYPE) {
+            return { kind: 'error', message: 'The agent asks you to sign in, which card actions do not support here.' };
+        }
+        if (body.type === ERROR_CONTENT_TYPE || statusCode >= 400) {
+            return { kind: 'error', message: body.value?.message || `The agent could not run this action (${statusCode})` };
+        }
+        return { kind: 'none' };
+    }
+
+    /**
+     * The input values a submit sent, for display: choice titles instead of
+     * values, Yes/No for toggles. Static action data is left out.
+     * @param {Object} cardJson - Adaptive card JSON content
+     * @param {Object} data - The action data (inputs merged in by the library)
+     * @returns {Array<{label: string, value: string}>}
+     */
+    describeSubmittedValues(cardJson, data) {
+        if (!data || typeof data !== 'object') return [];
+        return this._inputs(cardJson)
+            .filter(input => input.id && input.id in data)
+            .map(input => ({
+                label: input.label || input.title || input.placeholder || input.id,
+                value: this._displayValue(input, data[input.id])
+            }));
+    }
+
+    /**
+     * Open an Action.OpenUrl target, in the side browser when it is enabled
+     * @param {string} url
+     */
+    openUrl(url) {
+        if (!url) return;
+        const useSideBrowser = localStorage.getItem('enableSideBrowser') === 'true';
+        if (useSideBrowser && window.MCSChatApp && typeof window.MCSChatApp.openCitationPreview === 'function') {
+            window.MCSChatApp.openCitationPreview(url);
+        } else {
+            window.open(url, '_blank', 'noopener,noreferrer');
+        }
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    // Every input of the card, including those of Action.ShowCard sub-cards
+    _inputs(node, found = []) {
+        if (!node || typeof node !== 'object') return found;
+        if (Array.isArray(node)) {
+            node.forEach(item => this._inputs(item, found));
+            return found;
+        }
+        if (INPUT_TYPES.includes(node.type)) found.push(node);
+        Object.values(node).forEach(value => this._inputs(value, found));
+        return found;
+    }
+
+    _displayValue(input, value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        if (input.type === 'Input.Toggle') {
+            return text === String(input.valueOn ?? 'true') ? 'Yes' : 'No';
+        }
+        if (input.type === 'Input.ChoiceSet' && text) {
+            return text.split(',')
+                .map(choice => input.choices?.find(c => String(c.value) === choice)?.title || choice)
+                .join(', ');
+        }
+        return text || '—';
+    }
+}
+
+// Create singleton instance
+export const adaptiveCardHost = new AdaptiveCardHost();
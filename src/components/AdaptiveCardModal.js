@@ -1,12 +1,23 @@
 /**
  * Adaptive Card Modal Component
  * A reusable modal component for displaying and interacting with Microsoft Adaptive Cards
- * 
+ *
+ * Actions:
+ * - Action.Submit / Action.OpenUrl: handled here or by `onAction`
+ * - Action.Execute (Universal Actions) and card `refresh`: passed to `onInvoke`
+ *   as an `adaptiveCard/action` invoke value; a card in the response replaces
+ *   the displayed one, errors are shown above the card
+ * - Action.ShowCard / Action.ToggleVisibility: run inside the card by the
+ *   Adaptive Cards library
+ * Required inputs are validated by the library before Submit/Execute; their
+ * errors are shown under each input.
+ *
  * @author MCSChat Team
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 import { DOMUtils } from '../utils/domUtils.js';
+import { adaptiveCardHost } from './AdaptiveCardHost.js';
 
 class AdaptiveCardModal {
     constructor(options = {}) {
@@ -15,6 +26,8 @@ class AdaptiveCardModal {
             title: options.title || 'Interactive Card',
             maxWidth: options.maxWidth || '700px',
             onAction: options.onAction || null,
+            onInvoke: options.onInvoke || null,
+            onCardUpdated: options.onCardUpdated || null,
             onClose: options.onClose || null,
             directLineManager: options.directLineManager || null,
             autoClose: options.autoClose !== false, // Default to true
@@ -25,6 +38,10 @@ class AdaptiveCardModal {
         this.modal = null;
         this.isOpen = false;
         this.currentCard = null;
+        this.currentCardJson = null;
+        this.currentOptions = {};
+        // Bumped on every render and close, so late invoke responses are dropped
+        this._renderToken = 0;
     }
 
     /**
@@ -80,10 +97,18 @@ class AdaptiveCardModal {
             style: 'display: none;'
         });
 
+        const refreshButton = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'adaptive-card-refresh-btn',
+            style: 'display: none;'
+        }, 'Refresh');
+        refreshButton.addEventListener('click', () => this.refresh('manual'));
+
         // Assemble modal structure
         modalHeader.appendChild(modalTitle);
         modalHeader.appendChild(closeButton);
         modalFooter.appendChild(responseStatus);
+        modalFooter.appendChild(refreshButton);
         modalContent.appendChild(modalHeader);
         modalContent.appendChild(modalBody);
         modalContent.appendChild(modalFooter);
@@ -147,71 +172,20 @@ class AdaptiveCardModal {
                 }
             }
 
-            // Clear previous content
-            const modalBody = this.modal.querySelector('.adaptive-card-modal-body');
-            modalBody.innerHTML = '';
-
             // Hide response status
-            const responseStatus = this.modal.querySelector('.adaptive-card-response-status');
-            responseStatus.style.display = 'none';
-
-            // Create and render the adaptive card
-            const adaptiveCard = new AdaptiveCards.AdaptiveCard();
-            
-            // Set host config for better styling
-            adaptiveCard.hostConfig = new AdaptiveCards.HostConfig({
-                "spacing": {
-                    "small": 4,
-                    "default": 8,
-                    "medium": 16,
-                    "large": 24,
-                    "extraLarge": 32,
-                    "padding": 16
-                },
-                "separator": {
-                    "lineThickness": 1,
-                    "lineColor": "#EEEEEE"
-                },
-                "fontFamily": "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
-                "containerStyles": {
-                    "default": {
-                        "backgroundColor": "#FFFFFF",
-                        "foregroundColors": {
-                            "default": {
-                                "default": "#323130",
-                                "subtle": "#605E5C"
-                            }
-                        }
-                    }
-                }
-            });
-
-            // Parse and render the card
-            adaptiveCard.parse(cardContent);
-            const renderedCard = adaptiveCard.render();
+            this.hideResponseStatus();
 
-            if (renderedCard) {
-                // Set up action handling
-                adaptiveCard.onExecuteAction = (action) => {
-                    this.handleAction(action, options);
-                };
+            this.renderCard(cardContent, options);
 
-                // Style the rendered card
-                renderedCard.style.maxWidth = '100%';
-                renderedCard.style.borderRadius = '8px';
-                renderedCard.style.overflow = 'hidden';
+            // Show modal
+            DOMUtils.show(this.modal, 'flex');
+            DOMUtils.addClass(this.modal, 'show');
+            this.isOpen = true;
+            console.log('Adaptive card modal opened');
 
-                modalBody.appendChild(renderedCard);
-                this.currentCard = adaptiveCard;
-                
-                // Show modal
-                DOMUtils.show(this.modal, 'flex');
-                DOMUtils.addClass(this.modal, 'show');
-                this.isOpen = true;
-                
-                console.log('Adaptive card modal opened');
-            } else {
-                throw new Error('Failed to render adaptive card');
+            // A card with a refresh action asks for its up-to-date version when shown
+            if (adaptiveCardHost.isAutoRefreshCard(this.currentCardJson)) {
+                this.refresh('automatic');
             }
 
         } catch (error) {
@@ -220,6 +194,60 @@ class AdaptiveCardModal {
         }
     }
 
+    /**
+     * Render a card into the modal body, replacing the current one
+     * @param {Object} cardContent - Adaptive card JSON content
+     * @param {Object} options - The options the modal was opened with
+     * @private
+     */
+    renderCard(cardContent, options = {}) {
+        const modalBody = this.modal.querySelector('.adaptive-card-modal-body');
+        const cardJson = adaptiveCardHost.prepareCardJson(cardContent);
+
+        // Create and render the adaptive card
+        const adaptiveCard = new AdaptiveCards.AdaptiveCard();
+
+        // Themed with the app's colors
+        adaptiveCard.hostConfig = adaptiveCardHost.createHostConfig();
+
+        // Parse and render the card
+        adaptiveCard.parse(cardJson);
+        const renderedCard = adaptiveCard.render();
+        if (!renderedCard) {
+            throw new Error('Failed to render adaptive card');
+        }
+
+        // Set up action handling
+        adaptiveCard.onExecuteAction = (action) => {
+            this.handleAction(action, options);
+        };
+
+        // Style the rendered card
+        renderedCard.style.maxWidth = '100%';
+        renderedCard.style.borderRadius = '8px';
+        renderedCard.style.overflow = 'hidden';
+
+        // Errors returned by the agent are shown above the card
+        const cardError = DOMUtils.createElement('div', {
+            className: 'adaptive-card-error',
+            role: 'alert',
+            style: 'display: none;'
+        });
+
+        modalBody.innerHTML = '';
+        modalBody.appendChild(cardError);
+        modalBody.appendChild(renderedCard);
+        this.currentCard = adaptiveCard;
+        this.currentCardJson = cardJson;
+        this.currentOptions = options;
+        this._renderToken++;
+
+        const refreshButton = this.modal.querySelector('.adaptive-card-refresh-btn');
+        if (refreshButton) {
+            refreshButton.style.display = adaptiveCardHost.getRefreshAction(cardJson) ? '' : 'none';
+        }
+    }
+
     /**
      * Close the modal
      */
@@ -229,6 +257,8 @@ class AdaptiveCardModal {
             DOMUtils.removeClass(this.modal, 'show');
             this.isOpen = false;
             this.currentCard = null;
+            this.currentCardJson = null;
+            this._renderToken++;
 
             // Call onClose callback if provided
             if (typeof this.options.onClose === 'function') {
@@ -279,18 +309,18 @@ class AdaptiveCardModal {
                     // Note: We don't show error in modal since it's already closed
                 }
 
+            } else if (AdaptiveCards.ExecuteAction && action instanceof AdaptiveCards.ExecuteAction) {
+                // Universal Action: the agent answers with a new card, a message or an error
+                await this.runUniversalAction(adaptiveCardHost.createInvokeValue(action, 'manual'));
+
+            } else if (action instanceof AdaptiveCards.ShowCardAction ||
+                       action instanceof AdaptiveCards.ToggleVisibilityAction) {
+                // Expanded or toggled inside the card by the library
+                console.log('Adaptive card action handled in place:', action.getJsonTypeName());
+
             } else if (action instanceof AdaptiveCards.OpenUrlAction) {
-                // Handle URL actions
-                if (action.url) {
-                    // Check if side browser is enabled and available
-                    const useSideBrowser = localStorage.getItem('enableSideBrowser') === 'true';
-                    
-                    if (useSideBrowser && window.MCSChatApp && typeof window.MCSChatApp.openCitationPreview === 'function') {
-                        window.MCSChatApp.openCitationPreview(action.url);
-                    } else {
-                        window.open(action.url, '_blank', 'noopener,noreferrer');
-                    }
-                }
+                // Handle URL actions (side browser when enabled)
+                adaptiveCardHost.openUrl(action.url);
             } else {
                 console.log('Unhandled action type:', action.getJsonTypeName());
             }
@@ -301,6 +331,115 @@ class AdaptiveCardModal {
         }
     }
 
+    /**
+     * Ask the agent for the up-to-date version of the displayed card
+     * (the card's `refresh.action`)
+     * @param {'manual'|'automatic'} trigger - 'automatic' when the card is opened
+     * @returns {Promise<void>}
+     */
+    async refresh(trigger = 'manual') {
+        const refreshAction = adaptiveCardHost.getRefreshAction(this.currentCardJson);
+        if (!refreshAction) return;
+        try {
+            await this.runUniversalAction(adaptiveCardHost.createInvokeValue(refreshAction, trigger));
+        } catch (error) {
+            console.error('Error refreshing adaptive card:', error);
+            if (trigger === 'manual') this.showCardError(error.message || 'The card could not be refreshed');
+        }
+    }
+
+    /**
+     * Send an Action.Execute (or refresh) to the agent and apply its response
+     * @param {Object} invokeValue - { action: { type: 'Action.Execute', id, verb, data }, trigger }
+     * @private
+     */
+    async runUniversalAction(invokeValue) {
+        if (typeof this.options.onInvoke !== 'function') {
+            throw new Error('Card actions are not available');
+        }
+        const token = this._renderToken;
+        const modalBody = this.modal.querySelector('.adaptive-card-modal-body');
+
+        this.hideCardError();
+        if (invokeValue.trigger === 'manual') this.showResponseStatus('Working…', 'loading');
+        DOMUtils.addClass(modalBody, 'busy');
+        let response;
+        try {
+            response = await this.options.onInvoke(invokeValue);
+        } finally {
+            DOMUtils.removeClass(modalBody, 'busy');
+        }
+        // The modal was closed or shows another card by now
+        if (token !== this._renderToken) return;
+        this.applyInvokeResponse(response, invokeValue.trigger);
+    }
+
+    /**
+     * Apply an `adaptiveCard/action` invoke response: replace the card, show
+     * the agent's message or show its error
+     * @param {Object|null} response - { status, body: { statusCode, type, value } }
+     * @param {'manual'|'automatic'} trigger
+     * @private
+     */
+    applyInvokeResponse(response, trigger) {
+        const result = adaptiveCardHost.parseInvokeResponse(response);
+        if (result.kind === 'none') {
+            // No invoke response: the agent answers in the chat
+            if (trigger !== 'manual') return;
+            this.showResponseStatus('Sent. The agent replies in the chat.', 'success');
+            if (this.options.autoClose) {
+                const token = this._renderToken;
+                setTimeout(() => { if (token === this._renderToken) this.close(); }, this.options.autoCloseDelay);
+            }
+            return;
+        }
+
+        if (result.kind === 'message') {
+            this.showResponseStatus(result.message, 'success');
+            return;
+        }
+        this.hideResponseStatus();
+        if (result.kind === 'card') {
+            this.updateCard(result.card);
+        } else {
+            this.showCardError(result.message);
+        }
+    }
+
+    /**
+     * Replace the displayed card (for example with the card an Action.Execute returned)
+     * @param {Object} cardContent - Adaptive card JSON content
+     */
+    updateCard(cardContent) {
+        if (!this.modal || !this.isOpen) return;
+        this.renderCard(cardContent, this.currentOptions);
+        if (typeof this.options.onCardUpdated === 'function') {
+            this.options.onCardUpdated(cardContent);
+        }
+    }
+
+    /**
+     * Show an error above the card (agent errors, failed refresh)
+     * @param {string} message - Error message
+     */
+    showCardError(message) {
+        const cardError = this.modal?.querySelector('.adaptive-card-error');
+        if (cardError) {
+            cardError.textContent = message;
+            cardError.style.display = 'block';
+        }
+    }
+
+    /**
+     * Hide the error above the card
+     */
+    hideCardError() {
+        const cardError = this.modal?.querySelector('.adaptive-card-error');
+        if (cardError) {
+            cardError.style.display = 'none';
+        }
+    }
+
     /**
      * Send adaptive card response to bot
      * @param {Object} responseData - Response data
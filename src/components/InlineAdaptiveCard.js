@@ -0,0 +1,229 @@
+/**
+ * Inline Adaptive Card Component
+ * An Adaptive Card rendered fully interactive in the message stream, instead
+ * of a preview that opens the AdaptiveCardModal. Themed by AdaptiveCardHost.
+ *
+ * Actions:
+ * - Action.Submit: sent with `onSubmit`; the card then locks (inputs and
+ *   buttons disabled) and lists the submitted values under it
+ * - Action.Execute and card `refresh`: sent with `onInvoke`; a returned card
+ *   replaces this one in place, an agent message is shown under the card and
+ *   an error above it. When the agent answers in the chat instead, the card
+ *   locks like after a submit.
+ * - Action.OpenUrl, Action.ShowCard, Action.ToggleVisibility: as in the modal
+ *
+ * @author MCSChat Team
+ * @version 1.0.0
+ */
+
+import { DOMUtils } from '../utils/domUtils.js';
+import { Utils } from '../utils/helpers.js';
+import { adaptiveCardHost } from './AdaptiveCardHost.js';
+
+export class InlineAdaptiveCard {
+    /**
+     * @param {Object} cardContent - Adaptive card JSON content
+     * @param {Object} options
+     * @param {Object} [options.submission] - A previous submission
+     *        ({ action, values, submittedAt }): the card is rendered locked
+     * @param {boolean} [options.autoRefresh] - Run the card's automatic
+     *        refresh on render (live activities only, not restored transcripts)
+     * @param {Function} options.onSubmit - (data) => Promise, sends Action.Submit data
+     * @param {Function} options.onInvoke - (invokeValue) => Promise<Object|null>,
+     *        runs an `adaptiveCard/action` invoke
+     * @param {Function} [options.onCardUpdated] - (card) a returned card replaced this one
+     * @param {Function} [options.onSubmitted] - (submission) the card was locked after a submit
+     */
+    constructor(cardContent, options = {}) {
+        this.options = options;
+        this.cardJson = null;
+        this.submission = null;
+        this.element = null;
+        // Bumped on every render, so late invoke responses are dropped
+        this._renderToken = 0;
+        this._cardContent = cardContent;
+    }
+
+    /**
+     * Build the card element
+     * @returns {HTMLElement}
+     */
+    render() {
+        this.element = DOMUtils.createElement('div', { className: 'adaptive-card-inline' });
+        this.element.innerHTML = `
+            <div class="adaptive-card-error" role="alert" hidden></div>
+            <div class="adaptive-card-inline-body"></div>
+            <div class="adaptive-card-inline-status" role="status" hidden></div>
+            <div class="adaptive-card-submission" hidden></div>`;
+        this._renderCard(this._cardContent);
+
+        if (this.options.submission) {
+            this.lock(this.options.submission);
+        } else if (this.options.autoRefresh && adaptiveCardHost.isAutoRefreshCard(this.cardJson)) {
+            this.refresh('automatic');
+        }
+        return this.element;
+    }
+
+    /**
+     * Ask the agent for the up-to-date version of the card (its `refresh.action`)
+     * @param {'manual'|'automatic'} trigger
+     * @returns {Promise<void>}
+     */
+    async refresh(trigger = 'manual') {
+        const refreshAction = adaptiveCardHost.getRefreshAction(this.cardJson);
+        if (!refreshAction || this.submission) return;
+        try {
+            await this._runUniversalAction(adaptiveCardHost.createInvokeValue(refreshAction, trigger), null);
+        } catch (error) {
+            console.error('[InlineAdaptiveCard] Refresh failed:', error);
+            if (trigger === 'manual') this._showError(error.message || 'The card could not be refreshed');
+        }
+    }
+
+    /**
+     * Disable the card and show what was submitted
+     * @param {Object} submission - { action, values: [{label, value}], submittedAt }
+     */
+    lock(submission) {
+        this.submission = submission;
+        this.element.classList.add('locked');
+        this.element.querySelectorAll('.adaptive-card-inline-body input, .adaptive-card-inline-body select, .adaptive-card-inline-body textarea, .adaptive-card-inline-body button')
+            .forEach(control => { control.disabled = true; });
+
+        const time = submission.submittedAt
+            ? new Date(submission.submittedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })
+            : '';
+        const values = (submission.values || []).map(({ label, value }) =>
+            `<dt>${Utils.escapeHtml(label)}</dt><dd>${Utils.escapeHtml(value)}</dd>`).join('');
+        const summary = this.element.querySelector('.adaptive-card-submission');
+        summary.innerHTML = `
+            <div class="adaptive-card-submission-header">
+                <span>&#10003; Submitted${submission.action ? `: ${Utils.escapeHtml(submission.action)}` : ''}</span>
+                ${time ? `<time datetime="${Utils.escapeHtml(submission.submittedAt)}">${Utils.escapeHtml(time)}</time>` : ''}
+            </div>
+            ${values ? `<dl>${values}</dl>` : ''}`;
+        summary.hidden = false;
+        this._showStatus('');
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    _renderCard(cardContent) {
+        const cardJson = adaptiveCardHost.prepareCardJson(cardContent);
+        const adaptiveCard = new AdaptiveCards.AdaptiveCard();
+        adaptiveCard.hostConfig = adaptiveCardHost.createHostConfig();
+        adaptiveCard.parse(cardJson);
+        adaptiveCard.onExecuteAction = (action) => this._handleAction(action);
+
+        const renderedCard = adaptiveCard.render();
+        if (!renderedCard) {
+            throw new Error('Failed to render adaptive card');
+        }
+        const body = this.element.querySelector('.adaptive-card-inline-body');
+        body.innerHTML = '';
+        body.appendChild(renderedCard);
+        this.cardJson = cardJson;
+        this._renderToken++;
+    }
+
+    async _handleAction(action) {
+        if (this.submission) return;
+        try {
+            if (action instanceof AdaptiveCards.SubmitAction) {
+                await this._submit(action);
+            } else if (AdaptiveCards.ExecuteAction && action instanceof AdaptiveCards.ExecuteAction) {
+                await this._runUniversalAction(adaptiveCardHost.createInvokeValue(action, 'manual'), action);
+            } else if (action instanceof AdaptiveCards.OpenUrlAction) {
+                adaptiveCardHost.openUrl(action.url);
+            } else {
+                // ShowCard and ToggleVisibility run inside the card
+                console.log('[InlineAdaptiveCard] Action handled in place:', action.getJsonTypeName());
+            }
+        } catch (error) {
+            console.error('[InlineAdaptiveCard] Action failed:', error);
+            this._showStatus('');
+            this._showError(`Could not send: ${error.message || error}`);
+        }
+    }
+
+    async _submit(action) {
+        const data = action.data || {};
+        this._showError('');
+        this._showStatus('Sending…');
+        this._setBusy(true);
+        try {
+            await this.options.onSubmit(data);
+        } finally {
+            this._setBusy(false);
+        }
+        this._lockAfter(action, data);
+    }
+
+    /**
+     * Send an Action.Execute (or refresh) and apply the response
+     * @param {Object} invokeValue - `adaptiveCard/action` invoke value
+     * @param {Object|null} action - The card action, null for a refresh
+     */
+    async _runUniversalAction(invokeValue, action) {
+        if (typeof this.options.onInvoke !== 'function') {
+            throw new Error('Card actions are not available');
+        }
+        const token = this._renderToken;
+        const manual = invokeValue.trigger === 'manual';
+
+        this._showError('');
+        if (manual) this._showStatus('Working…');
+        this._setBusy(true);
+        let response;
+        try {
+            response = await this.options.onInvoke(invokeValue);
+        } finally {
+            this._setBusy(false);
+        }
+        if (token !== this._renderToken) return;
+
+        const result = adaptiveCardHost.parseInvokeResponse(response);
+        if (result.kind === 'card') {
+            this._showStatus('');
+            this._renderCard(result.card);
+            if (typeof this.options.onCardUpdated === 'function') this.options.onCardUpdated(result.card);
+        } else if (result.kind === 'message') {
+            this._showStatus(result.message);
+        } else if (result.kind === 'error') {
+            this._showStatus('');
+            this._showError(result.message);
+        } else if (action) {
+            // No invoke response: the agent answers in the chat, like after a submit
+            this._lockAfter(action, invokeValue.action.data);
+        } else {
+            this._showStatus('');
+        }
+    }
+
+    _lockAfter(action, data) {
+        const submission = {
+            action: action.title || '',
+            values: adaptiveCardHost.describeSubmittedValues(this.cardJson, data),
+            submittedAt: new Date().toISOString()
+        };
+        this.lock(submission);
+        if (typeof this.options.onSubmitted === 'function') this.options.onSubmitted(submission);
+    }
+
+    _setBusy(busy) {
+        this.element.classList.toggle('busy', busy);
+    }
+
+    _showStatus(message) {
+        const status = this.element.querySelector('.adaptive-card-inline-status');
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    _showError(message) {
+        const error = this.element.querySelector('.adaptive-card-error');
+        error.textContent = message;
+        error.hidden = !message;
+    }
+}
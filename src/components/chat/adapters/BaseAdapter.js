@@ -1,8 +1,12 @@
 // BaseAdapter contract for chat backends
-export class BaseAdapter {
-  async connect() { throw new Error('Not implemented'); }
+// Connectors registered in ConnectorRegistry implement this contract and
+// report everything else through the shared EventEmitter surface.
+import { EventEmitter } from './EventEmitter.js';
+
+export class BaseAdapter extends EventEmitter {
+  async connect(/* config, resume */) { throw new Error('Not implemented'); }
   async disconnect() { throw new Error('Not implemented'); }
   async send(/* userMessage */) { throw new Error('Not implemented'); }
-  onMessage(/* handler: (message) => void */) { this._onMessage = (...args) => handler?.(...args); }
+  onMessage(handler) { this._onMessage = handler; }
   _emitMessage(message) { this._onMessage?.(message); }
 }
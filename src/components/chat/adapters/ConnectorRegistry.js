@@ -0,0 +1,136 @@
+// Connector registry — one entry per agent type.
+//
+// A descriptor tells the app everything it needs about a backend so that the
+// agent edit overlay, home cards and event wiring work for any type:
+//
+//   {
+//     type: 'copilot',                 // stored as agent.agentType
+//     label: 'Copilot Studio Agent',   // display label (labelKey: optional i18n key)
+//     kind: 'chat' | 'embed',          // 'embed' = opened as an iframe, no connector
+//     isDefault: true,                 // used for agents without agentType
+//     supportsInitParams: true,
+//     greets: true,                    // false = no greeting; the splash closes on connect
+//     supportsFeedback: true,          // message thumbs are sent as `message/submitAction` invokes
+//     fields: [FieldSchema],           // config form schema (see below)
+//     factory: () => connector,        // BaseAdapter-compatible instance, created once
+//     getConnectArgs: (agent) => any,  // what connector.connect() receives
+//     normalize: (agent) => void,      // optional fix-up after form values are applied
+//     probe: (agent, { timeoutMs }) => Promise<{ greeting, connectMs, latencyMs }>,
+//                                      // optional unattended health check (agentHealthMonitor)
+//   }
+//
+// FieldSchema: { key, path, label, type: 'text'|'password'|'url'|'select'|'textarea',
+//   placeholder, help, required, options: [{ value, label }] | () => [{ value, label }],
+//   default, showWhen: { key, value } }
+// `path` is a dotted path into the agent object (e.g. 'directEngine.tenantId').
+
+export class ConnectorRegistry {
+  constructor() {
+    this.descriptors = new Map();
+    this.instances = new Map();
+  }
+
+  register(descriptor) {
+    if (!descriptor?.type) throw new Error('Connector descriptor requires a type');
+    if (descriptor.kind !== 'embed' && typeof descriptor.factory !== 'function') {
+      throw new Error(`Connector "${descriptor.type}" requires a factory`);
+    }
+    this.descriptors.set(descriptor.type, {
+      kind: 'chat',
+      fields: [],
+      supportsInitParams: false,
+      greets: true,
+      supportsFeedback: false,
+      getConnectArgs: () => undefined,
+      ...descriptor
+    });
+    this.instances.delete(descriptor.type);
+    return this;
+  }
+
+  get(type) { return this.descriptors.get(type) || null; }
+  list() { return [...this.descriptors.values()]; }
+
+  getDefault() {
+    return this.list().find(d => d.isDefault) || this.list()[0] || null;
+  }
+
+  // Descriptor for an agent (or type id); unknown / missing types use the default
+  resolve(agentOrType) {
+    const type = typeof agentOrType === 'string' ? agentOrType : agentOrType?.agentType;
+    return (type && this.get(type)) || this.getDefault();
+  }
+
+  // Connector instance for an agent (or type id); null for 'embed' types
+  getConnector(agentOrType) {
+    const descriptor = this.resolve(agentOrType);
+    if (!descriptor || descriptor.kind === 'embed') return null;
+    if (!this.instances.has(descriptor.type)) {
+      this.instances.set(descriptor.type, descriptor.factory());
+    }
+    return this.instances.get(descriptor.type);
+  }
+
+  // Every distinct connector instance (several types may share one)
+  getAllConnectors() {
+    const all = this.list().map(d => this.getConnector(d.type)).filter(Boolean);
+    return [...new Set(all)];
+  }
+
+  // ── Config form helpers ──
+
+  getFieldValue(agent, field) {
+    const value = field.path.split('.').reduce((obj, part) => obj?.[part], agent);
+    return value ?? field.default ?? '';
+  }
+
+  // Select options; a function is evaluated on every render (e.g. live model lists)
+  getFieldOptions(field) {
+    const options = typeof field.options === 'function' ? field.options() : field.options;
+    return options || [];
+  }
+
+  isFieldVisible(field, values) {
+    if (!field.showWhen) return true;
+    return values[field.showWhen.key] === field.showWhen.value;
+  }
+
+  // Keys of required, visible fields that have no value
+  validate(descriptor, values) {
+    return descriptor.fields
+      .filter(f => f.required && this.isFieldVisible(f, values))
+      .filter(f => !String(values[f.key] ?? '').trim())
+      .map(f => f.key);
+  }
+
+  // Write form values into the agent by field path, then let the type normalize
+  applyConfig(agent, descriptor, values) {
+    this._writeFields(agent, descriptor, values);
+    descriptor.normalize?.(agent);
+    return agent;
+  }
+
+  // Copy of an agent with other form values applied (a connection variant).
+  // normalize is skipped: it may write through to the stored agent.
+  withConfig(agent, values) {
+    const copy = JSON.parse(JSON.stringify(agent));
+    return this._writeFields(copy, this.resolve(copy), values);
+  }
+
+  _writeFields(agent, descriptor, values) {
+    descriptor.fields.forEach(field => {
+      const parts = field.path.split('.');
+      const last = parts.pop();
+      let target = agent;
+      parts.forEach(part => {
+        if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+      });
+      const value = this.isFieldVisible(field, values) ? values[field.key] : '';
+      target[last] = typeof value === 'string' ? value.trim() : (value ?? '');
+    });
+    return agent;
+  }
+}
+
+export const connectorRegistry = new ConnectorRegistry();
@@ -0,0 +1,19 @@
+// EventEmitter — lightweight internal pub/sub shared by every connector.
+// A throwing handler is logged and does not stop the other handlers.
+export class EventEmitter {
+  constructor() { this._handlers = {}; }
+
+  on(event, handler) { (this._handlers[event] ||= []).push(handler); }
+
+  off(event, handler) {
+    if (!this._handlers[event]) return;
+    this._handlers[event] = this._handlers[event].filter(h => h !== handler);
+  }
+
+  emit(event, data) {
+    if (!this._handlers[event]) return;
+    for (const handler of this._handlers[event]) {
+      try { handler(data); } catch (err) { console.error(`[${this.constructor.name}] Error in '${event}' handler:`, err); }
+    }
+  }
+}
@@ -0,0 +1,144 @@
+// Built-in agent types. Importing this module registers them and re-exports
+// the registry, so consumers always see a populated registry.
+import { connectorRegistry } from './ConnectorRegistry.js';
+import { directLineService } from '../../directline/DirectLineService.js';
+import { directEngineConnector } from '../../directline/DirectEngineConnector.js';
+import { llmAgentConnector } from '../../directline/LLMAgentConnector.js';
+import { mockBotConnector } from '../../directline/MockBotConnector.js';
+import { ModelRegistry } from '../../../ai/modelRegistry.js';
+import { agentManager, DEFAULT_DIRECTLINE_TOKEN_ENDPOINT } from '../../../managers/agentManager.js';
+
+connectorRegistry.register({
+  type: 'copilot',
+  label: 'Copilot Studio Agent (Direct Line)',
+  labelKey: 'agentEdit.typeCopilot',
+  isDefault: true,
+  supportsInitParams: true,
+  supportsFeedback: true,
+  fields: [
+    {
+      key: 'authMode', path: 'directLineAuth', label: 'Authentication:', type: 'select', default: 'secret',
+      options: [
+        { value: 'secret', label: 'DirectLine secret (stored in this browser)' },
+        { value: 'token', label: 'Server-issued token (secret stays on the server)' }
+      ]
+    },
+    {
+      key: 'secret', path: 'secret', label: 'DirectLine Secret:', type: 'password',
+      placeholder: 'Enter DirectLine secret', required: true, showWhen: { key: 'authMode', value: 'secret' }
+    },
+    {
+      key: 'tokenEndpoint', path: 'tokenEndpoint', label: 'Token Endpoint:', type: 'text',
+      placeholder: DEFAULT_DIRECTLINE_TOKEN_ENDPOINT, showWhen: { key: 'authMode', value: 'token' },
+      help: 'The app server exchanges its DIRECTLINE_SECRET for a short-lived token; tokens are refreshed automatically.'
+    }
+  ],
+  factory: () => directLineService,
+  getConnectArgs: (agent) => agentManager.getDirectLineAuth(agent),
+  probe: (agent, options) => directLineService.probe(agentManager.getDirectLineAuth(agent), options),
+  normalize: (agent) => agentManager.setDirectLineAuth(agent.id, agent.directLineAuth, agent.tokenEndpoint)
+});
+
+connectorRegistry.register({
+  type: 'directengine',
+  label: 'Copilot Studio Agent (Direct-to-Engine)',
+  labelKey: 'agentEdit.typeDirectEngine',
+  supportsInitParams: true,
+  supportsFeedback: true,
+  fields: [
+    {
+      key: 'appClientId', path: 'directEngine.appClientId', label: 'App Client ID:', type: 'text', required: true,
+      placeholder: 'Entra app (client) ID', help: 'Entra SPA app registration used for interactive sign-in.'
+    },
+    { key: 'tenantId', path: 'directEngine.tenantId', label: 'Tenant ID:', type: 'text', required: true, placeholder: 'Entra directory (tenant) ID' },
+    { key: 'environmentId', path: 'directEngine.environmentId', label: 'Environment ID:', type: 'text', required: true, placeholder: 'Copilot Studio environment ID' },
+    {
+      key: 'schemaName', path: 'directEngine.schemaName', label: 'Schema Name:', type: 'text', required: true,
+      placeholder: 'Agent schema name (Settings → Advanced → Metadata)',
+      help: 'Direct-to-Engine streams token-by-token. Requires an anonymous agent and interactive sign-in.'
+    }
+  ],
+  factory: () => directEngineConnector,
+  getConnectArgs: (agent) => agent.directEngine || {}
+});
+
+// Models come from the AI Companion's model registry, read on every render
+const registeredModelOptions = () => {
+  const models = new ModelRegistry(null).loadRegisteredModels();
+  if (!models.length) return [{ value: '', label: 'No models registered — add one in AI Companion settings' }];
+  return [{ value: '', label: 'Select a model…' }, ...models.map(m => ({ value: m.id, label: `${m.displayName} (${m.provider})` }))];
+};
+
+connectorRegistry.register({
+  type: 'llm',
+  label: 'LLM Agent (registered model)',
+  labelKey: 'agentEdit.typeLLM',
+  greets: false,
+  fields: [
+    {
+      key: 'modelId', path: 'llm.modelId', label: 'Model:', type: 'select', required: true,
+      options: registeredModelOptions,
+      help: 'OpenAI-compatible, Azure OpenAI and Ollama models registered in the AI Companion settings.'
+    },
+    {
+      key: 'systemPrompt', path: 'llm.systemPrompt', label: 'System Prompt:', type: 'textarea', rows: 5,
+      placeholder: 'You are a helpful assistant for…'
+    }
+  ],
+  factory: () => llmAgentConnector,
+  getConnectArgs: (agent) => agent.llm || {}
+});
+
+connectorRegistry.register({
+  type: 'mock',
+  label: 'Mock Bot (offline transcript)',
+  labelKey: 'agentEdit.typeMock',
+  supportsFeedback: true,
+  fields: [
+    {
+      key: 'source', path: 'mock.source', label: 'Transcript:', type: 'select', default: 'demo',
+      options: [
+        { value: 'demo', label: 'Built-in feature tour (streaming, cards, citations)' },
+        { value: 'custom', label: 'Custom transcript (JSON)' }
+      ]
+    },
+    {
+      key: 'transcript', path: 'mock.transcript', label: 'Transcript JSON:', type: 'textarea', rows: 8, required: true,
+      placeholder: '{ "greeting": [...], "turns": [{ "match": "hello", "steps": [...] }], "fallback": [...] }',
+      showWhen: { key: 'source', value: 'custom' },
+      help: 'Format: see src/components/directline/mockTranscripts.js. Raw activities are replayed as-is.'
+    },
+    {
+      key: 'speed', path: 'mock.speed', label: 'Replay Speed:', type: 'select', default: '1',
+      options: [
+        { value: '1', label: 'Real time' },
+        { value: '0.25', label: 'Fast (4×)' },
+        { value: '0', label: 'Instant (automated tests)' }
+      ]
+    }
+  ],
+  factory: () => mockBotConnector,
+  getConnectArgs: (agent) => ({
+    transcript: agent.mock?.source === 'custom' ? agent.mock.transcript : 'demo',
+    speed: Number(agent.mock?.speed ?? 1)
+  }),
+  probe: (agent, options) => mockBotConnector.probe({
+    transcript: agent.mock?.source === 'custom' ? agent.mock.transcript : 'demo'
+  }, options)
+});
+
+connectorRegistry.register({
+  type: 'website',
+  label: 'Website',
+  labelKey: 'agentEdit.typeWebsite',
+  kind: 'embed',
+  fields: [
+    {
+      key: 'websiteUrl', path: 'websiteUrl', label: 'Website URL:', labelKey: 'agentEdit.websiteUrl', type: 'url', required: true,
+      placeholder: 'https://example.com',
+      help: 'The URL to embed in the chat area when this agent is opened', helpKey: 'agentEdit.websiteUrlHelp'
+    }
+  ]
+});
+
+export { connectorRegistry };
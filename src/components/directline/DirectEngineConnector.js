@@ -8,7 +8,8 @@
  * EventEmitter surface (`statusChange`, `message`, `messageChunk`,
  * `informative`, `streamCancelled`, `typing`, `greeting`, `connected`,
  * `disconnected`, `error`) and reuses the same `MessageEntry` model, so the
- * existing rendering pipeline in `application.js` works unchanged.
+ * existing rendering pipeline in `application.js` works unchanged. File
+ * attachments are sent inline (base64 data URLs) on the turn activity.
  *
  * Auth: interactive user login via MSAL.js (Public Client / SPA). No secret.
  * Scope: https://api.powerplatform.com/.default
@@ -20,6 +21,7 @@
  */
 
 import { MessageEntry } from './DirectLineService.js';
+import { BaseAdapter } from '../chat/adapters/BaseAdapter.js';
 import {
     getStreamInfo,
     mergeStreamingText,
@@ -31,23 +33,14 @@ console.log(`🛰️ [DirectEngineConnector] v${CONNECTOR_VERSION} loaded`);
 const POWER_PLATFORM_SCOPE = 'https://api.powerplatform.com/.default';
 const API_VERSION = '2022-03-01-preview';
 
-// ── Lightweight EventEmitter (mirrors DirectLineService) ──
-class EventEmitter {
-    constructor() { this._handlers = {}; }
-    on(event, handler) { (this._handlers[event] ||= []).push(handler); }
-    off(event, handler) {
-        if (!this._handlers[event]) return;
-        this._handlers[event] = this._handlers[event].filter(h => h !== handler);
-    }
-    emit(event, data) {
-        if (!this._handlers[event]) return;
-        for (const h of this._handlers[event]) {
-            try { h(data); } catch (err) { console.error(`[DirectEngineConnector] '${event}' handler error:`, err); }
-        }
-    }
-}
+// Retry policy for network blips, throttling / unavailability and dropped SSE
+// (resends keep the turn's activity id)
+const MAX_ATTEMPTS = 4;            // first try + 3 retries
+const RETRY_BASE_DELAY_MS = 500;   // 500ms, 1s, 2s (+ jitter)
+const RETRY_MAX_DELAY_MS = 8000;
+const RETRYABLE_STATUS = new Set([429, 503]);
 
-export class DirectEngineConnector extends EventEmitter {
+export class DirectEngineConnector extends BaseAdapter {
     constructor() {
         super();
         this._status = 'disconnected';
@@ -60,6 +53,7 @@ export class DirectEngineConnector extends EventEmitter {
         this._greetingReceived = false;
         this._initContext = null;
         this._nativeStreamingSupported = null;
+        this._resumed = false;        // true when reattached to an existing conversationId
     }
 
     // ── Public status ──
@@ -109,26 +103,46 @@ export class DirectEngineConnector extends EventEmitter {
         return this._msal;
     }
 
-    async _getToken() {
+    /**
+     * Get a Power Platform access token. MSAL renews silently from its
+     * refresh token when the cached one is near expiry; `forceRefresh` skips
+     * the cache (used after a 401). Only falls back to the interactive popup
+     * when silent renewal is impossible (no account / consent required).
+     * @param {{forceRefresh?: boolean}} [options]
+     * @returns {Promise<string>}
+     */
+    async _getToken({ forceRefresh = false } = {}) {
         const pca = await this._ensureMsal();
-        const request = { scopes: [POWER_PLATFORM_SCOPE], account: this._account };
-        try {
-            const r = await pca.acquireTokenSilent(request);
-            this._account = r.account;
-            return r.accessToken;
-        } catch (_) {
-            const r = await pca.acquireTokenPopup({ scopes: [POWER_PLATFORM_SCOPE] });
-            this._account = r.account;
-            return r.accessToken;
+        if (this._account) {
+            try {
+                const r = await pca.acquireTokenSilent({
+                    scopes: [POWER_PLATFORM_SCOPE],
+                    account: this._account,
+                    forceRefresh,
+                });
+                this._account = r.account;
+                return r.accessToken;
+            } catch (err) {
+                console.warn('🔑 [DirectEngineConnector] Silent token renewal failed, falling back to interactive sign-in:', err?.errorCode || err?.message);
+            }
         }
+        const r = await pca.acquireTokenPopup({ scopes: [POWER_PLATFORM_SCOPE] });
+        this._account = r.account;
+        return r.accessToken;
     }
 
     /**
      * Connect to a Copilot Studio agent via Direct-to-Engine.
+     *
+     * With `resume.conversationId` the connector reattaches to that existing
+     * conversation: no start turn is sent (so no second greeting) and the next
+     * turn is POSTed to the same conversation, keeping the agent's dialog state.
+     *
      * @param {{appClientId:string, tenantId:string, environmentId:string, schemaName:string}} config
+     * @param {{conversationId: string}} [resume] - conversation to reattach to
      * @returns {Promise<boolean>}
      */
-    async connect(config) {
+    async connect(config, resume = null) {
         if (!config?.appClientId || !config?.tenantId || !config?.environmentId || !config?.schemaName) {
             this.emit('error', new Error('Direct-to-Engine requires appClientId, tenantId, environmentId and schemaName.'));
             return false;
@@ -141,6 +155,17 @@ export class DirectEngineConnector extends EventEmitter {
             // Trigger interactive login up-front so the user authenticates before greeting
             await this._getToken();
 
+            if (resume?.conversationId) {
+                this._conversationId = resume.conversationId;
+                this._resumed = true;
+                this._greetingReceived = true;
+                this._setStatus('connected');
+                this.emit('connected');
+                console.log(`🔁 [DirectEngineConnector] Reattached to conversation ${resume.conversationId}`);
+                this.emit('resumed', this.getConversationState());
+                return true;
+            }
+
             const url = this._conversationsUrl();
             const body = { emitStartConversationEvent: true };
             if (this._initContext && Object.keys(this._initContext).length) {
@@ -149,8 +174,13 @@ export class DirectEngineConnector extends EventEmitter {
             const res = await this._post(url, body);
             this._setStatus('connected');
             this.emit('connected');
+            this._emitConversationState();
             // Consume the start SSE (greeting) in the background
-            this._consumeSSE(res).catch(err => this.emit('error', this._friendlyError(err)));
+            this._consumeSSE(res).catch(err => {
+                // A dropped greeting stream is not worth failing the session over
+                console.warn('[DirectEngineConnector] Greeting stream dropped:', err?.message || err);
+                this._closeInterruptedStreams();
+            });
             // Greeting timeout safety
             setTimeout(() => {
                 if (!this._greetingReceived) this.emit('greetingTimeout');
@@ -169,14 +199,38 @@ export class DirectEngineConnector extends EventEmitter {
         this._entries = [];
         this._activeStreams.clear();
         this._greetingReceived = false;
+        this._resumed = false;
         this._setStatus('disconnected');
     }
 
+    /**
+     * Disconnect then connect again, reattaching to the current conversation
+     * when there is one (so the agent keeps its dialog state).
+     * @param {Object} [config] - defaults to the current config
+     */
     async reconnect(config) {
+        const state = this.getConversationState();
+        const cfg = config || this._config;
         this.disconnect();
-        return this.connect(config || this._config);
+        return this.connect(cfg, state);
     }
 
+    /**
+     * Snapshot needed to reattach to the live conversation later.
+     * @returns {{conversationId: string}|null}
+     */
+    getConversationState() {
+        return this._conversationId ? { conversationId: this._conversationId } : null;
+    }
+
+    /** BaseAdapter contract: send a user message (string or { text }). */
+    send(userMessage) {
+        return this.sendMessage(typeof userMessage === 'string' ? userMessage : (userMessage?.text || ''));
+    }
+
+    /** BaseAdapter contract: subscribe to complete bot messages. */
+    onMessage(handler) { this.on('message', handler); }
+
     /**
      * Send a text message and stream the response.
      * @param {string} text
@@ -194,9 +248,7 @@ export class DirectEngineConnector extends EventEmitter {
             activity.channelData = { ...(activity.channelData || {}), ...this._initContext };
             this._initContext = null; // send once
         }
-        const url = this._conversationsUrl(this._conversationId);
-        const res = await this._post(url, { activity });
-        await this._consumeSSE(res);
+        await this._sendTurn(activity);
     }
 
     /**
@@ -216,35 +268,236 @@ export class DirectEngineConnector extends EventEmitter {
             text: '',
             conversation: this._conversationId ? { id: this._conversationId } : undefined,
         };
-        const url = this._conversationsUrl(this._conversationId);
-        const res = await this._post(url, { activity });
-        await this._consumeSSE(res);
+        await this._sendTurn(activity);
+    }
+
+    /**
+     * Send an invoke activity (`adaptiveCard/action` for Adaptive Card
+     * Universal Actions, `message/submitAction` for message feedback) as a
+     * turn. The `invokeResponse` comes back on the turn's SSE stream, with
+     * any messages the agent sends.
+     * @param {string} name - Invoke name
+     * @param {Object} value - Invoke payload
+     * @param {Object} [options]
+     * @param {string} [options.replyToId] - Agent activity the invoke is about
+     * @returns {Promise<Object|null>} The invokeResponse value ({ status, body }),
+     *          or null when the agent did not send one
+     */
+    async sendInvoke(name, value, { replyToId } = {}) {
+        if (this._status !== 'connected') return Promise.reject(new Error('Not connected'));
+        const activity = {
+            type: 'invoke',
+            name,
+            value: value || {},
+            from: { id: 'user' },
+            ...(replyToId ? { replyToId } : {}),
+            conversation: this._conversationId ? { id: this._conversationId } : undefined,
+        };
+        let response = null;
+        const onActivity = (reply) => {
+            if (reply.type === 'invokeResponse') response = reply.value || null;
+        };
+        this.on('rawActivity', onActivity);
+        try {
+            await this._sendTurn(activity);
+        } finally {
+            this.off('rawActivity', onActivity);
+        }
+        return response;
+    }
+
+    /**
+     * Send a message with file attachments and stream the response.
+     * D2E has no upload endpoint, so each file is inlined on the activity as a
+     * base64 `data:` URL attachment and POSTed through the normal turn
+     * endpoint. Same signature as `DirectLineService.sendMessageWithFiles`.
+     * @param {string} text - Message text (may be empty)
+     * @param {File[]} files - Files to attach
+     * @param {Function} [onProgress] - Called with 0..1; encoding reports up to
+     *        0.9, 1 once the agent has accepted the turn
+     * @returns {Promise<void>}
+     */
+    async sendMessageWithFiles(text, files, onProgress) {
+        if (this._status !== 'connected') return Promise.reject(new Error('Not connected'));
+
+        const attachments = [];
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            const contentUrl = await this._readFileAsDataUrl(file, (loaded) => {
+                if (onProgress) onProgress(((i + loaded) / files.length) * 0.9);
+            });
+            attachments.push({
+                contentType: file.type || 'application/octet-stream',
+                contentUrl,
+                name: file.name,
+            });
+            console.log(`📎 [D2E Upload] File ${i + 1}/${files.length}: "${file.name}" (${file.size} bytes, ${file.type || 'unknown type'}) encoded inline`);
+        }
+
+        const activity = {
+            type: 'message',
+            text: text || '',
+            from: { id: 'user' },
+            attachments,
+            conversation: this._conversationId ? { id: this._conversationId } : undefined,
+        };
+        if (this._initContext && Object.keys(this._initContext).length) {
+            activity.channelData = { ...(activity.channelData || {}), ...this._initContext };
+            this._initContext = null; // send once
+        }
+        await this._sendTurn(activity, () => { if (onProgress) onProgress(1); });
     }
 
-    /** File upload is a DirectLine-only capability; not supported on D2E. */
-    sendMessageWithFiles() {
-        return Promise.reject(new Error('File upload is not supported on Direct-to-Engine connections.'));
+    /**
+     * Read a File into a base64 `data:` URL.
+     * @param {File} file
+     * @param {Function} [onProgress] - Called with the read fraction 0..1
+     * @returns {Promise<string>}
+     */
+    _readFileAsDataUrl(file, onProgress) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.addEventListener('progress', (e) => {
+                if (onProgress && e.lengthComputable) onProgress(e.loaded / e.total);
+            });
+            reader.addEventListener('load', () => {
+                if (onProgress) onProgress(1);
+                resolve(reader.result);
+            });
+            reader.addEventListener('error', () => reject(new Error(`Could not read file "${file.name}"`)));
+            reader.addEventListener('abort', () => reject(new Error('File upload cancelled')));
+            reader.readAsDataURL(file);
+        });
     }
 
     // ── HTTP + SSE ──
+
+    /**
+     * POST one turn to the current conversation and stream its response.
+     *
+     * The turn gets a stable `id` before the first POST and keeps it on every
+     * resend, so the server can drop duplicates. If the SSE stream drops
+     * before the agent sent anything, the turn is re-POSTed with that id to
+     * the same conversationId with backoff. If it drops mid-answer, open
+     * streams are finalized with the text received so far and marked
+     * `meta.interrupted`, which the bubble shows.
+     * @param {Object} activity - turn activity
+     * @param {Function} [onAccepted] - called once the POST is accepted
+     * @returns {Promise<void>}
+     */
+    async _sendTurn(activity, onAccepted) {
+        activity.id ||= crypto.randomUUID();
+        for (let attempt = 1; ; attempt++) {
+            const url = this._conversationsUrl(this._conversationId);
+            if (this._conversationId) activity.conversation = { id: this._conversationId };
+            const res = await this._post(url, { activity });
+            if (onAccepted && attempt === 1) onAccepted();
+            try {
+                await this._consumeSSE(res);
+                return;
+            } catch (err) {
+                if (err.receivedActivities > 0) {
+                    console.warn(`⚠️ [DirectEngineConnector] Stream dropped mid-answer after ${err.receivedActivities} activities — keeping partial response`);
+                    this._closeInterruptedStreams();
+                    return;
+                }
+                if (attempt >= MAX_ATTEMPTS) throw err;
+                const delay = this._retryDelay(attempt);
+                console.warn(`🔁 [DirectEngineConnector] Stream dropped before any response (attempt ${attempt}/${MAX_ATTEMPTS}), resending turn ${activity.id} in ${delay}ms`);
+                this.emit('retrying', { attempt, delay, reason: err.message });
+                await this._sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * POST with automatic re-authentication and retry:
+     * - 401: force a silent token refresh and retry once
+     * - network error / 429 / 503: exponential backoff (honours Retry-After)
+     * Retries resend the same body, so a turn keeps its activity id and the
+     * server can drop a duplicate of a request it already received.
+     * The conversationId from `x-ms-conversationid` is captured so later turns
+     * (and retries) reattach to the same conversation.
+     */
     async _post(url, body) {
-        const token = await this._getToken();
-        const res = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'Accept': 'text/event-stream',
-            },
-            body: JSON.stringify(body),
-        });
-        if (!res.ok) {
+        let authRetried = false;
+        let forceRefresh = false;
+        for (let attempt = 1; ; attempt++) {
+            const token = await this._getToken({ forceRefresh });
+            forceRefresh = false;
+            let res;
+            try {
+                res = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json',
+                        'Accept': 'text/event-stream',
+                    },
+                    body: JSON.stringify(body),
+                });
+            } catch (err) {
+                // fetch only rejects on network failure
+                if (attempt >= MAX_ATTEMPTS) throw err;
+                const delay = this._retryDelay(attempt);
+                console.warn(`🔁 [DirectEngineConnector] Network error (attempt ${attempt}/${MAX_ATTEMPTS}), retrying in ${delay}ms:`, err?.message);
+                this.emit('retrying', { attempt, delay, reason: err?.message });
+                await this._sleep(delay);
+                continue;
+            }
+
+            if (res.ok) {
+                const cid = res.headers.get('x-ms-conversationid');
+                if (cid && cid !== this._conversationId) {
+                    this._conversationId = cid;
+                    this._emitConversationState();
+                }
+                return res;
+            }
+
             const txt = await res.text().catch(() => '');
+            if (res.status === 401 && !authRetried) {
+                console.warn('🔑 [DirectEngineConnector] 401 — refreshing token and retrying');
+                authRetried = true;
+                forceRefresh = true;
+                continue;
+            }
+            if (RETRYABLE_STATUS.has(res.status) && attempt < MAX_ATTEMPTS) {
+                const delay = this._retryDelay(attempt, res.headers.get('retry-after'));
+                console.warn(`🔁 [DirectEngineConnector] HTTP ${res.status} (attempt ${attempt}/${MAX_ATTEMPTS}), retrying in ${delay}ms`);
+                this.emit('retrying', { attempt, delay, reason: `HTTP ${res.status}` });
+                await this._sleep(delay);
+                continue;
+            }
             throw new Error(`HTTP ${res.status} ${res.statusText} — ${txt.slice(0, 300)}`);
         }
-        const cid = res.headers.get('x-ms-conversationid');
-        if (cid) this._conversationId = cid;
-        return res;
+    }
+
+    _retryDelay(attempt, retryAfter = null) {
+        const seconds = Number(retryAfter);
+        if (retryAfter && Number.isFinite(seconds)) return Math.min(seconds * 1000, RETRY_MAX_DELAY_MS);
+        const base = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        return Math.min(base + Math.floor(Math.random() * 250), RETRY_MAX_DELAY_MS);
+    }
+
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    _emitConversationState() {
+        const state = this.getConversationState();
+        if (state) this.emit('conversationState', state);
+    }
+
+    /**
+     * Finalize streams left open by a dropped SSE connection so their bubbles
+     * complete with the text received so far (or are removed when empty).
+     */
+    _closeInterruptedStreams() {
+        for (const [streamId, st] of this._activeStreams) {
+            st.entry.meta.interrupted = true;
+            this._finalizeStream({ type: 'message', text: st.entry.text }, { streamId });
+        }
     }
 
     async _consumeSSE(response) {
@@ -311,12 +564,16 @@ export class DirectEngineConnector extends EventEmitter {
             }
         } catch (e) {
             console.error(`🔌 [D2E SSE] stream error after ${eventCount} events:`, e);
+            // Lets _sendTurn decide between resending the turn and keeping a partial answer
+            e.receivedActivities = activityCount;
             throw e;
         }
     }
 
     // ── Activity handling (mirrors DirectLineService) ──
     _handleActivity(activity) {
+        // Raw, unfiltered traffic for the activity trace recorder
+        this.emit('rawActivity', activity);
         if (activity.from && activity.from.id === 'user') return;
         const stream = getStreamInfo(activity);
 
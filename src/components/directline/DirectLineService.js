@@ -11,6 +11,7 @@ import {
     getStreamInfo,
 } from '../../utils/streamingActivity.js';
 import { StreamAssembler } from './StreamAssembler.js';
+import { BaseAdapter } from '../chat/adapters/BaseAdapter.js';
 
 // ============================================================
 // MessageEntry — unified message data model
@@ -77,43 +78,20 @@ export class MessageEntry {
 }
 
 // ============================================================
-// EventEmitter — lightweight internal pub/sub
+// DirectLineService — main component
 // ============================================================
 
-class EventEmitter {
-    constructor() {
-        this._handlers = {};
-    }
+const SERVICE_VERSION = '1.2.0';
 
-    on(event, handler) {
-        if (!this._handlers[event]) {
-            this._handlers[event] = [];
-        }
-        this._handlers[event].push(handler);
-    }
+// Refresh a server-issued token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 2 * 60 * 1000;
+// Never schedule a refresh sooner than this (guards against tiny expires_in)
+const TOKEN_REFRESH_MIN_DELAY_MS = 30 * 1000;
 
-    off(event, handler) {
-        if (!this._handlers[event]) return;
-        this._handlers[event] = this._handlers[event].filter(h => h !== handler);
-    }
-
-    emit(event, data) {
-        if (!this._handlers[event]) return;
-        for (const handler of this._handlers[event]) {
-            try {
-                handler(data);
-            } catch (err) {
-                console.error(`[DirectLineService] Error in '${event}' handler:`, err);
-            }
-        }
-    }
-}
-
-// ============================================================
-// DirectLineService — main component
-// ============================================================
-
-const SERVICE_VERSION = '1.1.0';
+// How long sendInvoke waits for an invokeResponse; once the bot has replied
+// with a message, only the shorter grace period is left
+const INVOKE_RESPONSE_TIMEOUT_MS = 15 * 1000;
+const INVOKE_REPLY_GRACE_MS = 2 * 1000;
 
 // Connection status constants (mirrors DirectLine SDK)
 const ConnectionStatus = {
@@ -125,7 +103,7 @@ const ConnectionStatus = {
     ENDED: 5,
 };
 
-export class DirectLineService extends EventEmitter {
+export class DirectLineService extends BaseAdapter {
     constructor() {
         super();
         this._directLine = null;
@@ -138,6 +116,12 @@ export class DirectLineService extends EventEmitter {
         this._streamAssembler = new StreamAssembler();
         this._streamEntries = new Map(); // assembler ref → MessageEntry
         this._nativeStreamingSupported = null; // null = unknown, true/false after detection
+        this._resume = null;           // { conversationId, token, watermark } when rejoining
+        this._conversationState = null; // { conversationId, token, watermark } of the live conversation
+        this._tokenEndpoint = null;    // set in token mode — secret stays on the server
+        this._tokenRefreshTimer = null;
+        this._tokenExpiresAt = 0;      // when the current server-issued token expires (ms)
+        this._restartingConversation = false;
 
         console.log(`⚙️ [DirectLineService] v${SERVICE_VERSION} loaded`);
     }
@@ -145,13 +129,32 @@ export class DirectLineService extends EventEmitter {
     // ── Public API ──────────────────────────────────────────
 
     /**
-     * Connect to a bot via DirectLine secret.
-     * @param {string} secret — DirectLine secret key
+     * Connect to a bot via DirectLine secret or a server-issued token.
+     *
+     * Token mode (`auth = { tokenEndpoint }`) keeps the secret off the browser:
+     * the token is fetched from the app server (`/api/directline/token` in
+     * chat-server.js) and refreshed before it expires, or immediately when the
+     * SDK reports `EXPIRED_TOKEN`.
+     *
+     * When `resume` carries a conversationId, the service rejoins that existing
+     * conversation instead of starting a new one: the DirectLine SDK reconnects
+     * from `watermark`, so only activities the client has not seen yet are
+     * replayed (and they still pass through `_handleActivity` deduplication).
+     * No greeting is sent for a resumed conversation.
+     *
+     * @param {string|{tokenEndpoint: string}} auth — DirectLine secret key, or token endpoint
+     * @param {Object} [resume] — conversation to rejoin
+     * @param {string} resume.conversationId
+     * @param {string} [resume.token] — conversation token (preferred over the secret when present)
+     * @param {string} [resume.watermark] — last watermark seen by the client
+     * @param {string[]} [resume.knownActivityIds] — activity ids already in the transcript
      * @returns {Promise<boolean>} — true if connection succeeded
      */
-    async connect(secret) {
-        if (!secret || typeof secret !== 'string') {
-            this.emit('error', new Error('DirectLine secret is required'));
+    async connect(auth, resume = null) {
+        const tokenEndpoint = auth && typeof auth === 'object' ? auth.tokenEndpoint : null;
+        const secret = typeof auth === 'string' ? auth : null;
+        if (!secret && !tokenEndpoint) {
+            this.emit('error', new Error('DirectLine secret or token endpoint is required'));
             return false;
         }
 
@@ -166,13 +169,56 @@ export class DirectLineService extends EventEmitter {
         try {
             this._setStatus('connecting');
 
-            this._directLine = new DirectLine.DirectLine({
-                secret,
+            const options = {
                 webSocket: true,
                 timeout: 20000,
                 pollingInterval: 1000,
                 domain: 'https://directline.botframework.com/v3/directline',
-            });
+            };
+
+            if (tokenEndpoint) {
+                // Resuming renews the stored conversation token; the server never
+                // issues a token for a conversation id alone
+                let issued;
+                if (resume?.conversationId) {
+                    try {
+                        if (!resume.token) throw new Error('no conversation token stored');
+                        issued = await this.fetchRefreshedToken(tokenEndpoint, resume.token);
+                    } catch (err) {
+                        console.warn('[DirectLineService] Cannot resume conversation:', err);
+                        this._setStatus('disconnected');
+                        this.emit('resumeFailed', { conversationId: resume.conversationId });
+                        return false;
+                    }
+                } else {
+                    issued = await this.fetchToken(tokenEndpoint);
+                }
+                this._tokenEndpoint = tokenEndpoint;
+                options.token = issued.token;
+                this._scheduleTokenRefresh(issued.expires_in);
+                console.log(`🔑 [DirectLineService] Connecting with server-issued token (expires in ${issued.expires_in || '?'}s)`);
+            } else {
+                options.secret = secret;
+            }
+
+            if (resume && resume.conversationId) {
+                this._resume = { ...resume };
+                options.conversationId = resume.conversationId;
+                if (resume.watermark) options.watermark = resume.watermark;
+                if (resume.token && !tokenEndpoint) {
+                    options.token = resume.token;
+                    delete options.secret;
+                }
+                (resume.knownActivityIds || []).forEach(id => this._seenIds.add(id));
+                this._conversationState = {
+                    conversationId: resume.conversationId,
+                    token: tokenEndpoint ? options.token : (resume.token || null),
+                    watermark: resume.watermark || null,
+                };
+                console.log(`🔁 [DirectLineService] Resuming conversation ${resume.conversationId} from watermark ${resume.watermark || '(start)'}`);
+            }
+
+            this._directLine = new DirectLine.DirectLine(options);
 
             this._subscribe();
             return true;
@@ -194,13 +240,137 @@ export class DirectLineService extends EventEmitter {
         this._greetingReceived = false;
         this._streamAssembler.reset();
         this._streamEntries.clear();
+        this._seenIds.clear();
+        this._resume = null;
+        this._conversationState = null;
+        this._tokenEndpoint = null;
+        clearTimeout(this._tokenRefreshTimer);
+        this._tokenRefreshTimer = null;
         this._setStatus('disconnected');
     }
 
-    /** Disconnect then reconnect with same or new secret. */
-    async reconnect(secret) {
+    /**
+     * Disconnect then reconnect with same or new credentials.
+     * Rejoins the current conversation (from its last watermark) when one is
+     * known, so the bot-side dialog state survives the reconnect.
+     * @param {string|{tokenEndpoint: string}} auth — see connect()
+     */
+    async reconnect(auth) {
+        const state = this.getConversationState();
         this.disconnect();
-        return this.connect(secret);
+        return this.connect(auth, state);
+    }
+
+    /**
+     * Request a DirectLine token for a new conversation from the app server's
+     * token endpoint.
+     * @param {string} tokenEndpoint — e.g. '/api/directline/token'
+     * @returns {Promise<{token: string, conversationId: string, expires_in: number}>}
+     */
+    async fetchToken(tokenEndpoint) {
+        return this._postTokenRequest(new URL(tokenEndpoint, window.location.href));
+    }
+
+    /**
+     * Renew a conversation token through the token endpoint's `/refresh` route
+     * (used for refresh and resume). The current token authenticates the
+     * request, so only its holder can get a token for the conversation.
+     * @param {string} tokenEndpoint — e.g. '/api/directline/token'
+     * @param {string} token — current, not yet expired, conversation token
+     * @returns {Promise<{token: string, conversationId: string, expires_in: number}>}
+     */
+    async fetchRefreshedToken(tokenEndpoint, token) {
+        const url = new URL(tokenEndpoint, window.location.href);
+        url.pathname = url.pathname.replace(/\/$/, '') + '/refresh';
+        return this._postTokenRequest(url, { 'Authorization': `Bearer ${token}` });
+    }
+
+    /** True when connected with a server-issued token rather than a secret. */
+    isTokenMode() {
+        return !!this._tokenEndpoint;
+    }
+
+    /**
+     * Health check: open a separate, throwaway conversation, trigger the
+     * greeting and wait for the bot's first message. The live conversation
+     * (if any) is not touched. Used by the agent health monitor.
+     * @param {string|{tokenEndpoint: string}} auth — see connect()
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=30000] — how long to wait for the greeting
+     * @returns {Promise<{greeting: boolean, connectMs: number, latencyMs: number}>}
+     *          `greeting: false` when the bot came online but did not greet in time;
+     *          rejects when no conversation could be opened
+     */
+    async probe(auth, { timeoutMs = 30000 } = {}) {
+        const started = performance.now();
+        const elapsed = () => Math.round(performance.now() - started);
+        const directLine = await this._createProbeDirectLine(auth);
+
+        return new Promise((resolve, reject) => {
+            const subscriptions = [];
+            let connectMs = null;
+            let settled = false;
+
+            const finish = (settle, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                subscriptions.forEach(sub => { try { sub.unsubscribe(); } catch (_) {} });
+                try { directLine.end(); } catch (_) { /* ignore */ }
+                settle(value);
+            };
+            const post = (activity) => directLine.postActivity(activity).subscribe(() => {}, () => {});
+
+            const timer = setTimeout(() => {
+                if (connectMs === null) {
+                    finish(reject, new Error(`No connection within ${Math.round(timeoutMs / 1000)}s`));
+                } else {
+                    finish(resolve, { greeting: false, connectMs, latencyMs: elapsed() });
+                }
+            }, timeoutMs);
+
+            subscriptions.push(directLine.connectionStatus$.subscribe(
+                status => {
+                    if (status === ConnectionStatus.ONLINE && connectMs === null) {
+                        connectMs = elapsed();
+                        post({ type: 'conversationUpdate', from: { id: 'user' }, membersAdded: [{ id: 'user' }] });
+                        post({ type: 'event', name: 'startConversation', from: { id: 'user' }, value: '' });
+                    } else if (status === ConnectionStatus.EXPIRED_TOKEN) {
+                        finish(reject, new Error('Invalid or expired DirectLine secret'));
+                    } else if (status === ConnectionStatus.FAILED) {
+                        finish(reject, new Error('Failed to connect to DirectLine service'));
+                    }
+                },
+                err => finish(reject, this._friendlyError(err))
+            ));
+
+            subscriptions.push(directLine.activity$.subscribe(
+                activity => {
+                    if (activity.from?.id === 'user' || activity.type !== 'message') return;
+                    if (!activity.text?.trim() && !activity.attachments?.length) return;
+                    finish(resolve, { greeting: true, connectMs: connectMs ?? elapsed(), latencyMs: elapsed() });
+                },
+                err => finish(reject, this._friendlyError(err))
+            ));
+        });
+    }
+
+    /**
+     * BaseAdapter contract: send a user message.
+     * @param {string|{text: string, attachments?: Array}} userMessage
+     * @returns {Promise<string>}
+     */
+    send(userMessage) {
+        if (typeof userMessage === 'string') return this.sendMessage(userMessage);
+        return this.sendMessage(userMessage?.text || '', userMessage?.attachments || []);
+    }
+
+    /**
+     * BaseAdapter contract: subscribe to complete bot messages.
+     * @param {Function} handler - receives a MessageEntry
+     */
+    onMessage(handler) {
+        this.on('message', handler);
     }
 
     /**
@@ -262,6 +432,67 @@ export class DirectLineService extends EventEmitter {
         });
     }
 
+    /**
+     * Send an invoke activity (`adaptiveCard/action` for Adaptive Card
+     * Universal Actions, `message/submitAction` for message feedback) and
+     * wait for the bot's `invokeResponse`.
+     * Bots may answer an invoke with ordinary messages only, so the wait ends
+     * shortly after the first reply, or after INVOKE_RESPONSE_TIMEOUT_MS.
+     * @param {string} name - Invoke name
+     * @param {Object} value - Invoke payload
+     * @param {Object} [options]
+     * @param {string} [options.replyToId] - Bot activity the invoke is about
+     * @returns {Promise<Object|null>} The invokeResponse value ({ status, body }),
+     *          or null when the bot did not send one
+     */
+    sendInvoke(name, value, { replyToId } = {}) {
+        if (!this._directLine) {
+            return Promise.reject(new Error('Not connected'));
+        }
+        const activity = {
+            type: 'invoke',
+            name,
+            value: value || {},
+            from: { id: 'user' },
+            ...(replyToId ? { replyToId } : {}),
+        };
+        return new Promise((resolve, reject) => {
+            let postedId = null;
+            const early = []; // replies that arrive before postActivity returns the id
+            let timer = null;
+            const wait = (ms) => { clearTimeout(timer); timer = setTimeout(() => settle(null), ms); };
+            const settle = (result) => {
+                clearTimeout(timer);
+                this.off('rawActivity', onActivity);
+                resolve(result);
+            };
+            const onReply = (reply) => {
+                if (reply.type === 'invokeResponse') settle(reply.value || null);
+                else if (reply.type === 'message') wait(INVOKE_REPLY_GRACE_MS);
+            };
+            const onActivity = (reply) => {
+                if (!reply.replyToId || reply.from?.id === 'user') return;
+                if (postedId === null) early.push(reply);
+                else if (reply.replyToId === postedId) onReply(reply);
+            };
+
+            this.on('rawActivity', onActivity);
+            wait(INVOKE_RESPONSE_TIMEOUT_MS);
+            this._directLine.postActivity(activity).subscribe(
+                id => {
+                    postedId = id;
+                    early.filter(reply => reply.replyToId === id).forEach(onReply);
+                },
+                err => {
+                    console.error('[DirectLineService] Invoke send error:', err);
+                    clearTimeout(timer);
+                    this.off('rawActivity', onActivity);
+                    reject(err);
+                }
+            );
+        });
+    }
+
     /**
      * Send a message with file attachments via DirectLine REST upload endpoint.
      * Uses XHR with direct File object (proven to work with Copilot Studio).
@@ -449,6 +680,16 @@ export class DirectLineService extends EventEmitter {
         return this._status;
     }
 
+    /**
+     * Snapshot of the live conversation needed to resume it later.
+     * `token` is only set when the SDK holds a conversation token distinct
+     * from the secret — the secret itself is never returned.
+     * @returns {{conversationId: string, token: string|null, watermark: string|null}|null}
+     */
+    getConversationState() {
+        return this._conversationState ? { ...this._conversationState } : null;
+    }
+
     // ── Private: Subscriptions ──────────────────────────────
 
     _subscribe() {
@@ -487,6 +728,10 @@ export class DirectLineService extends EventEmitter {
     // ── Private: Activity handling ──────────────────────────
 
     _handleActivity(activity) {
+        // Raw, unfiltered traffic (user echoes included) for the activity trace recorder
+        this.emit('rawActivity', activity);
+        this._trackWatermark(activity);
+
         // Skip user echo
         if (activity.from && activity.from.id === 'user') return;
 
@@ -726,6 +971,13 @@ export class DirectLineService extends EventEmitter {
         switch (status) {
             case ConnectionStatus.ONLINE:
                 this._setStatus('connected');
+                this._updateConversationState({});
+                if (this._resume) {
+                    // Rejoined an existing conversation — the bot already greeted
+                    this._greetingReceived = true;
+                    this.emit('resumed', this.getConversationState());
+                    break;
+                }
                 // Auto-send greeting when connection goes online
                 setTimeout(() => this.sendGreeting(), 1000);
                 break;
@@ -733,8 +985,18 @@ export class DirectLineService extends EventEmitter {
                 this._setStatus('connecting');
                 break;
             case ConnectionStatus.EXPIRED_TOKEN:
+                if (this._tokenEndpoint) {
+                    // Recoverable in token mode, but an expired token cannot be
+                    // renewed: continue in a new conversation
+                    this._restartExpiredConversation();
+                    return;
+                }
+                // falls through
             case ConnectionStatus.FAILED:
             case ConnectionStatus.ENDED:
+                if (this._resume && status === ConnectionStatus.FAILED && this._status !== 'connected') {
+                    this.emit('resumeFailed', { conversationId: this._resume.conversationId });
+                }
                 this._setStatus('disconnected');
                 break;
         }
@@ -749,8 +1011,153 @@ export class DirectLineService extends EventEmitter {
         }
     }
 
+    // ── Private: Conversation state ─────────────────────────
+
+    /**
+     * Advance the stored watermark from an incoming activity.
+     * Prefers the SDK's own watermark; falls back to the sequence suffix of
+     * the activity id (`<conversationId>|<sequence>`).
+     * @param {Object} activity
+     */
+    _trackWatermark(activity) {
+        if (!this._directLine) return;
+        let watermark = this._directLine.watermark || null;
+        if (!watermark && typeof activity.id === 'string' && activity.id.includes('|')) {
+            watermark = activity.id.split('|').pop();
+        }
+        if (watermark && (!this._conversationState || this._conversationState.watermark !== watermark)) {
+            this._updateConversationState({ watermark });
+        }
+    }
+
+    _updateConversationState(patch) {
+        const dl = this._directLine;
+        if (!dl || !dl.conversationId) return;
+        // A conversation token (never the secret); in token mode a resume renews it
+        const token = dl.token && dl.token !== dl.secret ? dl.token : null;
+        this._conversationState = {
+            conversationId: dl.conversationId,
+            token: token || this._conversationState?.token || null,
+            watermark: this._conversationState?.watermark || null,
+            ...patch,
+        };
+        this.emit('conversationState', this.getConversationState());
+    }
+
+    // ── Private: Token refresh ──────────────────────────────
+
+    // POST to the app server's token endpoint; resolves with { token, conversationId, expires_in, streamUrl }
+    async _postTokenRequest(url, headers = {}) {
+        const res = await fetch(url.toString(), { method: 'POST', headers });
+        let body = null;
+        try { body = await res.json(); } catch { /* non-JSON error page */ }
+        if (!res.ok || !body || !body.token) {
+            const reason = body?.error || `HTTP ${res.status}`;
+            throw new Error(`Token endpoint failed: ${reason}`);
+        }
+        return body;
+    }
+
+    _scheduleTokenRefresh(expiresInSeconds) {
+        clearTimeout(this._tokenRefreshTimer);
+        const expiresMs = (Number(expiresInSeconds) || 3600) * 1000;
+        const delay = Math.max(expiresMs - TOKEN_REFRESH_MARGIN_MS, TOKEN_REFRESH_MIN_DELAY_MS);
+        this._tokenExpiresAt = Date.now() + expiresMs;
+        this._tokenRefreshTimer = setTimeout(() => this._refreshToken(), delay);
+    }
+
+    /**
+     * Fetch a new token for the live conversation and hand it to the SDK.
+     * `DirectLine.reconnect()` swaps the token in place (and clears an
+     * EXPIRED_TOKEN status) without starting a new conversation.
+     */
+    async _refreshToken() {
+        const dl = this._directLine;
+        const endpoint = this._tokenEndpoint;
+        if (!dl || !endpoint) return;
+
+        try {
+            const issued = await this.fetchRefreshedToken(endpoint, dl.token);
+            if (this._directLine !== dl) return; // disconnected meanwhile
+            dl.reconnect({
+                conversationId: issued.conversationId || dl.conversationId,
+                token: issued.token,
+                streamUrl: issued.streamUrl || dl.streamUrl,
+            });
+            this._updateConversationState({});
+            this._scheduleTokenRefresh(issued.expires_in);
+            this.emit('tokenRefreshed', { conversationId: dl.conversationId, expiresIn: issued.expires_in });
+            console.log(`🔑 [DirectLineService] Token refreshed (expires in ${issued.expires_in || '?'}s)`);
+        } catch (err) {
+            if (this._directLine !== dl) return;
+            // The timer fired late (e.g. the machine slept): the token expired meanwhile
+            if (Date.now() >= this._tokenExpiresAt) {
+                this._restartExpiredConversation();
+                return;
+            }
+            console.error('[DirectLineService] Token refresh failed:', err);
+            this._setStatus('disconnected');
+            this.emit('error', this._friendlyError(err));
+            this.emit('statusChange', ConnectionStatus.EXPIRED_TOKEN);
+        }
+    }
+
+    /**
+     * The conversation token expired before it was renewed. DirectLine does
+     * not renew an expired token, and a newly issued token belongs to a new
+     * conversation, so a new conversation is started with a fresh token from
+     * the token endpoint and `conversationRestarted` is emitted.
+     */
+    async _restartExpiredConversation() {
+        const dl = this._directLine;
+        const endpoint = this._tokenEndpoint;
+        if (!dl || !endpoint || this._restartingConversation) return;
+
+        const previousConversationId = dl.conversationId || null;
+        console.warn(`🔑 [DirectLineService] Token for conversation ${previousConversationId} expired — starting a new conversation`);
+        this._restartingConversation = true;
+        try {
+            const connected = await this.connect({ tokenEndpoint: endpoint });
+            if (connected) this.emit('conversationRestarted', { previousConversationId, reason: 'tokenExpired' });
+        } finally {
+            this._restartingConversation = false;
+        }
+    }
+
     // ── Private: Helpers ────────────────────────────────────
 
+    /**
+     * DirectLine client for probe(): polling only, independent of the live connection.
+     * @param {string|{tokenEndpoint: string}} auth
+     */
+    async _createProbeDirectLine(auth) {
+        if (typeof DirectLine === 'undefined') {
+            throw new Error('DirectLine SDK not loaded. Check CDN script in index.html.');
+        }
+        const tokenEndpoint = auth && typeof auth === 'object' ? auth.tokenEndpoint : null;
+        const secret = typeof auth === 'string' ? auth : null;
+        if (!secret && !tokenEndpoint) {
+            throw new Error('DirectLine secret or token endpoint is required');
+        }
+
+        const options = {
+            webSocket: false,
+            timeout: 20000,
+            pollingInterval: 1000,
+            domain: 'https://directline.botframework.com/v3/directline',
+        };
+        try {
+            if (tokenEndpoint) {
+                options.token = (await this.fetchToken(tokenEndpoint)).token;
+            } else {
+                options.secret = secret;
+            }
+        } catch (err) {
+            throw this._friendlyError(err);
+        }
+        return new DirectLine.DirectLine(options);
+    }
+
     _postQuietly(activity) {
         if (!this._directLine) return;
         this._directLine.postActivity(activity).subscribe(
@@ -761,6 +1168,8 @@ export class DirectLineService extends EventEmitter {
 
     _friendlyError(err) {
         const msg = err.message || '';
+        if (msg.startsWith('Token endpoint failed'))
+            return new Error(`Could not obtain a DirectLine token from the server (${msg.replace('Token endpoint failed: ', '')}).`);
         if (msg.includes('401') || msg.includes('Unauthorized'))
             return new Error('Invalid DirectLine secret. Check configuration.');
         if (msg.includes('403') || msg.includes('Forbidden'))
@@ -0,0 +1,308 @@
+/**
+ * LLMAgentConnector
+ * ---------------------------------------------------------------------------
+ * Connector for plain LLM assistants: talks directly to one of the models
+ * registered in the AI Companion's `ModelRegistry` (OpenAI-compatible, Azure
+ * OpenAI, Ollama, OpenAI, Anthropic) with a per-agent system prompt.
+ *
+ * It is a DROP-IN sibling of `DirectLineService`: it exposes the same
+ * EventEmitter surface (`statusChange`, `connected`, `typing`, `messageChunk`,
+ * `message`, `error`) and reuses the same `MessageEntry` model, so rendering,
+ * KPIs, benchmark and AutoQA work unchanged against raw models.
+ *
+ * The conversation lives in memory (system prompt + user/assistant turns) and
+ * is reset on connect/disconnect. There is no greeting.
+ *
+ * Version: 1.0.0
+ */
+
+import { MessageEntry } from './DirectLineService.js';
+import { BaseAdapter } from '../chat/adapters/BaseAdapter.js';
+import { ModelRegistry } from '../../ai/modelRegistry.js';
+
+const CONNECTOR_VERSION = '1.0.0';
+console.log(`🧠 [LLMAgentConnector] v${CONNECTOR_VERSION} loaded`);
+
+// Text files inlined into the prompt by sendMessageWithFiles
+const TEXT_FILE_PATTERN = /^text\/|json|xml|yaml|csv|markdown/i;
+const MAX_INLINE_FILE_CHARS = 100000;
+
+export class LLMAgentConnector extends BaseAdapter {
+    constructor() {
+        super();
+        this._status = 'disconnected';
+        this._registry = new ModelRegistry(null); // only the registry/request helpers are used
+        this._model = null;           // registered model entry
+        this._systemPrompt = '';
+        this._history = [];           // [{ role: 'user'|'assistant', content }]
+        this._entries = [];
+        this._initContext = null;
+        this._abort = null;           // AbortController of the in-flight turn
+    }
+
+    // ── Public status ──
+    getStatus() { return this._status; }
+    getHistory() { return this._entries.filter(e => e.from?.id !== 'user'); }
+
+    _setStatus(s) {
+        if (this._status === s) return;
+        this._status = s;
+        this.emit('statusChange', s);
+    }
+
+    /** Init params are appended to the system prompt as a context block. */
+    setInitContext(context) { this._initContext = context; }
+
+    /**
+     * Select a registered model and start a fresh conversation.
+     * @param {{modelId: string, systemPrompt?: string}} config
+     * @returns {Promise<boolean>}
+     */
+    async connect(config) {
+        this.disconnect();
+        const model = config?.modelId ? this._registry.getRegisteredModel(config.modelId) : null;
+        if (!model) {
+            this._setStatus('error');
+            this.emit('error', new Error(config?.modelId
+                ? `Model "${config.modelId}" is no longer registered. Edit the agent and pick another model.`
+                : 'LLM agent requires a model. Register one in the AI Companion settings, then edit the agent.'));
+            return false;
+        }
+
+        this._setStatus('connecting');
+        if (model.provider !== 'ollama' && !(await this._registry.getRegisteredModelApiKey(model.provider))) {
+            this._setStatus('error');
+            this.emit('error', new Error(`No API key found for ${model.provider}. Please configure it in settings.`));
+            return false;
+        }
+
+        this._model = model;
+        this._systemPrompt = (config.systemPrompt || '').trim();
+        this._setStatus('connected');
+        this.emit('connected');
+        console.log(`🧠 [LLMAgentConnector] Using ${model.displayName} (${model.provider})`);
+        return true;
+    }
+
+    disconnect() {
+        this._abort?.abort();
+        this._abort = null;
+        this._model = null;
+        this._history = [];
+        this._entries = [];
+        this._setStatus('disconnected');
+    }
+
+    /** Reconnect with the same (or a new) config; starts a fresh conversation. */
+    async reconnect(config) {
+        const cfg = config || (this._model ? { modelId: this._model.id, systemPrompt: this._systemPrompt } : null);
+        return this.connect(cfg);
+    }
+
+    /** BaseAdapter contract: send a user message (string or { text }). */
+    send(userMessage) {
+        return this.sendMessage(typeof userMessage === 'string' ? userMessage : (userMessage?.text || ''));
+    }
+
+    /** BaseAdapter contract: subscribe to complete bot messages. */
+    onMessage(handler) { this.on('message', handler); }
+
+    /**
+     * Send a text message and stream the model's answer.
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    async sendMessage(text) {
+        if (this._status !== 'connected') return Promise.reject(new Error('Not connected'));
+        await this._sendTurn(text || '');
+    }
+
+    /**
+     * Models have no card channel: a card submit is sent as its JSON data.
+     * @param {Object} value - The Adaptive Card submit data (action.data)
+     * @returns {Promise<void>}
+     */
+    async sendCardResponse(value) {
+        return this.sendMessage(JSON.stringify(value || {}));
+    }
+
+    /**
+     * Card actions (Action.Execute) are sent like submits: the verb and data as
+     * JSON. The model answers in the chat, never with an invokeResponse.
+     * @param {string} name - Invoke name
+     * @param {Object} value - Invoke payload ({ action: { verb, data } })
+     * @returns {Promise<null>}
+     */
+    async sendInvoke(name, value) {
+        const action = value?.action || {};
+        await this.sendCardResponse({ verb: action.verb, ...(action.data || {}) });
+        return null;
+    }
+
+    /**
+     * Send a message with files. Text files are inlined into the prompt;
+     * other types are rejected. Same signature as
+     * `DirectLineService.sendMessageWithFiles`.
+     * @param {string} text - Message text (may be empty)
+     * @param {File[]} files - Files to attach
+     * @param {Function} [onProgress] - Called with 0..1
+     * @returns {Promise<void>}
+     */
+    async sendMessageWithFiles(text, files, onProgress) {
+        if (this._status !== 'connected') return Promise.reject(new Error('Not connected'));
+
+        const unsupported = files.filter(f => !TEXT_FILE_PATTERN.test(f.type || '') && !/\.(txt|md|json|csv|xml|ya?ml|log)$/i.test(f.name));
+        if (unsupported.length) {
+            throw new Error(`LLM agents only accept text files (${unsupported.map(f => f.name).join(', ')} not supported).`);
+        }
+
+        const parts = [];
+        for (let i = 0; i < files.length; i++) {
+            let content = await files[i].text();
+            if (content.length > MAX_INLINE_FILE_CHARS) content = content.slice(0, MAX_INLINE_FILE_CHARS) + '\n…(truncated)';
+            parts.push(`File: ${files[i].name}\n\`\`\`\n${content}\n\`\`\``);
+            if (onProgress) onProgress(((i + 1) / files.length) * 0.9);
+        }
+        if (text) parts.push(text);
+        if (onProgress) onProgress(1);
+        await this._sendTurn(parts.join('\n\n'));
+    }
+
+    // ── Private: turn handling ──────────────────────────────────────
+
+    _buildMessages() {
+        let system = this._systemPrompt;
+        if (this._initContext && Object.keys(this._initContext).length) {
+            const lines = Object.entries(this._initContext).map(([k, v]) => `${k}: ${v}`);
+            system = [system, `Context:\n${lines.join('\n')}`].filter(Boolean).join('\n\n');
+        }
+        return system ? [{ role: 'system', content: system }, ...this._history] : [...this._history];
+    }
+
+    async _sendTurn(text) {
+        this._abort?.abort();
+        const abort = new AbortController();
+        this._abort = abort;
+
+        // A newer turn or a disconnect can abort this one while it runs, so
+        // the history is updated around this user turn rather than at the end
+        const userTurn = { role: 'user', content: text };
+        this._history.push(userTurn);
+
+        let entry = null;
+        const onDelta = (delta) => {
+            if (!entry) {
+                // First token: typing marks TTFT for the KPI pipeline
+                this.emit('typing');
+                entry = new MessageEntry({
+                    id: `llm-${Date.now()}`,
+                    type: 'message',
+                    from: { id: 'bot', name: this._model.displayName },
+                });
+                entry.isComplete = false;
+                entry.metrics.firstTokenTime = Date.now();
+                entry.meta.wasStreamed = true;
+                entry.meta.model = { id: this._model.id, provider: this._model.provider };
+                this._entries.push(entry);
+            }
+            entry.text += delta;
+            entry.metrics.lastTokenTime = Date.now();
+            this.emit('messageChunk', entry);
+        };
+
+        try {
+            // Inside the try: a model or config error must drop the user turn too
+            const request = await this._registry.buildChatRequest(this._model, this._buildMessages());
+            const res = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: request.body,
+                signal: abort.signal,
+            });
+            if (!res.ok) {
+                const errorData = await res.json().catch(() => ({}));
+                const errMsg = errorData.error?.message || errorData.message || res.statusText;
+                throw new Error(`${request.provider} request failed: ${res.status} ${errMsg}`);
+            }
+            const usage = await this._consumeStream(res, request.provider, onDelta);
+            if (entry && usage) entry.meta.usage = usage;
+        } catch (err) {
+            if (!entry) {
+                // Nothing arrived: drop the user turn so a retry is not sent twice
+                this._removeFromHistory(userTurn);
+                if (abort.signal.aborted) return;
+                throw err;
+            }
+            // Keep the partial answer rather than losing it, also when aborted
+            if (!abort.signal.aborted) {
+                console.warn('[LLMAgentConnector] Stream interrupted, keeping partial answer:', err?.message || err);
+            }
+            entry.meta.interrupted = true;
+        } finally {
+            if (this._abort === abort) this._abort = null;
+        }
+
+        if (!entry) {
+            this._removeFromHistory(userTurn);
+            throw new Error('The model returned an empty response.');
+        }
+        // Right after its user turn, even if a newer turn was pushed meanwhile;
+        // skipped when the history was reset by a disconnect
+        const index = this._history.indexOf(userTurn);
+        if (index !== -1) this._history.splice(index + 1, 0, { role: 'assistant', content: entry.text });
+        entry.markComplete();
+        this.emit('message', entry);
+    }
+
+    _removeFromHistory(turn) {
+        const index = this._history.indexOf(turn);
+        if (index !== -1) this._history.splice(index, 1);
+    }
+
+    /**
+     * Read an SSE (OpenAI/Azure/Anthropic) or NDJSON (Ollama) body.
+     * @returns {Promise<Object|null>} token usage when the provider reports it
+     */
+    async _consumeStream(res, provider, onDelta) {
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let usage = null;
+
+        const handleLine = (line) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed === 'data: [DONE]' || trimmed.startsWith('event:')) return;
+            const jsonStr = trimmed.startsWith('data:') ? trimmed.slice(5).trim() : trimmed;
+            let parsed;
+            try { parsed = JSON.parse(jsonStr); } catch { return; }
+
+            let delta = '';
+            if (provider === 'ollama') {
+                delta = parsed.message?.content || '';
+                if (parsed.done) usage = { prompt_tokens: parsed.prompt_eval_count || 0, completion_tokens: parsed.eval_count || 0 };
+            } else if (provider === 'anthropic') {
+                if (parsed.type === 'content_block_delta') delta = parsed.delta?.text || '';
+                if (parsed.type === 'message_start') usage = { ...parsed.message?.usage };
+                if (parsed.type === 'message_delta') usage = { ...usage, ...parsed.usage };
+            } else {
+                delta = parsed.choices?.[0]?.delta?.content || '';
+                if (parsed.usage) usage = parsed.usage;
+            }
+            if (delta) onDelta(delta);
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+            lines.forEach(handleLine);
+        }
+        if (buffer) handleLine(buffer);
+        return usage;
+    }
+}
+
+// Singleton — mirrors the directLineService export pattern.
+export const llmAgentConnector = new LLMAgentConnector();
@@ -0,0 +1,366 @@
+/**
+ * MockBotConnector
+ * ---------------------------------------------------------------------------
+ * Offline connector for demos and automated testing. Replays scripted
+ * activity transcripts (see `mockTranscripts.js` for the format) without any
+ * network access.
+ *
+ * It is a `DirectLineService` whose DirectLine SDK object is replaced by an
+ * in-memory `MockDirectLine`: activities go through the very same pipeline
+ * (StreamAssembler, deduplication, greeting detection, watermark tracking)
+ * and the same events are emitted, so `MessageRenderer` and AutoQA can be
+ * demoed and regression-tested on a machine with no network.
+ *
+ * It also replays activity traces recorded by `activityTraceRecorder`: the
+ * recorded activities are emitted unchanged, at their recorded timing.
+ *
+ * Version: 1.0.0
+ */
+
+import { DirectLineService } from './DirectLineService.js';
+import { MOCK_TRANSCRIPTS } from './mockTranscripts.js';
+import { ActivityTraceRecorder } from '../../services/activityTraceRecorder.js';
+
+const CONNECTOR_VERSION = '1.0.0';
+console.log(`🎭 [MockBotConnector] v${CONNECTOR_VERSION} loaded`);
+
+// Mirrors the DirectLine SDK ConnectionStatus values
+const ConnectionStatus = { UNINITIALIZED: 0, CONNECTING: 1, ONLINE: 2, ENDED: 5 };
+
+const DEFAULT_STEP_DELAY_MS = 400;
+const DEFAULT_CHUNK_DELAY_MS = 60;
+const DEFAULT_CHUNK_WORDS = 3;
+
+// ── Minimal observable (the subset of RxJS the service uses) ──
+class MockSubject {
+    constructor(initial) {
+        this._subs = new Set();
+        this._hasValue = initial !== undefined;
+        this._value = initial;
+    }
+    subscribe(next, error) {
+        const sub = { next, error };
+        this._subs.add(sub);
+        if (this._hasValue) next?.(this._value); // BehaviorSubject semantics, like connectionStatus$
+        return { unsubscribe: () => this._subs.delete(sub) };
+    }
+    next(value) {
+        this._value = value;
+        [...this._subs].forEach(s => s.next?.(value));
+    }
+}
+
+/**
+ * In-memory stand-in for `DirectLine.DirectLine`: answers posted activities
+ * from a transcript instead of a bot.
+ */
+export class MockDirectLine {
+    /**
+     * @param {Object} transcript - see mockTranscripts.js
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - delay multiplier (0 = instant)
+     * @param {string} [options.conversationId] - rejoin this conversation
+     * @param {Object} [options.trace] - recorded activity trace to play once online
+     */
+    constructor(transcript, options = {}) {
+        this.transcript = transcript;
+        this.speed = Number.isFinite(options.speed) ? Math.max(0, options.speed) : 1;
+        this.conversationId = options.conversationId || `mock-${Date.now().toString(36)}`;
+        this.watermark = null;
+        this.secret = null;
+        this.token = null;
+        this.activity$ = new MockSubject();
+        this.connectionStatus$ = new MockSubject(ConnectionStatus.UNINITIALIZED);
+        this._sequence = 0;
+        this._greeted = false;
+        this._queue = Promise.resolve();
+        this._timers = new Set();
+        this._ended = false;
+
+        this._schedule(() => this.connectionStatus$.next(ConnectionStatus.CONNECTING), 0);
+        this._schedule(() => this.connectionStatus$.next(ConnectionStatus.ONLINE), 50);
+        if (options.trace) this._queue = this._queue.then(() => this._wait(100)).then(() => this._playTrace(options.trace));
+    }
+
+    /** SDK surface: post a user activity; emits its id like `postActivity(...).subscribe()`. */
+    postActivity(activity) {
+        return {
+            subscribe: (next, error) => {
+                if (this._ended) {
+                    error?.(new Error('Conversation ended'));
+                    return { unsubscribe() {} };
+                }
+                const posted = this._stamp({ ...activity, from: activity.from || { id: 'user' } });
+                this._schedule(() => {
+                    next?.(posted.id);
+                    this._emit(posted); // the real service echoes user activities too
+                    this._respond(posted);
+                }, 20);
+                return { unsubscribe() {} };
+            }
+        };
+    }
+
+    end() {
+        this._ended = true;
+        this._timers.forEach(clearTimeout);
+        this._timers.clear();
+        this.connectionStatus$.next(ConnectionStatus.ENDED);
+    }
+
+    // ── Script playback ──
+
+    _respond(userActivity) {
+        const t = this.transcript;
+        const isGreetingTrigger = userActivity.type === 'conversationUpdate'
+            || (userActivity.type === 'event' && userActivity.name === 'startConversation');
+
+        let steps = null;
+        if (isGreetingTrigger) {
+            // The service sends both triggers; greet once
+            if (this._greeted) return;
+            this._greeted = true;
+            steps = t.greeting || [];
+        } else if (userActivity.type === 'message') {
+            const turn = (t.turns || []).find(tr => this._matches(tr, userActivity));
+            steps = turn ? turn.steps : (t.fallback || []);
+        } else if (userActivity.type === 'invoke' && userActivity.name === 'message/submitAction') {
+            // Message feedback: acknowledged, like a bot with the feedback loop enabled
+            steps = [{ delay: 0, type: 'invokeResponse', value: { status: 200 } }];
+        } else if (userActivity.type === 'invoke') {
+            const turn = (t.turns || []).find(tr => this._matches(tr, userActivity));
+            steps = turn ? turn.steps : [this._invokeError(userActivity)];
+        }
+        if (!steps || steps.length === 0) return;
+
+        const vars = { text: userActivity.text || '', verb: userActivity.value?.action?.verb || '' };
+        this._queue = this._queue.then(() => this._play(steps, userActivity, vars));
+    }
+
+    _matches(turn, activity) {
+        if (activity.type === 'invoke') {
+            return turn.verb !== undefined && activity.value?.action?.verb === turn.verb;
+        }
+        if (turn.verb !== undefined) return false;
+        const isSubmit = activity.value && typeof activity.value === 'object' && !activity.text;
+        if (turn.value !== undefined) {
+            if (!isSubmit) return false;
+            if (turn.value === true) return true;
+            return Object.entries(turn.value).every(([k, v]) => activity.value[k] === v);
+        }
+        if (isSubmit || turn.match === undefined) return false;
+
+        const text = activity.text || '';
+        const regex = /^\/(.+)\/([a-z]*)$/.exec(turn.match);
+        if (regex) return new RegExp(regex[1], regex[2]).test(text);
+        return text.toLowerCase().includes(String(turn.match).toLowerCase());
+    }
+
+    // Unscripted Action.Execute: answer like a bot that does not know the verb
+    _invokeError(userActivity) {
+        const verb = userActivity.value?.action?.verb;
+        return {
+            delay: 0,
+            type: 'invokeResponse',
+            value: {
+                status: 200,
+                body: {
+                    statusCode: 400,
+                    type: 'application/vnd.microsoft.error',
+                    value: { code: 'BadRequest', message: `This transcript has no scripted response for the verb "${verb || ''}".` }
+                }
+            }
+        };
+    }
+
+    async _play(steps, userActivity, vars) {
+        for (const step of steps) {
+            if (this._ended) return;
+            const { delay, typing, informative, stream, chunkSize, chunkDelay, final, ...rest } = step;
+            await this._wait(delay ?? (typing ? 0 : DEFAULT_STEP_DELAY_MS));
+
+            if (typing) {
+                this._emitBot({ type: 'typing' }, userActivity);
+            } else if (informative !== undefined) {
+                this._emitBot({
+                    type: 'typing',
+                    text: this._fill(informative, vars),
+                    entities: [{ type: 'streaminfo', streamType: 'informative' }]
+                }, userActivity);
+            } else if (stream !== undefined) {
+                await this._playStream(this._fill(stream, vars), { chunkSize, chunkDelay, final }, userActivity, vars);
+            } else {
+                this._emitBot({ type: 'message', ...this._fill(rest, vars) }, userActivity);
+            }
+        }
+    }
+
+    /** Emit recorded activities unchanged (original ids, streamIds, text), keeping their spacing. */
+    async _playTrace(trace) {
+        let last = trace.activities[0]?.t || 0;
+        for (const { t, activity } of trace.activities) {
+            if (this._ended) return;
+            await this._wait(Math.max(0, (t || 0) - last));
+            last = t || 0;
+            this._sequence++;
+            this._emit(JSON.parse(JSON.stringify(activity)));
+        }
+        console.log(`🎭 [MockDirectLine] Trace replay finished (${trace.activities.length} activities)`);
+    }
+
+    /**
+     * Expand a `stream` shorthand into Copilot Studio style livestreaming:
+     * delta chunks on typing activities (the first one without a streamId,
+     * later ones referencing the first chunk's id), then a final message.
+     */
+    async _playStream(text, { chunkSize, chunkDelay, final }, userActivity, vars) {
+        const words = text.split(/(?<=\s)/);
+        const size = chunkSize || DEFAULT_CHUNK_WORDS;
+        let streamId = null;
+        let sequence = 0;
+
+        for (let i = 0; i < words.length; i += size) {
+            if (this._ended) return;
+            sequence++;
+            const channelData = { streamType: 'streaming', streamSequence: sequence, chunkType: 'delta' };
+            if (streamId) channelData.streamId = streamId;
+            const chunk = this._emitBot({ type: 'typing', text: words.slice(i, i + size).join(''), channelData }, userActivity);
+            if (!streamId) streamId = chunk.id;
+            await this._wait(chunkDelay ?? DEFAULT_CHUNK_DELAY_MS);
+        }
+
+        this._emitBot({
+            type: 'message',
+            text,
+            ...this._fill(final || {}, vars),
+            channelData: { streamType: 'final', streamId }
+        }, userActivity);
+    }
+
+    _emitBot(activity, userActivity) {
+        const bot = this.transcript.bot || { id: 'mock-bot', name: 'Mock Bot' };
+        return this._emit(this._stamp({
+            from: { ...bot, role: 'bot' },
+            replyToId: userActivity?.id,
+            ...activity
+        }));
+    }
+
+    _emit(activity) {
+        this.watermark = String(this._sequence);
+        this.activity$.next(activity);
+        return activity;
+    }
+
+    _stamp(activity) {
+        this._sequence++;
+        return {
+            ...activity,
+            id: `${this.conversationId}|${String(this._sequence).padStart(7, '0')}`,
+            timestamp: new Date().toISOString(),
+            conversation: { id: this.conversationId },
+            channelId: 'mock'
+        };
+    }
+
+    _fill(value, vars) {
+        if (typeof value === 'string') return value.replace(/\{\{(\w+)\}\}/g, (m, k) => vars[k] ?? m);
+        if (Array.isArray(value)) return value.map(v => this._fill(v, vars));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this._fill(v, vars)]));
+        }
+        return value;
+    }
+
+    _wait(ms) {
+        return new Promise(resolve => this._schedule(resolve, ms * this.speed));
+    }
+
+    _schedule(fn, ms) {
+        const timer = setTimeout(() => { this._timers.delete(timer); fn(); }, ms);
+        this._timers.add(timer);
+    }
+}
+
+export class MockBotConnector extends DirectLineService {
+    /**
+     * Start replaying a transcript or a recorded activity trace.
+     * @param {{transcript: string|Object, speed?: number}} config - a built-in
+     *        transcript name, a transcript or trace object, or its JSON text
+     * @param {{conversationId: string}} [resume] - rejoin without a new greeting
+     * @returns {Promise<boolean>}
+     */
+    async connect(config, resume = null) {
+        this.disconnect();
+
+        let transcript;
+        try {
+            transcript = MockBotConnector.resolveTranscript(config?.transcript);
+        } catch (err) {
+            this._setStatus('error');
+            this.emit('error', err);
+            return false;
+        }
+
+        if (resume?.conversationId) {
+            this._resume = { ...resume };
+            (resume.knownActivityIds || []).forEach(id => this._seenIds.add(id));
+        }
+        const isTrace = ActivityTraceRecorder.isTrace(transcript);
+        this._directLine = new MockDirectLine(isTrace ? {} : transcript, {
+            speed: Number(config?.speed ?? 1),
+            conversationId: resume?.conversationId,
+            trace: isTrace ? transcript : null
+        });
+        this._subscribe();
+        console.log(isTrace
+            ? `🎭 [MockBotConnector] Replaying trace of ${transcript.activities.length} activities`
+            : `🎭 [MockBotConnector] Replaying "${transcript.name || 'custom'}" transcript`);
+        return true;
+    }
+
+    /**
+     * probe() runs the transcript's greeting at full speed instead of calling DirectLine.
+     * @param {{transcript: string|Object}} config
+     */
+    async _createProbeDirectLine(config) {
+        const transcript = MockBotConnector.resolveTranscript(config?.transcript);
+        const isTrace = ActivityTraceRecorder.isTrace(transcript);
+        return new MockDirectLine(isTrace ? {} : transcript, { speed: 0, trace: isTrace ? transcript : null });
+    }
+
+    /**
+     * Files are not uploaded anywhere: the message is posted with attachment
+     * descriptors so transcripts can script a reply to it.
+     */
+    async sendMessageWithFiles(text, files, onProgress) {
+        const attachments = files.map(f => ({ contentType: f.type || 'application/octet-stream', name: f.name }));
+        const id = await this.sendMessage(text || '', attachments);
+        if (onProgress) onProgress(1);
+        return id;
+    }
+
+    /**
+     * @param {string|Object} source - built-in name, transcript object or JSON text
+     * @returns {Object} transcript
+     */
+    static resolveTranscript(source) {
+        if (source && typeof source === 'object') return source;
+        const name = (source || 'demo').trim();
+        if (MOCK_TRANSCRIPTS[name]) return MOCK_TRANSCRIPTS[name];
+
+        let transcript;
+        try {
+            transcript = JSON.parse(name);
+        } catch (err) {
+            throw new Error(`Mock transcript is not valid JSON: ${err.message}`);
+        }
+        if (!transcript || typeof transcript !== 'object' || Array.isArray(transcript)) {
+            throw new Error('Mock transcript must be an object with greeting, turns and fallback, or an activity trace.');
+        }
+        return transcript;
+    }
+}
+
+// Singleton — mirrors the directLineService export pattern.
+export const mockBotConnector = new MockBotConnector();
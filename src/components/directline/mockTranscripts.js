@@ -0,0 +1,204 @@
+/**
+ * Built-in transcripts for the offline MockBotConnector.
+ *
+ * Transcript format (also accepted as JSON in the agent config):
+ *
+ *   {
+ *     name: 'Demo',
+ *     bot: { id: 'mock-bot', name: 'Mock Bot' },
+ *     greeting: [Step],                   // played once, on the app's greeting
+ *     turns: [{ match, value, verb, steps: [Step] }],
+ *     fallback: [Step]                    // when no turn matches
+ *   }
+ *
+ * `match` is a case-insensitive substring, or a '/regex/flags' string.
+ * `value` matches Adaptive Card submits: `true` for any submit, or an object
+ * whose keys must all equal the submitted data.
+ * `verb` matches Adaptive Card Action.Execute invokes (`adaptiveCard/action`)
+ * by their verb; answer them with an `invokeResponse` step. Unmatched invokes
+ * get an error response.
+ *
+ * A Step is a raw Bot Framework activity (played as-is, `type` defaults to
+ * 'message') with an optional `delay` in ms, or one of the shorthands:
+ *   { typing: true }
+ *   { informative: 'Searching the knowledge base…' }
+ *   { stream: 'Full answer text', chunkSize: 3, chunkDelay: 60, final: { …extra final activity fields } }
+ * `{{text}}` in any string is replaced with the user's message text, `{{verb}}`
+ * with the invoked verb.
+ */
+
+const CITATION_ENTITY = {
+    type: 'https://schema.org/Message',
+    '@type': 'Message',
+    '@context': 'https://schema.org',
+    '@id': '',
+    citation: [
+        {
+            '@type': 'Claim',
+            position: 1,
+            '@id': 'cite1',
+            appearance: {
+                '@type': 'DigitalDocument',
+                name: 'Streaming in Copilot Studio',
+                url: 'https://learn.microsoft.com/microsoft-copilot-studio/',
+                abstract: 'Generative answers are streamed token by token as typing activities that share one streamId, followed by a final message.'
+            }
+        },
+        {
+            '@type': 'Claim',
+            position: 2,
+            '@id': 'cite2',
+            appearance: {
+                '@type': 'DigitalDocument',
+                name: 'Bot Framework livestreaming',
+                url: 'https://github.com/microsoft/BotFramework-WebChat/blob/main/docs/LIVESTREAMING.md',
+                abstract: 'Livestreaming metadata (streamType, streamId, streamSequence) may be carried in channelData or in a streaminfo entity.'
+            }
+        }
+    ]
+};
+
+const FEEDBACK_CARD = {
+    contentType: 'application/vnd.microsoft.card.adaptive',
+    content: {
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: '1.5',
+        body: [
+            { type: 'TextBlock', text: 'How was this demo?', weight: 'Bolder', size: 'Medium' },
+            {
+                type: 'Input.ChoiceSet', id: 'rating', style: 'expanded', value: 'good',
+                choices: [
+                    { title: 'Great', value: 'great' },
+                    { title: 'Good', value: 'good' },
+                    { title: 'Needs work', value: 'poor' }
+                ]
+            },
+            { type: 'Input.Text', id: 'comment', placeholder: 'Anything to add?', isMultiline: true }
+        ],
+        actions: [{ type: 'Action.Submit', title: 'Send feedback', data: { action: 'feedback' } }]
+    }
+};
+
+// Universal Actions demo: Action.Execute, Action.ShowCard, Action.ToggleVisibility, required inputs
+function expenseCard(outcome) {
+    const body = [
+        { type: 'TextBlock', text: 'Expense request REQ-1042', weight: 'Bolder', size: 'Medium' },
+        { type: 'FactSet', facts: [{ title: 'Amount', value: '240.00 EUR' }, { title: 'Category', value: 'Travel' }] },
+        {
+            type: 'Container', id: 'details', isVisible: false,
+            items: [{ type: 'TextBlock', text: 'Train tickets and one hotel night for the customer workshop.', wrap: true, isSubtle: true }]
+        }
+    ];
+    if (outcome) {
+        body.push({ type: 'TextBlock', text: outcome, weight: 'Bolder', color: outcome.startsWith('Approved') ? 'Good' : 'Attention', wrap: true });
+        return {
+            type: 'AdaptiveCard', $schema: 'http://adaptivecards.io/schemas/adaptive-card.json', version: '1.6', body,
+            actions: [{ type: 'Action.ToggleVisibility', title: 'Details', targetElements: ['details'] }]
+        };
+    }
+    body.push({ type: 'Input.Text', id: 'comment', label: 'Comment', isRequired: true, errorMessage: 'Add a comment for the requester.' });
+    return {
+        type: 'AdaptiveCard', $schema: 'http://adaptivecards.io/schemas/adaptive-card.json', version: '1.6', body,
+        actions: [
+            { type: 'Action.Execute', title: 'Approve', verb: 'approve', style: 'positive', data: { requestId: 'REQ-1042' } },
+            {
+                type: 'Action.ShowCard', title: 'Reject',
+                card: {
+                    type: 'AdaptiveCard',
+                    body: [{ type: 'Input.Text', id: 'reason', label: 'Reason', isRequired: true, isMultiline: true }],
+                    actions: [{ type: 'Action.Execute', title: 'Confirm rejection', verb: 'reject', style: 'destructive', data: { requestId: 'REQ-1042' } }]
+                }
+            },
+            { type: 'Action.ToggleVisibility', title: 'Details', targetElements: ['details'] }
+        ]
+    };
+}
+
+// invokeResponse step that replaces the card the action came from
+function cardResponse(card) {
+    return {
+        delay: 400,
+        type: 'invokeResponse',
+        value: { status: 200, body: { statusCode: 200, type: 'application/vnd.microsoft.card.adaptive', value: card } }
+    };
+}
+
+export const DEMO_TRANSCRIPT = {
+    name: 'Feature tour',
+    bot: { id: 'mock-bot', name: 'Mock Bot' },
+    greeting: [
+        { typing: true, delay: 200 },
+        {
+            delay: 600,
+            text: 'Hello! I am an **offline mock bot** replaying a scripted transcript. Pick a topic to see how the chat pipeline handles it.',
+            suggestedActions: {
+                actions: [
+                    { type: 'imBack', title: 'Streamed answer', value: 'Show me a streamed answer' },
+                    { type: 'imBack', title: 'Adaptive card', value: 'Show me a card' },
+                    { type: 'imBack', title: 'Approval card', value: 'Show me an approval' },
+                    { type: 'imBack', title: 'Cancelled stream', value: 'Cancel a stream' }
+                ]
+            }
+        }
+    ],
+    turns: [
+        {
+            match: '/streamed answer/i',
+            steps: [
+                { informative: 'Searching knowledge sources…', delay: 300 },
+                { informative: 'Generating an answer…', delay: 700 },
+                {
+                    stream: 'Copilot Studio streams generative answers as a series of typing activities that share one streamId [1]. '
+                        + 'Each chunk carries a streamSequence so late or duplicated chunks can be dropped, and the stream ends with a final message that may carry citations and suggested actions [2].',
+                    chunkSize: 3,
+                    chunkDelay: 60,
+                    final: {
+                        entities: [CITATION_ENTITY],
+                        suggestedActions: {
+                            actions: [{ type: 'imBack', title: 'Adaptive card', value: 'Show me a card' }]
+                        }
+                    }
+                }
+            ]
+        },
+        {
+            match: '/card/i',
+            steps: [
+                { typing: true, delay: 200 },
+                { delay: 500, text: '', attachments: [FEEDBACK_CARD] }
+            ]
+        },
+        {
+            match: '/approval/i',
+            steps: [
+                { typing: true, delay: 200 },
+                { delay: 500, text: '', attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', content: expenseCard(null) }] }
+            ]
+        },
+        { verb: 'approve', steps: [cardResponse(expenseCard('Approved. The requester has been notified.'))] },
+        { verb: 'reject', steps: [cardResponse(expenseCard('Rejected. The requester has been notified.'))] },
+        {
+            value: { action: 'feedback' },
+            steps: [
+                { typing: true, delay: 200 },
+                { delay: 400, text: 'Thanks for the feedback!' }
+            ]
+        },
+        {
+            match: '/cancel/i',
+            steps: [
+                { stream: 'This answer starts streaming but the bot regrets it…', chunkSize: 2, chunkDelay: 80, final: { text: '' } },
+                { delay: 300, text: 'The stream above was cancelled with an empty final message, so its bubble is removed.' }
+            ]
+        }
+    ],
+    fallback: [
+        { typing: true, delay: 200 },
+        { delay: 400, text: 'This transcript has no scripted reply for "{{text}}". Try one of the suggestions.' }
+    ]
+};
+
+export const MOCK_TRANSCRIPTS = {
+    demo: DEMO_TRANSCRIPT
+};
@@ -9,12 +9,17 @@
  * - 1.8.0: DirectLineManagerSimple migration
  */
 
-import { agentManager } from '../managers/agentManager.js';
-import { sessionManager } from '../managers/sessionManager.js';
+import { agentManager, INIT_PARAM_TYPES } from '../managers/agentManager.js';
+import { sessionManager, HISTORY_RETENTION_DAYS, HISTORY_RETENTION_MB } from '../managers/sessionManager.js';
 // DirectLine Service — unified connection + message queue component
 import { directLineService } from '../components/directline/DirectLineService.js';
 // Direct-to-Engine connector — alternative streaming transport (isolated, opt-in per agent)
-import { directEngineConnector } from '../components/directline/DirectEngineConnector.js';
+import { connectorRegistry } from '../components/chat/adapters/builtinConnectors.js';
+import { activityTraceRecorder, ActivityTraceRecorder } from '../services/activityTraceRecorder.js';
+import { agentBundleService, CONFLICT_RESOLUTIONS } from '../services/agentBundle.js';
+import { historySearchService } from '../services/historySearch.js';
+import { transcriptExportService } from '../services/transcriptExport.js';
+import { agentHealthMonitor, HEALTH_HISTORY_LIMIT } from '../services/agentHealthMonitor.js';
 import { messageRenderer } from '../ui/messageRenderer.js';
 import { aiCompanion } from '../ai/aiCompanion.js';
 import { getKnowledgeHub } from '../services/knowledgeHub.js';
@@ -33,6 +38,15 @@ import { MessageIntegration } from '../ui/messageIntegration.js';
 import { globalAdaptiveCardModal } from '../components/AdaptiveCardModal.js';
 
 const APPLICATION_VERSION = '2.0.0';
+// Stats bucket of an agent's own (default) connection target
+const DEFAULT_VARIANT_KEY = 'default';
+// Session fork replay: how long to wait for the greeting / each reply, and the
+// silence after the last agent message that counts as "the agent is done"
+const BRANCH_GREETING_TIMEOUT_MS = 15000;
+const BRANCH_REPLY_TIMEOUT_MS = 60000;
+const BRANCH_REPLY_QUIET_MS = 2000;
+// Longest excerpt a quote-reply puts into the (single-line) message input
+const QUOTE_EXCERPT_LENGTH = 200;
 console.log(`⚙️ [Application] Version ${APPLICATION_VERSION} loaded`);
 
 export class Application {
@@ -44,6 +58,8 @@ export class Application {
             isConnected: false,
             currentSession: null,
             currentAgent: null,
+            currentVariantId: null, // connection variant of the current agent (null = default)
+            currentInitContext: null, // init params sent when the conversation started
             aiCompanionMode: false,
             currentTheme: 'default'
         };
@@ -51,6 +67,12 @@ export class Application {
         // Track notification IDs for cleanup
         this.currentInitNotificationId = null;
 
+        // Home page search / tag filter (not persisted)
+        this._homeFilter = { text: '', tags: new Set() };
+
+        // History search query and filters, kept while the page is open
+        this._historySearch = { query: '', agentId: '', from: '', dateFrom: '', dateTo: '' };
+
         // Track thinking simulation evaluation period
         this.isEvaluatingThinkingSimulation = false;
 
@@ -234,6 +256,8 @@ export class Application {
             settingsButton: DOMUtils.getElementById('settingsButton'),
             conversationsButton: DOMUtils.getElementById('conversationsButton'),
             clearAllHistoryButton: DOMUtils.getElementById('clearAllHistoryButton'),
+            historySearchButton: DOMUtils.getElementById('historySearchButton'),
+            historyStorageButton: DOMUtils.getElementById('historyStorageButton'),
             documentationButton: DOMUtils.getElementById('documentationButton'),
 
             // File upload elements
@@ -266,7 +290,16 @@ export class Application {
             enableStreamingCheckbox: DOMUtils.getElementById('enableStreamingCheckbox'),
             enableSideBrowserCheckbox: DOMUtils.getElementById('enableSideBrowserCheckbox'),
             autoOpenCitationsCheckbox: DOMUtils.getElementById('autoOpenCitationsCheckbox'),
+            inlineAdaptiveCardsCheckbox: DOMUtils.getElementById('inlineAdaptiveCardsCheckbox'),
             openAttachmentsSideBrowserCheckbox: DOMUtils.getElementById('openAttachmentsSideBrowserCheckbox'),
+            recordActivityTracesCheckbox: DOMUtils.getElementById('recordActivityTracesCheckbox'),
+            agentHealthMonitorCheckbox: DOMUtils.getElementById('agentHealthMonitorCheckbox'),
+            agentHealthIntervalSelect: DOMUtils.getElementById('agentHealthIntervalSelect'),
+            checkAgentsNowBtn: DOMUtils.getElementById('checkAgentsNowBtn'),
+            downloadTraceBtn: DOMUtils.getElementById('downloadTraceBtn'),
+            replayTraceBtn: DOMUtils.getElementById('replayTraceBtn'),
+            replayTraceInput: DOMUtils.getElementById('replayTraceInput'),
+            traceReplaySpeedSelect: DOMUtils.getElementById('traceReplaySpeedSelect'),
             fullWidthMessagesCheckbox: DOMUtils.getElementById('fullWidthMessagesCheckbox'),
             enableLLMCheckbox: DOMUtils.getElementById('enableLLMCheckbox'),
             useAIThinkingCheckbox: DOMUtils.getElementById('useAIThinkingCheckbox'),
@@ -319,6 +352,9 @@ export class Application {
             appearanceCompanionFontSize: DOMUtils.getElementById('appearanceCompanionFontSize'),
             appearanceCompanionFontSizeValue: DOMUtils.getElementById('appearanceCompanionFontSizeValue'),
             appearanceThemeGallery: DOMUtils.getElementById('appearanceThemeGallery'),
+            exportAgentsBtn: DOMUtils.getElementById('exportAgentsBtn'),
+            importAgentsBtn: DOMUtils.getElementById('importAgentsBtn'),
+            importAgentsInput: DOMUtils.getElementById('importAgentsInput'),
             homeBgFileInput: DOMUtils.getElementById('homeBgFileInput'),
             homeBgRemoveBtn: DOMUtils.getElementById('homeBgRemoveBtn'),
             homeTitleInput: DOMUtils.getElementById('homeTitleInput'),
@@ -401,13 +437,48 @@ export class Application {
         // Initialize agent manager (loads agents and sets up event listeners)
         await agentManager.initialize();
 
+        // Chat history is read from IndexedDB (and migrated from localStorage) asynchronously
+        await sessionManager.ready;
+        // The session open before the page reloaded: its bot conversation is
+        // resumed when its agent is connected again (see _takeRestoredConversation)
+        this._restoredSessionId = sessionManager.currentSession;
+
         // Configure MessageRenderer to target the agent chat window (middle panel)
         messageRenderer.setTargetWindow('chatWindow');
 
-        // Wire connector events. Both transports emit the SAME event surface, so
-        // the rendering pipeline is identical. Only one is connected at a time.
-        this.wireConnectorEvents(directLineService);
-        this.wireConnectorEvents(directEngineConnector);
+        // Wire connector events. Every registered connector emits the SAME event
+        // surface, so the rendering pipeline is identical. Only one is connected at a time.
+        connectorRegistry.getAllConnectors().forEach(connector => this.wireConnectorEvents(connector));
+
+        // Raw activity traffic of every connector feeds the trace recorder (when enabled)
+        connectorRegistry.getAllConnectors().forEach(connector => activityTraceRecorder.attach(connector));
+
+        // Background agent health checks (when enabled)
+        agentHealthMonitor.start();
+
+        // Persist the bot conversation of the current session so it can be
+        // resumed after a reload or when the session is reopened from history
+        connectorRegistry.getAllConnectors().forEach(connector => {
+            connector.on('conversationState', (state) => {
+                const agent = agentManager.getCurrentAgent();
+                sessionManager.saveConversationState(sessionManager.currentSession, {
+                    ...state,
+                    agentId: agent?.id || null,
+                    variantId: this.state.currentVariantId,
+                    // Lets a fork of this session start its bot conversation the same way
+                    initContext: this.state.currentInitContext
+                });
+            });
+        });
+        directLineService.on('conversationRestarted', () => {
+            this.showErrorMessage('The connection token expired while the app was idle, so the bot conversation could not continue. A new conversation was started; the agent does not remember the earlier messages.');
+        });
+        directLineService.on('resumeFailed', () => {
+            // _doAgentConnect falls back to a new conversation itself
+            if (this._restoringSession) return;
+            this.state.isConnected = false;
+            this.showErrorMessage('The previous bot conversation could not be resumed (it may have expired). Start a new chat to continue.');
+        });
 
         // Initialize logging UI manager - temporarily disabled
         // this.loggingUIManager = new LoggingUIManager(this.loggingManager);
@@ -419,10 +490,10 @@ export class Application {
 
     /**
      * Wire a connector's events to the shared rendering/handling pipeline.
-     * Both DirectLineService and DirectEngineConnector expose the same event
-     * surface, so this is identical for either transport. Only one connector
-     * is connected at a time, so double-wiring is safe.
-     * @param {Object} connector - directLineService | directEngineConnector
+     * Every registered connector exposes the same event surface, so this is
+     * identical for any transport. Only one connector is connected at a time,
+     * so double-wiring is safe.
+     * @param {Object} connector - a connector from the connector registry
      * @private
      */
     wireConnectorEvents(connector) {
@@ -483,21 +554,97 @@ export class Application {
     }
 
     /**
-     * Return the connector for a given agent (Direct-to-Engine vs classic DirectLine).
+     * Return the connector for a given agent, looked up in the connector registry.
+     * Types without a connector (embedded websites) fall back to the default one.
      * @param {Object} [agent] - agent config; defaults to the current agent
-     * @returns {Object} directEngineConnector | directLineService
+     * @returns {Object} connector instance
      * @private
      */
     getConnectorForAgent(agent) {
+        if (this._replayConnector) return this._replayConnector;
         const a = agent || agentManager.getCurrentAgent();
-        return a && a.agentType === 'directengine' ? directEngineConnector : directLineService;
+        return connectorRegistry.getConnector(a) || connectorRegistry.getConnector(connectorRegistry.getDefault().type);
+    }
+
+    /**
+     * Whether an agent is opened as an embedded page rather than a chat connection
+     * @param {Object} [agent]
+     * @returns {boolean}
+     * @private
+     */
+    _isEmbedAgent(agent) {
+        return !!agent && connectorRegistry.resolve(agent)?.kind === 'embed';
+    }
+
+    /**
+     * Disconnect every registered connector
+     * @private
+     */
+    _disconnectConnectors() {
+        connectorRegistry.getAllConnectors().forEach(connector => connector.disconnect());
+        this._stopTraceReplay();
+    }
+
+    /**
+     * Replay a recorded activity trace through the real pipeline (mock bot
+     * connector), in a fresh session, at the chosen speed. The replay is not
+     * stored in the chat history.
+     * @param {Object} trace - see activityTraceRecorder.js
+     * @param {number} [speed=1] - delay multiplier (0 = instant)
+     * @returns {Promise<boolean>}
+     */
+    async replayActivityTrace(trace, speed = 1) {
+        const connector = connectorRegistry.getConnector('mock');
+        if (!connector) return false;
+
+        this._disconnectConnectors();
+        this.hideHomePage();
+        messageRenderer.clearMessages();
+        messageRenderer.setTargetWindow('chatWindow');
+        this.initializeSession();
+
+        // Don't overwrite the trace being recorded with its own replay, and
+        // don't save the replay as a session
+        activityTraceRecorder.paused = true;
+        sessionManager.persistencePaused = true;
+        this._replayConnector = connector;
+        // User echoes are skipped by the pipeline, so show them here
+        this._replayUserHandler = (activity) => {
+            if (activity.type === 'message' && activity.from?.id === 'user' && activity.text) {
+                this.renderUserMessage(activity.text, activity.timestamp);
+            }
+        };
+        connector.on('rawActivity', this._replayUserHandler);
+
+        const connected = await connector.connect({ transcript: trace, speed });
+        if (!connected) {
+            this._stopTraceReplay();
+            return false;
+        }
+        this.state.isConnected = true;
+        this.updateAgentStatus('connected', `Trace replay (${trace.agent?.name || 'unknown agent'})`);
+        console.log(`[Application] Replaying trace: ${trace.activities.length} activities at speed ${speed}`);
+        return true;
+    }
+
+    /**
+     * Leave trace replay mode (the replay connector itself is disconnected by the caller)
+     * @private
+     */
+    _stopTraceReplay() {
+        if (!this._replayConnector) return;
+        this._replayConnector.off('rawActivity', this._replayUserHandler);
+        this._replayConnector = null;
+        this._replayUserHandler = null;
+        activityTraceRecorder.paused = false;
+        sessionManager.persistencePaused = false;
     }
 
     /**
      * Submit an Adaptive Card response through the active agent's connector.
      * Routes to DirectLine or Direct-to-Engine depending on the current agent,
      * so card submits work regardless of transport. Called by the global
-     * Adaptive Card modal via window.MCSChatApp.
+     * Adaptive Card modal and inline cards via window.MCSChatApp.
      * @param {Object} value - The card submit data (action.data)
      * @returns {Promise<void>}
      */
@@ -509,6 +656,22 @@ export class Application {
         return connector.sendCardResponse(value);
     }
 
+    /**
+     * Run an Adaptive Card Universal Action (Action.Execute or a card refresh)
+     * as an `adaptiveCard/action` invoke through the active agent's connector.
+     * Called by the global Adaptive Card modal and inline cards via window.MCSChatApp.
+     * @param {Object} value - Invoke value: { action: { type: 'Action.Execute', id, verb, data }, trigger }
+     * @returns {Promise<Object|null>} The agent's invoke response ({ status, body }),
+     *          or null when it answered in the chat instead
+     */
+    async invokeAdaptiveCardAction(value) {
+        const connector = this.getConnectorForAgent();
+        if (!connector || typeof connector.sendInvoke !== 'function') {
+            throw new Error('No active connector available to run the Adaptive Card action.');
+        }
+        return connector.sendInvoke('adaptiveCard/action', value);
+    }
+
     /**
      * Initialize the unified message system
      * @private
@@ -655,10 +818,20 @@ export class Application {
     }
 
     /**
-     * Set up drag-and-drop handlers on the agent card grid
+     * Set up drag-and-drop handlers on the agent card grid.
+     * Listeners are delegated to the grid, so they are attached only once even
+     * though the cards are re-rendered. Dropping a card into another group
+     * (onto one of its cards, its header or its empty area) moves the agent there.
      */
     _setupCardDragAndDrop(grid) {
+        if (grid.dataset.dragSetup) return;
+        grid.dataset.dragSetup = 'true';
+
         let draggedCard = null;
+        const clearDragOver = () => {
+            grid.querySelectorAll('.home-card-drag-over, .home-group-drag-over')
+                .forEach(el => el.classList.remove('home-card-drag-over', 'home-group-drag-over'));
+        };
 
         grid.addEventListener('dragstart', (e) => {
             const card = e.target.closest('.home-agent-card');
@@ -672,17 +845,23 @@ export class Application {
         grid.addEventListener('dragend', (e) => {
             const card = e.target.closest('.home-agent-card');
             if (card) card.classList.remove('home-card-dragging');
-            grid.querySelectorAll('.home-card-drag-over').forEach(el => el.classList.remove('home-card-drag-over'));
+            clearDragOver();
             draggedCard = null;
         });
 
         grid.addEventListener('dragover', (e) => {
             e.preventDefault();
             e.dataTransfer.dropEffect = 'move';
+            if (!draggedCard) return;
             const target = e.target.closest('.home-agent-card');
-            if (!target || target === draggedCard) return;
-            grid.querySelectorAll('.home-card-drag-over').forEach(el => el.classList.remove('home-card-drag-over'));
-            target.classList.add('home-card-drag-over');
+            const section = e.target.closest('.home-agent-group');
+            if (target === draggedCard) return;
+            clearDragOver();
+            if (target) {
+                target.classList.add('home-card-drag-over');
+            } else if (section && section !== draggedCard.closest('.home-agent-group')) {
+                section.classList.add('home-group-drag-over');
+            }
         });
 
         grid.addEventListener('dragleave', (e) => {
@@ -690,103 +869,59 @@ export class Application {
             if (target) target.classList.remove('home-card-drag-over');
         });
 
-        grid.addEventListener('drop', (e) => {
+        grid.addEventListener('drop', async (e) => {
             e.preventDefault();
             const target = e.target.closest('.home-agent-card');
-            if (!target || !draggedCard || target === draggedCard) return;
-            target.classList.remove('home-card-drag-over');
-
-            // Determine insertion position based on relative position
-            const cards = Array.from(grid.querySelectorAll('.home-agent-card'));
-            const dragIdx = cards.indexOf(draggedCard);
-            const dropIdx = cards.indexOf(target);
-            if (dragIdx < dropIdx) {
-                target.after(draggedCard);
+            const section = e.target.closest('.home-agent-group');
+            clearDragOver();
+            if (!draggedCard || target === draggedCard) return;
+
+            const card = draggedCard;
+            const fromSection = card.closest('.home-agent-group');
+            if (target) {
+                // Determine insertion position based on relative position
+                const cards = Array.from(grid.querySelectorAll('.home-agent-card'));
+                const dragIdx = cards.indexOf(card);
+                const dropIdx = cards.indexOf(target);
+                if (dragIdx < dropIdx) {
+                    target.after(card);
+                } else {
+                    target.before(card);
+                }
+            } else if (section && section !== fromSection) {
+                const sectionGrid = section.querySelector('.home-agent-grid');
+                const addCard = sectionGrid.querySelector('.home-add-card');
+                sectionGrid.insertBefore(card, addCard);
             } else {
-                target.before(draggedCard);
+                return;
             }
 
             this._saveCardOrder(grid);
+
+            const toSection = card.closest('.home-agent-group');
+            if (toSection && toSection !== fromSection) {
+                agentManager.setAgentGroup(card.dataset.agentId, toSection.dataset.group);
+                await agentManager.saveAgents();
+                this.renderHomeAgentCards();
+            }
         });
     }
 
+    /**
+     * Render agent cards on the Home page. Agents are shown in one grid, or in
+     * collapsible sections per group (alphabetical, "Ungrouped" last) once any
+     * agent has a group.
+     */
     renderHomeAgentCards() {
         const grid = document.getElementById('homeAgentGrid');
         if (!grid) return;
 
         const agents = agentManager.getAllAgents();
         const agentIds = this._getOrderedAgentIds(Object.keys(agents));
+        const groups = agentManager.getGroups();
 
         grid.innerHTML = '';
-
-        // Render each agent card
-        agentIds.forEach(agentId => {
-            const agent = agents[agentId];
-            const stats = this._computeAgentStats(agentId);
-            const hasParams = agentManager.agentHasInitParams(agentId);
-            const isWebsite = agent.agentType === 'website';
-
-            const card = document.createElement('div');
-            card.className = 'home-agent-card';
-            card.draggable = true;
-            card.dataset.agentId = agentId;
-            const descriptionHtml = agent.description
-                ? `<p class="home-agent-card-description">${Utils.escapeHtml(agent.description)}</p>`
-                : '';
-            const statusLabel = isWebsite ? i18n.t('home.website') : i18n.t('home.ready');
-            const paramsHtml = (!isWebsite && hasParams) ? `<span class="home-agent-params-badge">${agent.initParams.length} ${i18n.t('home.params')}</span>` : '';
-            card.innerHTML = `
-                <h3 class="home-agent-card-name">${Utils.escapeHtml(agent.name)}</h3>
-                <div class="home-agent-card-status">
-                    <span class="status-dot${isWebsite ? ' status-dot-website' : ''}"></span>
-                    <span>${statusLabel}</span>
-                    ${paramsHtml}
-                </div>
-                ${descriptionHtml}
-                <div class="home-agent-card-stats">
-                    <div class="home-agent-stat">
-                        <span class="home-agent-stat-value">${stats.sessionCount}</span>
-                        <span class="home-agent-stat-label">${i18n.t('home.conversations')}</span>
-                    </div>
-                    <div class="home-agent-stat">
-                        <span class="home-agent-stat-value">${stats.totalDuration}</span>
-                        <span class="home-agent-stat-label">${i18n.t('home.totalTime')}</span>
-                    </div>
-                    <div class="home-agent-stat">
-                        <span class="home-agent-stat-value">${stats.messageCount}</span>
-                        <span class="home-agent-stat-label">${i18n.t('home.messages')}</span>
-                    </div>
-                    <div class="home-agent-stat">
-                        <span class="home-agent-stat-value">${stats.lastInteraction}</span>
-                        <span class="home-agent-stat-label">${i18n.t('home.lastActive')}</span>
-                    </div>
-                </div>
-            `;
-            // Settings button
-            const settingsBtn = document.createElement('button');
-            settingsBtn.className = 'home-agent-settings-btn';
-            settingsBtn.title = 'Agent settings';
-            settingsBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83-2.83l.06-.06A1.65 1.65 0 0 0 4.68 15a1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 2.83-2.83l.06.06A1.65 1.65 0 0 0 9 4.68a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 2.83l-.06.06A1.65 1.65 0 0 0 19.4 9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"/></svg>';
-            settingsBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.showAgentEditOverlay(agentId);
-            });
-            card.appendChild(settingsBtn);
-
-            // Delete button (stop propagation so card click doesn't fire)
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'home-agent-delete-btn';
-            deleteBtn.title = 'Delete agent';
-            deleteBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>';
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.showDeleteAgentOverlay(agentId, agent.name);
-            });
-            card.appendChild(deleteBtn);
-
-            card.addEventListener('click', () => this.onHomeAgentCardClick(agentId));
-            grid.appendChild(card);
-        });
+        grid.classList.toggle('home-agent-grid-grouped', groups.length > 0);
 
         // Add "+" card
         const addCard = document.createElement('div');
@@ -796,12 +931,642 @@ export class Application {
             <div class="home-add-label">${i18n.t('home.addAgent')}</div>
         `;
         addCard.addEventListener('click', () => this.showAddAgentOverlay());
-        grid.appendChild(addCard);
+
+        if (groups.length === 0) {
+            agentIds.forEach(agentId => grid.appendChild(this._createHomeAgentCard(agentId, agents[agentId])));
+            grid.appendChild(addCard);
+        } else {
+            const collapsed = this._getCollapsedHomeGroups();
+            [...groups, ''].forEach(group => {
+                const ids = agentIds.filter(id => (agents[id].group || '') === group);
+                const section = this._createHomeGroupSection(group, ids.length, collapsed.includes(group));
+                const sectionGrid = section.querySelector('.home-agent-grid');
+                ids.forEach(agentId => sectionGrid.appendChild(this._createHomeAgentCard(agentId, agents[agentId])));
+                if (group === '') sectionGrid.appendChild(addCard);
+                grid.appendChild(section);
+            });
+        }
+
+        const noMatches = document.createElement('div');
+        noMatches.className = 'home-no-matches';
+        noMatches.hidden = true;
+        noMatches.textContent = i18n.t('home.noMatches');
+        grid.appendChild(noMatches);
+
+        this._renderHomeTagFilters();
+        this._applyHomeFilter();
 
         // Set up drag-and-drop reordering
         this._setupCardDragAndDrop(grid);
     }
 
+    /**
+     * Build one agent card for the Home page
+     * @param {string} agentId
+     * @param {Object} agent
+     * @returns {HTMLElement}
+     */
+    _createHomeAgentCard(agentId, agent) {
+        const stats = this._computeAgentStats(agentId);
+        const hasParams = agentManager.agentHasInitParams(agentId);
+        const isWebsite = this._isEmbedAgent(agent);
+
+        const card = document.createElement('div');
+        card.className = 'home-agent-card';
+        card.draggable = true;
+        card.dataset.agentId = agentId;
+        const descriptionHtml = agent.description
+            ? `<p class="home-agent-card-description">${Utils.escapeHtml(agent.description)}</p>`
+            : '';
+        const tagsHtml = (agent.tags || []).length
+            ? `<div class="home-agent-tags">${agent.tags.map(tag =>
+                `<button type="button" class="home-agent-tag" data-tag="${Utils.escapeHtml(tag)}">${Utils.escapeHtml(tag)}</button>`).join('')}</div>`
+            : '';
+        const statusLabel = isWebsite ? i18n.t('home.website') : i18n.t('home.ready');
+        const paramsHtml = (!isWebsite && hasParams) ? `<span class="home-agent-params-badge">${agent.initParams.length} ${i18n.t('home.params')}</span>` : '';
+        card.innerHTML = `
+            <h3 class="home-agent-card-name">${Utils.escapeHtml(agent.name)}</h3>
+            <div class="home-agent-card-status">
+                <span class="status-dot${isWebsite ? ' status-dot-website' : ''}"></span>
+                <span class="home-agent-status-label">${statusLabel}</span>
+                ${paramsHtml}
+            </div>
+            ${descriptionHtml}
+            ${tagsHtml}
+            <div class="home-agent-card-stats">
+                <div class="home-agent-stat">
+                    <span class="home-agent-stat-value">${stats.sessionCount}</span>
+                    <span class="home-agent-stat-label">${i18n.t('home.conversations')}</span>
+                </div>
+                <div class="home-agent-stat">
+                    <span class="home-agent-stat-value">${stats.totalDuration}</span>
+                    <span class="home-agent-stat-label">${i18n.t('home.totalTime')}</span>
+                </div>
+                <div class="home-agent-stat">
+                    <span class="home-agent-stat-value">${stats.messageCount}</span>
+                    <span class="home-agent-stat-label">${i18n.t('home.messages')}</span>
+                </div>
+                <div class="home-agent-stat">
+                    <span class="home-agent-stat-value">${stats.lastInteraction}</span>
+                    <span class="home-agent-stat-label">${i18n.t('home.lastActive')}</span>
+                </div>
+            </div>
+            ${this._homeVariantStatsHtml(agentId)}
+        `;
+        // Health status dot + sparkline (agent types the monitor can probe);
+        // clicking the dot checks the agent right away
+        this._renderHomeCardHealth(card, agent);
+        if (agentHealthMonitor.canCheck(agent)) {
+            const dot = card.querySelector('.home-agent-card-status .status-dot');
+            dot.classList.add('status-dot-checkable');
+            dot.addEventListener('click', (e) => {
+                e.stopPropagation();
+                // The agent as saved now, not as it was when the card was built
+                const current = agentManager.getAllAgents()[agentId];
+                if (current) agentHealthMonitor.check(current);
+            });
+        }
+
+        // Tag chips toggle the home tag filter instead of opening the agent
+        card.querySelectorAll('.home-agent-tag').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._toggleHomeTagFilter(chip.dataset.tag);
+            });
+        });
+
+        // Settings button
+        const settingsBtn = document.createElement('button');
+        settingsBtn.className = 'home-agent-settings-btn';
+        settingsBtn.title = 'Agent settings';
+        settingsBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83-2.83l.06-.06A1.65 1.65 0 0 0 4.68 15a1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 2.83-2.83l.06.06A1.65 1.65 0 0 0 9 4.68a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 2.83l-.06.06A1.65 1.65 0 0 0 19.4 9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"/></svg>';
+        settingsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showAgentEditOverlay(agentId);
+        });
+        card.appendChild(settingsBtn);
+
+        // Duplicate button
+        const duplicateBtn = document.createElement('button');
+        duplicateBtn.className = 'home-agent-duplicate-btn';
+        duplicateBtn.title = i18n.t('home.duplicateAgent');
+        duplicateBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>';
+        duplicateBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.duplicateAgent(agentId);
+        });
+        card.appendChild(duplicateBtn);
+
+        // Delete button (stop propagation so card click doesn't fire)
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'home-agent-delete-btn';
+        deleteBtn.title = 'Delete agent';
+        deleteBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showDeleteAgentOverlay(agentId, agent.name);
+        });
+        card.appendChild(deleteBtn);
+
+        card.addEventListener('click', () => this.onHomeAgentCardClick(agentId));
+        return card;
+    }
+
+    /**
+     * Per-target stats rows for an agent with connection variants
+     * @param {string} agentId
+     * @returns {string} HTML ('' when the agent has no variants)
+     * @private
+     */
+    _homeVariantStatsHtml(agentId) {
+        const variants = agentManager.getVariants(agentId);
+        if (!variants.length) return '';
+        const rows = [{ id: '', name: i18n.t('agentSplash.defaultVariant') }, ...variants].map(variant => {
+            const stats = this._computeAgentStats(agentId, variant.id);
+            return `
+                <div class="home-agent-variant-stats-row">
+                    <span class="home-agent-variant-name">${Utils.escapeHtml(variant.name)}</span>
+                    <span>${i18n.t('home.variantStats', { sessions: stats.sessionCount, messages: stats.messageCount, last: stats.lastInteraction })}</span>
+                </div>`;
+        }).join('');
+        return `<div class="home-agent-variant-stats">${rows}</div>`;
+    }
+
+    /**
+     * Duplicate an agent and place the copy right after it on the home page
+     * @param {string} agentId
+     */
+    async duplicateAgent(agentId) {
+        const copyId = await agentManager.duplicateAgent(agentId);
+        if (!copyId) return;
+        const order = this._getOrderedAgentIds(Object.keys(agentManager.getAllAgents()))
+            .filter(id => id !== copyId);
+        order.splice(order.indexOf(agentId) + 1, 0, copyId);
+        localStorage.setItem('homeCardOrder', JSON.stringify(order));
+        this.renderHomeAgentCards();
+    }
+
+    /**
+     * Show the health monitor's view of an agent on its home card: the status
+     * dot and label, plus a latency/uptime sparkline once it has been checked.
+     * Cards keep the plain "Ready" status while the monitor is off and the
+     * agent has never been checked.
+     * @param {HTMLElement} card
+     * @param {Object} agent
+     */
+    _renderHomeCardHealth(card, agent) {
+        if (this._isEmbedAgent(agent) || !agentHealthMonitor.canCheck(agent)) return;
+        const summary = agentHealthMonitor.getSummary(agent.id);
+        const dot = card.querySelector('.home-agent-card-status .status-dot');
+        const label = card.querySelector('.home-agent-status-label');
+        if (!dot || !label) return;
+
+        if (!agentHealthMonitor.enabled && summary.status === 'unknown') {
+            dot.className = 'status-dot status-dot-checkable';
+            label.textContent = i18n.t('home.ready');
+            dot.title = i18n.t('home.health.checkNow');
+            card.querySelector('.home-agent-health')?.remove();
+            return;
+        }
+
+        const last = summary.lastCheck;
+        dot.className = `status-dot status-dot-checkable status-dot-${summary.status}`;
+        label.textContent = i18n.t(`home.health.${summary.status}`);
+        dot.title = last
+            ? `${i18n.t('home.health.lastChecked', { time: new Date(last.t).toLocaleString() })}${last.error ? ` — ${last.error}` : ''}`
+            : i18n.t('home.health.checkNow');
+
+        let health = card.querySelector('.home-agent-health');
+        if (summary.history.length === 0) {
+            health?.remove();
+            return;
+        }
+        if (!health) {
+            health = document.createElement('div');
+            health.className = 'home-agent-health';
+            card.querySelector('.home-agent-card-stats')?.before(health);
+        }
+        const uptime = `${Math.round(summary.uptime * 100)}%`;
+        const latency = summary.avgLatencyMs !== null ? `${(summary.avgLatencyMs / 1000).toFixed(1)}s` : '–';
+        health.innerHTML = `
+            ${this._renderHealthSparkline(summary.history)}
+            <span class="home-agent-health-text">${i18n.t('home.health.summary', { uptime, latency })}</span>
+        `;
+    }
+
+    /**
+     * Re-render the health part of one home card (on `agentHealthUpdated`)
+     * @param {string} agentId
+     */
+    _updateHomeCardHealth(agentId) {
+        const agent = agentManager.getAllAgents()[agentId];
+        const card = agent && document.querySelector(`#homeAgentGrid .home-agent-card[data-agent-id="${CSS.escape(agentId)}"]`);
+        if (card) this._renderHomeCardHealth(card, agent);
+    }
+
+    /**
+     * Sparkline of recent checks, newest on the right: bar height is the time
+     * to greeting (relative to the slowest check), colour is the status, and a
+     * failed check is a full-height bar.
+     * @param {Object[]} history - health checks, oldest first
+     * @returns {string} SVG markup
+     */
+    _renderHealthSparkline(history) {
+        const width = 120;
+        const height = 22;
+        const slot = width / HEALTH_HISTORY_LIMIT;
+        const maxLatency = Math.max(1, ...history.filter(c => c.status !== 'down').map(c => c.latencyMs || 0));
+        const bars = history.map((check, i) => {
+            const barHeight = check.status === 'down'
+                ? height
+                : Math.max(3, Math.round((check.latencyMs || 0) / maxLatency * height));
+            const x = width - (history.length - i) * slot;
+            const tooltip = `${new Date(check.t).toLocaleString()} · ${i18n.t(`home.health.${check.status}`)} · ${check.latencyMs} ms${check.error ? ` · ${check.error}` : ''}`;
+            return `<rect class="health-bar health-bar-${check.status}" x="${x.toFixed(1)}" y="${height - barHeight}" width="${Math.max(1, slot - 0.5).toFixed(1)}" height="${barHeight}"><title>${Utils.escapeHtml(tooltip)}</title></rect>`;
+        }).join('');
+        return `<svg class="home-agent-health-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${Utils.escapeHtml(i18n.t('home.health.history'))}">${bars}</svg>`;
+    }
+
+    /**
+     * Build a collapsible group section with an inner card grid
+     * @param {string} group - Group name ('' = ungrouped)
+     * @param {number} count - Number of agents in the group
+     * @param {boolean} collapsed
+     * @returns {HTMLElement}
+     */
+    _createHomeGroupSection(group, count, collapsed) {
+        const section = document.createElement('section');
+        section.className = `home-agent-group${collapsed ? ' collapsed' : ''}`;
+        section.dataset.group = group;
+
+        const header = document.createElement('button');
+        header.type = 'button';
+        header.className = 'home-agent-group-header';
+        header.setAttribute('aria-expanded', String(!collapsed));
+        header.innerHTML = `
+            <span class="home-agent-group-chevron">▾</span>
+            <span class="home-agent-group-name">${Utils.escapeHtml(group || i18n.t('home.ungrouped'))}</span>
+            <span class="home-agent-group-count">${count}</span>
+        `;
+        header.addEventListener('click', () => {
+            const isCollapsed = section.classList.toggle('collapsed');
+            header.setAttribute('aria-expanded', String(!isCollapsed));
+            const stored = this._getCollapsedHomeGroups().filter(g => g !== group);
+            if (isCollapsed) stored.push(group);
+            localStorage.setItem('homeCollapsedGroups', JSON.stringify(stored));
+        });
+
+        const sectionGrid = document.createElement('div');
+        sectionGrid.className = 'home-agent-grid';
+
+        section.appendChild(header);
+        section.appendChild(sectionGrid);
+        return section;
+    }
+
+    /**
+     * Get the names of collapsed home groups from localStorage ('' = ungrouped)
+     */
+    _getCollapsedHomeGroups() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('homeCollapsedGroups') || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Render the tag filter chips in the home toolbar from all agents' tags
+     */
+    _renderHomeTagFilters() {
+        const container = document.getElementById('homeTagFilters');
+        if (!container) return;
+
+        const tags = agentManager.getAllTags();
+        const known = new Set(tags.map(t => t.toLowerCase()));
+        // Forget selected tags that no agent carries any more
+        [...this._homeFilter.tags].forEach(tag => {
+            if (!known.has(tag)) this._homeFilter.tags.delete(tag);
+        });
+
+        container.innerHTML = '';
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'home-tag-filter';
+            chip.classList.toggle('active', this._homeFilter.tags.has(tag.toLowerCase()));
+            chip.textContent = tag;
+            chip.addEventListener('click', () => this._toggleHomeTagFilter(tag));
+            container.appendChild(chip);
+        });
+
+        if (this._homeFilter.tags.size > 0 || this._homeFilter.text) {
+            const clearBtn = document.createElement('button');
+            clearBtn.type = 'button';
+            clearBtn.className = 'home-tag-filter home-tag-filter-clear';
+            clearBtn.textContent = i18n.t('home.clearFilters');
+            clearBtn.addEventListener('click', () => {
+                this._homeFilter = { text: '', tags: new Set() };
+                const searchInput = document.getElementById('homeAgentSearch');
+                if (searchInput) searchInput.value = '';
+                this._renderHomeTagFilters();
+                this._applyHomeFilter();
+            });
+            container.appendChild(clearBtn);
+        }
+    }
+
+    /**
+     * Add or remove a tag from the home filter
+     * @param {string} tag
+     */
+    _toggleHomeTagFilter(tag) {
+        const key = String(tag).toLowerCase();
+        if (this._homeFilter.tags.has(key)) {
+            this._homeFilter.tags.delete(key);
+        } else {
+            this._homeFilter.tags.add(key);
+        }
+        this._renderHomeTagFilters();
+        this._applyHomeFilter();
+    }
+
+    /**
+     * Set the home search text
+     * @param {string} text
+     */
+    _setHomeSearchText(text) {
+        const hadText = !!this._homeFilter.text;
+        this._homeFilter.text = text.trim();
+        // The "Clear filters" chip appears/disappears with the search text
+        if (hadText !== !!this._homeFilter.text) this._renderHomeTagFilters();
+        this._applyHomeFilter();
+    }
+
+    /**
+     * Show only the cards matching the search text (name, description, group,
+     * tags, agent type) and carrying every selected tag. Groups left without a
+     * visible card are hidden.
+     */
+    _applyHomeFilter() {
+        const grid = document.getElementById('homeAgentGrid');
+        if (!grid) return;
+
+        const agents = agentManager.getAllAgents();
+        const query = this._homeFilter.text.toLowerCase();
+        const selectedTags = [...this._homeFilter.tags];
+        const filtering = !!query || selectedTags.length > 0;
+        let visible = 0;
+
+        grid.querySelectorAll('.home-agent-card').forEach(card => {
+            const agent = agents[card.dataset.agentId];
+            const match = !!agent && this._agentMatchesHomeFilter(agent, query, selectedTags);
+            card.hidden = !match;
+            if (match) visible++;
+        });
+
+        const addCard = grid.querySelector('.home-add-card');
+        if (addCard) addCard.hidden = filtering;
+
+        grid.querySelectorAll('.home-agent-group').forEach(section => {
+            const count = section.querySelectorAll('.home-agent-card:not([hidden])').length;
+            section.hidden = filtering && count === 0;
+            const countEl = section.querySelector('.home-agent-group-count');
+            if (countEl) countEl.textContent = count;
+        });
+
+        const noMatches = grid.querySelector('.home-no-matches');
+        if (noMatches) noMatches.hidden = !(filtering && visible === 0);
+    }
+
+    /**
+     * @param {Object} agent
+     * @param {string} query - Lower-case search text
+     * @param {string[]} selectedTags - Lower-case tags the agent must all carry
+     * @returns {boolean}
+     */
+    _agentMatchesHomeFilter(agent, query, selectedTags) {
+        const tags = (agent.tags || []).map(t => t.toLowerCase());
+        if (!selectedTags.every(tag => tags.includes(tag))) return false;
+        if (!query) return true;
+
+        const descriptor = connectorRegistry.resolve(agent);
+        const haystack = [
+            agent.name,
+            agent.description,
+            agent.group,
+            ...tags,
+            this._connectorText(descriptor.labelKey, descriptor.label)
+        ].filter(Boolean).join('\n').toLowerCase();
+        return haystack.includes(query);
+    }
+
+    // ── Agent import / export ────────────────────────────────────
+
+    /**
+     * Show the export overlay: pick agents and, when the selection includes
+     * secrets, a passphrase for them, then download the bundle.
+     */
+    showExportAgentsOverlay() {
+        const agents = agentManager.getAllAgents();
+        const agentIds = this._getOrderedAgentIds(Object.keys(agents));
+        if (agentIds.length === 0) {
+            this.showErrorMessage(i18n.t('agentBundle.noAgents'));
+            return;
+        }
+
+        const overlay = this._getAgentBundleOverlay();
+        const card = overlay.querySelector('.init-params-card');
+        card.innerHTML = `
+            <h3>${i18n.t('agentBundle.exportTitle')}</h3>
+            <p class="init-params-desc">${i18n.t('agentBundle.exportDesc')}</p>
+            <div class="init-params-form">
+                <div class="form-group agent-bundle-list">
+                    ${agentIds.map(id => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" value="${Utils.escapeHtml(id)}" checked />
+                            <span class="checkmark"></span>
+                            <span>${Utils.escapeHtml(agents[id].name)}</span>
+                        </label>`).join('')}
+                </div>
+                <div class="agent-bundle-passphrase">
+                    <div class="form-group">
+                        <label for="agentBundlePassphrase">${i18n.t('agentBundle.passphrase')}</label>
+                        <input type="password" id="agentBundlePassphrase" autocomplete="new-password" />
+                    </div>
+                    <div class="form-group">
+                        <label for="agentBundlePassphraseConfirm">${i18n.t('agentBundle.passphraseConfirm')}</label>
+                        <input type="password" id="agentBundlePassphraseConfirm" autocomplete="new-password" />
+                        <small class="help-text">${i18n.t('agentBundle.passphraseHelp')}</small>
+                    </div>
+                </div>
+                <p class="agent-bundle-error" role="alert"></p>
+            </div>
+            <div class="init-params-actions">
+                <button type="button" class="btn btn-secondary agent-bundle-cancel">${i18n.t('agentBundle.cancel')}</button>
+                <button type="button" class="btn btn-primary agent-bundle-confirm">${i18n.t('agentBundle.export')}</button>
+            </div>
+        `;
+        overlay.style.display = 'flex';
+
+        const errorEl = card.querySelector('.agent-bundle-error');
+        const getSelected = () => Array.from(card.querySelectorAll('.agent-bundle-list input:checked')).map(cb => agents[cb.value]);
+        // The passphrase is only asked for when the selection has secrets to encrypt
+        const passphraseSection = card.querySelector('.agent-bundle-passphrase');
+        const updatePassphraseSection = () => {
+            passphraseSection.hidden = !agentBundleService.hasSecrets(getSelected());
+        };
+        updatePassphraseSection();
+        card.querySelectorAll('.agent-bundle-list input').forEach(cb => cb.addEventListener('change', updatePassphraseSection));
+
+        card.querySelector('.agent-bundle-cancel').addEventListener('click', () => { overlay.style.display = 'none'; });
+        card.querySelector('.agent-bundle-confirm').addEventListener('click', async () => {
+            const selected = getSelected();
+            const hasSecrets = agentBundleService.hasSecrets(selected);
+            const passphrase = hasSecrets ? card.querySelector('#agentBundlePassphrase').value : '';
+            const confirmation = hasSecrets ? card.querySelector('#agentBundlePassphraseConfirm').value : '';
+            errorEl.textContent = '';
+
+            if (selected.length === 0) {
+                errorEl.textContent = i18n.t('agentBundle.selectAgents');
+                return;
+            }
+            if (passphrase !== confirmation) {
+                errorEl.textContent = i18n.t('agentBundle.passphraseMismatch');
+                return;
+            }
+            if (!passphrase && hasSecrets) {
+                errorEl.textContent = i18n.t('agentBundle.passphraseRequired');
+                return;
+            }
+
+            try {
+                const bundle = await agentBundleService.createBundle(selected, { passphrase, cardOrder: agentIds });
+                agentBundleService.download(bundle);
+                overlay.style.display = 'none';
+                console.log(`[Application] Exported ${selected.length} agent(s)`);
+            } catch (err) {
+                errorEl.textContent = err.message;
+            }
+        });
+    }
+
+    /**
+     * Show the import overlay for a parsed bundle: passphrase, merge/replace
+     * mode and, when merging, how each conflicting agent is handled.
+     * @param {Object} bundle - Parsed agent bundle
+     */
+    showImportAgentsOverlay(bundle) {
+        const existing = agentManager.getAllAgents();
+        const needsPassphrase = agentBundleService.needsPassphrase(bundle);
+        const conflicts = agentBundleService.findConflicts(existing, bundle.agents.filter(a => a?.id && a?.name));
+        const resolutionOptions = CONFLICT_RESOLUTIONS
+            .map(r => `<option value="${r}"${r === 'copy' ? ' selected' : ''}>${i18n.t(`agentBundle.resolution.${r}`)}</option>`)
+            .join('');
+
+        const overlay = this._getAgentBundleOverlay();
+        const card = overlay.querySelector('.init-params-card');
+        card.innerHTML = `
+            <h3>${i18n.t('agentBundle.importTitle')}</h3>
+            <p class="init-params-desc">${i18n.t('agentBundle.importDesc', { n: bundle.agents.length })}</p>
+            <div class="init-params-form">
+                ${needsPassphrase ? `
+                <div class="form-group">
+                    <label for="agentBundlePassphrase">${i18n.t('agentBundle.passphrase')}</label>
+                    <input type="password" id="agentBundlePassphrase" autocomplete="off" />
+                </div>` : ''}
+                <div class="form-group">
+                    <label for="agentBundleMode">${i18n.t('agentBundle.mode')}</label>
+                    <select id="agentBundleMode" class="form-select">
+                        <option value="merge">${i18n.t('agentBundle.modeMerge')}</option>
+                        <option value="replace">${i18n.t('agentBundle.modeReplace')}</option>
+                    </select>
+                </div>
+                ${conflicts.length ? `
+                <div class="form-group agent-bundle-conflicts">
+                    <label>${i18n.t('agentBundle.conflicts')}</label>
+                    ${conflicts.map(c => `
+                        <div class="agent-bundle-conflict">
+                            <span>${Utils.escapeHtml(c.imported.name)}</span>
+                            <select class="form-select" data-imported-id="${Utils.escapeHtml(c.imported.id)}">${resolutionOptions}</select>
+                        </div>`).join('')}
+                </div>` : ''}
+                <p class="agent-bundle-error" role="alert"></p>
+            </div>
+            <div class="init-params-actions">
+                <button type="button" class="btn btn-secondary agent-bundle-cancel">${i18n.t('agentBundle.cancel')}</button>
+                <button type="button" class="btn btn-primary agent-bundle-confirm">${i18n.t('agentBundle.import')}</button>
+            </div>
+        `;
+        overlay.style.display = 'flex';
+
+        const errorEl = card.querySelector('.agent-bundle-error');
+        const modeSelect = card.querySelector('#agentBundleMode');
+        const conflictsEl = card.querySelector('.agent-bundle-conflicts');
+        modeSelect.addEventListener('change', () => {
+            // Replace drops every local agent, so there is nothing to resolve
+            if (conflictsEl) conflictsEl.style.display = modeSelect.value === 'replace' ? 'none' : '';
+        });
+
+        card.querySelector('.agent-bundle-cancel').addEventListener('click', () => { overlay.style.display = 'none'; });
+        card.querySelector('.agent-bundle-confirm').addEventListener('click', async () => {
+            errorEl.textContent = '';
+            const mode = modeSelect.value;
+            if (mode === 'replace' && !window.confirm(i18n.t('agentBundle.replaceConfirm'))) return;
+
+            const resolutions = {};
+            card.querySelectorAll('.agent-bundle-conflict select').forEach(select => {
+                resolutions[select.dataset.importedId] = select.value;
+            });
+
+            try {
+                const passphrase = card.querySelector('#agentBundlePassphrase')?.value || '';
+                const imported = await agentBundleService.decryptAgents(bundle, passphrase);
+                const result = agentBundleService.mergeAgents(agentManager.getAllAgents(), imported, {
+                    mode,
+                    resolutions,
+                    localOrder: this._getOrderedAgentIds(Object.keys(agentManager.getAllAgents())),
+                    bundleOrder: bundle.cardOrder || []
+                });
+
+                await agentManager.setAllAgents(result.agents);
+                localStorage.setItem('homeCardOrder', JSON.stringify(result.cardOrder));
+                overlay.style.display = 'none';
+                this.renderHomeAgentCards();
+                console.log(`[Application] Agent import (${mode}): ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+            } catch (err) {
+                errorEl.textContent = err.message;
+            }
+        });
+    }
+
+    /**
+     * Read an agent bundle file and open the import overlay.
+     * @param {File} file
+     */
+    async importAgentsFromFile(file) {
+        try {
+            this.showImportAgentsOverlay(agentBundleService.parse(await file.text()));
+        } catch (err) {
+            this.showErrorMessage(err.message);
+        }
+    }
+
+    _getAgentBundleOverlay() {
+        let overlay = document.getElementById('agentBundleOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'agentBundleOverlay';
+            overlay.className = 'init-params-overlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.innerHTML = '<div class="init-params-card"></div>';
+            document.body.appendChild(overlay);
+        }
+        return overlay;
+    }
+
     /**
      * Show confirmation overlay before leaving to home page
      */
@@ -835,7 +1600,7 @@ export class Application {
         okBtn.onclick = () => {
             cleanup();
             this.cleanupWebsiteAgent();
-            directLineService.disconnect();
+            this._disconnectConnectors();
             this.state.isConnected = false;
             this.showHomePage();
         };
@@ -906,8 +1671,9 @@ export class Application {
         newConfirmBtn.addEventListener('click', async () => {
             if (confirmInput.value.trim() !== agentName) return;
             await agentManager.deleteAgent(agentId);
-            // Also remove agent stats
+            // Also remove agent stats and health history
             localStorage.removeItem(`agentStats_${agentId}`);
+            agentHealthMonitor.clearHistory(agentId);
             overlay.style.display = 'none';
             this.renderHomeAgentCards();
         });
@@ -915,14 +1681,17 @@ export class Application {
 
     /**
      * Compute stats for an agent from stored usage data
+     * @param {string} agentId
+     * @param {string} [variantId] - one connection target ('' = default); omitted = all targets
      * @private
      */
-    _computeAgentStats(agentId, chatHistory) {
+    _computeAgentStats(agentId, variantId) {
         // Load per-agent stats from localStorage
         try {
             const statsRaw = localStorage.getItem(`agentStats_${agentId}`);
             if (statsRaw) {
-                const stats = JSON.parse(statsRaw);
+                const all = JSON.parse(statsRaw);
+                const stats = variantId === undefined ? all : (all.variants?.[variantId || DEFAULT_VARIANT_KEY] || {});
                 return {
                     sessionCount: stats.sessionCount || 0,
                     messageCount: stats.messageCount || 0,
@@ -941,7 +1710,8 @@ export class Application {
     }
 
     /**
-     * Update stored stats for the current agent (called after messages)
+     * Update stored stats for the current agent (called after messages).
+     * Totals are kept for the agent and, under `variants`, per connection target.
      * @private
      */
     _updateCurrentAgentStats() {
@@ -956,22 +1726,27 @@ export class Application {
             stats = {};
         }
 
-        stats.messageCount = (stats.messageCount || 0) + 1;
-        stats.lastInteractionTs = Date.now();
-
-        // Session count: increment if this is a new session we haven't counted
         const currentSession = localStorage.getItem('currentSession');
-        if (currentSession && stats.lastSessionId !== currentSession) {
-            stats.sessionCount = (stats.sessionCount || 0) + 1;
-            stats.lastSessionId = currentSession;
-            stats.sessionStartTs = Date.now();
-        }
-
-        // Duration: accumulate time from session start
-        if (stats.sessionStartTs) {
-            stats.totalDurationMs = (stats.totalDurationMs || 0) + (Date.now() - (stats.lastDurationCheckTs || stats.sessionStartTs));
-            stats.lastDurationCheckTs = Date.now();
-        }
+        const variantKey = this.state.currentVariantId || DEFAULT_VARIANT_KEY;
+        stats.variants = stats.variants || {};
+        stats.variants[variantKey] = stats.variants[variantKey] || {};
+        [stats, stats.variants[variantKey]].forEach(bucket => {
+            bucket.messageCount = (bucket.messageCount || 0) + 1;
+            bucket.lastInteractionTs = Date.now();
+
+            // Session count: increment if this is a new session we haven't counted
+            if (currentSession && bucket.lastSessionId !== currentSession) {
+                bucket.sessionCount = (bucket.sessionCount || 0) + 1;
+                bucket.lastSessionId = currentSession;
+                bucket.sessionStartTs = Date.now();
+            }
+
+            // Duration: accumulate time from session start
+            if (bucket.sessionStartTs) {
+                bucket.totalDurationMs = (bucket.totalDurationMs || 0) + (Date.now() - (bucket.lastDurationCheckTs || bucket.sessionStartTs));
+                bucket.lastDurationCheckTs = Date.now();
+            }
+        });
 
         localStorage.setItem(key, JSON.stringify(stats));
     }
@@ -1010,7 +1785,7 @@ export class Application {
         const agent = agentManager.agents[agentId];
         if (!agent) return;
 
-        if (agent.agentType === 'website') {
+        if (this._isEmbedAgent(agent)) {
             this.openWebsiteAgent(agentId, agent);
             return;
         }
@@ -1027,6 +1802,7 @@ export class Application {
 
         agentManager.setCurrentAgent(agentId);
         this.state.currentAgent = agent;
+        this.state.currentVariantId = null;
         this.state.isConnected = true;
 
         this.hideHomePage();
@@ -1210,18 +1986,19 @@ export class Application {
         cancelProgressSection.style.display = 'none';
         paramsSection.style.display = '';
 
-        if (hasParams) {
-            const params = agentManager.getInitParams(agentId);
-            paramsSection.innerHTML = `
-                <p class="params-description">This agent requires the following information before starting.</p>
-                ${params.map(p => `
-                    <div class="form-group">
-                        <label for="splash_${p.name}">${Utils.escapeHtml(p.displayName)}:</label>
-                        <input type="text" id="splash_${p.name}" name="${Utils.escapeHtml(p.name)}"
-                               placeholder="Enter ${Utils.escapeHtml(p.displayName)}" required />
-                    </div>
-                `).join('')}
-            `;
+        // Agents with connection variants always ask which target to use
+        const hasVariants = agentManager.getVariants(agentId).length > 0;
+        const needsForm = hasParams || hasVariants;
+
+        if (needsForm) {
+            paramsSection.innerHTML = '';
+            if (hasVariants) this._renderSplashVariants(paramsSection, agentId);
+            if (hasParams) {
+                paramsSection.insertAdjacentHTML('beforeend', '<p class="params-description">This agent requires the following information before starting.</p>');
+                const fields = document.createElement('div');
+                paramsSection.appendChild(fields);
+                this._renderInitParamsForm(fields, agentId, 'splash_');
+            }
             startBtn.textContent = 'Start Session';
         } else {
             // No params — hide form and buttons, will auto-connect below
@@ -1248,8 +2025,7 @@ export class Application {
 
         newCancelProgressBtn.addEventListener('click', () => {
             connectionAborted = true;
-            directLineService.disconnect();
-            directEngineConnector.disconnect();
+            this._disconnectConnectors();
             this.state.isConnected = false;
             // Reset overlay
             progressSection.style.display = 'none';
@@ -1264,8 +2040,8 @@ export class Application {
             await this._doAgentConnect(agentId, agent, hasParams, overlay, paramsSection, progressSection, actionsSection, cancelProgressSection, newCancelProgressBtn, connectionAborted, () => connectionAborted);
         });
 
-        // Auto-connect immediately for agents without params
-        if (!hasParams) {
+        // Auto-connect immediately for agents without params or variants
+        if (!needsForm) {
             // Small delay to let overlay render
             setTimeout(() => {
                 this._doAgentConnect(agentId, agent, false, overlay, paramsSection, progressSection, actionsSection, cancelProgressSection, newCancelProgressBtn, connectionAborted, () => connectionAborted);
@@ -1273,6 +2049,54 @@ export class Application {
         }
     }
 
+    /**
+     * Render the connection target chips ("Default" + each variant) at the top
+     * of the splash form; the last target used for the agent is preselected.
+     * @private
+     */
+    _renderSplashVariants(container, agentId) {
+        const variants = agentManager.getVariants(agentId);
+        const lastUsed = localStorage.getItem(`agentVariant_${agentId}`) || '';
+        const selected = variants.some(v => v.id === lastUsed) ? lastUsed : '';
+
+        const row = document.createElement('div');
+        row.className = 'agent-splash-variants';
+        row.setAttribute('role', 'radiogroup');
+        row.innerHTML = `<span class="agent-splash-variants-label">${i18n.t('agentSplash.target')}</span>`;
+        [{ id: '', name: i18n.t('agentSplash.defaultVariant') }, ...variants].forEach(variant => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'agent-splash-variant';
+            chip.dataset.variantId = variant.id;
+            chip.textContent = variant.name;
+            chip.setAttribute('role', 'radio');
+            const active = variant.id === selected;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-checked', String(active));
+            chip.addEventListener('click', () => {
+                row.querySelectorAll('.agent-splash-variant').forEach(other => {
+                    other.classList.toggle('active', other === chip);
+                    other.setAttribute('aria-checked', String(other === chip));
+                });
+            });
+            row.appendChild(chip);
+        });
+        container.appendChild(row);
+    }
+
+    /**
+     * The agent as it should be connected: the stored config, or a copy with
+     * a connection variant's values applied
+     * @param {Object} agent
+     * @param {string|null} variantId
+     * @returns {Object}
+     * @private
+     */
+    _resolveAgentVariant(agent, variantId) {
+        const variant = agentManager.getVariant(agent.id, variantId);
+        return variant ? connectorRegistry.withConfig(agent, variant.values) : agent;
+    }
+
     /**
      * Internal: execute agent connection from splash overlay
      * @private
@@ -1281,22 +2105,24 @@ export class Application {
         if (isAborted()) return;
 
         // Pick the transport for this agent (classic DirectLine vs Direct-to-Engine streaming)
+        this._stopTraceReplay();
         const connector = this.getConnectorForAgent(agent);
 
         // Validate params
+        let initContext = null;
         if (hasParams) {
-            const inputs = paramsSection.querySelectorAll('input[required]');
-            let valid = true;
-            inputs.forEach(input => {
-                if (!input.value.trim()) { input.classList.add('input-error'); valid = false; }
-                else { input.classList.remove('input-error'); }
-            });
+            const { values, valid } = this._readInitParamsForm(paramsSection, agentId);
             if (!valid) return;
+            connector.setInitContext(values);
+            initContext = values;
+        }
 
-            const context = {};
-            inputs.forEach(input => { context[input.name] = input.value.trim(); });
-            connector.setInitContext(context);
+        // Connection target picked in the splash (none = the agent's own config)
+        const variant = agentManager.getVariant(agentId, paramsSection.querySelector('.agent-splash-variant.active')?.dataset.variantId);
+        if (paramsSection.querySelector('.agent-splash-variants')) {
+            localStorage.setItem(`agentVariant_${agentId}`, variant?.id || '');
         }
+        const target = this._resolveAgentVariant(agent, variant?.id);
 
         // Show progress in-place
         actionsSection.style.display = 'none';
@@ -1304,7 +2130,7 @@ export class Application {
         progressSection.style.display = 'block';
         cancelProgressSection.style.display = 'flex';
         const statusEl = document.getElementById('agentSplashStatus');
-        statusEl.textContent = 'Connecting to ' + agent.name + '...';
+        statusEl.textContent = 'Connecting to ' + agent.name + (variant ? ` (${variant.name})` : '') + '...';
         statusEl.classList.remove('breathing');
 
         try {
@@ -1314,9 +2140,24 @@ export class Application {
             messageRenderer.clearMessages();
             messageRenderer.setTargetWindow('chatWindow');
 
-            const success = agent.agentType === 'directengine'
-                ? await connector.connect(agent.directEngine || {})
-                : await connector.connect(agent.secret);
+            activityTraceRecorder.start(agent);
+            const connectArgs = connectorRegistry.resolve(agent).getConnectArgs(target);
+            // After a reload, continue the conversation of the session that was open
+            const restored = this._takeRestoredConversation(agent, variant?.id || null, connector);
+            let resumed = false;
+            if (restored) {
+                this._restoringSession = true;
+                try {
+                    resumed = await connector.connect(connectArgs, restored.resume);
+                } finally {
+                    this._restoringSession = false;
+                }
+                if (isAborted()) return;
+                if (!resumed) {
+                    this.showErrorMessage('The previous bot conversation could not be resumed (it may have expired). A new conversation was started.');
+                }
+            }
+            const success = resumed || await connector.connect(connectArgs);
             if (isAborted()) return;
 
             if (success) {
@@ -1324,11 +2165,18 @@ export class Application {
                 statusEl.classList.add('breathing');
                 this.state.isConnected = true;
                 this.state.currentAgent = agent;
+                this.state.currentVariantId = variant?.id || null;
+                this.state.currentInitContext = initContext;
 
                 // Set agent context on session manager for filtering
                 sessionManager.setCurrentAgentId(agentId);
 
-                this.initializeSession();
+                if (resumed) {
+                    this.state.currentSession = restored.sessionId;
+                    this._renderStoredMessages(restored.messages);
+                } else {
+                    this.initializeSession();
+                }
                 this.updateAgentStatus('connected', agent.name);
 
                 // Keep overlay AND home visible — fade both out on first bot message
@@ -1358,7 +2206,13 @@ export class Application {
                         }
                     }, 400);
                 };
-                connector.on('message', fadeOutOnFirstMessage);
+                // Connectors without a greeting (e.g. LLM agents) and resumed
+                // conversations have nothing to wait for
+                if (connectorRegistry.resolve(agent).greets && !resumed) {
+                    connector.on('message', fadeOutOnFirstMessage);
+                } else {
+                    fadeOutOnFirstMessage();
+                }
 
                 // Safety timeout: close overlay after 15s even if no message
                 setTimeout(() => {
@@ -1385,22 +2239,21 @@ export class Application {
 
     /**
      * Show Agent Edit/Add overlay
+     * The type list and type-specific fields come from the connector registry,
+     * so any registered agent type can be added or edited here.
      * @param {string|null} agentId - null for new agent, string for editing
      */
     showAgentEditOverlay(agentId = null) {
         const overlay = document.getElementById('agentEditOverlay');
         const titleEl = document.getElementById('agentEditTitle');
         const nameInput = document.getElementById('agentEditName');
-        const secretInput = document.getElementById('agentEditSecret');
         const descriptionInput = document.getElementById('agentEditDescription');
         const paramsList = document.getElementById('agentEditParamsList');
         const addParamBtn = document.getElementById('agentEditAddParamBtn');
         const saveBtn = document.getElementById('agentEditSaveBtn');
         const cancelBtn = document.getElementById('agentEditCancelBtn');
         const typeSelect = document.getElementById('agentEditType');
-        const secretGroup = document.getElementById('agentEditSecretGroup');
-        const urlGroup = document.getElementById('agentEditUrlGroup');
-        const urlInput = document.getElementById('agentEditUrl');
+        const fieldsContainer = document.getElementById('agentEditConnectorFields');
         const paramsSection = document.getElementById('agentEditParamsSection');
         if (!overlay) return;
 
@@ -1409,48 +2262,73 @@ export class Application {
 
         titleEl.textContent = isEdit ? 'Edit Agent' : 'Add New Agent';
         nameInput.value = isEdit ? agent.name : '';
-        secretInput.value = isEdit ? agent.secret : '';
         if (descriptionInput) {
             descriptionInput.value = isEdit ? (agent.description || '') : '';
         }
+        const groupInput = document.getElementById('agentEditGroup');
+        const tagsInput = document.getElementById('agentEditTags');
+        if (groupInput) {
+            groupInput.value = isEdit ? (agent.group || '') : '';
+            const groupOptions = document.getElementById('agentEditGroupOptions');
+            if (groupOptions) {
+                groupOptions.innerHTML = '';
+                agentManager.getGroups().forEach(group => {
+                    const option = document.createElement('option');
+                    option.value = group;
+                    groupOptions.appendChild(option);
+                });
+            }
+        }
+        if (tagsInput) {
+            tagsInput.value = isEdit ? (agent.tags || []).join(', ') : '';
+        }
 
         // Agent type
-        const agentType = isEdit ? (agent.agentType || 'copilot') : 'copilot';
-        if (typeSelect) typeSelect.value = agentType;
-        if (urlInput) urlInput.value = isEdit ? (agent.websiteUrl || '') : '';
-
-        // Direct-to-Engine config fields
-        const d2eGroup = document.getElementById('agentEditD2EGroup');
-        const d2eAppClientId = document.getElementById('agentEditAppClientId');
-        const d2eTenantId = document.getElementById('agentEditTenantId');
-        const d2eEnvironmentId = document.getElementById('agentEditEnvironmentId');
-        const d2eSchemaName = document.getElementById('agentEditSchemaName');
-        const d2e = isEdit ? (agent.directEngine || {}) : {};
-        if (d2eAppClientId) d2eAppClientId.value = d2e.appClientId || '';
-        if (d2eTenantId) d2eTenantId.value = d2e.tenantId || '';
-        if (d2eEnvironmentId) d2eEnvironmentId.value = d2e.environmentId || '';
-        if (d2eSchemaName) d2eSchemaName.value = d2e.schemaName || '';
-
-        // Toggle fields based on agent type
+        const agentType = connectorRegistry.resolve(agent).type;
+
+        // Field values are kept across type switches so nothing typed is lost
+        const values = {};
+        connectorRegistry.list().forEach(descriptor => {
+            descriptor.fields.forEach(field => {
+                values[field.key] = isEdit ? connectorRegistry.getFieldValue(agent, field) : (field.default ?? '');
+            });
+        });
+
+        // Connection variants: each starts from the defaults and keeps its own values
+        const variantsSection = document.getElementById('agentEditVariantsSection');
+        const variantsList = document.getElementById('agentEditVariantsList');
+        const addVariantBtn = document.getElementById('agentEditAddVariantBtn');
+        const variants = (isEdit ? agentManager.getVariants(agentId) : []).map(variant => ({
+            id: variant.id,
+            name: variant.name,
+            values: { ...values, ...variant.values }
+        }));
+        let currentDescriptor = connectorRegistry.resolve(agentType);
+
         const updateTypeFields = (type) => {
-            const isCopilot = type === 'copilot';
-            const isDirectEngine = type === 'directengine';
-            const isWebsite = type === 'website';
-            if (secretGroup) secretGroup.style.display = isCopilot ? '' : 'none';
-            if (d2eGroup) d2eGroup.style.display = isDirectEngine ? '' : 'none';
-            if (urlGroup) urlGroup.style.display = isWebsite ? '' : 'none';
-            if (paramsSection) paramsSection.style.display = (isCopilot || isDirectEngine) ? '' : 'none';
-            if (secretInput) secretInput.required = isCopilot;
+            const descriptor = connectorRegistry.resolve(type);
+            currentDescriptor = descriptor;
+            this._renderConnectorFields(fieldsContainer, descriptor, values);
+            if (paramsSection) paramsSection.style.display = descriptor.supportsInitParams ? '' : 'none';
+            if (variantsSection) variantsSection.style.display = descriptor.kind === 'embed' ? 'none' : '';
+            this._renderEditVariants(variantsList, descriptor, variants);
         };
-        updateTypeFields(agentType);
 
         // Listen for type changes
         if (typeSelect) {
-            const newTypeSelect = typeSelect.cloneNode(true);
+            const newTypeSelect = typeSelect.cloneNode(false);
             typeSelect.parentNode.replaceChild(newTypeSelect, typeSelect);
+            connectorRegistry.list().forEach(descriptor => {
+                const option = document.createElement('option');
+                option.value = descriptor.type;
+                option.textContent = this._connectorText(descriptor.labelKey, descriptor.label);
+                if (descriptor.labelKey) option.setAttribute('data-i18n', descriptor.labelKey);
+                newTypeSelect.appendChild(option);
+            });
             newTypeSelect.value = agentType;
             newTypeSelect.addEventListener('change', (e) => updateTypeFields(e.target.value));
         }
+        updateTypeFields(agentType);
 
         // Render params
         const params = isEdit ? agentManager.getInitParams(agentId) : [];
@@ -1467,59 +2345,72 @@ export class Application {
         cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
 
         newAddParamBtn.addEventListener('click', () => {
-            const row = this._createParamRow('', '');
+            const row = this._createParamRow();
             paramsList.appendChild(row);
         });
 
+        if (addVariantBtn) {
+            const newAddVariantBtn = addVariantBtn.cloneNode(true);
+            addVariantBtn.parentNode.replaceChild(newAddVariantBtn, addVariantBtn);
+            newAddVariantBtn.addEventListener('click', () => {
+                // Start from the current default target so only the differences need typing
+                variants.push({ id: null, name: '', values: { ...values } });
+                this._renderEditVariants(variantsList, currentDescriptor, variants);
+                variantsList.querySelector('.agent-variant:last-child .agent-variant-name')?.focus();
+            });
+        }
+
         newCancelBtn.addEventListener('click', () => {
             overlay.style.display = 'none';
         });
 
         newSaveBtn.addEventListener('click', async () => {
             const name = nameInput.value.trim();
-            const currentType = document.getElementById('agentEditType')?.value || 'copilot';
-            const secret = secretInput.value.trim();
-            const websiteUrl = document.getElementById('agentEditUrl')?.value.trim() || '';
-
-            // Direct-to-Engine config
-            const d2eConfig = {
-                appClientId: document.getElementById('agentEditAppClientId')?.value.trim() || '',
-                tenantId: document.getElementById('agentEditTenantId')?.value.trim() || '',
-                environmentId: document.getElementById('agentEditEnvironmentId')?.value.trim() || '',
-                schemaName: document.getElementById('agentEditSchemaName')?.value.trim() || '',
-            };
+            const currentType = document.getElementById('agentEditType')?.value || agentType;
+            const descriptor = connectorRegistry.resolve(currentType);
 
             if (!name) return;
-            if (currentType === 'copilot' && !secret) return;
-            if (currentType === 'website' && !websiteUrl) return;
-            if (currentType === 'directengine') {
-                if (!d2eConfig.appClientId || !d2eConfig.tenantId || !d2eConfig.environmentId || !d2eConfig.schemaName) {
-                    return; // all four D2E fields required
-                }
-            }
+            const missing = connectorRegistry.validate(descriptor, values);
+            fieldsContainer.querySelectorAll('[data-field-key]').forEach(input => {
+                input.classList.toggle('input-error', missing.includes(input.dataset.fieldKey));
+            });
+            if (missing.length) return;
+
+            const hasVariants = descriptor.kind !== 'embed';
+            if (hasVariants && !this._validateEditVariants(variantsList, descriptor, variants)) return;
 
-            // Collect params (for copilot + directengine types)
+            // Collect params (only for types that send init params)
             const rows = paramsList.querySelectorAll('.param-row');
             const initParams = [];
-            if (currentType === 'copilot' || currentType === 'directengine') {
+            if (descriptor.supportsInitParams) {
                 rows.forEach(row => {
-                    const key = row.querySelector('.param-key-input')?.value.trim();
-                    const display = row.querySelector('.param-display-input')?.value.trim();
-                    if (key) initParams.push({ name: key, displayName: display || key });
+                    const param = this._readParamRow(row);
+                    if (param) initParams.push(param);
                 });
             }
 
-            const savedId = await agentManager.addOrUpdateAgent(agentId, name, currentType === 'copilot' ? secret : '');
-            // Save params, description, type, URL, and Direct-to-Engine config
-            agentManager.agents[savedId].initParams = initParams;
-            agentManager.agents[savedId].agentType = currentType;
-            agentManager.agents[savedId].websiteUrl = currentType === 'website' ? websiteUrl : '';
-            agentManager.agents[savedId].directEngine = currentType === 'directengine' ? d2eConfig : null;
+            const savedId = await agentManager.addOrUpdateAgent(agentId, name, '');
+            const saved = agentManager.agents[savedId];
+            // Save type, type-specific config, params and description
+            saved.agentType = descriptor.type;
+            connectorRegistry.applyConfig(saved, descriptor, values);
+            saved.initParams = initParams;
             const descEl = document.getElementById('agentEditDescription');
             if (descEl) {
-                agentManager.agents[savedId].description = descEl.value.trim().substring(0, 200);
+                saved.description = descEl.value.trim().substring(0, 200);
             }
-            agentManager.agents[savedId].updatedAt = new Date().toISOString();
+            if (groupInput) agentManager.setAgentGroup(savedId, groupInput.value);
+            if (tagsInput) agentManager.setAgentTags(savedId, tagsInput.value);
+            // Variants keep only the current type's fields, hidden ones cleared like the defaults
+            agentManager.setAgentVariants(savedId, hasVariants ? variants.map(variant => ({
+                id: variant.id,
+                name: variant.name,
+                values: Object.fromEntries(descriptor.fields.map(field => [
+                    field.key,
+                    connectorRegistry.isFieldVisible(field, variant.values) ? String(variant.values[field.key] ?? '').trim() : ''
+                ]))
+            })) : []);
+            saved.updatedAt = new Date().toISOString();
             await agentManager.saveAgents();
 
             overlay.style.display = 'none';
@@ -1527,6 +2418,154 @@ export class Application {
         });
     }
 
+    /**
+     * Render a connector's config form schema into the edit overlay.
+     * Inputs write straight into `values`; fields with `showWhen` re-render
+     * when the field they depend on changes.
+     * @param {HTMLElement} container
+     * @param {Object} descriptor - connector registry descriptor
+     * @param {Object} values - field key → current value (mutated)
+     * @param {string} [idPrefix] - input id prefix (variants render the same fields again)
+     * @private
+     */
+    _renderConnectorFields(container, descriptor, values, idPrefix = 'agentEditField_') {
+        if (!container) return;
+        container.innerHTML = '';
+
+        descriptor.fields.forEach(field => {
+            if (!connectorRegistry.isFieldVisible(field, values)) return;
+
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const inputId = `${idPrefix}${field.key}`;
+
+            const label = document.createElement('label');
+            label.htmlFor = inputId;
+            label.textContent = this._connectorText(field.labelKey, field.label);
+            group.appendChild(label);
+
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                input.className = 'form-select';
+                connectorRegistry.getFieldOptions(field).forEach(opt => {
+                    const option = document.createElement('option');
+                    option.value = opt.value;
+                    option.textContent = opt.label;
+                    input.appendChild(option);
+                });
+            } else if (field.type === 'textarea') {
+                input = document.createElement('textarea');
+                input.rows = field.rows || 3;
+            } else {
+                input = document.createElement('input');
+                input.type = field.type || 'text';
+                input.autocomplete = 'off';
+            }
+            input.id = inputId;
+            input.dataset.fieldKey = field.key;
+            if (field.placeholder) input.placeholder = field.placeholder;
+            input.required = !!field.required;
+            input.value = values[field.key] ?? '';
+
+            input.addEventListener('input', () => { values[field.key] = input.value; });
+            input.addEventListener('change', () => {
+                values[field.key] = input.value;
+                const hasDependents = descriptor.fields.some(f => f.showWhen?.key === field.key);
+                if (hasDependents) this._renderConnectorFields(container, descriptor, values, idPrefix);
+            });
+            group.appendChild(input);
+
+            if (field.help) {
+                const help = document.createElement('small');
+                help.className = 'help-text';
+                help.textContent = this._connectorText(field.helpKey, field.help);
+                group.appendChild(help);
+            }
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Render the connection variants of the edit overlay: a name, a remove
+     * button and the connector's fields per variant.
+     * @param {HTMLElement} container
+     * @param {Object} descriptor - connector registry descriptor of the selected type
+     * @param {{id: string|null, name: string, values: Object}[]} variants - drafts (mutated)
+     * @private
+     */
+    _renderEditVariants(container, descriptor, variants) {
+        if (!container) return;
+        container.innerHTML = '';
+
+        variants.forEach((variant, index) => {
+            const block = document.createElement('div');
+            block.className = 'agent-variant';
+
+            const header = document.createElement('div');
+            header.className = 'agent-variant-header';
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'agent-variant-name';
+            nameInput.maxLength = 40;
+            nameInput.placeholder = i18n.t('agentEdit.variantNamePlaceholder');
+            nameInput.value = variant.name;
+            nameInput.addEventListener('input', () => { variant.name = nameInput.value; });
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'agent-btn agent-btn-delete param-remove-btn';
+            removeBtn.title = i18n.t('agentEdit.removeVariant');
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => {
+                variants.splice(index, 1);
+                this._renderEditVariants(container, descriptor, variants);
+            });
+            header.append(nameInput, removeBtn);
+
+            const fields = document.createElement('div');
+            fields.className = 'agent-variant-fields';
+            this._renderConnectorFields(fields, descriptor, variant.values, `agentEditVariant${index}_`);
+
+            block.append(header, fields);
+            container.appendChild(block);
+        });
+    }
+
+    /**
+     * Mark variants without a (unique) name or with missing required fields
+     * @returns {boolean} whether every variant is valid
+     * @private
+     */
+    _validateEditVariants(container, descriptor, variants) {
+        if (!container) return true;
+        const seen = new Set();
+        let valid = true;
+        container.querySelectorAll('.agent-variant').forEach((block, index) => {
+            const variant = variants[index];
+            const name = variant.name.trim().toLowerCase();
+            const badName = !name || name === i18n.t('agentSplash.defaultVariant').toLowerCase() || seen.has(name);
+            seen.add(name);
+            block.querySelector('.agent-variant-name').classList.toggle('input-error', badName);
+
+            const missing = connectorRegistry.validate(descriptor, variant.values);
+            block.querySelectorAll('[data-field-key]').forEach(input => {
+                input.classList.toggle('input-error', missing.includes(input.dataset.fieldKey));
+            });
+            if (badName || missing.length) valid = false;
+        });
+        return valid;
+    }
+
+    /**
+     * Translate a connector label when it has an i18n key, else use the fallback
+     * @private
+     */
+    _connectorText(key, fallback) {
+        if (!key) return fallback;
+        const text = i18n.t(key);
+        return text === key ? fallback : text;
+    }
+
     /**
      * Show Add Agent overlay (convenience wrapper)
      */
@@ -1541,26 +2580,72 @@ export class Application {
     _renderEditParams(container, params) {
         container.innerHTML = '';
         params.forEach(p => {
-            container.appendChild(this._createParamRow(p.name, p.displayName));
+            container.appendChild(this._createParamRow(p));
         });
     }
 
     /**
-     * Create a single param row element
+     * Create a single param row element: key and display name, then the
+     * field type, required flag, default value and (select only) options
      * @private
      */
-    _createParamRow(key, displayName) {
+    _createParamRow(param = {}) {
+        const p = agentManager.normalizeInitParam(param);
         const row = document.createElement('div');
-        row.className = 'param-row';
+        row.className = 'param-row param-row-typed';
         row.innerHTML = `
-            <input type="text" class="param-key-input" value="${Utils.escapeHtml(key)}" placeholder="Parameter key" />
-            <input type="text" class="param-display-input" value="${Utils.escapeHtml(displayName)}" placeholder="Display name" />
-            <button type="button" class="agent-btn agent-btn-delete param-remove-btn" title="Remove">×</button>
+            <div class="param-row-main">
+                <input type="text" class="param-key-input" value="${Utils.escapeHtml(p.name)}" placeholder="Parameter key" />
+                <input type="text" class="param-display-input" value="${Utils.escapeHtml(p.displayName)}" placeholder="Display name" />
+                <button type="button" class="agent-btn agent-btn-delete param-remove-btn" title="Remove">×</button>
+            </div>
+            <div class="param-row-details">
+                <select class="param-type-select" title="${Utils.escapeHtml(i18n.t('initParams.typeLabel'))}">
+                    ${INIT_PARAM_TYPES.map(type => `<option value="${type}"${type === p.type ? ' selected' : ''}>${i18n.t(`initParams.type.${type}`)}</option>`).join('')}
+                </select>
+                <label class="param-required-label">
+                    <input type="checkbox" class="param-required-input"${p.required ? ' checked' : ''} />
+                    <span>${i18n.t('initParams.required')}</span>
+                </label>
+                <input type="text" class="param-default-input" value="${Utils.escapeHtml(p.default)}" />
+                <input type="text" class="param-options-input" value="${Utils.escapeHtml(p.options.join(', '))}" placeholder="${Utils.escapeHtml(i18n.t('initParams.optionsPlaceholder'))}" />
+            </div>
         `;
+
+        const typeSelect = row.querySelector('.param-type-select');
+        const syncType = () => {
+            const type = typeSelect.value;
+            row.querySelector('.param-options-input').hidden = type !== 'select';
+            row.querySelector('.param-required-label').hidden = type === 'boolean';
+            const defaultPlaceholder = { boolean: 'true / false', date: 'YYYY-MM-DD' }[type] || i18n.t('initParams.defaultPlaceholder');
+            row.querySelector('.param-default-input').placeholder = defaultPlaceholder;
+        };
+        typeSelect.addEventListener('change', syncType);
+        syncType();
+
         row.querySelector('.param-remove-btn').addEventListener('click', () => row.remove());
         return row;
     }
 
+    /**
+     * Read a param row of the edit overlay
+     * @private
+     * @returns {Object|null} init parameter definition, null when the key is empty
+     */
+    _readParamRow(row) {
+        const name = row.querySelector('.param-key-input')?.value.trim();
+        if (!name) return null;
+        const type = row.querySelector('.param-type-select')?.value || 'text';
+        return agentManager.normalizeInitParam({
+            name,
+            displayName: row.querySelector('.param-display-input')?.value.trim() || name,
+            type,
+            required: !!row.querySelector('.param-required-input')?.checked,
+            default: row.querySelector('.param-default-input')?.value.trim() || '',
+            options: row.querySelector('.param-options-input')?.value || ''
+        });
+    }
+
     /**
      * Try to migrate legacy single-agent configuration
      * @returns {Promise<boolean>} True if migration successful
@@ -1587,7 +2672,7 @@ export class Application {
 
     /**
      * Connect to agent using DirectLine (enhanced with consolidated new chat process)
-     * @param {string} secret - DirectLine secret
+     * @param {string|{tokenEndpoint: string}} secret - DirectLine secret, or token endpoint for server-issued tokens
      * @private
      */
     async connectToAgent(secret) {
@@ -1915,7 +3000,7 @@ export class Application {
             DOMUtils.addEventListener(backToHomeBtn, 'click', () => {
                 // Website agents don't need disconnect confirmation
                 const currentAgent = this.state.currentAgent;
-                if (currentAgent && currentAgent.agentType === 'website') {
+                if (this._isEmbedAgent(currentAgent)) {
                     this.cleanupWebsiteAgent();
                     this.state.isConnected = false;
                     this.showHomePage();
@@ -1932,6 +3017,16 @@ export class Application {
             }
         });
 
+        // Full-text history search
+        DOMUtils.addEventListener(this.elements.historySearchButton, 'click', () => {
+            this.showHistorySearchOverlay();
+        });
+
+        // History storage usage and retention
+        DOMUtils.addEventListener(this.elements.historyStorageButton, 'click', () => {
+            this.showHistoryStorageOverlay();
+        });
+
         // Documentation button - open GitHub README
         DOMUtils.addEventListener(this.elements.documentationButton, 'click', () => {
             this.openDocumentation();
@@ -2262,6 +3357,13 @@ export class Application {
             });
         }
 
+        // Inline Adaptive Cards checkbox (applies to cards rendered from now on)
+        if (this.elements.inlineAdaptiveCardsCheckbox) {
+            DOMUtils.addEventListener(this.elements.inlineAdaptiveCardsCheckbox, 'change', (e) => {
+                localStorage.setItem('inlineAdaptiveCards', e.target.checked.toString());
+            });
+        }
+
         // Open attachments in side browser checkbox
         if (this.elements.openAttachmentsSideBrowserCheckbox) {
             DOMUtils.addEventListener(this.elements.openAttachmentsSideBrowserCheckbox, 'change', (e) => {
@@ -2269,6 +3371,78 @@ export class Application {
             });
         }
 
+        // Home page search
+        const homeSearchInput = document.getElementById('homeAgentSearch');
+        if (homeSearchInput) {
+            DOMUtils.addEventListener(homeSearchInput, 'input', (e) => this._setHomeSearchText(e.target.value));
+        }
+
+        // Agent bundle export / import (home page)
+        if (this.elements.exportAgentsBtn) {
+            DOMUtils.addEventListener(this.elements.exportAgentsBtn, 'click', () => this.showExportAgentsOverlay());
+        }
+        if (this.elements.importAgentsBtn && this.elements.importAgentsInput) {
+            DOMUtils.addEventListener(this.elements.importAgentsBtn, 'click', () => this.elements.importAgentsInput.click());
+            DOMUtils.addEventListener(this.elements.importAgentsInput, 'change', (e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (file) this.importAgentsFromFile(file);
+            });
+        }
+
+        // Agent health monitor
+        if (this.elements.agentHealthMonitorCheckbox) {
+            DOMUtils.addEventListener(this.elements.agentHealthMonitorCheckbox, 'change', (e) => {
+                agentHealthMonitor.setEnabled(e.target.checked);
+                this.renderHomeAgentCards();
+            });
+        }
+        if (this.elements.agentHealthIntervalSelect) {
+            DOMUtils.addEventListener(this.elements.agentHealthIntervalSelect, 'change', (e) => {
+                agentHealthMonitor.setIntervalMinutes(Number(e.target.value));
+            });
+        }
+        if (this.elements.checkAgentsNowBtn) {
+            DOMUtils.addEventListener(this.elements.checkAgentsNowBtn, 'click', async () => {
+                const btn = this.elements.checkAgentsNowBtn;
+                btn.disabled = true;
+                try {
+                    await agentHealthMonitor.checkAll();
+                } finally {
+                    btn.disabled = false;
+                }
+            });
+        }
+
+        // Activity trace recording / download / replay
+        if (this.elements.recordActivityTracesCheckbox) {
+            DOMUtils.addEventListener(this.elements.recordActivityTracesCheckbox, 'change', (e) => {
+                activityTraceRecorder.setEnabled(e.target.checked);
+            });
+        }
+        if (this.elements.downloadTraceBtn) {
+            DOMUtils.addEventListener(this.elements.downloadTraceBtn, 'click', () => {
+                if (!activityTraceRecorder.download()) {
+                    this.showErrorMessage('No activity trace recorded yet. Enable "Record activity traces" and start a conversation.');
+                }
+            });
+        }
+        if (this.elements.replayTraceBtn && this.elements.replayTraceInput) {
+            DOMUtils.addEventListener(this.elements.replayTraceBtn, 'click', () => this.elements.replayTraceInput.click());
+            DOMUtils.addEventListener(this.elements.replayTraceInput, 'change', async (e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (!file) return;
+                try {
+                    const trace = ActivityTraceRecorder.parse(await file.text());
+                    const speed = Number(this.elements.traceReplaySpeedSelect?.value ?? 1);
+                    await this.replayActivityTrace(trace, speed);
+                } catch (err) {
+                    this.showErrorMessage(err.message);
+                }
+            });
+        }
+
         // Full Width Messages checkbox
         if (this.elements.fullWidthMessagesCheckbox) {
             DOMUtils.addEventListener(this.elements.fullWidthMessagesCheckbox, 'change', (e) => {
@@ -2492,12 +3666,16 @@ export class Application {
             this.handleAgentChanged(e.detail);
         });
 
+        window.addEventListener('agentHealthUpdated', (e) => {
+            this._updateHomeCardHealth(e.detail?.agentId);
+        });
+
         window.addEventListener('agentSwitched', (e) => {
             this.hideSetupModal();
             const agentId = e.detail?.agentId;
             if (agentId) {
                 // Disconnect and reconnect to new agent via overlay
-                directLineService.disconnect();
+                this._disconnectConnectors();
                 this.state.isConnected = false;
                 messageRenderer.clearMessages();
                 messageRenderer.setTargetWindow('chatWindow');
@@ -2550,6 +3728,45 @@ export class Application {
             this.handleSessionChanged(e.detail);
         });
 
+        window.addEventListener('sessionExportRequested', (e) => {
+            this.showTranscriptExportOverlay(e.detail.sessionId);
+        });
+
+        window.addEventListener('messageEditRequested', (e) => {
+            this.showMessageEditOverlay(e.detail.messageId);
+        });
+
+        window.addEventListener('sessionAnnotateRequested', (e) => {
+            this.showSessionAnnotationOverlay(e.detail.sessionId);
+        });
+
+        window.addEventListener('messageAnnotateRequested', (e) => {
+            this.showMessageAnnotationOverlay(e.detail.messageId);
+        });
+
+        // Agent message action bar
+        window.addEventListener('messageQuoteRequested', (e) => {
+            this.quoteMessageInInput(e.detail.text);
+        });
+
+        window.addEventListener('messageRetryRequested', (e) => {
+            this.retryMessage(e.detail.messageId);
+        });
+
+        window.addEventListener('messageFeedbackRequested', (e) => {
+            this.showMessageFeedbackOverlay(e.detail.messageId, e.detail.reaction);
+        });
+
+        // Inline cards: keep a returned card and the submitted values with the stored message
+        window.addEventListener('adaptiveCardUpdated', (e) => {
+            const { messageId, attachmentIndex, ...changes } = e.detail;
+            sessionManager.updateMessageCard(messageId, attachmentIndex, changes);
+        });
+
+        window.addEventListener('historyStorageFull', () => {
+            this.showErrorMessage(i18n.t('historyStorage.full'));
+        });
+
         // AutoQA state change — manage UI and input mode
         window.addEventListener('autoQAStateChange', (e) => {
             const { state } = e.detail;
@@ -2763,7 +3980,7 @@ export class Application {
             const userMessageTimestamp = new Date().toISOString();
 
             // Add user message to session
-            sessionManager.addMessage({
+            const userEntry = sessionManager.addMessage({
                 from: 'user',
                 text: messageText,
                 attachments: (this.selectedFiles && this.selectedFiles.length > 0) ? [...this.selectedFiles] : [],
@@ -2783,7 +4000,7 @@ export class Application {
             }
 
             // Render user message with explicit timestamp and attachments
-            this.renderUserMessage(messageText, userMessageTimestamp, userAttachments);
+            this.renderUserMessage(messageText, userMessageTimestamp, userAttachments, userEntry.id);
 
             // Send to DirectLine immediately - don't wait for thinking simulation
             let messagePromise;
@@ -2855,10 +4072,13 @@ export class Application {
      * Render user message with explicit timestamp for proper ordering
      * @param {string} text - Message text
      * @param {string} timestamp - Message timestamp
+     * @param {Array} [attachments] - Local attachment objects
+     * @param {string} [id] - Stored message id (makes the message editable)
      * @private
      */
-    renderUserMessage(text, timestamp, attachments) {
+    renderUserMessage(text, timestamp, attachments, id) {
         const activity = {
+            id,
             from: { id: 'user' },
             text: text,
             timestamp: timestamp || new Date().toISOString(),
@@ -2882,7 +4102,7 @@ export class Application {
         }
 
         // Disconnect current session
-        directLineService.disconnect();
+        this._disconnectConnectors();
         this.state.isConnected = false;
 
         // Clear chat
@@ -3084,15 +4304,11 @@ export class Application {
         // MessageEntry is activity-shaped (id/from/text/timestamp/attachments).
         // entry.id is kept stable across chunks + finalize so the renderer reuses
         // the same streaming bubble. entry.text is cumulative → non-realtime path.
-        // Serialize chunk rendering: handleStreamingMessageDirect is async and the
-        // first chunk creates the DOM container; without serialization, fast
-        // follow-up chunks race ahead while the container is still being built.
-        // Wrap the synchronous kick-off in try/catch so a throw before the first
-        // await still surfaces instead of dying silently.
+        // The renderer serializes each stream's chunks on that stream's own chain
+        // (the first chunk builds the bubble asynchronously), so concurrent
+        // streams render independently.
         try {
-            this._streamRenderChain = (this._streamRenderChain || Promise.resolve())
-                .then(() => messageRenderer.handleStreamingMessageDirect(entry))
-                .catch((err) => console.error('[Application] handleStreamingChunk async render error:', err));
+            messageRenderer.handleStreamingMessage(entry);
         } catch (err) {
             console.error('[Application] handleStreamingChunk sync error:', err);
         }
@@ -3244,7 +4460,12 @@ export class Application {
                 text: activity.text,
                 attachments: activity.attachments,
                 suggestedActions: activity.suggestedActions,
-                timestamp: activity.timestamp
+                entities: activity.entities,
+                timestamp: activity.timestamp,
+                // Bot-side activity id — lets a resumed conversation skip replayed duplicates
+                activityId: activity.meta?.finalId || activity.id || null,
+                // A cut-off answer stays marked when the session is reopened
+                ...(activity.meta?.interrupted ? { interrupted: true } : {})
             });
 
             // Dispatch completeMessage event for AI Companion KPI analysis and speech queue
@@ -3358,7 +4579,9 @@ export class Application {
             text: activity.text,
             attachments: activity.attachments,
             suggestedActions: activity.suggestedActions,
+            entities: activity.entities,
             timestamp: activity.timestamp,
+            activityId: activity.id || null,
             streamingMetadata: activity.streamingMetadata // Include for analytics
         });
 
@@ -3436,7 +4659,9 @@ export class Application {
             text: activity.text,
             attachments: activity.attachments,
             suggestedActions: activity.suggestedActions,
+            entities: activity.entities,
             timestamp: activity.timestamp,
+            activityId: activity.id || null,
             inputHint: activity.inputHint,
             replyToId: activity.replyToId
         });
@@ -3545,7 +4770,9 @@ export class Application {
                 text: activity.text,
                 attachments: activity.attachments,
                 suggestedActions: activity.suggestedActions,
+                entities: activity.entities,
                 timestamp: activity.timestamp,
+                activityId: activity.id || null,
                 inputHint: activity.inputHint,
                 replyToId: activity.replyToId
             });
@@ -3731,153 +4958,1102 @@ export class Application {
     }
 
     /**
-     * Handle connection errors (enhanced with legacy's specific error handling)
-     * @param {Error} error - Connection error
+     * Handle connection errors (enhanced with legacy's specific error handling)
+     * @param {Error} error - Connection error
+     * @private
+     */
+    handleConnectionError(error) {
+        console.error('Connection error:', error);
+        this.state.isConnected = false;
+
+        // Emit DirectLine failed event
+        document.dispatchEvent(new CustomEvent('directline:failed', {
+            detail: { error: error.message }
+        }));
+
+        // Clear connection status using unified notification system
+        if (window.unifiedNotificationManager) {
+            window.unifiedNotificationManager.hide('connection-status');
+        } else {
+            this.hideInitializationIndicator();
+        }
+        this.hideProgressIndicator();
+
+        // Update status
+        if (this.elements.agentStatus) {
+            this.elements.agentStatus.className = 'status-indicator error';
+            const currentAgent = this.agentManager?.getCurrentAgent();
+            const agentName = currentAgent?.name || 'Unknown Agent';
+            this.elements.agentStatus.setAttribute('data-tooltip', `Agent: ${agentName} - Error`);
+        }
+
+        // Show specific error message based on error type (like legacy)
+        let userMessage = 'Failed to initialize bot connection. Please check your settings.';
+
+        if (error.message) {
+            if (error.message.includes('Invalid secret')) {
+                userMessage = 'Invalid DirectLine secret. Please check your bot configuration.';
+            } else if (error.message.includes('network') || error.message.includes('internet')) {
+                userMessage = 'Network error. Please check your internet connection.';
+            } else if (error.message.includes('DirectLine library')) {
+                userMessage = 'DirectLine library failed to load. Please check your internet connection and refresh the page.';
+            } else if (error.message.includes('token') || error.message.includes('expired')) {
+                userMessage = 'Authentication token has expired. Please check your DirectLine secret.';
+            } else if (error.message.includes('Failed to connect')) {
+                userMessage = 'Failed to connect to the bot service. Please check your DirectLine secret and internet connection.';
+            } else if (error.message.includes('ended')) {
+                userMessage = 'Connection to the bot has ended unexpectedly. Please try refreshing the page.';
+            } else {
+                // Use the actual error message if it's descriptive
+                userMessage = error.message;
+            }
+        }
+
+        this.showErrorMessage(userMessage);
+
+        // Update agent manager display
+        agentManager.updateCurrentAgentDisplay();
+    }
+
+    /**
+     * Handle connection error UI updates
+     * @param {Object} detail - Error detail
+     * @private
+     */
+    handleConnectionErrorUI(detail) {
+        this.showErrorMessage(detail.message);
+    }
+
+    /**
+     * Handle agent changed
+     * @param {Object} detail - Agent change detail
+     * @private
+     */
+    handleAgentChanged(detail) {
+        console.log('Agent changed:', detail);
+        this.state.currentAgent = detail.agent;
+        this.state.currentVariantId = null;
+        // Only the legacy DirectLine path connects here. Embedded agents render
+        // an iframe (no connection), and every other connector is connected via
+        // _doAgentConnect. Calling directLineService.connect() for e.g. a D2E
+        // agent has no secret and throws "DirectLine secret is required".
+        if (connectorRegistry.getConnector(detail.agent) !== directLineService) return;
+        this.connectToAgent(connectorRegistry.resolve(detail.agent).getConnectArgs(detail.agent));
+    }
+
+    /**
+     * Handle session loaded
+     * @param {Object} detail - Session detail
+     * @private
+     */
+    handleSessionLoaded(detail) {
+        console.log('Session loaded:', detail.sessionId);
+        this.state.currentSession = detail.sessionId;
+
+        // Clear current display
+        messageRenderer.clearMessages();
+        // Ensure MessageRenderer targets the correct window after clearing
+        messageRenderer.setTargetWindow('chatWindow');
+
+        this._renderStoredMessages(detail.messages);
+
+        this.resumeSessionConversation(detail.sessionId, detail.messages);
+
+        // Close mobile sidebar when session is loaded
+        if (this.mobileUtils && this.mobileUtils.isMobileLayout() && this.mobileUtils.isSidebarOpen()) {
+            this.mobileUtils.forceCloseSidebar();
+        }
+    }
+
+    /**
+     * Render stored session messages into the chat window
+     * @param {Array} messages - Stored session messages
+     * @private
+     */
+    _renderStoredMessages(messages) {
+        messages.forEach(message => {
+            const activity = {
+                // Stored message id, so history search can scroll to the message
+                id: message.id,
+                from: { id: message.from },
+                text: message.text,
+                attachments: message.attachments,
+                suggestedActions: message.suggestedActions,
+                entities: message.entities,
+                timestamp: message.timestamp,
+                starred: message.starred,
+                note: message.note,
+                feedback: message.feedback,
+                interrupted: message.interrupted,
+                // Cards from the transcript do not refresh themselves
+                restored: true
+            };
+
+            messageRenderer.renderCompleteMessage(activity);
+        });
+    }
+
+    /**
+     * The bot conversation of the session that was open before the page
+     * reloaded, when it was started with this agent and connection target.
+     * Offered once: the next agent connection either resumes it or starts fresh.
+     * @param {Object} agent - Agent being connected
+     * @param {string|null} variantId - Connection target picked in the splash
+     * @param {Object} connector - The agent's connector
+     * @returns {{sessionId: string, messages: Array, resume: Object}|null}
+     * @private
+     */
+    _takeRestoredConversation(agent, variantId, connector) {
+        const sessionId = this._restoredSessionId;
+        this._restoredSessionId = null;
+        // Another session was opened or a new chat started since the reload
+        if (!sessionId || sessionId !== sessionManager.currentSession) return null;
+        if (typeof connector.getConversationState !== 'function') return null;
+
+        const stored = sessionManager.getConversationState(sessionId);
+        if (!stored || !stored.conversationId || stored.agentId !== agent.id) return null;
+        if ((stored.variantId || null) !== variantId) return null;
+        const messages = sessionManager.getSessionMessages(sessionId);
+        if (!messages.length) return null;
+
+        return {
+            sessionId,
+            messages,
+            resume: {
+                conversationId: stored.conversationId,
+                token: stored.token,
+                watermark: stored.watermark,
+                knownActivityIds: messages.map(m => m.activityId).filter(Boolean)
+            }
+        };
+    }
+
+    /**
+     * Rejoin the bot conversation a stored session was bound to, so new
+     * messages continue the real bot conversation instead of a fresh one.
+     * DirectLine replays activities the bot sent while the session was closed
+     * from the stored watermark (ones already in the transcript are
+     * deduplicated); Direct-to-Engine reattaches to the conversationId.
+     * @param {string} sessionId - Session ID
+     * @param {Array} messages - Stored session messages
+     * @private
+     */
+    async resumeSessionConversation(sessionId, messages = []) {
+        const agent = agentManager.getCurrentAgent();
+        if (!agent) return;
+        const connector = connectorRegistry.getConnector(agent);
+        if (!connector || typeof connector.getConversationState !== 'function') return;
+
+        const stored = sessionManager.getConversationState(sessionId);
+        if (!stored || !stored.conversationId) return;
+        if (stored.agentId && stored.agentId !== agent.id) return;
+
+        // The conversation lives on the target it was started against
+        const variantId = stored.variantId || null;
+        if (variantId && !agentManager.getVariant(agent.id, variantId)) return;
+        const auth = connectorRegistry.resolve(agent).getConnectArgs(this._resolveAgentVariant(agent, variantId));
+        if (!auth) return;
+
+        const live = connector.getConversationState();
+        if (live && live.conversationId === stored.conversationId) return;
+
+        const connected = await connector.connect(auth, {
+            conversationId: stored.conversationId,
+            token: stored.token,
+            watermark: stored.watermark,
+            knownActivityIds: messages.map(m => m.activityId).filter(Boolean)
+        });
+
+        if (connected) {
+            this.state.isConnected = true;
+            this.state.currentVariantId = variantId;
+            this.state.currentInitContext = stored.initContext || null;
+            this.updateAgentStatus('connected', agent.name);
+        }
+    }
+
+    /**
+     * Handle session changed
+     * @param {Object} detail - Session change detail
+     * @private
+     */
+    handleSessionChanged(detail) {
+        console.log('Session changed:', detail.sessionId);
+        this.state.currentSession = detail.sessionId;
+    }
+
+    /**
+     * Handle suggested action clicked
+     * @param {Object} detail - Action detail
+     * @private
+     */
+    handleSuggestedAction(detail) {
+        const action = detail.action;
+
+        if (action.type === 'imBack' || action.type === 'postBack') {
+            // Send the action value as a message
+            const messageText = action.value || action.title;
+            if (messageText) {
+                this.elements.userInput.value = messageText;
+                this.sendMessage();
+            }
+        } else if (action.type === 'openUrl') {
+            // Open URL in right panel or new tab
+            if (action.value) {
+                this.openCitationPreview(action.value);
+            }
+        }
+    }
+
+    // ── History search ───────────────────────────────────────────
+
+    /**
+     * Show the history search panel: full-text search over every session of
+     * every agent, filtered by agent, sender and date range. Choosing a result
+     * opens its session and scrolls to the message.
+     */
+    showHistorySearchOverlay() {
+        let overlay = document.getElementById('historySearchOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'historySearchOverlay';
+            overlay.className = 'init-params-overlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.innerHTML = '<div class="init-params-card history-search-card"></div>';
+            document.body.appendChild(overlay);
+        }
+
+        const filters = this._historySearch;
+        const agents = agentManager.getAllAgents();
+        const agentOptions = this._getOrderedAgentIds(Object.keys(agents))
+            .map(id => `<option value="${Utils.escapeHtml(id)}">${Utils.escapeHtml(agents[id].name)}</option>`)
+            .join('');
+
+        const card = overlay.querySelector('.init-params-card');
+        card.innerHTML = `
+            <h3>${i18n.t('historySearch.title')}</h3>
+            <input type="search" class="history-search-query" placeholder="${Utils.escapeHtml(i18n.t('historySearch.placeholder'))}" aria-label="${Utils.escapeHtml(i18n.t('historySearch.title'))}" />
+            <div class="history-search-filters">
+                <select class="form-select history-search-agent" aria-label="${Utils.escapeHtml(i18n.t('historySearch.agent'))}">
+                    <option value="">${i18n.t('historySearch.allAgents')}</option>
+                    ${agentOptions}
+                </select>
+                <select class="form-select history-search-from" aria-label="${Utils.escapeHtml(i18n.t('historySearch.sender'))}">
+                    <option value="">${i18n.t('historySearch.anySender')}</option>
+                    <option value="user">${i18n.t('historySearch.fromUser')}</option>
+                    <option value="bot">${i18n.t('historySearch.fromAgent')}</option>
+                </select>
+                <label>${i18n.t('historySearch.dateFrom')} <input type="date" class="history-search-date-from" /></label>
+                <label>${i18n.t('historySearch.dateTo')} <input type="date" class="history-search-date-to" /></label>
+            </div>
+            <p class="history-search-count" aria-live="polite"></p>
+            <div class="history-search-results" role="list"></div>
+            <div class="init-params-actions">
+                <button type="button" class="btn btn-secondary history-search-close">${i18n.t('historySearch.close')}</button>
+            </div>
+        `;
+
+        const queryInput = card.querySelector('.history-search-query');
+        const agentSelect = card.querySelector('.history-search-agent');
+        const fromSelect = card.querySelector('.history-search-from');
+        const dateFromInput = card.querySelector('.history-search-date-from');
+        const dateToInput = card.querySelector('.history-search-date-to');
+        queryInput.value = filters.query;
+        agentSelect.value = agents[filters.agentId] ? filters.agentId : '';
+        fromSelect.value = filters.from;
+        dateFromInput.value = filters.dateFrom;
+        dateToInput.value = filters.dateTo;
+
+        const close = () => { overlay.style.display = 'none'; };
+        let debounce = null;
+        const update = () => {
+            Object.assign(filters, {
+                query: queryInput.value,
+                agentId: agentSelect.value,
+                from: fromSelect.value,
+                dateFrom: dateFromInput.value,
+                dateTo: dateToInput.value
+            });
+            this._renderHistorySearchResults(card, close);
+        };
+
+        queryInput.addEventListener('input', () => {
+            clearTimeout(debounce);
+            debounce = setTimeout(update, 200);
+        });
+        [agentSelect, fromSelect, dateFromInput, dateToInput].forEach(el => el.addEventListener('change', update));
+        card.querySelector('.history-search-close').addEventListener('click', close);
+        overlay.onkeydown = (e) => { if (e.key === 'Escape') close(); };
+
+        overlay.style.display = 'flex';
+        update();
+        queryInput.focus();
+        queryInput.select();
+    }
+
+    /**
+     * Run the current history search and list the results in the panel
+     * @param {HTMLElement} card - Panel card
+     * @param {Function} close - Closes the panel
+     * @private
+     */
+    _renderHistorySearchResults(card, close) {
+        const { query, ...filters } = this._historySearch;
+        const list = card.querySelector('.history-search-results');
+        const countEl = card.querySelector('.history-search-count');
+        list.innerHTML = '';
+
+        const { results, total, terms } = historySearchService.search(query, filters);
+        if (!terms.length) {
+            countEl.textContent = i18n.t('historySearch.hint');
+            return;
+        }
+        countEl.textContent = total > results.length
+            ? i18n.t('historySearch.countCapped', { count: total, shown: results.length })
+            : i18n.t('historySearch.count', { count: total });
+
+        const agents = agentManager.getAllAgents();
+        results.forEach(result => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'history-search-result';
+            item.setAttribute('role', 'listitem');
+            const agentName = agents[result.agentId]?.name || i18n.t('historySearch.unknownAgent');
+            const sender = result.from === 'user' ? i18n.t('historySearch.fromUser')
+                : result.from === 'note' ? i18n.t('annotations.sessionNote') : agentName;
+            const date = new Date(result.timestamp);
+            item.innerHTML = `
+                <div class="history-search-result-meta">
+                    <span class="history-search-result-agent">${Utils.escapeHtml(agentName)}</span>
+                    <span>${isNaN(date.getTime()) ? '' : Utils.escapeHtml(date.toLocaleString())}</span>
+                </div>
+                <div class="history-search-result-title">${Utils.escapeHtml(result.sessionTitle || i18n.t('historySearch.untitled'))}</div>
+                <div class="history-search-result-snippet"><span class="history-search-result-sender">${Utils.escapeHtml(sender)}:</span> ${result.snippetHtml}</div>
+            `;
+            item.addEventListener('click', () => {
+                close();
+                this.openHistoryMessage(result.sessionId, result.messageId);
+            });
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Open a stored session and scroll to one of its messages.
+     * Sessions of other agents open as a read-only transcript (they are not
+     * resumed, see resumeSessionConversation).
+     * @param {string} sessionId
+     * @param {string} messageId - Stored message id
+     */
+    async openHistoryMessage(sessionId, messageId) {
+        const selector = `#chatWindow [data-message-id="${CSS.escape(messageId)}"]`;
+        if (sessionId !== sessionManager.currentSession) {
+            sessionManager.loadSession(sessionId);
+        } else if (!document.querySelector(selector)) {
+            // Messages rendered live carry the bot's activity id; re-render from history
+            this.handleSessionLoaded({ sessionId, messages: sessionManager.getSessionMessages(sessionId) });
+        }
+
+        // Messages render through the renderer's queue, so wait for the element
+        const deadline = Date.now() + 5000;
+        let element = document.querySelector(selector);
+        while (!element && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            element = document.querySelector(selector);
+        }
+        if (!element) {
+            console.warn(`[Application] History search: message ${messageId} was not rendered`);
+            return;
+        }
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('history-search-hit');
+        setTimeout(() => element.classList.remove('history-search-hit'), 2500);
+    }
+
+    // ── Session branching ────────────────────────────────────────
+
+    /**
+     * Show the editor for an earlier user message of the open session.
+     * Confirming forks the session (see forkSession).
+     * @param {string} messageId - Stored message id
+     */
+    showMessageEditOverlay(messageId) {
+        const sessionId = sessionManager.currentSession;
+        const messages = sessionManager.getSessionMessages(sessionId);
+        const index = messages.findIndex(m => m.id === messageId);
+        const message = messages[index];
+        if (!message || message.from !== 'user') {
+            this.showErrorMessage(i18n.t('sessionBranch.notFound'));
+            return;
+        }
+        const replayCount = this._getBranchReplayTexts(messages, index).length;
+
+        let overlay = document.getElementById('messageEditOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'messageEditOverlay';
+            overlay.className = 'init-params-overlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.innerHTML = '<div class="init-params-card message-edit-card"></div>';
+            document.body.appendChild(overlay);
+        }
+
+        const card = overlay.querySelector('.init-params-card');
+        card.innerHTML = `
+            <h3>${i18n.t('sessionBranch.title')}</h3>
+            <textarea class="message-edit-text" rows="5" aria-label="${Utils.escapeHtml(i18n.t('sessionBranch.title'))}"></textarea>
+            <small class="help-text">${replayCount
+                ? i18n.t('sessionBranch.help', { count: replayCount })
+                : i18n.t('sessionBranch.helpFirst')}</small>
+            <div class="init-params-actions">
+                <button type="button" class="btn btn-secondary message-edit-cancel">${i18n.t('sessionBranch.cancel')}</button>
+                <button type="button" class="btn btn-primary message-edit-confirm">${i18n.t('sessionBranch.fork')}</button>
+            </div>
+        `;
+
+        const textarea = card.querySelector('.message-edit-text');
+        const confirmBtn = card.querySelector('.message-edit-confirm');
+        textarea.value = message.text || '';
+        const updateConfirm = () => { confirmBtn.disabled = !textarea.value.trim(); };
+        textarea.addEventListener('input', updateConfirm);
+        updateConfirm();
+
+        const close = () => { overlay.style.display = 'none'; };
+        card.querySelector('.message-edit-cancel').addEventListener('click', close);
+        confirmBtn.addEventListener('click', () => {
+            close();
+            this.forkSession(sessionId, messageId, textarea.value.trim());
+        });
+        overlay.onkeydown = (e) => {
+            if (e.key === 'Escape') close();
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && !confirmBtn.disabled) confirmBtn.click();
+        };
+
+        overlay.style.display = 'flex';
+        textarea.focus();
+        textarea.select();
+    }
+
+    /**
+     * Fork a session at one of its user messages: start a new session and a
+     * fresh bot conversation (same agent, connection variant and init params),
+     * replay the user messages before the edited one, waiting for the agent's
+     * reply to each, then send the edited text. The original session is kept;
+     * the sidebar lists the fork under it.
+     * @param {string} sessionId - Session to fork
+     * @param {string} messageId - User message being replaced
+     * @param {string} text - Edited message text
+     * @returns {Promise<string|null>} New session ID, null if the fork did not start
+     */
+    async forkSession(sessionId, messageId, text) {
+        if (this._branchReplay) {
+            this.showErrorMessage(i18n.t('sessionBranch.busy'));
+            return null;
+        }
+
+        const agent = agentManager.getCurrentAgent();
+        const messages = sessionManager.getSessionMessages(sessionId);
+        const index = messages.findIndex(m => m.id === messageId);
+        const sessionAgentId = messages.find(m => m.agentId)?.agentId;
+        const connector = agent ? connectorRegistry.getConnector(agent) : null;
+        if (index < 0) {
+            this.showErrorMessage(i18n.t('sessionBranch.notFound'));
+            return null;
+        }
+        if (!connector || (sessionAgentId && sessionAgentId !== agent.id)) {
+            this.showErrorMessage(i18n.t('sessionBranch.otherAgent'));
+            return null;
+        }
+
+        const replay = this._getBranchReplayTexts(messages, index);
+        const parentState = sessionManager.getConversationState(sessionId);
+        const variantId = parentState?.variantId && agentManager.getVariant(agent.id, parentState.variantId)
+            ? parentState.variantId
+            : (parentState ? null : this.state.currentVariantId);
+        const initContext = parentState ? (parentState.initContext || null) : this.state.currentInitContext;
+        const descriptor = connectorRegistry.resolve(agent);
+
+        const replayState = { cancelled: false };
+        this._branchReplay = replayState;
+        const statusId = 'branchReplay';
+        this.elements.userInput.disabled = true;
+        // sendMessage would attach staged files to the replayed messages
+        this.removeAllSelectedFiles();
+
+        // Set until the branch's agent is connected; a fork that fails before
+        // that is discarded and the parent session shown again
+        let pendingBranchId = null;
+        try {
+            this._disconnectConnectors();
+            this.state.isConnected = false;
+            messageRenderer.clearMessages();
+            messageRenderer.setTargetWindow('chatWindow');
+
+            const branchId = sessionManager.createBranch(sessionId, messageId);
+            pendingBranchId = branchId;
+            this.state.currentSession = branchId;
+            statusIndicator.show(statusId, this.elements.chatWindow, i18n.t('sessionBranch.connecting'));
+
+            if (initContext) connector.setInitContext(initContext);
+            activityTraceRecorder.start(agent);
+            const connected = await connector.connect(descriptor.getConnectArgs(this._resolveAgentVariant(agent, variantId)));
+            if (!connected) {
+                this.showErrorMessage(i18n.t('sessionBranch.connectFailed'));
+                return null;
+            }
+            pendingBranchId = null;
+            this.state.isConnected = true;
+            this.state.currentAgent = agent;
+            this.state.currentVariantId = variantId;
+            this.state.currentInitContext = initContext;
+            this.updateAgentStatus('connected', agent.name);
+
+            // Let the greeting arrive first, as in the original conversation
+            if (descriptor.greets) {
+                await this._waitForAgentReply(branchId, 0, replayState, BRANCH_GREETING_TIMEOUT_MS);
+            }
+
+            for (let i = 0; i < replay.length; i++) {
+                if (replayState.cancelled) return branchId;
+                statusIndicator.update(statusId, i18n.t('sessionBranch.replaying', { current: i + 1, total: replay.length }));
+                const before = this._countAgentMessages(branchId);
+                await this._sendBranchText(replay[i]);
+                const replied = await this._waitForAgentReply(branchId, before, replayState, BRANCH_REPLY_TIMEOUT_MS);
+                if (!replied && !replayState.cancelled) {
+                    console.warn(`[Application] Branch replay: no reply to message ${i + 1} of ${replay.length}, continuing`);
+                }
+            }
+
+            if (replayState.cancelled) return branchId;
+            await this._sendBranchText(text);
+            console.log(`[Application] Forked session ${sessionId} into ${branchId} (${replay.length} messages replayed)`);
+            return branchId;
+        } catch (error) {
+            console.error('[Application] Session fork failed:', error);
+            this.showErrorMessage(i18n.t('sessionBranch.failed', { error: error.message }));
+            return null;
+        } finally {
+            statusIndicator.hide(statusId);
+            this.elements.userInput.disabled = false;
+            if (this._branchReplay === replayState) this._branchReplay = null;
+            if (pendingBranchId) {
+                sessionManager.discardBranch(pendingBranchId);
+                sessionManager.loadSession(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Texts of the user messages before a message, in order (what a fork replays).
+     * Attachments are not re-sent: the history keeps an entry per attached
+     * file, but not the file contents.
+     * @param {Array} messages - Session messages
+     * @param {number} index - Index of the edited message
+     * @returns {string[]}
+     * @private
+     */
+    _getBranchReplayTexts(messages, index) {
+        return messages.slice(0, index)
+            .filter(m => m.from === 'user' && m.text && m.text.trim())
+            .map(m => m.text);
+    }
+
+    /**
+     * Send a text through the normal send path (stored, rendered, timed)
+     * @param {string} text - Message text
+     * @private
+     */
+    async _sendBranchText(text) {
+        this.elements.userInput.value = text;
+        await this.sendMessage();
+    }
+
+    /**
+     * @param {string} sessionId - Session ID
+     * @returns {number} Number of stored agent messages in the session
+     * @private
+     */
+    _countAgentMessages(sessionId) {
+        return sessionManager.getSessionMessages(sessionId).filter(m => m.from !== 'user').length;
+    }
+
+    /**
+     * Wait until the agent has answered: at least one new agent message, then
+     * no further message for BRANCH_REPLY_QUIET_MS (agents often send several).
+     * Stops early when the user leaves the session.
+     * @param {string} sessionId - Session ID
+     * @param {number} before - Agent message count before the request
+     * @param {Object} replayState - { cancelled } of the running replay
+     * @param {number} timeoutMs - Give up after this long
+     * @returns {Promise<boolean>} whether a reply arrived
+     * @private
+     */
+    async _waitForAgentReply(sessionId, before, replayState, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        let count = before;
+        let lastChange = Date.now();
+        while (Date.now() < deadline) {
+            if (sessionManager.currentSession !== sessionId) {
+                replayState.cancelled = true;
+                return false;
+            }
+            const current = this._countAgentMessages(sessionId);
+            if (current !== count) {
+                count = current;
+                lastChange = Date.now();
+            } else if (count > before && Date.now() - lastChange >= BRANCH_REPLY_QUIET_MS) {
+                return true;
+            }
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        return count > before;
+    }
+
+    // ── Annotations ──────────────────────────────────────────────
+
+    /**
+     * Show the pin / star / note editor of a session
+     * @param {string} sessionId - Session ID
+     */
+    showSessionAnnotationOverlay(sessionId) {
+        this._showAnnotationOverlay({
+            title: i18n.t('annotations.sessionTitle'),
+            annotation: sessionManager.getSessionAnnotation(sessionId),
+            canPin: true,
+            onSave: (changes) => sessionManager.setSessionAnnotation(sessionId, changes)
+        });
+    }
+
+    /**
+     * Show the star / note editor of an agent message of the open session
+     * @param {string} messageId - Stored message id or bot activity id
+     */
+    showMessageAnnotationOverlay(messageId) {
+        const message = sessionManager.findMessage(messageId);
+        if (!message) {
+            this.showErrorMessage(i18n.t('annotations.notFound'));
+            return;
+        }
+        this._showAnnotationOverlay({
+            title: i18n.t('annotations.messageTitle'),
+            annotation: { starred: !!message.starred, note: message.note || '' },
+            canPin: false,
+            onSave: (changes) => {
+                const updated = sessionManager.annotateMessage(messageId, changes);
+                const container = document.querySelector(`#chatWindow [data-annotation-id="${CSS.escape(messageId)}"]`);
+                if (updated && container) {
+                    messageRenderer.setMessageAnnotation(container, { starred: !!updated.starred, note: updated.note || '' });
+                }
+            }
+        });
+    }
+
+    /**
+     * Annotation editor shared by sessions and messages
+     * @param {Object} options
+     * @param {string} options.title - Dialog title
+     * @param {Object} options.annotation - Current { pinned?, starred, note }
+     * @param {boolean} options.canPin - Offer the pin checkbox
+     * @param {Function} options.onSave - Receives { pinned?, starred, note }
      * @private
      */
-    handleConnectionError(error) {
-        console.error('Connection error:', error);
-        this.state.isConnected = false;
+    _showAnnotationOverlay({ title, annotation, canPin, onSave }) {
+        let overlay = document.getElementById('annotationOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'annotationOverlay';
+            overlay.className = 'init-params-overlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.innerHTML = '<div class="init-params-card annotation-card"></div>';
+            document.body.appendChild(overlay);
+        }
 
-        // Emit DirectLine failed event
-        document.dispatchEvent(new CustomEvent('directline:failed', {
-            detail: { error: error.message }
-        }));
+        const card = overlay.querySelector('.init-params-card');
+        card.innerHTML = `
+            <h3>${Utils.escapeHtml(title)}</h3>
+            <div class="annotation-flags">
+                ${canPin ? `<label><input type="checkbox" class="annotation-pinned" ${annotation.pinned ? 'checked' : ''} /> ${i18n.t('annotations.pinned')}</label>` : ''}
+                <label><input type="checkbox" class="annotation-starred" ${annotation.starred ? 'checked' : ''} /> ${i18n.t('annotations.starred')}</label>
+            </div>
+            <textarea class="annotation-note" rows="4" placeholder="${Utils.escapeHtml(i18n.t('annotations.notePlaceholder'))}" aria-label="${Utils.escapeHtml(i18n.t('annotations.note'))}"></textarea>
+            <small class="help-text">${i18n.t('annotations.help')}</small>
+            <div class="init-params-actions">
+                <button type="button" class="btn btn-secondary annotation-cancel">${i18n.t('annotations.cancel')}</button>
+                <button type="button" class="btn btn-primary annotation-save">${i18n.t('annotations.save')}</button>
+            </div>
+        `;
 
-        // Clear connection status using unified notification system
-        if (window.unifiedNotificationManager) {
-            window.unifiedNotificationManager.hide('connection-status');
-        } else {
-            this.hideInitializationIndicator();
-        }
-        this.hideProgressIndicator();
+        const noteInput = card.querySelector('.annotation-note');
+        noteInput.value = annotation.note || '';
 
-        // Update status
-        if (this.elements.agentStatus) {
-            this.elements.agentStatus.className = 'status-indicator error';
-            const currentAgent = this.agentManager?.getCurrentAgent();
-            const agentName = currentAgent?.name || 'Unknown Agent';
-            this.elements.agentStatus.setAttribute('data-tooltip', `Agent: ${agentName} - Error`);
+        const close = () => { overlay.style.display = 'none'; };
+        const save = () => {
+            const changes = {
+                starred: card.querySelector('.annotation-starred').checked,
+                note: noteInput.value
+            };
+            if (canPin) changes.pinned = card.querySelector('.annotation-pinned').checked;
+            close();
+            onSave(changes);
+        };
+        card.querySelector('.annotation-cancel').addEventListener('click', close);
+        card.querySelector('.annotation-save').addEventListener('click', save);
+        overlay.onkeydown = (e) => {
+            if (e.key === 'Escape') close();
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) save();
+        };
+
+        overlay.style.display = 'flex';
+        noteInput.focus();
+    }
+
+    // ── Message actions ──────────────────────────────────────────
+
+    /**
+     * Start a reply that quotes an agent message: a one-line excerpt goes
+     * before whatever is already typed
+     * @param {string} text - Message text (Markdown)
+     */
+    quoteMessageInInput(text) {
+        const input = this.elements.userInput;
+        const excerpt = Utils.truncate(Utils.stripMarkdown(text), QUOTE_EXCERPT_LENGTH, '…');
+        if (!input || !excerpt) return;
+        input.value = i18n.t('messageActions.quote', { text: excerpt }) + input.value;
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+
+    /**
+     * Send again the user message an agent message answered
+     * @param {string} messageId - Stored message id or bot activity id
+     */
+    async retryMessage(messageId) {
+        if (this._branchReplay) {
+            this.showErrorMessage(i18n.t('sessionBranch.busy'));
+            return;
+        }
+        const messages = sessionManager.getSessionMessages(sessionManager.currentSession);
+        const index = messages.indexOf(sessionManager.findMessage(messageId));
+        const question = index > 0
+            ? messages.slice(0, index).reverse().find(m => m.from === 'user' && m.text && m.text.trim())
+            : null;
+        if (!question) {
+            this.showErrorMessage(i18n.t('messageActions.retryNotFound'));
+            return;
         }
+        this.elements.userInput.value = question.text;
+        await this.sendMessage();
+    }
 
-        // Show specific error message based on error type (like legacy)
-        let userMessage = 'Failed to initialize bot connection. Please check your settings.';
+    /**
+     * Show the thumbs up/down dialog of an agent message, with an optional
+     * comment. Feedback is stored with the message, and sent to agents that
+     * take it (see sendMessageFeedback).
+     * @param {string} messageId - Stored message id or bot activity id
+     * @param {'like'|'dislike'} reaction - The thumb that was clicked
+     */
+    showMessageFeedbackOverlay(messageId, reaction) {
+        const message = sessionManager.findMessage(messageId);
+        if (!message) {
+            this.showErrorMessage(i18n.t('annotations.notFound'));
+            return;
+        }
+        const current = message.feedback || null;
 
-        if (error.message) {
-            if (error.message.includes('Invalid secret')) {
-                userMessage = 'Invalid DirectLine secret. Please check your bot configuration.';
-            } else if (error.message.includes('network') || error.message.includes('internet')) {
-                userMessage = 'Network error. Please check your internet connection.';
-            } else if (error.message.includes('DirectLine library')) {
-                userMessage = 'DirectLine library failed to load. Please check your internet connection and refresh the page.';
-            } else if (error.message.includes('token') || error.message.includes('expired')) {
-                userMessage = 'Authentication token has expired. Please check your DirectLine secret.';
-            } else if (error.message.includes('Failed to connect')) {
-                userMessage = 'Failed to connect to the bot service. Please check your DirectLine secret and internet connection.';
-            } else if (error.message.includes('ended')) {
-                userMessage = 'Connection to the bot has ended unexpectedly. Please try refreshing the page.';
-            } else {
-                // Use the actual error message if it's descriptive
-                userMessage = error.message;
-            }
+        let overlay = document.getElementById('messageFeedbackOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'messageFeedbackOverlay';
+            overlay.className = 'init-params-overlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.innerHTML = '<div class="init-params-card message-feedback-card"></div>';
+            document.body.appendChild(overlay);
         }
 
-        this.showErrorMessage(userMessage);
+        const card = overlay.querySelector('.init-params-card');
+        card.innerHTML = `
+            <h3>${reaction === 'like' ? '&#128077; ' + i18n.t('messageFeedback.likeTitle') : '&#128078; ' + i18n.t('messageFeedback.dislikeTitle')}</h3>
+            <textarea class="message-feedback-comment" rows="4" placeholder="${Utils.escapeHtml(i18n.t(reaction === 'like' ? 'messageFeedback.likePlaceholder' : 'messageFeedback.dislikePlaceholder'))}" aria-label="${Utils.escapeHtml(i18n.t('messageFeedback.comment'))}"></textarea>
+            <small class="help-text">${i18n.t('messageFeedback.help')}</small>
+            <div class="init-params-actions">
+                ${current ? `<button type="button" class="btn btn-secondary message-feedback-remove">${i18n.t('messageFeedback.remove')}</button>` : ''}
+                <button type="button" class="btn btn-secondary message-feedback-cancel">${i18n.t('messageFeedback.cancel')}</button>
+                <button type="button" class="btn btn-primary message-feedback-send">${i18n.t('messageFeedback.send')}</button>
+            </div>
+        `;
 
-        // Update agent manager display
-        agentManager.updateCurrentAgentDisplay();
+        const commentInput = card.querySelector('.message-feedback-comment');
+        commentInput.value = current?.reaction === reaction ? current.comment || '' : '';
+
+        const close = () => { overlay.style.display = 'none'; };
+        const send = () => {
+            close();
+            this.sendMessageFeedback(messageId, { reaction, comment: commentInput.value.trim() });
+        };
+        card.querySelector('.message-feedback-cancel').addEventListener('click', close);
+        card.querySelector('.message-feedback-send').addEventListener('click', send);
+        card.querySelector('.message-feedback-remove')?.addEventListener('click', () => {
+            close();
+            sessionManager.setMessageFeedback(messageId, null);
+            this._updateRenderedFeedback(messageId, null);
+        });
+        overlay.onkeydown = (e) => {
+            if (e.key === 'Escape') close();
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) send();
+        };
+
+        overlay.style.display = 'flex';
+        commentInput.focus();
     }
 
     /**
-     * Handle connection error UI updates
-     * @param {Object} detail - Error detail
-     * @private
+     * Store feedback on an agent message, then send it to the agent as a
+     * Bot Framework `message/submitAction` feedback invoke when its connector
+     * type supports it (descriptor `supportsFeedback`) and it is connected.
+     * The stored feedback records whether the agent accepted it.
+     * @param {string} messageId - Stored message id or bot activity id
+     * @param {Object} feedback - { reaction: 'like'|'dislike', comment }
+     * @returns {Promise<Object|null>} The stored feedback, null if the message is not stored
      */
-    handleConnectionErrorUI(detail) {
-        this.showErrorMessage(detail.message);
+    async sendMessageFeedback(messageId, { reaction, comment = '' }) {
+        const feedback = { reaction, comment, submittedAt: new Date().toISOString() };
+        const message = sessionManager.setMessageFeedback(messageId, feedback);
+        if (!message) {
+            this.showErrorMessage(i18n.t('annotations.notFound'));
+            return null;
+        }
+        this._updateRenderedFeedback(messageId, feedback);
+
+        const agent = agentManager.getCurrentAgent();
+        const connector = this.getConnectorForAgent();
+        if (!this.state.isConnected || !connectorRegistry.resolve(agent)?.supportsFeedback
+            || typeof connector?.sendInvoke !== 'function') {
+            return feedback;
+        }
+        // Only the conversation the message came from knows its activity; feedback
+        // on a message of another (not resumed) session is stored locally only
+        const live = typeof connector.getConversationState === 'function' ? connector.getConversationState() : null;
+        const stored = sessionManager.getConversationState(message.session);
+        if (!live?.conversationId || live.conversationId !== stored?.conversationId) {
+            return feedback;
+        }
+
+        try {
+            const response = await connector.sendInvoke('message/submitAction', {
+                actionName: 'feedback',
+                actionValue: { reaction, feedback: JSON.stringify({ feedbackText: comment }) }
+            }, { replyToId: message.activityId || message.id });
+            const status = response?.body?.statusCode ?? response?.status ?? 200;
+            if (status >= 400) throw new Error(response?.body?.value?.message || `status ${status}`);
+            // Unless the feedback was changed or removed meanwhile
+            if (sessionManager.findMessage(messageId)?.feedback?.submittedAt === feedback.submittedAt) {
+                feedback.sentToAgent = true;
+                sessionManager.setMessageFeedback(messageId, feedback);
+            }
+        } catch (error) {
+            console.warn('[Application] Message feedback not sent to the agent:', error);
+            this.showErrorMessage(i18n.t('messageFeedback.sendFailed', { error: error.message || error }));
+        }
+        return feedback;
     }
 
     /**
-     * Handle agent changed
-     * @param {Object} detail - Agent change detail
+     * @param {string} messageId - Stored message id or bot activity id
+     * @param {Object|null} feedback
      * @private
      */
-    handleAgentChanged(detail) {
-        console.log('Agent changed:', detail);
-        this.state.currentAgent = detail.agent;
-        // Skip the legacy DirectLine connect for agent types that own their own
-        // transport: website agents render an iframe (no connection), and
-        // direct-to-engine agents are connected via _doAgentConnect using
-        // directEngineConnector. Calling directLineService.connect() here for a
-        // D2E agent has no secret and throws "DirectLine secret is required".
-        if (detail.agent.agentType === 'website') return;
-        if (detail.agent.agentType === 'directengine') return;
-        this.connectToAgent(detail.agent.secret);
+    _updateRenderedFeedback(messageId, feedback) {
+        // Agent messages with an action bar carry their stored id in data-annotation-id
+        const container = document.querySelector(`#chatWindow [data-annotation-id="${CSS.escape(messageId)}"]`);
+        if (container) messageRenderer.setMessageFeedback(container, feedback);
     }
 
+    // ── History storage ──────────────────────────────────────────
+
     /**
-     * Handle session loaded
-     * @param {Object} detail - Session detail
-     * @private
+     * Show how much storage the chat history uses, the largest sessions (each
+     * can be deleted) and the retention policy that prunes old or oversized
+     * history.
      */
-    handleSessionLoaded(detail) {
-        console.log('Session loaded:', detail.sessionId);
-        this.state.currentSession = detail.sessionId;
+    async showHistoryStorageOverlay() {
+        let overlay = document.getElementById('historyStorageOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'historyStorageOverlay';
+            overlay.className = 'init-params-overlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.innerHTML = '<div class="init-params-card history-storage-card"></div>';
+            document.body.appendChild(overlay);
+        }
 
-        // Clear current display
-        messageRenderer.clearMessages();
-        // Ensure MessageRenderer targets the correct window after clearing
-        messageRenderer.setTargetWindow('chatWindow');
+        const usage = await sessionManager.getStorageUsage();
+        const policy = sessionManager.getRetentionPolicy();
+        const agents = agentManager.getAllAgents();
+        const { estimate } = usage;
+        const usedPercent = estimate?.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : null;
+
+        const ageOptions = HISTORY_RETENTION_DAYS.map(days =>
+            `<option value="${days}" ${days === policy.maxAgeDays ? 'selected' : ''}>${days ? i18n.t('historyStorage.days', { count: days }) : i18n.t('historyStorage.keepForever')}</option>`).join('');
+        const sizeOptions = HISTORY_RETENTION_MB.map(mb =>
+            `<option value="${mb}" ${mb === policy.maxSizeMB ? 'selected' : ''}>${mb ? `${mb} MB` : i18n.t('historyStorage.noLimit')}</option>`).join('');
+
+        const sessionRows = usage.sessions.slice(0, 20).map(session => `
+            <div class="history-storage-session" role="listitem">
+                <div class="history-storage-session-info">
+                    <span class="history-storage-session-title">${Utils.escapeHtml(session.title || i18n.t('historyStorage.untitled'))}</span>
+                    <span class="history-storage-session-meta">${Utils.escapeHtml(agents[session.agentId]?.name || i18n.t('historyStorage.unknownAgent'))} · ${Utils.escapeHtml(new Date(session.lastActivity).toLocaleString())} · ${i18n.t('historyStorage.messages', { count: session.messageCount })}</span>
+                </div>
+                <span class="history-storage-session-size">${Utils.formatBytes(session.bytes, 1)}</span>
+                <button type="button" class="icon-button history-storage-delete" data-session-id="${Utils.escapeHtml(session.id)}" title="${Utils.escapeHtml(i18n.t('historyStorage.deleteSession'))}" aria-label="${Utils.escapeHtml(i18n.t('historyStorage.deleteSession'))}">&#215;</button>
+            </div>`).join('');
+
+        const card = overlay.querySelector('.init-params-card');
+        card.innerHTML = `
+            <h3>${i18n.t('historyStorage.title')}</h3>
+            <p class="history-storage-summary">${i18n.t('historyStorage.summary', { size: Utils.formatBytes(usage.totalBytes, 1), sessions: usage.sessions.length, messages: usage.messageCount })}</p>
+            <small class="help-text">${i18n.t(usage.backend === 'indexedDB' ? 'historyStorage.backendIndexedDB' : 'historyStorage.backendLocalStorage')}</small>
+            ${usedPercent !== null ? `
+                <div class="history-storage-meter" role="meter" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${usedPercent.toFixed(0)}"><span style="width: ${usedPercent.toFixed(1)}%"></span></div>
+                <small class="help-text">${i18n.t('historyStorage.siteUsage', { usage: Utils.formatBytes(estimate.usage, 1), quota: Utils.formatBytes(estimate.quota, 1) })}</small>` : ''}
+            <h4>${i18n.t('historyStorage.retention')}</h4>
+            <div class="history-storage-retention">
+                <label>${i18n.t('historyStorage.maxAge')} <select class="form-select history-storage-max-age">${ageOptions}</select></label>
+                <label>${i18n.t('historyStorage.maxSize')} <select class="form-select history-storage-max-size">${sizeOptions}</select></label>
+                <button type="button" class="btn btn-secondary history-storage-apply">${i18n.t('historyStorage.apply')}</button>
+            </div>
+            <small class="help-text">${i18n.t('historyStorage.retentionHelp')}</small>
+            <h4>${i18n.t('historyStorage.largest')}</h4>
+            <div class="history-storage-sessions" role="list">
+                ${sessionRows || `<p class="history-storage-empty">${i18n.t('historyStorage.empty')}</p>`}
+            </div>
+            <div class="init-params-actions">
+                <button type="button" class="btn btn-secondary history-storage-close">${i18n.t('historyStorage.close')}</button>
+            </div>
+        `;
 
-        // Render session messages
-        detail.messages.forEach(message => {
-            const activity = {
-                from: { id: message.from },
-                text: message.text,
-                attachments: message.attachments,
-                suggestedActions: message.suggestedActions,
-                timestamp: message.timestamp
+        const close = () => { overlay.style.display = 'none'; };
+        card.querySelector('.history-storage-close').addEventListener('click', close);
+        overlay.onkeydown = (e) => { if (e.key === 'Escape') close(); };
+
+        card.querySelector('.history-storage-apply').addEventListener('click', () => {
+            const newPolicy = {
+                maxAgeDays: Number(card.querySelector('.history-storage-max-age').value),
+                maxSizeMB: Number(card.querySelector('.history-storage-max-size').value)
             };
+            const count = sessionManager.getRetentionCandidates(newPolicy).length;
+            if (count && !confirm(i18n.t('historyStorage.applyConfirm', { count }))) return;
+            sessionManager.setRetentionPolicy(newPolicy);
+            this.showHistoryStorageOverlay();
+        });
 
-            messageRenderer.renderCompleteMessage(activity);
+        card.querySelectorAll('.history-storage-delete').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!confirm(i18n.t('historyStorage.deleteConfirm'))) return;
+                sessionManager.deleteSessions([button.dataset.sessionId]);
+                this.showHistoryStorageOverlay();
+            });
         });
 
-        // Close mobile sidebar when session is loaded
-        if (this.mobileUtils && this.mobileUtils.isMobileLayout() && this.mobileUtils.isSidebarOpen()) {
-            this.mobileUtils.forceCloseSidebar();
-        }
+        overlay.style.display = 'flex';
+        card.querySelector('.history-storage-close').focus();
     }
 
+    // ── Transcript export ────────────────────────────────────────
+
     /**
-     * Handle session changed
-     * @param {Object} detail - Session change detail
-     * @private
+     * Show the export dialog for a session: Markdown, self-contained HTML or
+     * the print view. KPI scores can only be included for the open session,
+     * since the AI Companion keeps them for the current conversation only.
+     * @param {string} sessionId - Session to export
      */
-    handleSessionChanged(detail) {
-        console.log('Session changed:', detail.sessionId);
-        this.state.currentSession = detail.sessionId;
+    showTranscriptExportOverlay(sessionId) {
+        if (!sessionManager.getSessionMessages(sessionId).length) {
+            this.showErrorMessage(i18n.t('transcriptExport.empty'));
+            return;
+        }
+
+        let overlay = document.getElementById('transcriptExportOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'transcriptExportOverlay';
+            overlay.className = 'init-params-overlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.innerHTML = '<div class="init-params-card transcript-export-card"></div>';
+            document.body.appendChild(overlay);
+        }
+
+        const kpi = aiCompanion.kpiData;
+        const hasKpi = sessionId === sessionManager.currentSession &&
+            !!kpi && ['accuracy', 'helpfulness', 'completeness'].some(key => kpi[key] > 0);
+        const format = localStorage.getItem('transcriptExportFormat') || 'html';
+
+        const card = overlay.querySelector('.init-params-card');
+        card.innerHTML = `
+            <h3>${i18n.t('transcriptExport.title')}</h3>
+            <div class="transcript-export-formats" role="radiogroup" aria-label="${Utils.escapeHtml(i18n.t('transcriptExport.format'))}">
+                ${['markdown', 'html', 'print'].map(value => `
+                    <label class="transcript-export-format">
+                        <input type="radio" name="transcriptExportFormat" value="${value}" ${value === format ? 'checked' : ''} />
+                        <span>
+                            <strong>${i18n.t(`transcriptExport.${value}`)}</strong>
+                            <small>${i18n.t(`transcriptExport.${value}Hint`)}</small>
+                        </span>
+                    </label>`).join('')}
+            </div>
+            <label class="transcript-export-kpi">
+                <input type="checkbox" class="transcript-export-include-kpi" ${hasKpi ? 'checked' : 'disabled'} />
+                ${i18n.t('transcriptExport.includeKpi')}
+            </label>
+            ${hasKpi ? '' : `<small class="help-text">${i18n.t('transcriptExport.kpiUnavailable')}</small>`}
+            <div class="init-params-actions">
+                <button type="button" class="btn btn-secondary transcript-export-cancel">${i18n.t('transcriptExport.cancel')}</button>
+                <button type="button" class="btn btn-primary transcript-export-confirm">${i18n.t('transcriptExport.export')}</button>
+            </div>
+        `;
+
+        const close = () => { overlay.style.display = 'none'; };
+        card.querySelector('.transcript-export-cancel').addEventListener('click', close);
+        card.querySelector('.transcript-export-confirm').addEventListener('click', () => {
+            const chosen = card.querySelector('input[name="transcriptExportFormat"]:checked')?.value || 'html';
+            const includeKpi = card.querySelector('.transcript-export-include-kpi').checked;
+            localStorage.setItem('transcriptExportFormat', chosen);
+            close();
+            this.exportTranscript(sessionId, chosen, { kpi: includeKpi ? kpi : null });
+        });
+        overlay.onkeydown = (e) => { if (e.key === 'Escape') close(); };
+
+        overlay.style.display = 'flex';
+        card.querySelector('input[name="transcriptExportFormat"]:checked')?.focus();
     }
 
     /**
-     * Handle suggested action clicked
-     * @param {Object} detail - Action detail
-     * @private
+     * Export a session transcript
+     * @param {string} sessionId - Session to export
+     * @param {'markdown'|'html'|'print'} format
+     * @param {Object} [options]
+     * @param {Object} [options.kpi] - AI Companion KPI data to include
      */
-    handleSuggestedAction(detail) {
-        const action = detail.action;
-
-        if (action.type === 'imBack' || action.type === 'postBack') {
-            // Send the action value as a message
-            const messageText = action.value || action.title;
-            if (messageText) {
-                this.elements.userInput.value = messageText;
-                this.sendMessage();
-            }
-        } else if (action.type === 'openUrl') {
-            // Open URL in right panel or new tab
-            if (action.value) {
-                this.openCitationPreview(action.value);
+    exportTranscript(sessionId, format, { kpi = null } = {}) {
+        try {
+            const transcript = transcriptExportService.buildTranscript(sessionId, { kpi });
+            if (format === 'print') {
+                if (!transcriptExportService.openPrintView(transcript)) {
+                    this.showErrorMessage(i18n.t('transcriptExport.popupBlocked'));
+                }
+            } else {
+                transcriptExportService.download(transcript, format);
             }
+            console.log(`[Application] Exported session ${sessionId} as ${format} (${transcript.messages.length} messages)`);
+        } catch (error) {
+            console.error('[Application] Transcript export failed:', error);
+            this.showErrorMessage(i18n.t('transcriptExport.failed', { error: error.message }));
         }
     }
 
@@ -4240,6 +6416,11 @@ export class Application {
             this.elements.autoOpenCitationsCheckbox.checked = localStorage.getItem('autoOpenCitations') === 'true';
         }
 
+        // Load inline Adaptive Cards setting (on unless turned off)
+        if (this.elements.inlineAdaptiveCardsCheckbox) {
+            this.elements.inlineAdaptiveCardsCheckbox.checked = localStorage.getItem('inlineAdaptiveCards') === 'true';
+        }
+
         // Load open attachments in side browser setting
         if (this.elements.openAttachmentsSideBrowserCheckbox) {
             this.elements.openAttachmentsSideBrowserCheckbox.checked = localStorage.getItem('openAttachmentsSideBrowser') === 'true';
@@ -4493,13 +6674,7 @@ export class Application {
         }
 
         // Build form fields — use displayName as label, name as the key
-        form.innerHTML = params.map(p => `
-            <div class="form-group">
-                <label for="initParam_${p.name}">${Utils.escapeHtml(p.displayName)}:</label>
-                <input type="text" id="initParam_${p.name}" name="${Utils.escapeHtml(p.name)}"
-                       placeholder="Enter ${Utils.escapeHtml(p.displayName)}" required />
-            </div>
-        `).join('');
+        this._renderInitParamsForm(form, agentId, 'initParam_');
 
         overlay.style.display = 'flex';
 
@@ -4510,25 +6685,10 @@ export class Application {
         cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
 
         newStartBtn.addEventListener('click', () => {
-            // Validate all fields filled
-            const inputs = form.querySelectorAll('input[required]');
-            let valid = true;
-            inputs.forEach(input => {
-                if (!input.value.trim()) {
-                    input.classList.add('input-error');
-                    valid = false;
-                } else {
-                    input.classList.remove('input-error');
-                }
-            });
+            // Validate required fields and collect typed values
+            const { values: context, valid } = this._readInitParamsForm(form, agentId);
             if (!valid) return;
 
-            // Collect values
-            const context = {};
-            inputs.forEach(input => {
-                context[input.name] = input.value.trim();
-            });
-
             // Store in sessionStorage so it survives the page reload
             sessionStorage.setItem('pendingInitContext', JSON.stringify(context));
             console.log('[Application] Init params submitted:', context);
@@ -4542,6 +6702,179 @@ export class Application {
         });
     }
 
+    /**
+     * Render an agent's init parameter form: preset chips (one click fills
+     * the form), one typed field per parameter, and "save as preset".
+     * @param {HTMLElement} container
+     * @param {string} agentId
+     * @param {string} idPrefix - Field id prefix, unique per form
+     */
+    _renderInitParamsForm(container, agentId, idPrefix) {
+        const params = agentManager.getInitParams(agentId);
+        container.innerHTML = `
+            <div class="init-param-presets"></div>
+            ${params.map(p => this._initParamFieldHtml(p, idPrefix)).join('')}
+            <div class="init-param-preset-save">
+                <button type="button" class="init-param-preset-save-toggle">${i18n.t('initParams.savePreset')}</button>
+                <div class="init-param-preset-save-row" hidden>
+                    <input type="text" class="init-param-preset-name" maxlength="60" placeholder="${Utils.escapeHtml(i18n.t('initParams.presetNamePlaceholder'))}" />
+                    <button type="button" class="btn btn-secondary btn-small init-param-preset-save-btn">${i18n.t('initParams.save')}</button>
+                </div>
+            </div>
+        `;
+        this._renderInitParamPresets(container, agentId);
+
+        const saveRow = container.querySelector('.init-param-preset-save-row');
+        const nameInput = container.querySelector('.init-param-preset-name');
+        container.querySelector('.init-param-preset-save-toggle').addEventListener('click', () => {
+            saveRow.hidden = !saveRow.hidden;
+            if (!saveRow.hidden) nameInput.focus();
+        });
+
+        const savePreset = async () => {
+            const name = nameInput.value.trim();
+            nameInput.classList.toggle('input-error', !name);
+            if (!name) return;
+            const { values } = this._readInitParamsForm(container, agentId, { validate: false });
+            await agentManager.saveInitParamPreset(agentId, name, values);
+            nameInput.value = '';
+            saveRow.hidden = true;
+            this._renderInitParamPresets(container, agentId, name);
+        };
+        container.querySelector('.init-param-preset-save-btn').addEventListener('click', savePreset);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                savePreset();
+            }
+        });
+    }
+
+    /**
+     * Markup of one typed init parameter field
+     * @private
+     */
+    _initParamFieldHtml(p, idPrefix) {
+        const id = Utils.escapeHtml(`${idPrefix}${p.name}`);
+        const name = Utils.escapeHtml(p.name);
+        const label = Utils.escapeHtml(p.displayName);
+        const attrs = `id="${id}" name="${name}" data-param-name="${name}"${p.required ? ' required' : ''}`;
+        const optional = p.required ? '' : ` <span class="init-param-optional">${i18n.t('initParams.optional')}</span>`;
+        const value = Utils.escapeHtml(p.default);
+
+        if (p.type === 'boolean') {
+            return `
+                <div class="form-group init-param-boolean">
+                    <label class="checkbox-label">
+                        <input type="checkbox" ${attrs}${p.default === 'true' ? ' checked' : ''} />
+                        <span>${label}</span>
+                    </label>
+                </div>`;
+        }
+
+        let control;
+        if (p.type === 'select') {
+            const placeholder = (!p.required || !p.default)
+                ? `<option value="">${i18n.t('initParams.selectPlaceholder')}</option>`
+                : '';
+            control = `<select ${attrs}>${placeholder}${p.options.map(o =>
+                `<option value="${Utils.escapeHtml(o)}"${o === p.default ? ' selected' : ''}>${Utils.escapeHtml(o)}</option>`).join('')}</select>`;
+        } else if (p.type === 'number') {
+            control = `<input type="number" step="any" ${attrs} value="${value}" />`;
+        } else if (p.type === 'date') {
+            control = `<input type="date" ${attrs} value="${value}" />`;
+        } else {
+            control = `<input type="text" ${attrs} value="${value}" placeholder="Enter ${label}" />`;
+        }
+        return `
+            <div class="form-group">
+                <label for="${id}">${label}:${optional}</label>
+                ${control}
+            </div>`;
+    }
+
+    /**
+     * Read typed values from an init parameter form. Numbers are sent as
+     * numbers and booleans as booleans; empty optional fields are left out.
+     * @param {HTMLElement} container
+     * @param {string} agentId
+     * @param {Object} [options]
+     * @param {boolean} [options.validate=true] - Mark missing required fields
+     * @returns {{ values: Object, valid: boolean }}
+     */
+    _readInitParamsForm(container, agentId, { validate = true } = {}) {
+        const values = {};
+        let valid = true;
+        agentManager.getInitParams(agentId).forEach(p => {
+            const input = container.querySelector(`[data-param-name="${CSS.escape(p.name)}"]`);
+            if (!input) return;
+
+            let value;
+            if (p.type === 'boolean') {
+                value = input.checked;
+            } else {
+                // A number input reports '' for anything that is not a number
+                const raw = input.value.trim();
+                if (raw !== '') value = p.type === 'number' ? Number(raw) : raw;
+            }
+
+            const missing = value === undefined && p.required;
+            if (validate) input.classList.toggle('input-error', missing);
+            if (missing) valid = false;
+            if (value !== undefined) values[p.name] = value;
+        });
+        return { values, valid };
+    }
+
+    /**
+     * Fill an init parameter form from preset values
+     * @private
+     */
+    _fillInitParamsForm(container, agentId, values) {
+        agentManager.getInitParams(agentId).forEach(p => {
+            const input = container.querySelector(`[data-param-name="${CSS.escape(p.name)}"]`);
+            if (!input || !(p.name in values)) return;
+            if (p.type === 'boolean') {
+                input.checked = values[p.name] === true || values[p.name] === 'true';
+            } else {
+                input.value = String(values[p.name] ?? '');
+            }
+            input.classList.remove('input-error');
+        });
+    }
+
+    /**
+     * Render the preset chips of an init parameter form
+     * @private
+     * @param {string} [activeName] - Preset to highlight
+     */
+    _renderInitParamPresets(container, agentId, activeName = null) {
+        const bar = container.querySelector('.init-param-presets');
+        if (!bar) return;
+        const presets = agentManager.getInitParamPresets(agentId);
+        bar.innerHTML = '';
+        bar.hidden = presets.length === 0;
+
+        presets.forEach(preset => {
+            const chip = document.createElement('span');
+            chip.className = 'init-param-preset';
+            chip.classList.toggle('active', preset.name === activeName);
+            chip.innerHTML = `
+                <button type="button" class="init-param-preset-apply">${Utils.escapeHtml(preset.name)}</button>
+                <button type="button" class="init-param-preset-delete" title="${Utils.escapeHtml(i18n.t('initParams.deletePreset'))}">×</button>
+            `;
+            chip.querySelector('.init-param-preset-apply').addEventListener('click', () => {
+                this._fillInitParamsForm(container, agentId, preset.values);
+                bar.querySelectorAll('.init-param-preset').forEach(el => el.classList.toggle('active', el === chip));
+            });
+            chip.querySelector('.init-param-preset-delete').addEventListener('click', async () => {
+                await agentManager.deleteInitParamPreset(agentId, preset.name);
+                this._renderInitParamPresets(container, agentId);
+            });
+            bar.appendChild(chip);
+        });
+    }
+
     /**
      * Show progress indicator (enhanced with legacy's typing indicator implementation)
      */
@@ -4719,13 +7052,14 @@ export class Application {
             }
         };
 
-        // Listen for agent response via directLineService
+        // Listen for agent response via the active connector
+        const responseConnector = this.getConnectorForAgent();
         const directLineResponseHandler = (entry) => {
             if (entry && entry.from && entry.from.id !== 'user') {
                 agentResponseReceived = true;
             }
         };
-        directLineService.on('message', directLineResponseHandler);
+        responseConnector.on('message', directLineResponseHandler);
 
         try {
             // IMPROVEMENT: Start thinking process immediately for faster LLM response
@@ -4788,7 +7122,7 @@ export class Application {
         } finally {
             // Clean up evaluation flag and event listeners
             this.isEvaluatingThinkingSimulation = false;
-            directLineService.off('message', directLineResponseHandler);
+            responseConnector.off('message', directLineResponseHandler);
             console.log('[Application] Thinking simulation cleanup completed');
         }
     }
@@ -6449,8 +8783,9 @@ export class Application {
     }
 
     /**
-     * Send message with file attachments via DirectLine REST upload endpoint.
-     * Uses the proven XHR direct-File approach that works with Copilot Studio.
+     * Send message with file attachments through the active connector.
+     * DirectLine uses the proven XHR direct-File upload endpoint that works with
+     * Copilot Studio; Direct-to-Engine inlines the files as base64 attachments.
      * @param {string} text - Message text
      * @param {File[]} files - Files to upload
      * @returns {Promise}
@@ -6743,10 +9078,23 @@ export class Application {
             'dark': 'linear-gradient(135deg, #2c3e50 0%, #34495e 100%)'
         };
 
+        // Accent of each theme (Adaptive Cards buttons and accent text), dark enough for white text
+        const themeAccents = {
+            'default': '#5a67d8',
+            'ocean': '#2E86AB',
+            'sunset': '#d35400',
+            'forest': '#1f6f5c',
+            'cosmic': '#434343',
+            'aurora': '#0088b3',
+            'minimal': '#605e5c',
+            'dark': '#2c3e50'
+        };
+
         const gradient = themeGradients[themeName] || themeGradients['default'];
 
-        // Update CSS custom property
+        // Update CSS custom properties
         document.documentElement.style.setProperty('--theme-background', gradient);
+        document.documentElement.style.setProperty('--theme-accent', themeAccents[themeName] || themeAccents['default']);
 
         console.log('Applied theme:', themeName, 'with gradient:', gradient);
     }
@@ -7063,9 +9411,21 @@ export class Application {
         if (this.elements.autoOpenCitationsCheckbox) {
             this.elements.autoOpenCitationsCheckbox.checked = localStorage.getItem('autoOpenCitations') === 'true';
         }
+        if (this.elements.inlineAdaptiveCardsCheckbox) {
+            this.elements.inlineAdaptiveCardsCheckbox.checked = localStorage.getItem('inlineAdaptiveCards') === 'true';
+        }
         if (this.elements.openAttachmentsSideBrowserCheckbox) {
             this.elements.openAttachmentsSideBrowserCheckbox.checked = localStorage.getItem('openAttachmentsSideBrowser') === 'true';
         }
+        if (this.elements.recordActivityTracesCheckbox) {
+            this.elements.recordActivityTracesCheckbox.checked = activityTraceRecorder.enabled;
+        }
+        if (this.elements.agentHealthMonitorCheckbox) {
+            this.elements.agentHealthMonitorCheckbox.checked = agentHealthMonitor.enabled;
+        }
+        if (this.elements.agentHealthIntervalSelect) {
+            this.elements.agentHealthIntervalSelect.value = String(agentHealthMonitor.intervalMinutes);
+        }
         if (this.elements.fullWidthMessagesCheckbox) {
             this.elements.fullWidthMessagesCheckbox.checked = fullWidthEnabled;
         }
@@ -7143,8 +9503,8 @@ export class Application {
             console.log('[Application] Stopped logging auto-save interval');
         }
         
-        // Stop DirectLine connection
-        directLineService.disconnect();
+        // Stop agent connections
+        this._disconnectConnectors();
         
         console.log('[Application] Cleanup completed');
     }
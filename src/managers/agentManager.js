@@ -7,8 +7,15 @@
 import { SecureStorage } from '../utils/secureStorage.js';
 import { Utils } from '../utils/helpers.js';
 import { DOMUtils } from '../utils/domUtils.js';
+import { directLineService } from '../components/directline/DirectLineService.js';
 
 const AGENT_MANAGER_VERSION = '1.0.0';
+
+// Default app-server route that exchanges the server-side secret for a token (chat-server.js)
+export const DEFAULT_DIRECTLINE_TOKEN_ENDPOINT = '/api/directline/token';
+
+// Init parameter field types (agent.initParams[].type)
+export const INIT_PARAM_TYPES = ['text', 'number', 'select', 'boolean', 'date'];
 console.log(`👥 [AgentManager] Version ${AGENT_MANAGER_VERSION} loaded`);
 
 export class AgentManager {
@@ -181,12 +188,15 @@ export class AgentManager {
             agentId = this.generateAgentId();
         }
 
+        // Keep settings this method does not manage (type config, presets, group, tags…)
+        const existing = this.agents[agentId] || {};
         this.agents[agentId] = {
+            ...existing,
             id: agentId,
             name: name,
             secret: secret,
-            initParams: this.agents[agentId]?.initParams || [],
-            createdAt: this.agents[agentId]?.createdAt || new Date().toISOString(),
+            initParams: existing.initParams || [],
+            createdAt: existing.createdAt || new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
 
@@ -196,6 +206,184 @@ export class AgentManager {
         return agentId;
     }
 
+    /**
+     * Replace the whole agent set (e.g. after an import) and persist it.
+     * The current agent is cleared if it no longer exists.
+     * @param {Object} agents - Agents keyed by id
+     * @returns {Promise<void>}
+     */
+    async setAllAgents(agents) {
+        this.agents = agents;
+        if (this.currentAgentId && !this.agents[this.currentAgentId]) {
+            this.currentAgentId = null;
+            await SecureStorage.store('currentAgentId', '');
+        }
+        await this.saveAgents();
+        this.updateAgentsList();
+        this.updateCurrentAgentDisplay();
+    }
+
+    /**
+     * Parse a tag list ("dev, Contoso" or an array): trimmed, without empties
+     * or case-insensitive duplicates
+     * @param {string|string[]} tags
+     * @returns {string[]}
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const seen = new Set();
+        return list
+            .map(tag => String(tag).trim())
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Set an agent's tags (not persisted until saveAgents)
+     * @param {string} agentId - Agent ID
+     * @param {string|string[]} tags - Tags, or a comma-separated string
+     */
+    setAgentTags(agentId, tags) {
+        const agent = this.agents[agentId];
+        if (agent) agent.tags = this.normalizeTags(tags);
+    }
+
+    /**
+     * Move an agent to a group (not persisted until saveAgents)
+     * @param {string} agentId - Agent ID
+     * @param {string} group - Group name ('' = ungrouped)
+     */
+    setAgentGroup(agentId, group) {
+        const agent = this.agents[agentId];
+        if (agent) agent.group = String(group || '').trim();
+    }
+
+    /**
+     * Get the names of all groups in use, sorted
+     * @returns {string[]}
+     */
+    getGroups() {
+        const groups = new Set(Object.values(this.agents).map(a => a.group).filter(Boolean));
+        return [...groups].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Get every tag in use, sorted
+     * @returns {string[]}
+     */
+    getAllTags() {
+        const tags = Object.values(this.agents).flatMap(a => a.tags || []);
+        return this.normalizeTags(tags).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Duplicate an agent with all of its settings (type config, secret, init
+     * params, presets, variants, group, tags). Session stats and health
+     * history stay with the original.
+     * @param {string} agentId - Agent to copy
+     * @returns {Promise<string|null>} ID of the copy
+     */
+    async duplicateAgent(agentId) {
+        const source = this.agents[agentId];
+        if (!source) return null;
+
+        const taken = new Set(Object.values(this.agents).map(a => a.name.trim().toLowerCase()));
+        let name = `${source.name} (copy)`;
+        for (let n = 2; taken.has(name.toLowerCase()); n++) {
+            name = `${source.name} (copy ${n})`;
+        }
+
+        const id = this.generateAgentId();
+        const now = new Date().toISOString();
+        this.agents[id] = { ...JSON.parse(JSON.stringify(source)), id, name, createdAt: now, updatedAt: now };
+        await this.saveAgents();
+        this.updateAgentsList();
+        return id;
+    }
+
+    /**
+     * Connection variants of an agent (e.g. dev / test / prod). Each variant
+     * holds its own values for the type's config fields; the agent's own
+     * config is the default target.
+     * @param {string} agentId
+     * @returns {{ id: string, name: string, values: Object }[]}
+     */
+    getVariants(agentId) {
+        const variants = this.agents[agentId]?.variants;
+        return Array.isArray(variants) ? variants.filter(v => v && v.id && v.name && v.values) : [];
+    }
+
+    /**
+     * @param {string} agentId
+     * @param {string|null} variantId
+     * @returns {{ id: string, name: string, values: Object }|null} null for the default target
+     */
+    getVariant(agentId, variantId) {
+        if (!variantId) return null;
+        return this.getVariants(agentId).find(v => v.id === variantId) || null;
+    }
+
+    /**
+     * Replace an agent's variants (not persisted until saveAgents)
+     * @param {string} agentId
+     * @param {{ id?: string, name: string, values: Object }[]} variants - entries without an id get one
+     */
+    setAgentVariants(agentId, variants) {
+        const agent = this.agents[agentId];
+        if (!agent) return;
+        agent.variants = (variants || [])
+            .filter(v => v && String(v.name || '').trim())
+            .map(v => ({ id: v.id || Utils.generateId('variant'), name: String(v.name).trim(), values: { ...v.values } }));
+    }
+
+    /**
+     * Set how a DirectLine agent authenticates.
+     * 'token' mode stores no secret: the app server issues short-lived tokens.
+     * @param {string} agentId - Agent ID
+     * @param {'secret'|'token'} mode - Authentication mode
+     * @param {string} [tokenEndpoint] - Token route (defaults to DEFAULT_DIRECTLINE_TOKEN_ENDPOINT)
+     */
+    setDirectLineAuth(agentId, mode, tokenEndpoint = '') {
+        const agent = this.agents[agentId];
+        if (!agent) return;
+        if (mode === 'token') {
+            agent.directLineAuth = 'token';
+            agent.tokenEndpoint = tokenEndpoint || DEFAULT_DIRECTLINE_TOKEN_ENDPOINT;
+            agent.secret = '';
+        } else {
+            agent.directLineAuth = 'secret';
+            agent.tokenEndpoint = '';
+        }
+    }
+
+    /**
+     * Check whether an agent uses server-issued DirectLine tokens
+     * @param {Object|string} agentOrId - Agent object or ID
+     * @returns {boolean}
+     */
+    usesServerToken(agentOrId) {
+        const agent = typeof agentOrId === 'string' ? this.agents[agentOrId] : agentOrId;
+        return !!agent && agent.directLineAuth === 'token';
+    }
+
+    /**
+     * Get the credentials to pass to directLineService.connect() for an agent
+     * @param {Object|string} agentOrId - Agent object or ID
+     * @returns {string|{tokenEndpoint: string}|null} Secret, token endpoint, or null
+     */
+    getDirectLineAuth(agentOrId) {
+        const agent = typeof agentOrId === 'string' ? this.agents[agentOrId] : agentOrId;
+        if (!agent) return null;
+        if (this.usesServerToken(agent)) {
+            return { tokenEndpoint: agent.tokenEndpoint || DEFAULT_DIRECTLINE_TOKEN_ENDPOINT };
+        }
+        return agent.secret || null;
+    }
+
     /**
      * Delete an agent
      * @param {string} agentId - Agent ID to delete
@@ -332,7 +520,7 @@ export class AgentManager {
      * @returns {Promise<void>}
      */
     async testAgentConnectivity(agentId = null, secret = null, statusCallback = null) {
-        let agent, testButton, testSecret;
+        let agent, testButton, testSecret, testTokenEndpoint;
 
         if (agentId) {
             // Testing existing agent from the list
@@ -340,6 +528,7 @@ export class AgentManager {
 
             agent = this.agents[agentId];
             testSecret = agent.secret;
+            testTokenEndpoint = this.usesServerToken(agent) ? this.getDirectLineAuth(agent).tokenEndpoint : null;
             testButton = document.querySelector(`[data-action="test"][data-agent-id="${agentId}"]`);
 
             if (testButton) {
@@ -347,7 +536,9 @@ export class AgentManager {
                 testButton.disabled = true;
             }
 
-            console.log(`Testing agent ${agentId} with secret: ${testSecret.substring(0, 10)}...`);
+            console.log(testTokenEndpoint
+                ? `Testing agent ${agentId} with server-issued token from ${testTokenEndpoint}`
+                : `Testing agent ${agentId} with secret: ${testSecret.substring(0, 10)}...`);
         } else {
             // Testing from configuration form
             testSecret = secret;
@@ -366,9 +557,14 @@ export class AgentManager {
                 throw new Error('DirectLine library not loaded');
             }
 
+            // Token-mode agents never hold the secret — ask the server for a token
+            const credentials = testTokenEndpoint
+                ? { token: (await directLineService.fetchToken(testTokenEndpoint)).token }
+                : { secret: testSecret };
+
             // Use DirectLine to test connection
             const testDirectLine = new window.DirectLine.DirectLine({
-                secret: testSecret,
+                ...credentials,
                 webSocket: false,
                 timeout: 30000
             });
@@ -746,11 +942,7 @@ export class AgentManager {
      * @private
      */
     _renderParamsPanelContent(panel, agentId) {
-        const agent = this.agents[agentId];
-        // Normalize: support legacy string[] and new { name, displayName }[]
-        const params = (agent.initParams || []).map(p =>
-            typeof p === 'string' ? { name: p, displayName: p } : p
-        );
+        const params = this.getInitParams(agentId);
 
         panel.innerHTML = `
             <div class="params-panel-header">
@@ -795,15 +987,17 @@ export class AgentManager {
             });
         });
 
-        // Save
+        // Save (keeps the type, default and options set in the agent edit overlay)
         panel.querySelector('.param-save-btn').addEventListener('click', async () => {
             const rows = panel.querySelectorAll('.param-row');
+            const existing = this.getInitParams(agentId);
             const entries = [];
             rows.forEach(row => {
                 const key = row.querySelector('.param-key-input')?.value.trim();
                 const display = row.querySelector('.param-display-input')?.value.trim();
                 if (key) {
-                    entries.push({ name: key, displayName: display || key });
+                    const previous = existing.find(p => p.name === key);
+                    entries.push({ ...previous, name: key, displayName: display || key });
                 }
             });
             this.agents[agentId].initParams = entries;
@@ -825,13 +1019,78 @@ export class AgentManager {
     }
 
     /**
-     * Get init parameters for an agent (normalized to { name, displayName }[])
+     * Get init parameters for an agent, normalized to typed fields.
+     * Legacy entries (plain strings, or { name, displayName }) become required
+     * text fields, which is how they always behaved.
      * @param {string} agentId
-     * @returns {{ name: string, displayName: string }[]}
+     * @returns {{ name: string, displayName: string, type: string, required: boolean, default: string, options: string[] }[]}
      */
     getInitParams(agentId) {
         const raw = this.agents[agentId]?.initParams || [];
-        return raw.map(p => typeof p === 'string' ? { name: p, displayName: p } : p);
+        return raw.map(p => this.normalizeInitParam(p)).filter(p => p.name);
+    }
+
+    /**
+     * Normalize one init parameter definition
+     * @param {string|Object} param
+     * @returns {{ name: string, displayName: string, type: string, required: boolean, default: string, options: string[] }}
+     */
+    normalizeInitParam(param) {
+        const p = typeof param === 'string' ? { name: param } : (param || {});
+        const name = String(p.name || '').trim();
+        const type = INIT_PARAM_TYPES.includes(p.type) ? p.type : 'text';
+        return {
+            name,
+            displayName: String(p.displayName || '').trim() || name,
+            type,
+            required: type === 'boolean' ? false : p.required !== false,
+            default: p.default === undefined || p.default === null ? '' : String(p.default),
+            options: type === 'select'
+                ? (Array.isArray(p.options) ? p.options : String(p.options || '').split(','))
+                    .map(o => String(o).trim()).filter(Boolean)
+                : []
+        };
+    }
+
+    /**
+     * Named init parameter value presets of an agent (e.g. "EU tenant")
+     * @param {string} agentId
+     * @returns {{ name: string, values: Object }[]}
+     */
+    getInitParamPresets(agentId) {
+        const presets = this.agents[agentId]?.initParamPresets;
+        return Array.isArray(presets) ? presets.filter(p => p && p.name && p.values) : [];
+    }
+
+    /**
+     * Save a preset, replacing one with the same name (case-insensitive)
+     * @param {string} agentId
+     * @param {string} name - Preset name
+     * @param {Object} values - Parameter name → value
+     * @returns {Promise<void>}
+     */
+    async saveInitParamPreset(agentId, name, values) {
+        const agent = this.agents[agentId];
+        const presetName = String(name || '').trim();
+        if (!agent || !presetName) return;
+        const presets = this.getInitParamPresets(agentId)
+            .filter(p => p.name.toLowerCase() !== presetName.toLowerCase());
+        presets.push({ name: presetName, values: { ...values } });
+        agent.initParamPresets = presets;
+        await this.saveAgents();
+    }
+
+    /**
+     * Delete a preset by name
+     * @param {string} agentId
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async deleteInitParamPreset(agentId, name) {
+        const agent = this.agents[agentId];
+        if (!agent) return;
+        agent.initParamPresets = this.getInitParamPresets(agentId).filter(p => p.name !== name);
+        await this.saveAgents();
     }
 
     /**
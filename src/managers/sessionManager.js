@@ -7,16 +7,35 @@
 
 import { Utils } from '../utils/helpers.js';
 import { DOMUtils } from '../utils/domUtils.js';
+import { historyStore } from '../services/historyStore.js';
 
 const SESSION_MANAGER_VERSION = '1.0.0';
 console.log(`💾 [SessionManager] Version ${SESSION_MANAGER_VERSION} loaded`);
 
+// Retention choices offered in the storage view; 0 = no limit
+export const HISTORY_RETENTION_DAYS = [0, 7, 30, 90, 180, 365];
+export const HISTORY_RETENTION_MB = [0, 10, 25, 50, 100, 250];
+
 export class SessionManager {
     constructor() {
         this.currentSession = null;
         this.currentAgentId = null;
+        // Legacy localStorage key; the history now lives in IndexedDB (services/historyStore.js)
         this.sessionStorage = 'chatHistory';
         this.currentSessionStorage = 'currentSession';
+        this.conversationStateStorage = 'conversationStates';
+        this.retentionStorage = 'historyRetention';
+        this.branchStorage = 'sessionBranches';
+        this.annotationStorage = 'sessionAnnotations';
+        // Bumped on every history write, so caches (e.g. the search index) know when to rebuild
+        this.historyRevision = 0;
+        // While set, messages and conversation states are not stored (trace replays)
+        this.persistencePaused = false;
+        // In-memory copy of the whole history, so reads stay synchronous;
+        // writes go through to the store incrementally
+        this._history = [];
+        this.storageBackend = historyStore.isSupported() ? 'indexedDB' : 'localStorage';
+        this._quotaWarned = false;
         this.initializeElements();
         this.initialize();
     }
@@ -39,7 +58,14 @@ export class SessionManager {
     initialize() {
         this.setupEventListeners();
         this.loadCurrentSession();
-        this.loadSessionList();
+        // Resolves once the history is loaded (and migrated); await before reading it.
+        // Writes made before that are queued behind the load.
+        const loaded = this._loadHistory();
+        this._writeQueue = loaded.catch(() => {});
+        this.ready = loaded.then(() => {
+            this.loadSessionList();
+            this.applyRetention();
+        });
     }
 
     /**
@@ -108,6 +134,7 @@ export class SessionManager {
         const newSession = this.createNewSession();
         this.clearChatWindow();
         this.loadSessionList();
+        this.applyRetention();
 
         // Dispatch event
         window.dispatchEvent(new CustomEvent('sessionChanged', {
@@ -171,30 +198,34 @@ export class SessionManager {
     }
 
     /**
-     * Add message to current session
+     * Add message to current session. While persistence is paused the entry
+     * is built but not stored.
      * @param {Object} message - Message object
+     * @returns {Object} The stored message entry (with its id)
      */
     addMessage(message) {
         const sessionId = this.getCurrentSession();
-        const chatHistory = this.getChatHistory();
 
-        const messageEntry = {
+        // Plain JSON copy: the same data the history always kept, and safe to structured-clone
+        const messageEntry = JSON.parse(JSON.stringify({
             ...message,
             session: sessionId,
             agentId: message.agentId || this.currentAgentId || null,
             timestamp: message.timestamp || new Date().toISOString(),
             id: message.id || Utils.generateId('msg')
-        };
+        }));
+        if (this.persistencePaused) return messageEntry;
 
-        chatHistory.push(messageEntry);
-        this.saveChatHistory(chatHistory);
+        this._history.push(messageEntry);
+        this.historyRevision++;
+        this._persistMessages([messageEntry]);
 
         console.log('Added message to session:', sessionId, messageEntry);
 
         // If this is the first user message in a session, update the session list
         // to show the now-meaningful conversation
         if (message.from === 'user') {
-            const sessionMessages = chatHistory.filter(msg => msg.session === sessionId);
+            const sessionMessages = this._history.filter(msg => msg.session === sessionId);
             const userMessages = sessionMessages.filter(msg => msg.from === 'user');
 
             if (userMessages.length === 1) {
@@ -203,6 +234,8 @@ export class SessionManager {
                 setTimeout(() => this.loadSessionList(), 100); // Small delay to ensure UI updates
             }
         }
+
+        return messageEntry;
     }
 
     /**
@@ -271,40 +304,310 @@ export class SessionManager {
 
     /**
      * Get all chat history
-     * @returns {Array} All chat messages
+     * @returns {Array} All chat messages, in the order they were added
      */
     getChatHistory() {
+        return this._history.slice();
+    }
+
+    /**
+     * Replace the whole chat history
+     * @param {Array} history - Chat history array
+     * @private
+     */
+    saveChatHistory(history) {
+        this._history = history.slice();
+        this.historyRevision++;
+        this._persist(() => historyStore.replaceAll(this._history, this._sessionRecords(this._history)));
+    }
+
+    /**
+     * Get the stored bot conversation state of every session
+     * @returns {Object} Map of sessionId → { conversationId, token, watermark, agentId, updatedAt }
+     * @private
+     */
+    getConversationStates() {
         try {
-            const history = localStorage.getItem(this.sessionStorage);
-            if (!history) return [];
+            return JSON.parse(localStorage.getItem(this.conversationStateStorage) || '{}');
+        } catch (error) {
+            console.error('Error loading conversation states:', error);
+            localStorage.removeItem(this.conversationStateStorage);
+            return {};
+        }
+    }
 
-            // Validate that history is a string before parsing
-            if (typeof history !== 'string') {
-                console.error('Chat history data is not a string:', typeof history);
-                localStorage.removeItem(this.sessionStorage);
-                return [];
-            }
+    /**
+     * Get the bot conversation a session is bound to, so it can be resumed
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} { conversationId, token, watermark, agentId, updatedAt } or null
+     */
+    getConversationState(sessionId) {
+        if (!sessionId) return null;
+        return this.getConversationStates()[sessionId] || null;
+    }
 
-            return JSON.parse(history);
+    /**
+     * Persist the bot conversation (conversationId, token, last watermark) of a session
+     * @param {string} sessionId - Session ID
+     * @param {Object} state - Conversation state reported by the connector
+     */
+    saveConversationState(sessionId, state) {
+        if (this.persistencePaused || !sessionId || !state || !state.conversationId) return;
+        const states = this.getConversationStates();
+        states[sessionId] = {
+            ...states[sessionId],
+            ...state,
+            agentId: state.agentId || states[sessionId]?.agentId || this.currentAgentId || null,
+            updatedAt: new Date().toISOString()
+        };
+        try {
+            localStorage.setItem(this.conversationStateStorage, JSON.stringify(states));
         } catch (error) {
-            console.error('Error loading chat history:', error);
-            // Clear corrupted data
-            localStorage.removeItem(this.sessionStorage);
-            return [];
+            console.error('Error saving conversation state:', error);
         }
     }
 
     /**
-     * Save chat history to localStorage
-     * @param {Array} history - Chat history array
+     * Remove the stored bot conversation of a session
+     * @param {string} sessionId - Session ID
+     */
+    removeConversationState(sessionId) {
+        const states = this.getConversationStates();
+        if (!states[sessionId]) return;
+        delete states[sessionId];
+        localStorage.setItem(this.conversationStateStorage, JSON.stringify(states));
+    }
+
+    /**
+     * Get the branch tree: every forked session and where it was forked from
+     * @returns {Object} Map of sessionId → { parentId, messageId, createdAt }
+     */
+    getBranches() {
+        try {
+            return JSON.parse(localStorage.getItem(this.branchStorage) || '{}');
+        } catch (error) {
+            console.error('Error loading session branches:', error);
+            localStorage.removeItem(this.branchStorage);
+            return {};
+        }
+    }
+
+    /**
+     * Get where a session was forked from
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} { parentId, messageId, createdAt } or null for an original session
+     */
+    getBranch(sessionId) {
+        return this.getBranches()[sessionId] || null;
+    }
+
+    /**
+     * Get the sessions forked from a session
+     * @param {string} sessionId - Parent session ID
+     * @returns {string[]} Child session IDs
+     */
+    getChildBranches(sessionId) {
+        return Object.entries(this.getBranches())
+            .filter(([, branch]) => branch.parentId === sessionId)
+            .map(([childId]) => childId);
+    }
+
+    /**
+     * Start a new session forked from a user message of another session.
+     * The new session becomes the current one.
+     * @param {string} parentId - Session the branch is forked from
+     * @param {string} messageId - User message that was edited
+     * @returns {string} New session ID
+     */
+    createBranch(parentId, messageId) {
+        const branchId = this.startNewSession();
+        const branches = this.getBranches();
+        branches[branchId] = { parentId, messageId, createdAt: new Date().toISOString() };
+        localStorage.setItem(this.branchStorage, JSON.stringify(branches));
+        this.loadSessionList();
+        console.log(`[SessionManager] Forked session ${branchId} from ${parentId} at message ${messageId}`);
+        return branchId;
+    }
+
+    /**
+     * Undo createBranch() for a fork that never started (its agent could not
+     * be connected): forget the branch record and any conversation state
+     * @param {string} branchId - Session ID returned by createBranch()
+     */
+    discardBranch(branchId) {
+        this.removeBranches([branchId]);
+        this.removeConversationState(branchId);
+        this.loadSessionList();
+        console.log(`[SessionManager] Discarded branch ${branchId}`);
+    }
+
+    /**
+     * Forget the branch records of deleted sessions; their forks become top-level sessions
+     * @param {string[]} sessionIds - Deleted session IDs
      * @private
      */
-    saveChatHistory(history) {
+    removeBranches(sessionIds) {
+        const branches = this.getBranches();
+        let changed = false;
+        Object.entries(branches).forEach(([sessionId, branch]) => {
+            if (sessionIds.includes(sessionId)) {
+                delete branches[sessionId];
+                changed = true;
+            } else if (sessionIds.includes(branch.parentId)) {
+                branch.parentId = null;
+                changed = true;
+            }
+        });
+        if (changed) {
+            localStorage.setItem(this.branchStorage, JSON.stringify(branches));
+        }
+    }
+
+    /**
+     * Get the pin, star and note of every annotated session
+     * @returns {Object} Map of sessionId → { pinned, starred, note, updatedAt }
+     */
+    getSessionAnnotations() {
         try {
-            localStorage.setItem(this.sessionStorage, JSON.stringify(history));
+            return JSON.parse(localStorage.getItem(this.annotationStorage) || '{}');
         } catch (error) {
-            console.error('Error saving chat history:', error);
+            console.error('Error loading session annotations:', error);
+            localStorage.removeItem(this.annotationStorage);
+            return {};
+        }
+    }
+
+    /**
+     * Get the annotation of a session
+     * @param {string} sessionId - Session ID
+     * @returns {{pinned: boolean, starred: boolean, note: string}}
+     */
+    getSessionAnnotation(sessionId) {
+        const annotation = this.getSessionAnnotations()[sessionId] || {};
+        return {
+            pinned: !!annotation.pinned,
+            starred: !!annotation.starred,
+            note: annotation.note || ''
+        };
+    }
+
+    /**
+     * Pin, star or annotate a session. Only the given fields change.
+     * @param {string} sessionId - Session ID
+     * @param {Object} changes - { pinned?, starred?, note? }
+     * @returns {{pinned: boolean, starred: boolean, note: string}} The new annotation
+     */
+    setSessionAnnotation(sessionId, changes) {
+        const annotations = this.getSessionAnnotations();
+        const annotation = { ...this.getSessionAnnotation(sessionId), ...changes };
+        annotation.note = String(annotation.note || '').trim();
+
+        if (annotation.pinned || annotation.starred || annotation.note) {
+            annotations[sessionId] = { ...annotation, updatedAt: new Date().toISOString() };
+        } else {
+            delete annotations[sessionId];
+        }
+        localStorage.setItem(this.annotationStorage, JSON.stringify(annotations));
+        // Session notes are searchable
+        this.historyRevision++;
+        this.loadSessionList();
+        return this.getSessionAnnotation(sessionId);
+    }
+
+    /**
+     * Find a stored message of a session by its id or by the bot's activity id
+     * (messages rendered live carry the activity id)
+     * @param {string} messageId - Stored message id or bot activity id
+     * @param {string} [sessionId] - Defaults to the current session
+     * @returns {Object|null} The stored message entry
+     */
+    findMessage(messageId, sessionId = this.currentSession) {
+        if (!messageId) return null;
+        const messages = this.getSessionMessages(sessionId);
+        return messages.find(message => message.id === messageId)
+            || messages.find(message => message.activityId === messageId)
+            || null;
+    }
+
+    /**
+     * Star or annotate a stored message. Only the given fields change.
+     * @param {string} messageId - Stored message id or bot activity id
+     * @param {Object} changes - { starred?, note? }
+     * @param {string} [sessionId] - Defaults to the current session
+     * @returns {Object|null} The updated message entry, null if it is not stored
+     */
+    annotateMessage(messageId, changes, sessionId = this.currentSession) {
+        const message = this.findMessage(messageId, sessionId);
+        if (!message) return null;
+
+        if ('starred' in changes) {
+            if (changes.starred) message.starred = true;
+            else delete message.starred;
+        }
+        if ('note' in changes) {
+            const note = String(changes.note || '').trim();
+            if (note) message.note = note;
+            else delete message.note;
         }
+
+        this.historyRevision++;
+        this._persistMessages([message]);
+        return message;
+    }
+
+    /**
+     * Store the thumbs up/down feedback given to a stored agent message
+     * @param {string} messageId - Stored message id or bot activity id
+     * @param {Object|null} feedback - { reaction: 'like'|'dislike', comment?,
+     *        submittedAt, sentToAgent? }; null removes the feedback
+     * @param {string} [sessionId] - Defaults to the current session
+     * @returns {Object|null} The updated message entry, null if it is not stored
+     */
+    setMessageFeedback(messageId, feedback, sessionId = this.currentSession) {
+        const message = this.findMessage(messageId, sessionId);
+        if (!message) return null;
+
+        if (feedback) message.feedback = { ...feedback };
+        else delete message.feedback;
+
+        this.historyRevision++;
+        this._persistMessages([message]);
+        return message;
+    }
+
+    /**
+     * Update an Adaptive Card attachment of a stored message: the card that
+     * replaced it (Action.Execute) and/or what was submitted
+     * @param {string} messageId - Stored message id or bot activity id
+     * @param {number} attachmentIndex - Index in the message's attachments
+     * @param {Object} changes - { content?, submission? }
+     * @param {string} [sessionId] - Defaults to the current session
+     * @returns {Object|null} The updated message entry, null if it is not stored
+     */
+    updateMessageCard(messageId, attachmentIndex, changes, sessionId = this.currentSession) {
+        const message = this.findMessage(messageId, sessionId);
+        const attachment = message?.attachments?.[attachmentIndex];
+        if (!attachment) return null;
+
+        if (changes.content) attachment.content = JSON.parse(JSON.stringify(changes.content));
+        if (changes.submission) attachment.submission = { ...changes.submission };
+
+        this.historyRevision++;
+        this._persistMessages([message]);
+        return message;
+    }
+
+    /**
+     * Forget the annotations of deleted sessions
+     * @param {string[]} sessionIds - Deleted session IDs
+     * @private
+     */
+    removeSessionAnnotations(sessionIds) {
+        const annotations = this.getSessionAnnotations();
+        const annotated = sessionIds.filter(sessionId => annotations[sessionId]);
+        if (!annotated.length) return;
+        annotated.forEach(sessionId => delete annotations[sessionId]);
+        localStorage.setItem(this.annotationStorage, JSON.stringify(annotations));
     }
 
     /**
@@ -325,14 +628,14 @@ export class SessionManager {
                 sessions[this.currentSession].title = title;
 
                 // Update all messages in this session to include title reference
-                chatHistory.forEach(message => {
-                    if (message.session === this.currentSession) {
-                        message.sessionTitle = title;
-                    }
+                const sessionMessages = this._history.filter(message => message.session === this.currentSession);
+                sessionMessages.forEach(message => {
+                    message.sessionTitle = title;
                 });
 
-                // Save updated history
-                this.saveChatHistory(chatHistory);
+                // Save updated messages
+                this.historyRevision++;
+                this._persistMessages(sessionMessages);
 
                 // Refresh session list to show new title
                 this.loadSessionList();
@@ -364,8 +667,11 @@ export class SessionManager {
             return;
         }
 
-        // Sort sessions by most recent activity
+        // Sort sessions by most recent activity, pinned sessions first
+        const annotations = this.getSessionAnnotations();
         const sortedSessions = Object.entries(sessions).sort((a, b) => {
+            const pinOrder = Number(!!annotations[b[0]]?.pinned) - Number(!!annotations[a[0]]?.pinned);
+            if (pinOrder) return pinOrder;
             const aTime = new Date(a[1].lastActivity);
             const bTime = new Date(b[1].lastActivity);
             return bTime - aTime;
@@ -379,10 +685,26 @@ export class SessionManager {
             return;
         }
 
-        meaningfulSessions.forEach(([sessionId, sessionData]) => {
-            const sessionItem = this.createSessionItem(sessionId, sessionData);
-            this.elements.sessionList.appendChild(sessionItem);
+        // Forks are listed under the session they were forked from
+        const branches = this.getBranches();
+        const listed = new Set(meaningfulSessions.map(([sessionId]) => sessionId));
+        const childrenOf = {};
+        const roots = [];
+        meaningfulSessions.forEach(entry => {
+            const parentId = branches[entry[0]]?.parentId;
+            if (parentId && listed.has(parentId)) {
+                (childrenOf[parentId] = childrenOf[parentId] || []).push(entry);
+            } else {
+                roots.push(entry);
+            }
         });
+
+        const appendTree = ([sessionId, sessionData], depth) => {
+            const sessionItem = this.createSessionItem(sessionId, sessionData, depth);
+            this.elements.sessionList.appendChild(sessionItem);
+            (childrenOf[sessionId] || []).forEach(child => appendTree(child, depth + 1));
+        };
+        roots.forEach(entry => appendTree(entry, 0));
     }
 
     /**
@@ -456,10 +778,11 @@ export class SessionManager {
      * Create session item element
      * @param {string} sessionId - Session ID
      * @param {Object} sessionData - Session data
+     * @param {number} [depth=0] - Branch depth (0 = original session, 1 = fork, ...)
      * @returns {HTMLElement} Session item element
      * @private
      */
-    createSessionItem(sessionId, sessionData) {
+    createSessionItem(sessionId, sessionData, depth = 0) {
         const isCurrentSession = sessionId === this.currentSession;
         // Use session title if available, otherwise fallback to message preview
         const preview = sessionData.title || this.getMessagePreview(sessionData.messages[sessionData.messages.length - 1]);
@@ -471,15 +794,26 @@ export class SessionManager {
         const startTime = this._formatSessionTime(sessionData.firstActivity);
         const endTime = this._formatSessionTime(sessionData.lastActivity);
 
+        const annotation = this.getSessionAnnotation(sessionId);
+
         const sessionItem = DOMUtils.createElement('div', {
-            className: `sessionItem ${isCurrentSession ? 'active' : ''}`,
+            className: `sessionItem ${isCurrentSession ? 'active' : ''} ${depth > 0 ? 'branch' : ''} ${annotation.pinned ? 'pinned' : ''}`,
             dataset: { sessionId }
         });
+        if (depth > 0) {
+            sessionItem.style.setProperty('--branch-depth', depth);
+            sessionItem.title = 'Forked conversation';
+        }
+
+        const flags = [
+            annotation.pinned ? '<span class="session-flag" title="Pinned">&#128204;</span>' : '',
+            annotation.starred ? '<span class="session-flag starred" title="Starred">&#9733;</span>' : ''
+        ].join('');
 
         // Create session text span with title
         const sessionText = DOMUtils.createElement('span', {
             className: 'session-title'
-        }, Utils.escapeHtml(preview));
+        }, `${depth > 0 ? '<span class="session-branch-icon" aria-hidden="true">&#8627;</span>' : ''}${flags}${Utils.escapeHtml(preview)}`);
 
         // Create metadata line
         const sessionMeta = DOMUtils.createElement('div', {
@@ -492,6 +826,16 @@ export class SessionManager {
             className: 'deleteIcon'
         }, '&#215;');
 
+        const exportIcon = DOMUtils.createElement('span', {
+            className: 'exportIcon',
+            title: 'Export conversation'
+        }, '&#8615;');
+
+        const annotateIcon = DOMUtils.createElement('span', {
+            className: 'annotateIcon',
+            title: 'Pin, star or add a note'
+        }, '&#9873;');
+
         // Add event listeners
         DOMUtils.addEventListener(sessionText, 'click', () => {
             this.loadSession(sessionId);
@@ -504,6 +848,22 @@ export class SessionManager {
             }
         });
 
+        // The application shows the export dialog
+        DOMUtils.addEventListener(exportIcon, 'click', (e) => {
+            e.stopPropagation();
+            window.dispatchEvent(new CustomEvent('sessionExportRequested', {
+                detail: { sessionId }
+            }));
+        });
+
+        // ...and the annotation dialog
+        DOMUtils.addEventListener(annotateIcon, 'click', (e) => {
+            e.stopPropagation();
+            window.dispatchEvent(new CustomEvent('sessionAnnotateRequested', {
+                detail: { sessionId }
+            }));
+        });
+
         DOMUtils.addEventListener(sessionItem, 'click', () => {
             this.loadSession(sessionId);
         });
@@ -511,6 +871,14 @@ export class SessionManager {
         // Append children
         sessionItem.appendChild(sessionText);
         sessionItem.appendChild(sessionMeta);
+        if (annotation.note) {
+            sessionItem.appendChild(DOMUtils.createElement('div', {
+                className: 'session-note',
+                title: annotation.note
+            }, Utils.escapeHtml(Utils.truncate(annotation.note, 80))));
+        }
+        sessionItem.appendChild(annotateIcon);
+        sessionItem.appendChild(exportIcon);
         sessionItem.appendChild(deleteIcon);
 
         return sessionItem;
@@ -610,10 +978,7 @@ export class SessionManager {
     deleteSession(sessionId) {
         console.log('Deleting session:', sessionId);
 
-        const chatHistory = this.getChatHistory();
-        const filteredHistory = chatHistory.filter(message => message.session !== sessionId);
-
-        this.saveChatHistory(filteredHistory);
+        this._removeSessions([sessionId]);
 
         // If deleting current session, start a new one
         if (sessionId === this.currentSession) {
@@ -643,8 +1008,13 @@ export class SessionManager {
      */
     clearAllHistory() {
         console.log('Clearing all chat history');
-        localStorage.removeItem(this.sessionStorage);
+        this._history = [];
+        this._persist(() => historyStore.clear());
         localStorage.removeItem(this.currentSessionStorage);
+        localStorage.removeItem(this.conversationStateStorage);
+        localStorage.removeItem(this.branchStorage);
+        localStorage.removeItem(this.annotationStorage);
+        this.historyRevision++;
 
         this.currentSession = null;
         this.startNewSession();
@@ -701,7 +1071,8 @@ export class SessionManager {
     }
 
     /**
-     * Export session data
+     * Export session data (raw messages; see services/transcriptExport.js
+     * for Markdown/HTML transcripts)
      * @param {string} sessionId - Session ID to export
      * @returns {Object} Session data
      */
@@ -729,6 +1100,302 @@ export class SessionManager {
             currentSessionMessages: this.getSessionMessages().length
         };
     }
+
+    /**
+     * Delete several sessions at once (storage view, retention)
+     * @param {string[]} sessionIds - Session IDs to delete
+     */
+    deleteSessions(sessionIds) {
+        if (!sessionIds.length) return;
+        console.log(`Deleting ${sessionIds.length} sessions`);
+
+        this._removeSessions(sessionIds);
+
+        if (sessionIds.includes(this.currentSession)) {
+            this.startNewSession();
+        } else {
+            this.loadSessionList();
+        }
+
+        sessionIds.forEach(sessionId => {
+            window.dispatchEvent(new CustomEvent('sessionDeleted', {
+                detail: { sessionId }
+            }));
+        });
+    }
+
+    /**
+     * Get the history retention policy
+     * @returns {{maxAgeDays: number, maxSizeMB: number}} 0 = no limit
+     */
+    getRetentionPolicy() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.retentionStorage) || '{}');
+            return {
+                maxAgeDays: HISTORY_RETENTION_DAYS.includes(saved.maxAgeDays) ? saved.maxAgeDays : 0,
+                maxSizeMB: HISTORY_RETENTION_MB.includes(saved.maxSizeMB) ? saved.maxSizeMB : 0
+            };
+        } catch (error) {
+            console.error('Error loading retention policy:', error);
+            return { maxAgeDays: 0, maxSizeMB: 0 };
+        }
+    }
+
+    /**
+     * Save the history retention policy and apply it
+     * @param {Object} policy
+     * @param {number} policy.maxAgeDays - one of HISTORY_RETENTION_DAYS
+     * @param {number} policy.maxSizeMB - one of HISTORY_RETENTION_MB
+     * @returns {string[]} IDs of the sessions deleted now
+     */
+    setRetentionPolicy({ maxAgeDays = 0, maxSizeMB = 0 }) {
+        localStorage.setItem(this.retentionStorage, JSON.stringify({
+            maxAgeDays: Number(maxAgeDays) || 0,
+            maxSizeMB: Number(maxSizeMB) || 0
+        }));
+        return this.applyRetention();
+    }
+
+    /**
+     * Delete the sessions the retention policy no longer keeps: sessions whose
+     * last activity is older than maxAgeDays, then the least recently used
+     * sessions until the history fits in maxSizeMB. The open session and
+     * pinned or starred sessions are kept.
+     * Runs on startup and whenever a new session starts.
+     * @returns {string[]} IDs of the deleted sessions
+     */
+    applyRetention() {
+        const sessionIds = this.getRetentionCandidates();
+        if (sessionIds.length) {
+            console.log(`[SessionManager] Retention policy removed ${sessionIds.length} sessions`);
+            this.deleteSessions(sessionIds);
+        }
+        return sessionIds;
+    }
+
+    /**
+     * Sessions a retention policy would delete (see applyRetention)
+     * @param {{maxAgeDays: number, maxSizeMB: number}} [policy] - Defaults to the saved policy
+     * @returns {string[]} Session IDs
+     */
+    getRetentionCandidates(policy = this.getRetentionPolicy()) {
+        const { maxAgeDays, maxSizeMB } = policy;
+        if (!maxAgeDays && !maxSizeMB) return [];
+
+        const sessions = this._sessionRecords(this._history)
+            .sort((a, b) => new Date(a.lastActivity) - new Date(b.lastActivity));
+        const annotations = this.getSessionAnnotations();
+        const removable = sessions.filter(session => session.id !== this.currentSession
+            && !annotations[session.id]?.pinned && !annotations[session.id]?.starred);
+        const expired = new Set();
+
+        if (maxAgeDays) {
+            const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+            removable
+                .filter(session => new Date(session.lastActivity).getTime() < cutoff)
+                .forEach(session => expired.add(session.id));
+        }
+
+        if (maxSizeMB) {
+            let total = sessions.filter(session => !expired.has(session.id)).reduce((sum, session) => sum + session.bytes, 0);
+            for (const session of removable) {
+                if (total <= maxSizeMB * 1024 * 1024) break;
+                if (expired.has(session.id)) continue;
+                expired.add(session.id);
+                total -= session.bytes;
+            }
+        }
+
+        return [...expired];
+    }
+
+    /**
+     * Storage used by the chat history
+     * @returns {Promise<Object>} { backend: 'indexedDB'|'localStorage', totalBytes, messageCount,
+     *          sessions: session records (largest first), estimate: { usage, quota } | null }
+     *          estimate covers everything this site stores, not only the history
+     */
+    async getStorageUsage() {
+        const sessions = this._sessionRecords(this._history).sort((a, b) => b.bytes - a.bytes);
+        let estimate = null;
+        try {
+            if (navigator.storage?.estimate) {
+                const { usage, quota } = await navigator.storage.estimate();
+                estimate = { usage, quota };
+            }
+        } catch (error) {
+            console.warn('[SessionManager] Storage estimate unavailable:', error);
+        }
+        return {
+            backend: this.storageBackend,
+            totalBytes: sessions.reduce((sum, session) => sum + session.bytes, 0),
+            messageCount: this._history.length,
+            sessions,
+            estimate
+        };
+    }
+
+    /**
+     * Load the history from IndexedDB, moving a legacy localStorage history
+     * into it first. Falls back to localStorage when IndexedDB cannot be
+     * opened (e.g. some private browsing modes).
+     * @private
+     */
+    async _loadHistory() {
+        // Messages added while loading are kept after the stored ones
+        const pending = this._history;
+        if (this.storageBackend === 'indexedDB') {
+            try {
+                this._history = (await historyStore.getAllMessages()).concat(pending);
+            } catch (error) {
+                console.warn('[SessionManager] IndexedDB unavailable, keeping chat history in localStorage:', error);
+                this.storageBackend = 'localStorage';
+            }
+        }
+        if (this.storageBackend === 'indexedDB') {
+            try {
+                await this._migrateLegacyHistory();
+            } catch (error) {
+                console.error('[SessionManager] Could not migrate the localStorage history, will retry on next load:', error);
+            }
+            this.historyRevision++;
+            console.log(`💾 [SessionManager] Loaded ${this._history.length} messages from IndexedDB`);
+            return;
+        }
+        this._history = this._readLegacyHistory().concat(pending);
+        this.historyRevision++;
+    }
+
+    /**
+     * Copy the localStorage history into IndexedDB, then drop the localStorage key
+     * @private
+     */
+    async _migrateLegacyHistory() {
+        const legacy = this._readLegacyHistory();
+        if (legacy.length) {
+            const known = new Set(this._history.map(message => message.id));
+            const messages = legacy
+                .filter(message => message && message.session)
+                .map(message => message.id ? message : { ...message, id: Utils.generateId('msg') })
+                .filter(message => !known.has(message.id));
+            const sessionIds = new Set(messages.map(message => message.session));
+
+            this._history.push(...messages);
+            await historyStore.put(messages, this._sessionRecords(this._history.filter(message => sessionIds.has(message.session))));
+            console.log(`💾 [SessionManager] Migrated ${messages.length} messages from localStorage to IndexedDB`);
+        }
+        // Only reached once the copy has committed; a failed migration keeps the legacy key
+        localStorage.removeItem(this.sessionStorage);
+    }
+
+    /**
+     * Read the legacy localStorage history
+     * @returns {Array} Chat messages
+     * @private
+     */
+    _readLegacyHistory() {
+        try {
+            const history = localStorage.getItem(this.sessionStorage);
+            if (!history) return [];
+
+            // Validate that history is a string before parsing
+            if (typeof history !== 'string') {
+                console.error('Chat history data is not a string:', typeof history);
+                localStorage.removeItem(this.sessionStorage);
+                return [];
+            }
+
+            const parsed = JSON.parse(history);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.error('Error loading chat history:', error);
+            // Clear corrupted data
+            localStorage.removeItem(this.sessionStorage);
+            return [];
+        }
+    }
+
+    /**
+     * Queue a history write. Without IndexedDB the whole history is written
+     * to localStorage instead.
+     * @param {Function} indexedDbWrite - Returns the historyStore promise
+     * @private
+     */
+    _persist(indexedDbWrite) {
+        this._writeQueue = this._writeQueue
+            .then(() => this.storageBackend === 'indexedDB'
+                ? indexedDbWrite()
+                : localStorage.setItem(this.sessionStorage, JSON.stringify(this._history)))
+            .catch(error => this._handleWriteError(error));
+        return this._writeQueue;
+    }
+
+    /**
+     * Write messages and the records of their sessions
+     * @param {Array} messages - New or changed messages
+     * @private
+     */
+    _persistMessages(messages) {
+        const sessionIds = new Set(messages.map(message => message.session));
+        return this._persist(() => historyStore.put(
+            messages,
+            this._sessionRecords(this._history.filter(message => sessionIds.has(message.session)))
+        ));
+    }
+
+    /**
+     * Remove sessions from the history and their stored conversation states
+     * @param {string[]} sessionIds - Session IDs
+     * @private
+     */
+    _removeSessions(sessionIds) {
+        const removed = new Set(sessionIds);
+        this._history = this._history.filter(message => !removed.has(message.session));
+        this.historyRevision++;
+        sessionIds.forEach(sessionId => this.removeConversationState(sessionId));
+        this.removeBranches(sessionIds);
+        this.removeSessionAnnotations(sessionIds);
+        this._persist(() => historyStore.deleteSessions(sessionIds));
+    }
+
+    /**
+     * Report a failed history write; a full disk is announced once via `historyStorageFull`
+     * @param {Error} error
+     * @private
+     */
+    _handleWriteError(error) {
+        console.error('Error saving chat history:', error);
+        if (error?.name === 'QuotaExceededError' && !this._quotaWarned) {
+            this._quotaWarned = true;
+            window.dispatchEvent(new CustomEvent('historyStorageFull', {
+                detail: { backend: this.storageBackend }
+            }));
+        }
+    }
+
+    /**
+     * Build the per-session records kept in the store
+     * @param {Array} messages - Messages of the sessions
+     * @returns {Array} { id, agentId, title, firstActivity, lastActivity, messageCount, userMessageCount, bytes }
+     * @private
+     */
+    _sessionRecords(messages) {
+        const sessions = this.groupMessagesBySession(messages);
+        return Object.entries(sessions).map(([id, data]) => {
+            const firstUserMessage = data.messages.find(message => message.from === 'user');
+            return {
+                id,
+                agentId: data.agentId,
+                title: data.title || (firstUserMessage ? this.getMessagePreview(firstUserMessage) : null),
+                firstActivity: data.firstActivity,
+                lastActivity: data.lastActivity,
+                messageCount: data.messageCount,
+                userMessageCount: data.userMessageCount,
+                // JSON size of the messages, a fair estimate of what they take on disk
+                bytes: data.messages.reduce((sum, message) => sum + JSON.stringify(message).length, 0)
+            };
+        });
+    }
 }
 
 // Create and export singleton instance
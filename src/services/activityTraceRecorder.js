@@ -0,0 +1,129 @@
+/**
+ * Activity Trace Recorder
+ *
+ * Captures the raw activity stream of a conversation (every activity a
+ * connector receives, before any filtering) with timing, and exports it as a
+ * downloadable JSON trace. Traces replay through the real pipeline with the
+ * mock bot connector (`MockBotConnector.connect({ transcript: trace })`), so
+ * streaming bugs can be reported with a reproducible trace instead of screenshots.
+ *
+ * Trace format:
+ *   {
+ *     format: 'mcs-activity-trace', version: 1,
+ *     startedAt, agent: { name, type },
+ *     activities: [{ t, activity }]   // t = ms since the trace started
+ *   }
+ */
+
+export const ACTIVITY_TRACE_FORMAT = 'mcs-activity-trace';
+const ACTIVITY_TRACE_VERSION = 1;
+const MAX_TRACE_ACTIVITIES = 5000;
+
+export class ActivityTraceRecorder {
+    constructor() {
+        this.enabled = localStorage.getItem('recordActivityTraces') === 'true';
+        this.paused = false;
+        this._trace = null;
+        this._startTime = 0;
+        this._attached = new Set();
+    }
+
+    /**
+     * Turn recording on/off (persisted). Turning it off keeps the last trace
+     * so it can still be downloaded.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        localStorage.setItem('recordActivityTraces', this.enabled.toString());
+    }
+
+    /**
+     * Record every raw activity a connector emits (`rawActivity` event).
+     * @param {Object} connector
+     */
+    attach(connector) {
+        if (!connector || this._attached.has(connector)) return;
+        this._attached.add(connector);
+        connector.on('rawActivity', (activity) => this.record(activity));
+    }
+
+    /**
+     * Start a new trace, dropping the previous one.
+     * @param {Object} [agent] - agent config, for the trace header
+     */
+    start(agent = null) {
+        this._startTime = performance.now();
+        this._trace = {
+            format: ACTIVITY_TRACE_FORMAT,
+            version: ACTIVITY_TRACE_VERSION,
+            startedAt: new Date().toISOString(),
+            agent: agent ? { name: agent.name, type: agent.agentType || null } : null,
+            activities: []
+        };
+    }
+
+    record(activity) {
+        if (!this.enabled || this.paused || !activity) return;
+        if (!this._trace) this.start();
+        if (this._trace.activities.length >= MAX_TRACE_ACTIVITIES) return;
+        this._trace.activities.push({
+            t: Math.round(performance.now() - this._startTime),
+            activity: JSON.parse(JSON.stringify(activity))
+        });
+    }
+
+    hasTrace() {
+        return !!this._trace && this._trace.activities.length > 0;
+    }
+
+    /** @returns {Object|null} a copy of the current trace */
+    getTrace() {
+        return this._trace ? JSON.parse(JSON.stringify(this._trace)) : null;
+    }
+
+    /**
+     * Download the current trace as a JSON file.
+     * @returns {boolean} false when nothing has been recorded
+     */
+    download() {
+        if (!this.hasTrace()) return false;
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const blob = new Blob([JSON.stringify(this._trace, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `mcschat-trace-${timestamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    /**
+     * Parse and validate a trace file's text.
+     * @param {string} text
+     * @returns {Object} trace
+     */
+    static parse(text) {
+        let trace;
+        try {
+            trace = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Trace is not valid JSON: ${err.message}`);
+        }
+        if (!ActivityTraceRecorder.isTrace(trace)) {
+            throw new Error('Not an activity trace (expected format "mcs-activity-trace").');
+        }
+        return trace;
+    }
+
+    static isTrace(value) {
+        return !!value && value.format === ACTIVITY_TRACE_FORMAT && Array.isArray(value.activities);
+    }
+}
+
+// Create singleton instance
+export const activityTraceRecorder = new ActivityTraceRecorder();
@@ -0,0 +1,276 @@
+/**
+ * Agent Bundle
+ *
+ * Exports agent configurations (type settings, init params, Direct-to-Engine
+ * settings, website URLs…) as a portable JSON bundle, and imports them back,
+ * merging with or replacing the local agents. Secrets never leave the browser
+ * under the local storage key: every field a connector declares as
+ * `type: 'password'` is re-encrypted under a passphrase chosen at export time.
+ *
+ * Bundle format:
+ *   {
+ *     format: 'mcs-agent-bundle', version: 1, exportedAt,
+ *     encryption: { kdf: 'PBKDF2-SHA256', cipher: 'AES-GCM-256', check } | null,
+ *     cardOrder: [agentId],
+ *     agents: [{ ...agent, encryptedSecrets?: '<base64>' }]   // secret fields removed
+ *   }
+ * `check` is a known value encrypted with the passphrase, so a wrong passphrase
+ * is reported before anything is imported.
+ */
+
+import { EncryptionUtils } from '../utils/encryption.js';
+import { Utils } from '../utils/helpers.js';
+import { connectorRegistry } from '../components/chat/adapters/builtinConnectors.js';
+
+export const AGENT_BUNDLE_FORMAT = 'mcs-agent-bundle';
+const AGENT_BUNDLE_VERSION = 1;
+const PASSPHRASE_CHECK = 'mcs-agent-bundle-check';
+
+// How an imported agent that collides with a local one is handled
+export const CONFLICT_RESOLUTIONS = ['overwrite', 'keep', 'copy'];
+
+export class AgentBundleService {
+    /**
+     * Dotted paths of the secret fields of an agent's type, including the
+     * copies held by its connection variants
+     * @param {Object} agent
+     * @returns {string[]}
+     */
+    getSecretPaths(agent) {
+        const descriptor = connectorRegistry.resolve(agent);
+        const secretFields = (descriptor?.fields || []).filter(f => f.type === 'password');
+        const variantPaths = (Array.isArray(agent.variants) ? agent.variants : [])
+            .flatMap((variant, i) => secretFields.map(f => `variants.${i}.values.${f.key}`));
+        return [...secretFields.map(f => f.path), ...variantPaths];
+    }
+
+    /**
+     * Whether any of the given agents has a secret to protect
+     * @param {Object[]} agents
+     * @returns {boolean}
+     */
+    hasSecrets(agents) {
+        return agents.some(agent => this.getSecretPaths(agent).some(path => !!this._getPath(agent, path)));
+    }
+
+    /**
+     * Build a bundle from agents.
+     * @param {Object[]} agents - Agents to export, in card order
+     * @param {Object} options
+     * @param {string} [options.passphrase] - Required when an agent has secrets,
+     *        ignored otherwise (the bundle is then not encrypted)
+     * @param {string[]} [options.cardOrder] - Home card order (ids)
+     * @returns {Promise<Object>} bundle
+     */
+    async createBundle(agents, { passphrase = '', cardOrder = [] } = {}) {
+        const encrypted = this.hasSecrets(agents);
+        if (encrypted && !passphrase) {
+            throw new Error('A passphrase is required to export agent secrets.');
+        }
+
+        const exported = [];
+        for (const agent of agents) {
+            const copy = JSON.parse(JSON.stringify(agent));
+            const secrets = {};
+            for (const path of this.getSecretPaths(copy)) {
+                const value = this._getPath(copy, path);
+                if (value) secrets[path] = value;
+                this._setPath(copy, path, '');
+            }
+            if (Object.keys(secrets).length) {
+                copy.encryptedSecrets = await EncryptionUtils.encryptWithPassphrase(JSON.stringify(secrets), passphrase);
+            }
+            exported.push(copy);
+        }
+
+        const ids = new Set(agents.map(a => a.id));
+        return {
+            format: AGENT_BUNDLE_FORMAT,
+            version: AGENT_BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            encryption: encrypted
+                ? {
+                    kdf: 'PBKDF2-SHA256',
+                    cipher: 'AES-GCM-256',
+                    check: await EncryptionUtils.encryptWithPassphrase(PASSPHRASE_CHECK, passphrase)
+                }
+                : null,
+            cardOrder: cardOrder.filter(id => ids.has(id)),
+            agents: exported
+        };
+    }
+
+    /**
+     * Download a bundle as a JSON file.
+     * @param {Object} bundle
+     */
+    download(bundle) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `mcschat-agents-${timestamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Parse and validate a bundle file's text.
+     * @param {string} text
+     * @returns {Object} bundle
+     */
+    parse(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Agent bundle is not valid JSON: ${err.message}`);
+        }
+        if (!bundle || bundle.format !== AGENT_BUNDLE_FORMAT || !Array.isArray(bundle.agents)) {
+            throw new Error('Not an agent bundle (expected format "mcs-agent-bundle").');
+        }
+        if (bundle.version > AGENT_BUNDLE_VERSION) {
+            throw new Error(`Agent bundle version ${bundle.version} is newer than this app supports.`);
+        }
+        return bundle;
+    }
+
+    /** @returns {boolean} whether importing the bundle needs a passphrase */
+    needsPassphrase(bundle) {
+        return !!bundle.encryption;
+    }
+
+    /**
+     * Decrypt a bundle's agents with the passphrase.
+     * @param {Object} bundle
+     * @param {string} [passphrase]
+     * @returns {Promise<Object[]>} agents with their secrets restored
+     */
+    async decryptAgents(bundle, passphrase = '') {
+        if (bundle.encryption) {
+            try {
+                await EncryptionUtils.decryptWithPassphrase(bundle.encryption.check, passphrase);
+            } catch {
+                throw new Error('Wrong passphrase for this agent bundle.');
+            }
+        }
+
+        const agents = [];
+        for (const agent of bundle.agents) {
+            if (!agent || !agent.id || !agent.name) continue;
+            const { encryptedSecrets, ...copy } = JSON.parse(JSON.stringify(agent));
+            if (encryptedSecrets) {
+                const secrets = JSON.parse(await EncryptionUtils.decryptWithPassphrase(encryptedSecrets, passphrase));
+                Object.entries(secrets).forEach(([path, value]) => this._setPath(copy, path, value));
+            }
+            agents.push(copy);
+        }
+        return agents;
+    }
+
+    /**
+     * Find imported agents that collide with local ones, by id or by name.
+     * @param {Object} existingAgents - Local agents keyed by id
+     * @param {Object[]} importedAgents
+     * @returns {Array<{imported: Object, existing: Object, reason: 'id'|'name'}>}
+     */
+    findConflicts(existingAgents, importedAgents) {
+        const local = Object.values(existingAgents);
+        const conflicts = [];
+        importedAgents.forEach(imported => {
+            if (existingAgents[imported.id]) {
+                conflicts.push({ imported, existing: existingAgents[imported.id], reason: 'id' });
+                return;
+            }
+            const sameName = local.find(a => a.name.trim().toLowerCase() === imported.name.trim().toLowerCase());
+            if (sameName) conflicts.push({ imported, existing: sameName, reason: 'name' });
+        });
+        return conflicts;
+    }
+
+    /**
+     * Combine local and imported agents.
+     * @param {Object} existingAgents - Local agents keyed by id
+     * @param {Object[]} importedAgents - Decrypted bundle agents
+     * @param {Object} options
+     * @param {'merge'|'replace'} [options.mode='merge'] - 'replace' drops every local agent
+     * @param {Object} [options.resolutions] - imported id → 'overwrite'|'keep'|'copy' (default 'copy')
+     * @param {string[]} [options.localOrder] - current home card order
+     * @param {string[]} [options.bundleOrder] - card order from the bundle
+     * @returns {{agents: Object, cardOrder: string[], added: number, updated: number, skipped: number}}
+     */
+    mergeAgents(existingAgents, importedAgents, { mode = 'merge', resolutions = {}, localOrder = [], bundleOrder = [] } = {}) {
+        const agents = mode === 'replace' ? {} : { ...existingAgents };
+        const conflicts = mode === 'replace' ? [] : this.findConflicts(existingAgents, importedAgents);
+        const idMap = {}; // imported id → id it was stored under
+        const now = new Date().toISOString();
+        let added = 0, updated = 0, skipped = 0;
+
+        importedAgents.forEach(imported => {
+            const conflict = conflicts.find(c => c.imported === imported);
+            const resolution = conflict ? (resolutions[imported.id] || 'copy') : null;
+
+            if (resolution === 'keep') {
+                skipped++;
+                return;
+            }
+            if (resolution === 'overwrite') {
+                const id = conflict.existing.id;
+                agents[id] = { ...imported, id, createdAt: conflict.existing.createdAt || imported.createdAt, updatedAt: now };
+                idMap[imported.id] = id;
+                updated++;
+                return;
+            }
+
+            const id = (resolution === 'copy' && agents[imported.id]) ? Utils.generateId('agent') : imported.id;
+            const name = resolution === 'copy' ? this._uniqueName(imported.name, agents) : imported.name;
+            agents[id] = { ...imported, id, name, updatedAt: now };
+            idMap[imported.id] = id;
+            added++;
+        });
+
+        // Replace: the bundle's order. Merge: local order, then new agents in bundle order.
+        const importedOrder = [...bundleOrder, ...importedAgents.map(a => a.id)]
+            .map(id => idMap[id])
+            .filter(Boolean);
+        const base = mode === 'replace' ? [] : localOrder.filter(id => agents[id]);
+        const cardOrder = [...new Set([...base, ...importedOrder, ...Object.keys(agents)])];
+
+        return { agents, cardOrder, added, updated, skipped };
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    _uniqueName(name, agents) {
+        const taken = new Set(Object.values(agents).map(a => a.name.trim().toLowerCase()));
+        if (!taken.has(name.trim().toLowerCase())) return name;
+        let n = 2;
+        while (taken.has(`${name} (${n})`.toLowerCase())) n++;
+        return `${name} (${n})`;
+    }
+
+    _getPath(obj, path) {
+        return path.split('.').reduce((o, part) => o?.[part], obj);
+    }
+
+    _setPath(obj, path, value) {
+        const parts = path.split('.');
+        const last = parts.pop();
+        let target = obj;
+        for (const part of parts) {
+            if (!target[part] || typeof target[part] !== 'object') {
+                if (!value) return; // nothing to clear
+                target[part] = {};
+            }
+            target = target[part];
+        }
+        target[last] = value;
+    }
+}
+
+// Create singleton instance
+export const agentBundleService = new AgentBundleService();
@@ -0,0 +1,215 @@
+/**
+ * Agent Health Monitor
+ *
+ * Optional background monitor that periodically probes every configured agent
+ * and keeps a short status history per agent, so a broken bot shows up on the
+ * home page before a demo rather than during it.
+ *
+ * Probing is delegated to the agent type's `probe` (connector registry): a
+ * DirectLine agent opens a throwaway conversation and waits for the greeting.
+ * Types without a probe (Direct-to-Engine needs interactive sign-in, website
+ * embeds, LLM agents) are not monitored. Agents are probed one at a time.
+ *
+ * Check result, stored newest last in localStorage `agentHealth_<agentId>`:
+ *   { t, status: 'up'|'degraded'|'down', latencyMs, error? }
+ *   up       — the bot greeted within the timeout (latencyMs = time to greeting)
+ *   degraded — the conversation opened but no greeting arrived
+ *   down     — the conversation could not be opened
+ *
+ * Every recorded check dispatches `agentHealthUpdated` ({ agentId, check }) on window.
+ */
+
+import { agentManager } from '../managers/agentManager.js';
+import { connectorRegistry } from '../components/chat/adapters/builtinConnectors.js';
+
+export const HEALTH_HISTORY_LIMIT = 48;
+const DEFAULT_INTERVAL_MINUTES = 15;
+const PROBE_TIMEOUT_MS = 30000;
+// First round after enabling / page load, so startup traffic is not slowed down
+const FIRST_RUN_DELAY_MS = 10000;
+
+export const HEALTH_CHECK_INTERVALS = [5, 15, 30, 60];
+
+export class AgentHealthMonitor {
+    constructor() {
+        this.enabled = localStorage.getItem('agentHealthMonitorEnabled') === 'true';
+        const interval = Number(localStorage.getItem('agentHealthMonitorInterval'));
+        this.intervalMinutes = HEALTH_CHECK_INTERVALS.includes(interval) ? interval : DEFAULT_INTERVAL_MINUTES;
+        this._timer = null;
+        this._firstRunTimer = null;
+        this._running = null;
+        this._checking = new Set();
+    }
+
+    /**
+     * Turn the monitor on/off (persisted).
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        localStorage.setItem('agentHealthMonitorEnabled', this.enabled.toString());
+        if (this.enabled) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Change how often agents are probed (persisted).
+     * @param {number} minutes - one of HEALTH_CHECK_INTERVALS
+     */
+    setIntervalMinutes(minutes) {
+        if (!HEALTH_CHECK_INTERVALS.includes(Number(minutes))) return;
+        this.intervalMinutes = Number(minutes);
+        localStorage.setItem('agentHealthMonitorInterval', String(this.intervalMinutes));
+        if (this._timer) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    /** Start the schedule if the monitor is enabled. */
+    start() {
+        if (!this.enabled || this._timer) return;
+        this._firstRunTimer = setTimeout(() => this.checkAll(), FIRST_RUN_DELAY_MS);
+        this._timer = setInterval(() => this.checkAll(), this.intervalMinutes * 60 * 1000);
+        console.log(`🩺 [AgentHealthMonitor] Checking agents every ${this.intervalMinutes} min`);
+    }
+
+    stop() {
+        clearTimeout(this._firstRunTimer);
+        clearInterval(this._timer);
+        this._firstRunTimer = null;
+        this._timer = null;
+    }
+
+    /**
+     * Whether agents of this type can be checked unattended
+     * @param {Object} agent
+     * @returns {boolean}
+     */
+    canCheck(agent) {
+        const descriptor = connectorRegistry.resolve(agent);
+        return !!descriptor && descriptor.kind !== 'embed' && typeof descriptor.probe === 'function';
+    }
+
+    /** @returns {boolean} whether the agent is being probed right now */
+    isChecking(agentId) {
+        return this._checking.has(agentId);
+    }
+
+    /**
+     * Probe every checkable agent, one after another. A round already in
+     * progress is reused rather than started twice.
+     * @returns {Promise<void>}
+     */
+    checkAll() {
+        if (this._running) return this._running;
+        this._running = (async () => {
+            const agents = Object.values(agentManager.getAllAgents()).filter(agent => this.canCheck(agent));
+            for (const { id } of agents) {
+                // Deleted or edited while the round was running
+                const agent = agentManager.getAllAgents()[id];
+                if (!agent) continue;
+                await this.check(agent);
+            }
+        })().finally(() => {
+            this._running = null;
+        });
+        return this._running;
+    }
+
+    /**
+     * Probe one agent and record the result. Does nothing while a check of
+     * the same agent is still running.
+     * @param {Object} agent
+     * @returns {Promise<Object|null>} the recorded check, null if the type has
+     *          no probe or the agent is already being checked
+     */
+    async check(agent) {
+        if (!this.canCheck(agent) || this._checking.has(agent.id)) return null;
+        const descriptor = connectorRegistry.resolve(agent);
+
+        this._checking.add(agent.id);
+        this._notify(agent.id, null);
+
+        let check;
+        const started = performance.now();
+        try {
+            const result = await descriptor.probe(agent, { timeoutMs: PROBE_TIMEOUT_MS });
+            check = result.greeting
+                ? { t: Date.now(), status: 'up', latencyMs: result.latencyMs }
+                : { t: Date.now(), status: 'degraded', latencyMs: result.connectMs, error: 'No greeting received' };
+        } catch (err) {
+            check = {
+                t: Date.now(),
+                status: 'down',
+                latencyMs: Math.round(performance.now() - started),
+                error: err?.message || String(err)
+            };
+        }
+
+        this._checking.delete(agent.id);
+        this._record(agent.id, check);
+        console.log(`🩺 [AgentHealthMonitor] ${agent.name}: ${check.status} (${check.latencyMs} ms)${check.error ? ` — ${check.error}` : ''}`);
+        return check;
+    }
+
+    /**
+     * @param {string} agentId
+     * @returns {Array<{t: number, status: string, latencyMs: number, error?: string}>} oldest first
+     */
+    getHistory(agentId) {
+        try {
+            const history = JSON.parse(localStorage.getItem(`agentHealth_${agentId}`) || '[]');
+            return Array.isArray(history) ? history : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Summary for the home card.
+     * @param {string} agentId
+     * @returns {{status: string, lastCheck: Object|null, uptime: number|null, avgLatencyMs: number|null, history: Object[]}}
+     *          status is 'checking', 'unknown' (never checked) or the last check's status;
+     *          uptime is the share of 'up' checks (0–1) in the stored history
+     */
+    getSummary(agentId) {
+        const history = this.getHistory(agentId);
+        const lastCheck = history[history.length - 1] || null;
+        const up = history.filter(c => c.status === 'up');
+        return {
+            status: this.isChecking(agentId) ? 'checking' : (lastCheck?.status || 'unknown'),
+            lastCheck,
+            uptime: history.length ? up.length / history.length : null,
+            avgLatencyMs: up.length ? Math.round(up.reduce((sum, c) => sum + c.latencyMs, 0) / up.length) : null,
+            history
+        };
+    }
+
+    /** Forget an agent's history (e.g. when the agent is deleted). */
+    clearHistory(agentId) {
+        localStorage.removeItem(`agentHealth_${agentId}`);
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    _record(agentId, check) {
+        const history = [...this.getHistory(agentId), check].slice(-HEALTH_HISTORY_LIMIT);
+        try {
+            localStorage.setItem(`agentHealth_${agentId}`, JSON.stringify(history));
+        } catch (err) {
+            console.warn('[AgentHealthMonitor] Could not store health history:', err);
+        }
+        this._notify(agentId, check);
+    }
+
+    _notify(agentId, check) {
+        window.dispatchEvent(new CustomEvent('agentHealthUpdated', { detail: { agentId, check } }));
+    }
+}
+
+// Create singleton instance
+export const agentHealthMonitor = new AgentHealthMonitor();
@@ -0,0 +1,222 @@
+/**
+ * History Search
+ *
+ * Full-text search over the whole chat history: every session of every agent.
+ * Each message is indexed once as normalized text (lower case, accents and
+ * repeated whitespace removed, markdown stripped), including the text of
+ * Adaptive Card attachments, attachment names and message notes. Session
+ * notes are indexed as results of their own (`from: 'note'`, pointing at the
+ * session's first message). The index is rebuilt lazily when
+ * `sessionManager.historyRevision` changes.
+ *
+ * Query syntax: whitespace-separated terms, all of which must occur in a
+ * message (substring match, so partial words and CJK text work);
+ * "double quotes" keep a phrase together.
+ *
+ * Result:
+ *   { messageId, sessionId, sessionTitle, agentId, from: 'user'|'bot'|'note',
+ *     timestamp, snippetHtml }   // snippetHtml is escaped, matches wrapped in <mark>
+ */
+
+import { Utils } from '../utils/helpers.js';
+import { sessionManager } from '../managers/sessionManager.js';
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT_BEFORE = 50;
+export const HISTORY_SEARCH_LIMIT = 200;
+// Attachment content keys whose string values are searchable (Adaptive Cards, hero cards, files)
+const ATTACHMENT_TEXT_KEYS = new Set(['text', 'title', 'subtitle', 'name', 'label', 'placeholder']);
+
+export class HistorySearchService {
+    constructor() {
+        this._docs = [];
+        this._revision = -1;
+    }
+
+    /**
+     * Split a query into normalized terms; quoted phrases stay one term
+     * @param {string} query
+     * @returns {string[]}
+     */
+    parseQuery(query) {
+        const terms = [];
+        String(query || '').replace(/"([^"]*)"|(\S+)/g, (_, phrase, word) => {
+            const term = this._normalize(phrase ?? word).text.trim();
+            if (term) terms.push(term);
+            return '';
+        });
+        return [...new Set(terms)];
+    }
+
+    /**
+     * Search the history.
+     * @param {string} query
+     * @param {Object} [filters]
+     * @param {string} [filters.agentId] - only sessions of this agent
+     * @param {'user'|'bot'} [filters.from] - only messages of this sender
+     * @param {string} [filters.dateFrom] - YYYY-MM-DD, inclusive (local time)
+     * @param {string} [filters.dateTo] - YYYY-MM-DD, inclusive (local time)
+     * @param {number} [filters.limit]
+     * @returns {{ results: Object[], total: number, terms: string[] }} newest first;
+     *          total counts every match, results are capped at `limit`
+     */
+    search(query, { agentId = '', from = '', dateFrom = '', dateTo = '', limit = HISTORY_SEARCH_LIMIT } = {}) {
+        const terms = this.parseQuery(query);
+        if (!terms.length) return { results: [], total: 0, terms };
+
+        const fromTs = dateFrom ? new Date(`${dateFrom}T00:00:00`).getTime() : -Infinity;
+        const toTs = dateTo ? new Date(`${dateTo}T23:59:59.999`).getTime() : Infinity;
+
+        const matches = this._getDocs().filter(doc =>
+            (!agentId || doc.agentId === agentId) &&
+            (!from || doc.from === from) &&
+            doc.ts >= fromTs && doc.ts <= toTs &&
+            terms.every(term => doc.norm.includes(term))
+        );
+        matches.sort((a, b) => b.ts - a.ts);
+
+        const results = matches.slice(0, limit).map(doc => ({
+            messageId: doc.messageId,
+            sessionId: doc.sessionId,
+            sessionTitle: doc.sessionTitle,
+            agentId: doc.agentId,
+            from: doc.from,
+            timestamp: doc.timestamp,
+            snippetHtml: this._snippet(doc, terms)
+        }));
+        return { results, total: matches.length, terms };
+    }
+
+    /** Drop the index (rebuilt on the next search). */
+    invalidate() {
+        this._revision = -1;
+        this._docs = [];
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    _getDocs() {
+        if (this._revision === sessionManager.historyRevision) return this._docs;
+
+        const history = sessionManager.getChatHistory();
+        const titles = this._sessionTitles(history);
+        const messages = history.filter(message => message && message.session);
+        this._docs = messages
+            .map(message => this._doc(message, message.from === 'user' ? 'user' : 'bot', message.timestamp, this._searchableText(message), titles))
+            .filter(doc => doc.norm);
+
+        Object.entries(sessionManager.getSessionAnnotations()).forEach(([sessionId, annotation]) => {
+            const firstMessage = annotation.note && messages.find(message => message.session === sessionId);
+            if (!firstMessage) return;
+            this._docs.push(this._doc(firstMessage, 'note', annotation.updatedAt || firstMessage.timestamp, annotation.note, titles));
+        });
+        this._revision = sessionManager.historyRevision;
+        console.log(`🔎 [HistorySearch] Indexed ${this._docs.length} messages`);
+        return this._docs;
+    }
+
+    // Index entry for a message (or a session note, which points at the session's first message)
+    _doc(message, from, timestamp, display, titles) {
+        const { text: norm, map } = this._normalize(display);
+        const ts = new Date(timestamp).getTime();
+        return {
+            messageId: message.id,
+            sessionId: message.session,
+            sessionTitle: titles[message.session] || '',
+            agentId: message.agentId || '',
+            from,
+            timestamp,
+            ts: isNaN(ts) ? 0 : ts,
+            display,
+            norm,
+            map
+        };
+    }
+
+    // Session title: the AI-generated title, else the first user message
+    _sessionTitles(history) {
+        const titles = {};
+        history.forEach(message => {
+            if (message.sessionTitle) titles[message.session] = message.sessionTitle;
+        });
+        history.forEach(message => {
+            if (!titles[message.session] && message.from === 'user' && message.text) {
+                titles[message.session] = Utils.truncate(Utils.stripMarkdown(message.text), 60);
+            }
+        });
+        return titles;
+    }
+
+    // Plain text of a message: its text, whatever its attachments display, and its note
+    _searchableText(message) {
+        const parts = [];
+        if (message.text) parts.push(Utils.stripMarkdown(message.text));
+        (message.attachments || []).forEach(attachment => {
+            if (attachment?.name) parts.push(attachment.name);
+            this._collectText(attachment?.content, parts, 0);
+        });
+        if (message.note) parts.push(message.note);
+        return parts.join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    _collectText(node, parts, depth) {
+        if (!node || typeof node !== 'object' || depth > 12) return;
+        if (Array.isArray(node)) {
+            node.forEach(item => this._collectText(item, parts, depth + 1));
+            return;
+        }
+        Object.entries(node).forEach(([key, value]) => {
+            if (typeof value === 'string') {
+                if (ATTACHMENT_TEXT_KEYS.has(key) && value.trim()) parts.push(value.trim());
+            } else {
+                this._collectText(value, parts, depth + 1);
+            }
+        });
+    }
+
+    /**
+     * Lower-case, accent-free text plus, per output character, the index of
+     * the source character it came from (to highlight the original text)
+     */
+    _normalize(text) {
+        let out = '';
+        const map = [];
+        for (let i = 0; i < text.length; i++) {
+            const normalized = text[i].normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+            for (let j = 0; j < normalized.length; j++) map.push(i);
+            out += normalized;
+        }
+        return { text: out, map };
+    }
+
+    _snippet(doc, terms) {
+        // Source ranges of every occurrence of every term
+        const ranges = [];
+        terms.forEach(term => {
+            for (let at = doc.norm.indexOf(term); at !== -1; at = doc.norm.indexOf(term, at + term.length)) {
+                ranges.push([doc.map[at], doc.map[at + term.length - 1] + 1]);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const first = ranges[0]?.[0] ?? 0;
+        const start = Math.max(0, Math.min(first - SNIPPET_CONTEXT_BEFORE, doc.display.length - SNIPPET_LENGTH));
+        const end = Math.min(doc.display.length, start + SNIPPET_LENGTH);
+
+        let html = start > 0 ? '…' : '';
+        let pos = start;
+        ranges.forEach(([from, to]) => {
+            if (to <= pos || from >= end) return;
+            from = Math.max(from, pos);
+            to = Math.min(to, end);
+            html += Utils.escapeHtml(doc.display.slice(pos, from)) + `<mark>${Utils.escapeHtml(doc.display.slice(from, to))}</mark>`;
+            pos = to;
+        });
+        html += Utils.escapeHtml(doc.display.slice(pos, end));
+        if (end < doc.display.length) html += '…';
+        return html;
+    }
+}
+
+// Create singleton instance
+export const historySearchService = new HistorySearchService();
@@ -0,0 +1,177 @@
+/**
+ * History Store
+ *
+ * IndexedDB persistence for the chat history (database `mcsChatHistory`):
+ *   sessions — one record per session, keyPath `id`:
+ *     { id, agentId, title, firstActivity, lastActivity, messageCount, userMessageCount, bytes }
+ *   messages — one record per message, keyPath `id`, indexed by `session` and `seq`:
+ *     { id, session, seq, message }   // message = the entry sessionManager stores
+ *
+ * Writes are incremental: adding a message puts that message and its session
+ * record in one transaction instead of rewriting the whole history. `seq`
+ * keeps the insertion order, which message ids and timestamps (bot clock vs
+ * local clock) do not guarantee. It is taken from the store inside the write
+ * transaction, so tabs sharing the database never hand out the same value. `bytes` is the JSON size of the session's
+ * messages, used by the storage usage view and size-based retention.
+ *
+ * Failed writes reject with the transaction error; a full disk surfaces as a
+ * DOMException named 'QuotaExceededError'.
+ */
+
+const DB_NAME = 'mcsChatHistory';
+const DB_VERSION = 2;
+const SESSIONS = 'sessions';
+const MESSAGES = 'messages';
+
+export class HistoryStore {
+    constructor() {
+        this._db = null;
+        this._opening = null;
+    }
+
+    /** @returns {boolean} whether this browser has IndexedDB */
+    isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (and on first use create) the database. Repeated calls share one open.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this._opening) return this._opening;
+        this._opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSIONS)) {
+                    db.createObjectStore(SESSIONS, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(MESSAGES)) {
+                    db.createObjectStore(MESSAGES, { keyPath: 'id' }).createIndex('session', 'session');
+                }
+                // Version 2: the last seq is looked up when a message is added
+                const messages = request.transaction.objectStore(MESSAGES);
+                if (!messages.indexNames.contains('seq')) messages.createIndex('seq', 'seq');
+            };
+            request.onsuccess = () => {
+                this._db = request.result;
+                // Another tab upgrading the schema: step aside instead of blocking it
+                this._db.onversionchange = () => this._db.close();
+                resolve(this._db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The history database is in use by an older version of this app in another tab'));
+        });
+        this._opening.catch(() => { this._opening = null; });
+        return this._opening;
+    }
+
+    /**
+     * Every stored message, in insertion order
+     * @returns {Promise<Object[]>}
+     */
+    async getAllMessages() {
+        const records = await this._read(MESSAGES, store => store.getAll());
+        records.sort((a, b) => a.seq - b.seq);
+        return records.map(record => record.message);
+    }
+
+    /**
+     * Every session record
+     * @returns {Promise<Object[]>}
+     */
+    getAllSessions() {
+        return this._read(SESSIONS, store => store.getAll());
+    }
+
+    /**
+     * Insert or update messages and session records in one transaction.
+     * An updated message keeps its seq; new messages get the next ones.
+     * @param {Object[]} messages - message entries (must have `id` and `session`)
+     * @param {Object[]} [sessions] - session records
+     * @returns {Promise<void>}
+     */
+    put(messages, sessions = []) {
+        return this._write([SESSIONS, MESSAGES], tx => {
+            const sessionStore = tx.objectStore(SESSIONS);
+            sessions.forEach(session => sessionStore.put(session));
+            if (!messages.length) return;
+
+            const messageStore = tx.objectStore(MESSAGES);
+            const last = messageStore.index('seq').openKeyCursor(null, 'prev');
+            last.onsuccess = () => {
+                let nextSeq = last.result ? last.result.key + 1 : 0;
+                // Requests complete in order, so new messages are numbered as given
+                messages.forEach(message => {
+                    const existing = messageStore.get(message.id);
+                    existing.onsuccess = () => {
+                        const seq = existing.result ? existing.result.seq : nextSeq++;
+                        messageStore.put({ id: message.id, session: message.session, seq, message });
+                    };
+                });
+            };
+        });
+    }
+
+    /**
+     * Delete sessions and all their messages.
+     * @param {string[]} sessionIds
+     * @returns {Promise<void>}
+     */
+    deleteSessions(sessionIds) {
+        return this._write([SESSIONS, MESSAGES], tx => {
+            const messageIndex = tx.objectStore(MESSAGES).index('session');
+            sessionIds.forEach(sessionId => {
+                tx.objectStore(SESSIONS).delete(sessionId);
+                const keys = messageIndex.getAllKeys(sessionId);
+                keys.onsuccess = () => keys.result.forEach(key => tx.objectStore(MESSAGES).delete(key));
+            });
+        });
+    }
+
+    /**
+     * Replace the whole history.
+     * @param {Object[]} messages - in order
+     * @param {Object[]} sessions - session records
+     * @returns {Promise<void>}
+     */
+    async replaceAll(messages, sessions) {
+        await this.clear();
+        await this.put(messages, sessions);
+    }
+
+    /** @returns {Promise<void>} */
+    clear() {
+        return this._write([SESSIONS, MESSAGES], tx => {
+            tx.objectStore(SESSIONS).clear();
+            tx.objectStore(MESSAGES).clear();
+        });
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    async _read(storeName, request) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const req = request(db.transaction(storeName, 'readonly').objectStore(storeName));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // Resolves when the transaction commits, rejects with its error when it fails
+    async _write(storeNames, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, 'readwrite');
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History write aborted'));
+            work(tx);
+        });
+    }
+}
+
+// Create singleton instance
+export const historyStore = new HistoryStore();
@@ -0,0 +1,460 @@
+/**
+ * Transcript Export
+ *
+ * Turns a stored session into a shareable transcript:
+ *   - Markdown (`toMarkdown`) — for pasting into test reports and tickets
+ *   - HTML (`toHtml`) — one self-contained file: styles inline, Adaptive Cards
+ *     rendered to static HTML snapshots, nothing loaded from the app
+ *   - Print view (`openPrintView`) — the HTML transcript in a new window with
+ *     the browser's print dialog, for "Save as PDF"
+ *
+ * Every message carries its timestamp. Agent messages also carry the response
+ * time, measured from the preceding user message, and the citations found in
+ * the activity's entities or the text's `[n]: url "title"` reference lines.
+ * The AI Companion KPI scores are included when they are passed in; they only
+ * exist for the session that is currently open. Session and message notes
+ * and stars (see sessionManager annotations) and message feedback (thumbs
+ * with their comment) are included.
+ */
+
+import { Utils } from '../utils/helpers.js';
+import { sessionManager } from '../managers/sessionManager.js';
+import { agentManager } from '../managers/agentManager.js';
+
+export const TRANSCRIPT_FORMATS = ['markdown', 'html', 'print'];
+
+const ADAPTIVE_CARD = 'application/vnd.microsoft.card.adaptive';
+// Copilot Studio appends citations as markdown reference definitions
+const REFERENCE_LINE = /^\s*\[(\d+)\]:\s*(\S+)(?:\s+"([^"]*)")?\s*$/gm;
+const KPI_KEYS = ['accuracy', 'helpfulness', 'completeness', 'efficiency', 'humanlikeness'];
+
+export class TranscriptExportService {
+    /**
+     * Collect everything a transcript shows for a session.
+     * @param {string} sessionId
+     * @param {Object} [options]
+     * @param {Object} [options.kpi] - AI Companion kpiData to include
+     * @returns {Object} transcript model (see _buildMessage for message entries)
+     */
+    buildTranscript(sessionId, { kpi = null } = {}) {
+        const stored = sessionManager.getSessionMessages(sessionId)
+            .slice()
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const agentId = stored.find(m => m.agentId)?.agentId || null;
+        const agent = agentId ? agentManager.getAllAgents()[agentId] : null;
+
+        let lastUserTs = null;
+        const messages = stored.map(message => {
+            const entry = this._buildMessage(message, agent, lastUserTs);
+            if (entry.role === 'user') lastUserTs = new Date(message.timestamp).getTime();
+            return entry;
+        }).filter(m => m.text || m.cards.length || m.attachments.length);
+
+        const firstUser = stored.find(m => m.from === 'user' && m.text);
+        const title = stored.find(m => m.sessionTitle)?.sessionTitle
+            || (firstUser ? Utils.truncate(Utils.stripMarkdown(firstUser.text), 80) : 'Conversation');
+
+        return {
+            sessionId,
+            title,
+            agentName: agent?.name || 'Agent',
+            startedAt: stored[0]?.timestamp || null,
+            endedAt: stored[stored.length - 1]?.timestamp || null,
+            exportedAt: new Date().toISOString(),
+            annotation: sessionManager.getSessionAnnotation(sessionId),
+            messages,
+            kpi: this._pickKpi(kpi)
+        };
+    }
+
+    /**
+     * @param {Object} transcript - from buildTranscript
+     * @returns {string} Markdown document
+     */
+    toMarkdown(transcript) {
+        const lines = [
+            `# ${transcript.title}`,
+            '',
+            `- **Agent:** ${transcript.agentName}`,
+            `- **Session:** ${this._formatDate(transcript.startedAt)} – ${this._formatDate(transcript.endedAt)}`,
+            `- **Messages:** ${transcript.messages.length}`,
+            `- **Exported:** ${this._formatDate(transcript.exportedAt)}`,
+            ''
+        ];
+        if (transcript.annotation.starred || transcript.annotation.pinned) {
+            lines.splice(-1, 0, `- **Flags:** ${this._flags(transcript.annotation).join(', ')}`);
+        }
+        if (transcript.annotation.note) {
+            lines.push(...this._noteLines(transcript.annotation.note), '');
+        }
+
+        if (transcript.kpi) {
+            lines.push('## AI Companion KPI Scores', '', '| KPI | Score |', '|-----|-------|');
+            transcript.kpi.scores.forEach(({ name, value }) => lines.push(`| ${this._kpiLabel(name)} | ${value.toFixed(1)} / 10 |`));
+            if (transcript.kpi.trend) lines.push('', `Trend: ${transcript.kpi.trend}`);
+            lines.push('');
+        }
+
+        lines.push('## Transcript', '');
+        transcript.messages.forEach(message => {
+            const meta = [this._formatDate(message.timestamp)];
+            if (message.responseTimeMs !== null) meta.push(`response time ${this._formatDuration(message.responseTimeMs)}`);
+            lines.push(`### ${message.sender}${message.starred ? ' ★' : ''}`, '', `*${meta.join(' · ')}*`, '');
+            if (message.text) lines.push(message.text, '');
+
+            message.cards.forEach(card => {
+                lines.push('> **Adaptive Card**', '>');
+                this._cardToLines(card).forEach(line => lines.push(line ? `> ${line}` : '>'));
+                lines.push('');
+            });
+            message.attachments.forEach(att => {
+                lines.push(att.url ? `📎 [${att.name}](${att.url})` : `📎 ${att.name}`, '');
+            });
+            if (message.citations.length) {
+                lines.push('**Sources**', '');
+                message.citations.forEach(c => {
+                    const label = c.title || c.url || c.text;
+                    lines.push(`${c.index}. ${c.url ? `[${label}](${c.url})` : label}`);
+                });
+                lines.push('');
+            }
+            if (message.suggestedActions.length) {
+                lines.push(`*Suggested: ${message.suggestedActions.join(' · ')}*`, '');
+            }
+            if (message.note) lines.push(...this._noteLines(message.note), '');
+            if (message.feedback) lines.push(`*Feedback: ${this._feedbackLabel(message.feedback)}*`, '');
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * @param {Object} transcript - from buildTranscript
+     * @returns {string} Self-contained HTML document
+     */
+    toHtml(transcript) {
+        const esc = Utils.escapeHtml;
+        const kpiHtml = transcript.kpi
+            ? `<section class="kpi">
+                <h2>AI Companion KPI Scores</h2>
+                <table>
+                    ${transcript.kpi.scores.map(({ name, value }) => `<tr><th>${esc(this._kpiLabel(name))}</th><td>${value.toFixed(1)} / 10</td></tr>`).join('')}
+                    ${transcript.kpi.trend ? `<tr><th>Trend</th><td>${esc(transcript.kpi.trend)}</td></tr>` : ''}
+                </table>
+            </section>`
+            : '';
+
+        const messagesHtml = transcript.messages.map(message => {
+            const meta = [`<time datetime="${esc(message.timestamp || '')}">${esc(this._formatDate(message.timestamp))}</time>`];
+            if (message.responseTimeMs !== null) meta.push(`response time ${esc(this._formatDuration(message.responseTimeMs))}`);
+            const cards = message.cards.map(card => `<div class="card-snapshot">${this._cardToHtml(card)}</div>`).join('');
+            const attachments = message.attachments.map(att =>
+                `<div class="attachment">📎 ${att.url ? `<a href="${esc(att.url)}">${esc(att.name)}</a>` : esc(att.name)}</div>`).join('');
+            const citations = message.citations.length
+                ? `<div class="sources"><strong>Sources</strong><ol>${message.citations.map(c =>
+                    `<li value="${c.index}">${c.url ? `<a href="${esc(c.url)}">${esc(c.title || c.url)}</a>` : esc(c.title || c.text)}${c.title && c.text ? `<div class="source-text">${esc(Utils.truncate(c.text, 300))}</div>` : ''}</li>`).join('')}</ol></div>`
+                : '';
+            const suggested = message.suggestedActions.length
+                ? `<div class="suggested">${message.suggestedActions.map(a => `<span>${esc(a)}</span>`).join('')}</div>`
+                : '';
+            const note = message.note ? `<div class="note"><strong>Note</strong> ${esc(message.note)}</div>` : '';
+            const feedback = message.feedback ? `<div class="feedback ${esc(message.feedback.reaction)}"><strong>Feedback</strong> ${esc(this._feedbackLabel(message.feedback))}</div>` : '';
+            return `
+            <article class="message ${message.role}${message.starred ? ' starred' : ''}">
+                <header><strong>${esc(message.sender)}${message.starred ? ' <span class="star" title="Starred">★</span>' : ''}</strong><span>${meta.join(' · ')}</span></header>
+                ${message.text ? `<div class="text">${this._markdownToHtml(message.text)}</div>` : ''}
+                ${cards}${attachments}${citations}${suggested}${note}${feedback}
+            </article>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(transcript.title)} — ${esc(transcript.agentName)}</title>
+<style>${TRANSCRIPT_CSS}</style>
+</head>
+<body>
+<main>
+    <header class="transcript-header">
+        <h1>${esc(transcript.title)}</h1>
+        <dl>
+            <dt>Agent</dt><dd>${esc(transcript.agentName)}</dd>
+            <dt>Session</dt><dd>${esc(this._formatDate(transcript.startedAt))} – ${esc(this._formatDate(transcript.endedAt))}</dd>
+            <dt>Messages</dt><dd>${transcript.messages.length}</dd>
+            <dt>Exported</dt><dd>${esc(this._formatDate(transcript.exportedAt))}</dd>
+            ${transcript.annotation.starred || transcript.annotation.pinned ? `<dt>Flags</dt><dd>${esc(this._flags(transcript.annotation).join(', '))}</dd>` : ''}
+        </dl>
+        ${transcript.annotation.note ? `<div class="note"><strong>Note</strong> ${esc(transcript.annotation.note)}</div>` : ''}
+    </header>
+    ${kpiHtml}
+    <section class="transcript">${messagesHtml}
+    </section>
+</main>
+</body>
+</html>`;
+    }
+
+    /**
+     * Download a transcript in one of the file formats.
+     * @param {Object} transcript
+     * @param {'markdown'|'html'} format
+     */
+    download(transcript, format) {
+        const content = format === 'markdown' ? this.toMarkdown(transcript) : this.toHtml(transcript);
+        const type = format === 'markdown' ? 'text/markdown' : 'text/html';
+        const extension = format === 'markdown' ? 'md' : 'html';
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this._fileName(transcript)}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open the HTML transcript in a new window and start printing.
+     * @param {Object} transcript
+     * @returns {boolean} false when the window was blocked
+     */
+    openPrintView(transcript) {
+        const win = window.open('', '_blank');
+        if (!win) return false;
+        win.document.open();
+        win.document.write(this.toHtml(transcript));
+        win.document.close();
+        win.focus();
+        // Give card images a moment to load before the print dialog snapshots the page
+        setTimeout(() => win.print(), 500);
+        return true;
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    _buildMessage(message, agent, lastUserTs) {
+        const role = message.from === 'user' ? 'user' : 'bot';
+        const ts = new Date(message.timestamp).getTime();
+        const { text, references } = this._splitReferences(message.text || '');
+
+        const cards = [];
+        const attachments = [];
+        (message.attachments || []).forEach(att => {
+            if (att?.contentType === ADAPTIVE_CARD && att.content) {
+                cards.push(att.content);
+            } else if (att) {
+                // File objects (user uploads) only keep their name once stored
+                const url = typeof att.contentUrl === 'string' && !att.contentUrl.startsWith('blob:') ? att.contentUrl : '';
+                attachments.push({ name: att.name || att.contentType || 'Attachment', url });
+            }
+        });
+
+        return {
+            id: message.id,
+            role,
+            sender: role === 'user' ? 'User' : (agent?.name || 'Agent'),
+            timestamp: message.timestamp,
+            text,
+            cards,
+            attachments,
+            citations: this._collectCitations(message, references),
+            responseTimeMs: role === 'bot' && lastUserTs !== null && !isNaN(ts) && ts >= lastUserTs ? ts - lastUserTs : null,
+            suggestedActions: (message.suggestedActions?.actions || []).map(a => a.title || a.text || a.value).filter(Boolean),
+            starred: !!message.starred,
+            note: message.note || '',
+            feedback: message.feedback || null
+        };
+    }
+
+    _flags(annotation) {
+        return [annotation.starred && 'Starred', annotation.pinned && 'Pinned'].filter(Boolean);
+    }
+
+    // 👍/👎 and the comment, e.g. `👎 Bad response — "the price is outdated"`
+    _feedbackLabel(feedback) {
+        const label = feedback.reaction === 'like' ? '👍 Good response' : '👎 Bad response';
+        return feedback.comment ? `${label} — "${feedback.comment}"` : label;
+    }
+
+    // A note as a Markdown quote, one quoted line per line of the note
+    _noteLines(note) {
+        return note.split('\n').map((line, i) => `> ${i === 0 ? '📝 **Note:** ' : ''}${line}`);
+    }
+
+    // Remove `[n]: url "title"` reference lines from the text; they are listed as sources
+    _splitReferences(text) {
+        const references = [];
+        const stripped = text.replace(REFERENCE_LINE, (_, index, url, title) => {
+            references.push({ index: Number(index), url, title: title || '', text: '' });
+            return '';
+        });
+        return { text: references.length ? stripped.trim() : text, references };
+    }
+
+    _collectCitations(message, references) {
+        const citations = [...references];
+        (message.entities || []).forEach(entity => {
+            if (!Array.isArray(entity?.citation)) return;
+            entity.citation.forEach((citation, i) => {
+                const appearance = citation.appearance || {};
+                const index = Number(citation.position) || citations.length + i + 1;
+                const existing = citations.find(c => c.index === index);
+                const details = {
+                    title: appearance.name || existing?.title || '',
+                    url: appearance.url || existing?.url || '',
+                    text: appearance.abstract || appearance.text || ''
+                };
+                if (existing) Object.assign(existing, details);
+                else citations.push({ index, ...details });
+            });
+        });
+        return citations.sort((a, b) => a.index - b.index);
+    }
+
+    _pickKpi(kpi) {
+        if (!kpi) return null;
+        const scores = KPI_KEYS
+            .filter(key => typeof kpi[key] === 'number' && kpi[key] > 0)
+            .map(key => ({ name: key, value: kpi[key] }));
+        return scores.length ? { scores, trend: kpi.trend || '' } : null;
+    }
+
+    _kpiLabel(name) {
+        return name === 'humanlikeness' ? 'Human-likeness' : name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    // Static HTML of an Adaptive Card; a text rendering when the library is missing
+    _cardToHtml(card) {
+        if (typeof AdaptiveCards !== 'undefined') {
+            try {
+                const adaptiveCard = new AdaptiveCards.AdaptiveCard();
+                adaptiveCard.parse(card);
+                const element = adaptiveCard.render();
+                if (element) {
+                    element.querySelectorAll('input, select, textarea, button').forEach(el => el.setAttribute('disabled', ''));
+                    const html = element.outerHTML;
+                    return typeof DOMPurify !== 'undefined' ? DOMPurify.sanitize(html) : html;
+                }
+            } catch (error) {
+                console.warn('[TranscriptExport] Could not render Adaptive Card snapshot:', error);
+            }
+        }
+        return `<pre class="card-text">${Utils.escapeHtml(this._cardToLines(card).join('\n'))}</pre>`;
+    }
+
+    // Plain-text (markdown-flavoured) rendering of an Adaptive Card
+    _cardToLines(card) {
+        const lines = [];
+        const walk = (items) => (items || []).forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            switch (item.type) {
+                case 'TextBlock':
+                    if (item.text) lines.push(item.weight === 'Bolder' ? `**${item.text}**` : item.text);
+                    break;
+                case 'RichTextBlock':
+                    lines.push((item.inlines || []).map(inline => typeof inline === 'string' ? inline : inline.text || '').join(''));
+                    break;
+                case 'FactSet':
+                    (item.facts || []).forEach(fact => lines.push(`- **${fact.title}** ${fact.value}`));
+                    break;
+                case 'Image':
+                    if (item.url && !item.url.startsWith('data:')) lines.push(`![${item.altText || 'image'}](${item.url})`);
+                    break;
+                case 'ImageSet':
+                    walk(item.images);
+                    break;
+                case 'ColumnSet':
+                    (item.columns || []).forEach(column => walk(column.items));
+                    break;
+                case 'Container':
+                case 'Column':
+                    walk(item.items);
+                    break;
+                default:
+                    if (item.type?.startsWith('Input.')) {
+                        lines.push(`[${item.label || item.placeholder || item.id || item.type}: ${item.value ?? ''}]`);
+                    }
+            }
+        });
+        walk(card.body);
+        const actions = (card.actions || []).map(a => `[${a.title || a.type}]`);
+        if (actions.length) lines.push('', actions.join(' '));
+        return lines;
+    }
+
+    _markdownToHtml(text) {
+        if (typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined') {
+            const html = typeof marked.parse === 'function' ? marked.parse(text) : marked(text);
+            return DOMPurify.sanitize(html);
+        }
+        return Utils.escapeHtml(text).replace(/\n/g, '<br>');
+    }
+
+    _formatDate(timestamp) {
+        if (!timestamp) return '--';
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? '--' : date.toLocaleString();
+    }
+
+    _formatDuration(ms) {
+        return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    _fileName(transcript) {
+        const slug = transcript.title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').slice(0, 40);
+        const date = (transcript.startedAt || transcript.exportedAt).slice(0, 10);
+        return `transcript-${slug || 'conversation'}-${date}`;
+    }
+}
+
+// Embedded in every HTML transcript, so the file renders the same anywhere
+const TRANSCRIPT_CSS = `
+body { margin: 0; background: #f5f5f5; color: #242424; font: 14px/1.5 "Segoe UI", system-ui, -apple-system, sans-serif; }
+main { max-width: 820px; margin: 0 auto; padding: 32px 24px; }
+h1 { font-size: 22px; margin: 0 0 12px; }
+h2 { font-size: 16px; margin: 24px 0 8px; }
+.transcript-header dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 0; color: #555; }
+.transcript-header dt { font-weight: 600; }
+.transcript-header dd { margin: 0; }
+.kpi table { border-collapse: collapse; }
+.kpi th, .kpi td { text-align: left; padding: 4px 16px 4px 0; border-bottom: 1px solid #e0e0e0; }
+.transcript { margin-top: 24px; display: flex; flex-direction: column; gap: 12px; }
+.message { background: #fff; border: 1px solid #e0e0e0; border-radius: 10px; padding: 12px 16px; break-inside: avoid; }
+.message.user { background: #eef5fc; border-color: #c7e0f4; margin-left: 15%; }
+.message > header { display: flex; justify-content: space-between; gap: 12px; font-size: 12px; color: #666; margin-bottom: 6px; }
+.message > header strong { color: #242424; }
+.text p:first-child { margin-top: 0; }
+.text p:last-child { margin-bottom: 0; }
+.text pre, .card-text { background: #f3f3f3; padding: 8px; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+.text table { border-collapse: collapse; }
+.text th, .text td { border: 1px solid #ddd; padding: 4px 8px; }
+.text img, .card-snapshot img { max-width: 100%; }
+.card-snapshot { margin-top: 8px; border: 1px solid #ddd; border-radius: 8px; padding: 8px; overflow: hidden; }
+.attachment { margin-top: 6px; }
+.sources { margin-top: 8px; font-size: 12px; color: #555; }
+.sources ol { margin: 4px 0 0; padding-left: 20px; }
+.source-text { color: #777; }
+.suggested { margin-top: 8px; display: flex; flex-wrap: wrap; gap: 6px; }
+.suggested span { border: 1px solid #c7e0f4; border-radius: 12px; padding: 2px 10px; font-size: 12px; color: #0f6cbd; }
+.note { margin-top: 8px; padding: 6px 10px; border-left: 3px solid #e3a400; background: #fff8e1; font-size: 13px; white-space: pre-wrap; }
+.message.starred { border-color: #e3a400; }
+.feedback { margin-top: 8px; padding: 6px 10px; border-left: 3px solid #107c10; background: #eef7ee; font-size: 13px; white-space: pre-wrap; }
+.feedback.dislike { border-left-color: #c50f1f; background: #fdf0f1; }
+.star { color: #e3a400; }
+a { color: #0f6cbd; }
+@media print {
+    body { background: #fff; font-size: 11pt; }
+    main { max-width: none; padding: 0; }
+    .message { border-color: #bbb; }
+    .message.user { background: #f4f8fc; }
+    a { color: inherit; }
+    .sources a::after { content: " (" attr(href) ")"; word-break: break-all; }
+}
+`;
+
+// Create singleton instance
+export const transcriptExportService = new TranscriptExportService();
@@ -0,0 +1,308 @@
+/**
+ * Diagram Renderer
+ *
+ * Renders two kinds of fenced blocks in agent messages as graphics:
+ *   ```mermaid — a Mermaid diagram. The Mermaid library (vendored in lib/) is
+ *                loaded the first time a diagram is shown.
+ *   ```chart   — a bar, line or pie chart drawn as SVG from JSON series data:
+ *                { "type": "bar"|"line"|"pie", "title": "...",
+ *                  "labels": ["Q1", "Q2"], "series": [{ "name": "Revenue", "data": [10, 12] }] }
+ *                Shorthands: "data": { "Q1": 10, "Q2": 12 } or
+ *                "data": [{ "label": "Q1", "value": 10 }, ...] (one series).
+ *
+ * Blocks are rendered once the message is final (never while it streams).
+ * Each graphic has a toggle to show its source; a block that cannot be
+ * rendered keeps showing its source with the error.
+ */
+
+import { Utils } from '../utils/helpers.js';
+import { codeHighlighter } from '../utils/codeHighlighter.js';
+
+// mermaid@10.9.1 dist/mermaid.min.js, served with the app like the other lib/ scripts
+const MERMAID_URL = 'lib/mermaid.min.js';
+const CHART_TYPES = ['bar', 'line', 'pie'];
+const CHART_COLORS = ['#0f6cbd', '#e3a400', '#0a7d32', '#c50f1f', '#8250df', '#038387', '#b45309', '#5c2e91'];
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 300;
+const MAX_AXIS_LABELS = 12;
+
+export class DiagramRenderer {
+    constructor() {
+        this._mermaidLoading = null;
+    }
+
+    /**
+     * Render the mermaid and chart blocks of a finished message
+     * @param {HTMLElement} container - Element holding the rendered markdown
+     * @returns {Promise<number>} Number of blocks turned into graphics
+     */
+    async render(container) {
+        if (!container) return 0;
+        const blocks = [...container.querySelectorAll('pre > code')]
+            .filter(code => !code.closest('.diagram-block'))
+            .map(code => ({ code, kind: codeHighlighter.getLanguage(code) }))
+            .filter(({ kind }) => kind === 'mermaid' || kind === 'chart');
+
+        let rendered = 0;
+        for (const { code, kind } of blocks) {
+            const source = code.textContent.replace(/\n$/, '');
+            // The code panel (or plain pre) becomes the source view
+            const sourceBlock = code.closest('.code-block') || code.parentElement;
+            try {
+                const svg = kind === 'mermaid' ? await this._renderMermaid(source) : this.renderChart(source);
+                sourceBlock.replaceWith(this._createFigure(kind, sourceBlock, svg, null));
+                rendered++;
+            } catch (error) {
+                console.warn(`[DiagramRenderer] Could not render ${kind} block:`, error);
+                sourceBlock.replaceWith(this._createFigure(kind, sourceBlock, null, error));
+            }
+        }
+        return rendered;
+    }
+
+    /**
+     * Draw a chart from its JSON source
+     * @param {string} source - JSON (see the module comment)
+     * @returns {string} SVG markup
+     * @throws {Error} when the JSON or the series are invalid
+     */
+    renderChart(source) {
+        const chart = this._parseChart(source);
+        return chart.type === 'pie' ? this._pieChart(chart) : this._axisChart(chart);
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    _createFigure(kind, sourceBlock, svg, error) {
+        const label = kind === 'mermaid' ? 'Diagram' : 'Chart';
+        const figure = document.createElement('figure');
+        figure.className = `diagram-block ${kind}${error ? ' failed' : ''}`;
+        figure.innerHTML = `
+            <div class="diagram-block-header">
+                <span class="diagram-block-label">${label}</span>
+                ${error ? '' : '<button type="button" class="diagram-block-toggle" aria-pressed="false">View source</button>'}
+            </div>
+            ${error
+                ? `<div class="diagram-block-error">Could not render this ${kind === 'mermaid' ? 'diagram' : 'chart'}: ${Utils.escapeHtml(error.message || String(error))}</div>`
+                : `<div class="diagram-block-view">${svg}</div>`}
+            <div class="diagram-block-source"${error ? '' : ' hidden'}></div>`;
+        figure.querySelector('.diagram-block-source').appendChild(sourceBlock);
+
+        const toggle = figure.querySelector('.diagram-block-toggle');
+        toggle?.addEventListener('click', () => {
+            const showSource = toggle.getAttribute('aria-pressed') !== 'true';
+            toggle.setAttribute('aria-pressed', String(showSource));
+            toggle.textContent = showSource ? `View ${label.toLowerCase()}` : 'View source';
+            figure.querySelector('.diagram-block-view').hidden = showSource;
+            figure.querySelector('.diagram-block-source').hidden = !showSource;
+        });
+        return figure;
+    }
+
+    // ── Mermaid ──
+
+    _loadMermaid() {
+        if (typeof mermaid !== 'undefined') return Promise.resolve(mermaid);
+        if (this._mermaidLoading) return this._mermaidLoading;
+
+        this._mermaidLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = MERMAID_URL;
+            script.onload = () => {
+                // Strict: no scripts or clicks in diagrams, labels are sanitized
+                mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'neutral' });
+                resolve(mermaid);
+            };
+            script.onerror = () => reject(new Error('the Mermaid library could not be loaded'));
+            document.head.appendChild(script);
+        });
+        this._mermaidLoading.catch(() => { this._mermaidLoading = null; });
+        return this._mermaidLoading;
+    }
+
+    async _renderMermaid(source) {
+        const library = await this._loadMermaid();
+        const id = Utils.generateId('mermaid');
+        try {
+            const { svg } = await library.render(id, source);
+            return svg;
+        } finally {
+            // A failed render leaves its error graphic in the page
+            document.getElementById(`d${id}`)?.remove();
+        }
+    }
+
+    // ── Charts ──
+
+    _parseChart(source) {
+        let spec;
+        try {
+            spec = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`invalid JSON (${error.message})`);
+        }
+        if (Array.isArray(spec)) spec = { data: spec };
+        if (!spec || typeof spec !== 'object') throw new Error('expected a JSON object');
+
+        const type = String(spec.type || 'bar').toLowerCase();
+        if (!CHART_TYPES.includes(type)) throw new Error(`unknown chart type "${spec.type}" (use ${CHART_TYPES.join(', ')})`);
+
+        let labels = spec.labels;
+        let series = spec.series;
+        if (!series && Array.isArray(spec.data)) {
+            labels = labels || spec.data.map((point, i) => String(point?.label ?? point?.name ?? point?.x ?? i + 1));
+            series = [{ name: '', data: spec.data.map(point => typeof point === 'number' ? point : point?.value ?? point?.y) }];
+        } else if (!series && spec.data && typeof spec.data === 'object') {
+            labels = labels || Object.keys(spec.data);
+            series = [{ name: '', data: Object.values(spec.data) }];
+        }
+        if (!Array.isArray(series) || !series.length) throw new Error('no "series" or "data" found');
+
+        series = series.map((entry, i) => {
+            const data = Array.isArray(entry) ? entry : entry?.data;
+            if (!Array.isArray(data) || !data.length) throw new Error(`series ${i + 1} has no data`);
+            const values = data.map(Number);
+            if (values.some(value => !Number.isFinite(value))) throw new Error(`series ${i + 1} has values that are not numbers`);
+            return { name: String(entry?.name ?? `Series ${i + 1}`), values };
+        });
+
+        const count = Math.max(...series.map(entry => entry.values.length));
+        labels = Array.from({ length: count }, (_, i) => String(labels?.[i] ?? i + 1));
+        return { type, title: String(spec.title || ''), labels, series };
+    }
+
+    // Bar and line charts: value axis with gridlines, one band per label
+    _axisChart({ type, title, labels, series }) {
+        const showLegend = series.length > 1;
+        const top = title ? 34 : 14;
+        const bottom = showLegend ? 56 : 36;
+        const left = 52;
+        const right = 16;
+        const plotWidth = CHART_WIDTH - left - right;
+        const plotHeight = CHART_HEIGHT - top - bottom;
+
+        const values = series.flatMap(entry => entry.values);
+        const ticks = this._ticks(Math.min(0, ...values), Math.max(0, ...values));
+        const min = ticks[0];
+        const max = ticks[ticks.length - 1];
+        const y = (value) => top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+        const band = plotWidth / labels.length;
+        const labelEvery = Math.ceil(labels.length / MAX_AXIS_LABELS);
+
+        const parts = [];
+        ticks.forEach(tick => {
+            parts.push(`<line class="chart-grid" x1="${left}" x2="${CHART_WIDTH - right}" y1="${y(tick)}" y2="${y(tick)}"/>`);
+            parts.push(`<text class="chart-tick" x="${left - 6}" y="${y(tick) + 4}" text-anchor="end">${this._formatNumber(tick)}</text>`);
+        });
+        labels.forEach((label, i) => {
+            if (i % labelEvery) return;
+            parts.push(`<text class="chart-tick" x="${left + band * (i + 0.5)}" y="${top + plotHeight + 16}" text-anchor="middle">${Utils.escapeHtml(Utils.truncate(label, 14))}</text>`);
+        });
+
+        series.forEach((entry, s) => {
+            const color = CHART_COLORS[s % CHART_COLORS.length];
+            const tooltip = (i) => `<title>${Utils.escapeHtml(`${entry.name ? `${entry.name} · ` : ''}${labels[i]}: ${this._formatNumber(entry.values[i])}`)}</title>`;
+            if (type === 'bar') {
+                const groupWidth = band * 0.7;
+                const barWidth = groupWidth / series.length;
+                entry.values.forEach((value, i) => {
+                    const x = left + band * i + (band - groupWidth) / 2 + barWidth * s;
+                    const y0 = y(Math.max(0, value));
+                    const height = Math.abs(y(value) - y(0));
+                    parts.push(`<rect x="${x}" y="${y0}" width="${Math.max(1, barWidth - 2)}" height="${height}" fill="${color}" rx="2">${tooltip(i)}</rect>`);
+                });
+            } else {
+                const points = entry.values.map((value, i) => `${left + band * (i + 0.5)},${y(value)}`);
+                parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`);
+                entry.values.forEach((value, i) => {
+                    parts.push(`<circle cx="${left + band * (i + 0.5)}" cy="${y(value)}" r="3.5" fill="${color}">${tooltip(i)}</circle>`);
+                });
+            }
+        });
+
+        if (showLegend) {
+            parts.push(this._legend(series.map(entry => entry.name), CHART_HEIGHT - 18));
+        }
+        return this._svg(title, parts);
+    }
+
+    // Pie chart of the first series
+    _pieChart({ title, labels, series }) {
+        const values = series[0].values.map(value => Math.max(0, value));
+        const total = values.reduce((sum, value) => sum + value, 0);
+        if (!total) throw new Error('a pie chart needs positive values');
+
+        const top = title ? 34 : 14;
+        const radius = (CHART_HEIGHT - top - 14) / 2;
+        const cx = 24 + radius;
+        const cy = top + radius;
+        const parts = [];
+        let angle = -Math.PI / 2;
+
+        values.forEach((value, i) => {
+            if (!value) return;
+            const color = CHART_COLORS[i % CHART_COLORS.length];
+            const share = value / total;
+            const tooltip = `<title>${Utils.escapeHtml(`${labels[i]}: ${this._formatNumber(value)} (${(share * 100).toFixed(1)}%)`)}</title>`;
+            if (share === 1) {
+                parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}">${tooltip}</circle>`);
+                return;
+            }
+            const end = angle + share * Math.PI * 2;
+            const point = (a) => `${(cx + radius * Math.cos(a)).toFixed(2)},${(cy + radius * Math.sin(a)).toFixed(2)}`;
+            parts.push(`<path d="M${cx},${cy} L${point(angle)} A${radius},${radius} 0 ${share > 0.5 ? 1 : 0} 1 ${point(end)} Z" fill="${color}" stroke="#fff" stroke-width="1">${tooltip}</path>`);
+            angle = end;
+        });
+
+        // Legend to the right of the pie, one row per slice
+        const legendX = cx + radius + 32;
+        labels.forEach((label, i) => {
+            const rowY = top + 10 + i * 20;
+            if (rowY > CHART_HEIGHT - 8) return;
+            parts.push(`<rect x="${legendX}" y="${rowY - 9}" width="10" height="10" fill="${CHART_COLORS[i % CHART_COLORS.length]}"/>`);
+            parts.push(`<text class="chart-legend" x="${legendX + 16}" y="${rowY}">${Utils.escapeHtml(Utils.truncate(label, 28))} — ${((values[i] || 0) / total * 100).toFixed(1)}%</text>`);
+        });
+        return this._svg(title, parts);
+    }
+
+    _legend(names, rowY) {
+        let x = 52;
+        return names.map((name, i) => {
+            const text = Utils.truncate(name, 24);
+            const item = `<rect x="${x}" y="${rowY - 9}" width="10" height="10" fill="${CHART_COLORS[i % CHART_COLORS.length]}"/>`
+                + `<text class="chart-legend" x="${x + 14}" y="${rowY}">${Utils.escapeHtml(text)}</text>`;
+            x += 28 + text.length * 7;
+            return item;
+        }).join('');
+    }
+
+    _svg(title, parts) {
+        return `<svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${Utils.escapeHtml(title || 'Chart')}" xmlns="http://www.w3.org/2000/svg">`
+            + (title ? `<text class="chart-title" x="${CHART_WIDTH / 2}" y="20" text-anchor="middle">${Utils.escapeHtml(title)}</text>` : '')
+            + parts.join('')
+            + '</svg>';
+    }
+
+    // About five round tick values covering [min, max]
+    _ticks(min, max) {
+        if (min === max) max = min + 1;
+        const rough = (max - min) / 4;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 2.5, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+        const ticks = [];
+        let tick = Math.floor(min / step) * step;
+        do {
+            tick = Number(tick.toPrecision(12));
+            ticks.push(tick);
+            tick += step;
+        } while (ticks[ticks.length - 1] < max);
+        return ticks;
+    }
+
+    _formatNumber(value) {
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+}
+
+// Create singleton instance
+export const diagramRenderer = new DiagramRenderer();
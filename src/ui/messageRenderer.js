@@ -11,7 +11,10 @@
 
 import { DOMUtils } from '../utils/domUtils.js';
 import { Utils } from '../utils/helpers.js';
+import { codeHighlighter } from '../utils/codeHighlighter.js';
+import { diagramRenderer } from './diagramRenderer.js';
 import { globalAdaptiveCardModal } from '../components/AdaptiveCardModal.js';
+import { InlineAdaptiveCard } from '../components/InlineAdaptiveCard.js';
 
 const MESSAGE_RENDERER_VERSION = '2.1.0';
 
@@ -28,6 +31,10 @@ export class MessageRenderer {
         // Use Map to track multiple streaming messages by ID to prevent race conditions
         this.streamingStates = new Map();
 
+        // Per-stream render chains for native streams: steps of one stream run in
+        // order, while concurrent streams never wait on each other
+        this.streamRenderChains = new Map();
+
         // Track messages being rendered to prevent duplicates
         this.renderingInProgress = new Set();
 
@@ -586,13 +593,14 @@ export class MessageRenderer {
 
                 // Add text content
                 if (activity.text) {
-                    this.addTextContent(messageDiv, activity.text);
+                    this.addTextContent(messageDiv, activity.text, { highlightCode: !isUser });
+                    if (!isUser) this.renderDiagrams(messageDiv);
                 }
 
                 // Add attachments
                 if (activity.attachments && activity.attachments.length > 0) {
                     console.log('MessageRenderer: Processing', activity.attachments.length, 'attachments');
-                    this.addAttachments(messageDiv, activity.attachments);
+                    this.addAttachments(messageDiv, activity.attachments, activity.meta?.finalId || activity.id, { live: !activity.restored });
                 } else {
                     console.log('MessageRenderer: No attachments to process');
                 }
@@ -601,6 +609,10 @@ export class MessageRenderer {
                 const isCompanionResponse = messageContainer.classList.contains('companion-response');
 
                 if (isUser) {
+                    // Stored user messages can be edited into a new branch of the conversation
+                    if (activity.id && !isCompanionResponse) {
+                        messageContainer.appendChild(this.createEditButton(activity.id));
+                    }
                     // User messages: content first, then icon (icon on right) - ORIGINAL STRUCTURE
                     messageContainer.appendChild(messageDiv);
                     if (messageIcon) {
@@ -643,6 +655,9 @@ export class MessageRenderer {
 
                 // Add response metadata (only if we have a message container)
                 this.addResponseMetadata(messageContainer, activity);
+                this.addInterruptedNotice(messageContainer, activity);
+                this.addMessageAnnotation(messageContainer, activity);
+                this.addMessageActions(messageContainer, activity);
             }
 
             // Handle suggested actions (always render these, even without message content)
@@ -777,6 +792,13 @@ export class MessageRenderer {
      * @param {Object} activity - DirectLine activity
      */
     handleStreamingMessage(activity) {
+        // Native streams (one MessageEntry per stream) bypass the shared queue:
+        // each gets its own bubble and render chain, so interleaved streams
+        // (e.g. a status stream plus an answer stream) render side by side
+        if (activity.meta?.wasStreamed) {
+            return this._runStreamStep(activity.id, () => this.handleStreamingMessageDirect(activity));
+        }
+
         // Use queue for sequential processing with fallback
         try {
             this.queueMessage(activity, 'streaming');
@@ -861,6 +883,7 @@ export class MessageRenderer {
                 messageDiv: messageDiv,
                 content: '',
                 isStreaming: true,
+                cursor: DOMUtils.createElement('span', { className: 'streaming-cursor' }),
                 lastUpdate: Date.now()
             };
 
@@ -917,6 +940,8 @@ export class MessageRenderer {
             }
 
             this.updateStreamingContent(streamingState.messageDiv, streamingState.content);
+            // Re-rendering replaces the bubble's HTML; put this stream's cursor back
+            streamingState.messageDiv.appendChild(streamingState.cursor);
             streamingState.lastUpdate = Date.now();
             console.log('Updated streaming content for', messageId, ':', streamingState.content.length, 'chars');
         }
@@ -929,12 +954,25 @@ export class MessageRenderer {
      * Finalize streaming message
      * @param {Object} activity - Final activity
      */
-    async finalizeStreamingMessage(activity) {
+    finalizeStreamingMessage(activity) {
+        // Native streams finalize on their own chain, after their pending chunks
+        if (activity.meta?.wasStreamed) {
+            return this._runStreamStep(activity.id, () => this.finalizeStreamingMessageDirect(activity));
+        }
+        return this.finalizeStreamingMessageDirect(activity);
+    }
+
+    /**
+     * Finalize streaming message directly (internal method)
+     * @param {Object} activity - Final activity
+     */
+    async finalizeStreamingMessageDirect(activity) {
         const messageId = activity.id || `${activity.from?.id}-${activity.timestamp}-${Date.now()}`;
         const streamingState = this.streamingStates.get(messageId);
 
         if (streamingState && streamingState.messageDiv) {
             console.log('Finalizing streaming message:', messageId);
+            streamingState.cursor?.remove();
 
             // Ensure final content is properly rendered with full activity text
             if (activity.text && activity.text !== streamingState.content) {
@@ -943,9 +981,12 @@ export class MessageRenderer {
                 this.addTextContent(streamingState.messageDiv, activity.text);
             }
 
+            // Diagrams and charts wait for the final text: partial sources do not parse
+            this.renderDiagrams(streamingState.messageDiv);
+
             // Add attachments if any
             if (activity.attachments && activity.attachments.length > 0) {
-                this.addAttachments(streamingState.messageDiv, activity.attachments);
+                this.addAttachments(streamingState.messageDiv, activity.attachments, activity.meta?.finalId || activity.id, { live: true });
             }
 
             // Handle suggested actions
@@ -955,6 +996,9 @@ export class MessageRenderer {
 
             // Add response metadata with timing from streaming state
             this.addResponseMetadata(streamingState.messageContainer, activity, streamingState.startTime);
+            this.addInterruptedNotice(streamingState.messageContainer, activity);
+            this.addMessageAnnotation(streamingState.messageContainer, activity);
+            this.addMessageActions(streamingState.messageContainer, activity, activity.text || streamingState.content);
 
             // Clear this specific streaming state
             this.streamingStates.delete(messageId);
@@ -1003,19 +1047,53 @@ export class MessageRenderer {
     /**
      * Cancel and remove a streaming message bubble (e.g. a "regretted" livestream
      * where the bot concluded with no content). Removes both the DOM element and
-     * the tracked streaming state.
+     * the tracked streaming state, after that stream's pending chunks rendered.
+     * Other streams are not affected.
      * @param {string} messageId - Stream/message id used when streaming started
+     * @returns {Promise<void>}
      */
     cancelStreamingMessage(messageId) {
-        const streamingState = this.streamingStates.get(messageId);
-        if (streamingState && streamingState.messageContainer) {
-            streamingState.messageContainer.remove();
-        }
-        this.streamingStates.delete(messageId);
-        if (this.renderingInProgress?.has(messageId)) {
-            this.renderingInProgress.delete(messageId);
+        return this._runStreamStep(messageId, () => {
+            const streamingState = this.streamingStates.get(messageId);
+            if (streamingState && streamingState.messageContainer) {
+                streamingState.messageContainer.remove();
+            }
+            this.clearStreamingState(messageId);
+            console.log('[MessageRenderer] Cancelled streaming message:', messageId);
+        });
+    }
+
+    /**
+     * Run a render step of one native stream after that stream's earlier steps.
+     * The first chunk builds the bubble asynchronously; chaining keeps later
+     * chunks, the final and a cancel from racing ahead of it. Steps queued for
+     * a stream that is cleared meanwhile are dropped.
+     * @param {string} messageId - Stream entry id
+     * @param {Function} step - Render step, may be async
+     * @returns {Promise<void>}
+     * @private
+     */
+    _runStreamStep(messageId, step) {
+        let chain = this.streamRenderChains.get(messageId);
+        if (!chain) {
+            chain = { tail: Promise.resolve() };
+            this.streamRenderChains.set(messageId, chain);
         }
-        console.log('[MessageRenderer] Cancelled streaming message:', messageId);
+
+        const run = chain.tail
+            .then(() => {
+                if (this.streamRenderChains.get(messageId) !== chain) return;
+                return step();
+            })
+            .catch((error) => console.error(`[MessageRenderer] Render error for stream ${messageId}:`, error));
+        chain.tail = run;
+
+        run.then(() => {
+            if (chain.tail === run && this.streamRenderChains.get(messageId) === chain) {
+                this.streamRenderChains.delete(messageId);
+            }
+        });
+        return run;
     }
 
     /**
@@ -1358,6 +1436,222 @@ export class MessageRenderer {
         // Only apply companion styling if we're in the AI Companion window
         return isInCompanionWindow;
     }    /**
+     * Create the "edit and fork" button of a stored user message.
+     * The application opens the editor on `messageEditRequested`.
+     * @param {string} messageId - Stored message id
+     * @returns {HTMLElement} Button
+     * @private
+     */
+    createEditButton(messageId) {
+        const button = DOMUtils.createElement('button', {
+            className: 'message-edit-btn',
+            type: 'button',
+            title: 'Edit and fork the conversation',
+            'aria-label': 'Edit and fork the conversation'
+        }, '&#9998;');
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.dispatchEvent(new CustomEvent('messageEditRequested', {
+                detail: { messageId }
+            }));
+        });
+        return button;
+    }
+
+    /**
+     * Mark an agent answer that was cut off (dropped stream or stopped turn),
+     * so a partial answer does not read as complete
+     * @param {HTMLElement} messageContainer - Message container
+     * @param {Object} activity - Activity (`meta.interrupted` live, `interrupted` from history)
+     * @private
+     */
+    addInterruptedNotice(messageContainer, activity) {
+        if (!activity.meta?.interrupted && !activity.interrupted) return;
+        const wrapper = messageContainer.querySelector('.message-wrapper');
+        if (!wrapper || wrapper.querySelector(':scope > .message-interrupted')) return;
+        messageContainer.classList.add('interrupted');
+        const notice = DOMUtils.createElement('div', {
+            className: 'message-interrupted',
+            role: 'note'
+        });
+        notice.textContent = '⚠ Answer interrupted — it may be incomplete';
+        wrapper.insertBefore(notice, wrapper.querySelector('.messageContent')?.nextSibling || null);
+    }
+
+    /**
+     * Add the star/note button of an agent message and show its stored
+     * annotation. The application opens the editor on `messageAnnotateRequested`.
+     * @param {HTMLElement} messageContainer - Message container
+     * @param {Object} activity - Activity (carries `starred` and `note` when rendered from history)
+     * @private
+     */
+    addMessageAnnotation(messageContainer, activity) {
+        const isUser = activity.from && activity.from.id === 'user';
+        // The id the message is stored under: its stored id, or the bot's activity id when live
+        const messageId = activity.meta?.finalId || activity.id;
+        if (isUser || !messageId || messageContainer.classList.contains('companion-response')) return;
+        // Live streamed bubbles keep the stream id in data-message-id
+        messageContainer.dataset.annotationId = messageId;
+
+        const button = DOMUtils.createElement('button', {
+            className: 'message-annotate-btn',
+            type: 'button',
+            title: 'Star or add a note',
+            'aria-label': 'Star or add a note'
+        }, '&#9734;');
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.dispatchEvent(new CustomEvent('messageAnnotateRequested', {
+                detail: { messageId }
+            }));
+        });
+        messageContainer.appendChild(button);
+        this.setMessageAnnotation(messageContainer, activity);
+    }
+
+    /**
+     * Show the star and note of a rendered agent message
+     * @param {HTMLElement} messageContainer - Message container
+     * @param {Object} annotation - { starred, note }
+     */
+    setMessageAnnotation(messageContainer, { starred = false, note = '' } = {}) {
+        messageContainer.classList.toggle('starred', !!starred);
+        const button = messageContainer.querySelector('.message-annotate-btn');
+        if (button) button.innerHTML = starred ? '&#9733;' : '&#9734;';
+
+        const wrapper = messageContainer.querySelector('.message-wrapper') || messageContainer;
+        let noteElement = wrapper.querySelector(':scope > .message-note');
+        if (!note) {
+            noteElement?.remove();
+            return;
+        }
+        if (!noteElement) {
+            noteElement = DOMUtils.createElement('div', { className: 'message-note' });
+            wrapper.appendChild(noteElement);
+        }
+        noteElement.textContent = note;
+    }
+
+    /**
+     * Add the action bar of an agent message, shown on hover: copy as plain
+     * text or Markdown, quote in a reply, retry, and thumbs up/down. The
+     * application handles `messageQuoteRequested`, `messageRetryRequested`
+     * and `messageFeedbackRequested`.
+     * @param {HTMLElement} messageContainer - Message container
+     * @param {Object} activity - Activity (carries `feedback` when rendered from history)
+     * @param {string} [markdown] - Message source text, when it is not `activity.text`
+     * @private
+     */
+    addMessageActions(messageContainer, activity, markdown = activity.text || '') {
+        const isUser = activity.from && activity.from.id === 'user';
+        const messageWrapper = messageContainer.querySelector('.message-wrapper');
+        if (isUser || !messageWrapper || messageContainer.classList.contains('companion-response')) return;
+        const messageId = activity.meta?.finalId || activity.id;
+        const messageDiv = messageWrapper.querySelector('.messageContent');
+
+        const actions = DOMUtils.createElement('div', {
+            className: 'message-actions',
+            role: 'toolbar',
+            'aria-label': 'Message actions'
+        });
+        const addButton = (className, label, icon, onClick) => {
+            const button = DOMUtils.createElement('button', {
+                className: `message-action-btn ${className}`,
+                type: 'button',
+                title: label,
+                'aria-label': label
+            }, icon);
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick(button);
+            });
+            actions.appendChild(button);
+            return button;
+        };
+        const copy = async (button, text) => {
+            if (button.classList.contains('done') || button.classList.contains('failed')) return;
+            const copied = await Utils.copyToClipboard(text);
+            const icon = button.innerHTML;
+            button.classList.add(copied ? 'done' : 'failed');
+            button.innerHTML = copied ? '&#10003;' : '&#10007;';
+            setTimeout(() => {
+                button.classList.remove('done', 'failed');
+                button.innerHTML = icon;
+            }, 1500);
+        };
+
+        if (markdown) {
+            addButton('message-action-copy', 'Copy text', '&#128203;',
+                (button) => copy(button, this.getMessagePlainText(messageDiv)));
+            addButton('message-action-copy-markdown', 'Copy as Markdown', 'M&#8595;',
+                (button) => copy(button, markdown));
+            addButton('message-action-quote', 'Quote in a reply', '&#8220;', () => {
+                window.dispatchEvent(new CustomEvent('messageQuoteRequested', {
+                    detail: { messageId, text: markdown }
+                }));
+            });
+        }
+        if (messageId) {
+            addButton('message-action-retry', 'Retry: send the previous question again', '&#8635;', () => {
+                window.dispatchEvent(new CustomEvent('messageRetryRequested', {
+                    detail: { messageId }
+                }));
+            });
+            ['like', 'dislike'].forEach(reaction => {
+                const button = addButton(`message-action-${reaction}`,
+                    reaction === 'like' ? 'Good response' : 'Bad response',
+                    reaction === 'like' ? '&#128077;' : '&#128078;', () => {
+                        window.dispatchEvent(new CustomEvent('messageFeedbackRequested', {
+                            detail: { messageId, reaction }
+                        }));
+                    });
+                button.setAttribute('aria-pressed', 'false');
+            });
+        }
+        if (!actions.childElementCount) return;
+
+        messageDiv.after(actions);
+        if (activity.feedback) this.setMessageFeedback(messageContainer, activity.feedback);
+    }
+
+    /**
+     * Show the feedback given to a rendered agent message
+     * @param {HTMLElement} messageContainer - Message container
+     * @param {Object|null} feedback - { reaction: 'like'|'dislike', comment }, null when removed
+     */
+    setMessageFeedback(messageContainer, feedback) {
+        ['like', 'dislike'].forEach(reaction => {
+            const button = messageContainer.querySelector(`.message-action-${reaction}`);
+            if (!button) return;
+            const pressed = feedback?.reaction === reaction;
+            const label = reaction === 'like' ? 'Good response' : 'Bad response';
+            button.setAttribute('aria-pressed', String(pressed));
+            button.title = pressed && feedback.comment ? `${label}: ${feedback.comment}` : label;
+        });
+    }
+
+    /**
+     * Text of a rendered message as it reads on screen: without the metadata
+     * line, cards, and code and diagram block headers; diagrams as their source
+     * @param {HTMLElement} messageDiv - Message content element
+     * @returns {string}
+     * @private
+     */
+    getMessagePlainText(messageDiv) {
+        const clone = messageDiv.cloneNode(true);
+        clone.querySelectorAll('.message-metadata, .adaptive-card-container, .code-block-header, .diagram-block-header, .diagram-block-view, .diagram-block-error, .katex-mathml, .streaming-cursor')
+            .forEach(element => element.remove());
+        clone.querySelectorAll('.diagram-block-source').forEach(element => { element.hidden = false; });
+
+        // innerText needs layout: lay the copy out off screen, at the bubble's width
+        clone.style.cssText = `position: fixed; left: -99999px; top: 0; width: ${messageDiv.clientWidth}px;`;
+        document.body.appendChild(clone);
+        const text = clone.innerText;
+        clone.remove();
+        return text.replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
      * Create message icon
      * @param {boolean} isUser - Whether message is from user
      * @returns {HTMLElement} Message icon
@@ -1775,9 +2069,11 @@ export class MessageRenderer {
      * Add text content to message
      * @param {HTMLElement} messageDiv - Message div element
      * @param {string} text - Text content
+     * @param {Object} [options]
+     * @param {boolean} [options.highlightCode=true] - Turn code blocks into highlighted code panels
      * @private
      */
-    addTextContent(messageDiv, text) {
+    addTextContent(messageDiv, text, { highlightCode = true } = {}) {
         console.log('MessageRenderer: addTextContent called with text length:', text?.length);
 
         // Process LaTeX math expressions first — placeholders protect KaTeX HTML
@@ -1825,6 +2121,10 @@ export class MessageRenderer {
             messageDiv.innerHTML = paragraphText;
         }
 
+        if (highlightCode) {
+            codeHighlighter.enhance(messageDiv);
+        }
+
         // Make images clickable for enlargement - exactly like legacy
         const images = messageDiv.querySelectorAll('img');
         console.log('MessageRenderer: Found', images.length, 'images in message content');
@@ -1843,6 +2143,18 @@ export class MessageRenderer {
         });
     }
 
+    /**
+     * Render the mermaid and chart blocks of a finished agent message
+     * (see diagramRenderer); scrolls once they have been drawn
+     * @param {HTMLElement} messageDiv - Message div element
+     * @private
+     */
+    renderDiagrams(messageDiv) {
+        diagramRenderer.render(messageDiv)
+            .then(rendered => { if (rendered) this.scrollToBottom(); })
+            .catch(error => console.error('[MessageRenderer] Diagram rendering failed:', error));
+    }
+
     /**
      * Ensure content has proper paragraph structure for agent messages
      * @param {string} content - HTML or text content
@@ -2039,6 +2351,9 @@ export class MessageRenderer {
             messageDiv.innerHTML = paragraphContent;
         }
 
+        // Lines highlighted on earlier chunks are reused, only new ones are tokenized
+        codeHighlighter.enhance(messageDiv);
+
         // Make images clickable for enlargement
         const images = messageDiv.querySelectorAll('img');
         images.forEach(img => {
@@ -2106,9 +2421,13 @@ export class MessageRenderer {
      * Add attachments to message
      * @param {HTMLElement} messageDiv - Message div element
      * @param {Array} attachments - Attachments array
+     * @param {string} [messageId] - Stored message id or bot activity id (keeps card updates)
+     * @param {Object} [options]
+     * @param {boolean} [options.live] - The message came from a live activity,
+     *        not a restored transcript (cards may refresh themselves)
      * @private
      */
-    addAttachments(messageDiv, attachments) {
+    addAttachments(messageDiv, attachments, messageId = null, { live = false } = {}) {
         console.log('MessageRenderer: Processing attachments:', attachments);
         attachments.forEach((attachment, index) => {
             console.log(`MessageRenderer: Processing attachment ${index}:`, {
@@ -2119,7 +2438,7 @@ export class MessageRenderer {
 
             if (attachment.contentType === 'application/vnd.microsoft.card.adaptive') {
                 console.log('MessageRenderer: Rendering adaptive card');
-                this.renderAdaptiveCard(attachment, messageDiv);
+                this.renderAdaptiveCard(attachment, messageDiv, { messageId, attachmentIndex: index, live });
             } else if (attachment.contentType && attachment.contentType.startsWith('image/')) {
                 console.log('MessageRenderer: Rendering image attachment');
                 this.renderImageAttachment(attachment, messageDiv);
@@ -2152,14 +2471,21 @@ export class MessageRenderer {
     }
 
     /**
-     * Render adaptive card
+     * Render adaptive card: interactive inline when the setting is on, else as
+     * a preview that opens the card modal
      * @param {Object} attachment - Adaptive card attachment
      * @param {HTMLElement} messageDiv - Message div element
+     * @param {Object} [source] - Where the card is stored, to keep its updates
+     * @param {string} [source.messageId] - Stored message id or bot activity id
+     * @param {number} [source.attachmentIndex] - Index in the message's attachments
+     * @param {boolean} [source.live] - From a live activity, not a restored transcript
      * @private
      */
-    renderAdaptiveCard(attachment, messageDiv) {
+    renderAdaptiveCard(attachment, messageDiv, source = {}) {
         try {
-            if (typeof AdaptiveCards !== 'undefined' && attachment.content) {
+            if (typeof AdaptiveCards !== 'undefined' && attachment.content && this.isInlineAdaptiveCardsEnabled()) {
+                this.renderInlineAdaptiveCard(attachment, messageDiv, source);
+            } else if (typeof AdaptiveCards !== 'undefined' && attachment.content) {
                 // Create adaptive card container with preview and expand button
                 const cardContainer = DOMUtils.createElement('div', {
                     className: 'adaptive-card-container'
@@ -2177,9 +2503,14 @@ export class MessageRenderer {
                     ariaLabel: 'Open adaptive card in modal'
                 });
 
-                // Add click handler to open modal
+                // Add click handler to open modal. A card returned by an
+                // Action.Execute replaces this one, in the preview and when reopened.
                 expandButton.addEventListener('click', () => {
-                    this.openAdaptiveCardModal(attachment.content);
+                    this.openAdaptiveCardModal(attachment.content, (card) => {
+                        attachment.content = card;
+                        cardPreview.replaceChild(this.createAdaptiveCardPreview(card), cardPreview.firstChild);
+                        this.notifyAdaptiveCardUpdated(source, { content: card });
+                    });
                 });
 
                 // Create simplified preview content
@@ -2199,6 +2530,80 @@ export class MessageRenderer {
         }
     }
 
+    /**
+     * Whether Adaptive Cards render interactive inline (setting, off by default)
+     * @returns {boolean}
+     */
+    isInlineAdaptiveCardsEnabled() {
+        return localStorage.getItem('inlineAdaptiveCards') === 'true';
+    }
+
+    /**
+     * Render an Adaptive Card interactive in the message. Submits and
+     * Action.Execute go through the active agent's connector; a returned card
+     * and the submitted values are kept with the stored message, so a
+     * reloaded session shows the card as it was left. Only cards from live
+     * activities run their automatic refresh.
+     * @param {Object} attachment - Adaptive card attachment ({ content, submission? })
+     * @param {HTMLElement} messageDiv - Message div element
+     * @param {Object} source - { messageId, attachmentIndex, live }
+     * @private
+     */
+    renderInlineAdaptiveCard(attachment, messageDiv, source) {
+        const cardContainer = DOMUtils.createElement('div', {
+            className: 'adaptive-card-container inline',
+            dataset: { cardTitle: this.getAdaptiveCardTitle(attachment.content) }
+        });
+
+        const app = () => {
+            if (!window.MCSChatApp) throw new Error('The chat is not ready');
+            return window.MCSChatApp;
+        };
+        const card = new InlineAdaptiveCard(attachment.content, {
+            submission: attachment.submission || null,
+            autoRefresh: !!source.live,
+            onSubmit: (data) => app().submitAdaptiveCard(data),
+            onInvoke: (value) => app().invokeAdaptiveCardAction(value),
+            onCardUpdated: (content) => {
+                attachment.content = content;
+                cardContainer.dataset.cardTitle = this.getAdaptiveCardTitle(content);
+                this.notifyAdaptiveCardUpdated(source, { content });
+            },
+            onSubmitted: (submission) => {
+                attachment.submission = submission;
+                this.notifyAdaptiveCardUpdated(source, { submission });
+            }
+        });
+
+        cardContainer.appendChild(card.render());
+        messageDiv.appendChild(cardContainer);
+    }
+
+    /**
+     * Tell the application a card changed, so it updates the stored message
+     * @param {Object} source - { messageId, attachmentIndex }
+     * @param {Object} changes - { content?, submission? }
+     * @private
+     */
+    notifyAdaptiveCardUpdated({ messageId, attachmentIndex } = {}, changes) {
+        if (!messageId || attachmentIndex === undefined) return;
+        window.dispatchEvent(new CustomEvent('adaptiveCardUpdated', {
+            detail: { messageId, attachmentIndex, ...changes }
+        }));
+    }
+
+    /**
+     * Title of a card: its large TextBlock, else its first TextBlock
+     * @param {Object} cardContent - Adaptive card content
+     * @returns {string}
+     * @private
+     */
+    getAdaptiveCardTitle(cardContent) {
+        return cardContent?.body?.find(item => item.type === 'TextBlock' && item.size === 'Large')?.text ||
+               cardContent?.body?.find(item => item.type === 'TextBlock')?.text ||
+               'Adaptive Card';
+    }
+
     /**
      * Create adaptive card preview
      * @param {Object} cardContent - Adaptive card content
@@ -2212,9 +2617,7 @@ export class MessageRenderer {
 
         try {
             // Extract basic information from card content for preview
-            const title = cardContent.body?.find(item => item.type === 'TextBlock' && item.size === 'Large')?.text ||
-                         cardContent.body?.find(item => item.type === 'TextBlock')?.text ||
-                         'Adaptive Card';
+            const title = this.getAdaptiveCardTitle(cardContent);
             
             const subtitle = cardContent.body?.filter(item => item.type === 'TextBlock')
                            .slice(1, 2)[0]?.text || '';
@@ -2248,17 +2651,14 @@ export class MessageRenderer {
         return preview;
     }
 
-    /**
-     * Open adaptive card in modal
-     * @param {Object} cardContent - Adaptive card content
-     * @private
-     */
     /**
      * Open adaptive card modal using the common modal component
      * @param {Object} cardContent - Adaptive card content
+     * @param {Function} [onCardUpdated] - Called with the card that replaces
+     *        this one (Action.Execute response or refresh)
      * @private
      */
-    async openAdaptiveCardModal(cardContent) {
+    async openAdaptiveCardModal(cardContent, onCardUpdated = null) {
         try {
             // Initialize the global modal if not done already
             if (!globalAdaptiveCardModal.modal) {
@@ -2287,6 +2687,14 @@ export class MessageRenderer {
                     }
                     return true; // Continue with default handling for non-submit actions
                 },
+                // Action.Execute and card refresh: `adaptiveCard/action` invokes
+                onInvoke: (value) => {
+                    if (!window.MCSChatApp || typeof window.MCSChatApp.invokeAdaptiveCardAction !== 'function') {
+                        throw new Error('Card actions are not available');
+                    }
+                    return window.MCSChatApp.invokeAdaptiveCardAction(value);
+                },
+                onCardUpdated,
                 onClose: () => {
                     console.log('Adaptive card modal closed');
                 }
@@ -3727,12 +4135,16 @@ export class MessageRenderer {
 
     /**
      * Wait for streaming message to complete
-     * @param {string} messageId - Message ID to wait for
+     * @param {string} [messageId] - Message ID to wait for; omit to wait for every active stream
      */
     async waitForStreamingComplete(messageId) {
+        const isDone = messageId === undefined
+            ? () => this.streamingStates.size === 0 && this.streamRenderChains.size === 0 && this.renderingInProgress.size === 0
+            : () => !this.streamingStates.has(messageId) && !this.streamRenderChains.has(messageId) && !this.renderingInProgress.has(messageId);
+
         return new Promise((resolve) => {
             const checkComplete = () => {
-                if (!this.streamingStates.has(messageId) && !this.renderingInProgress.has(messageId)) {
+                if (isDone()) {
                     resolve();
                 } else {
                     setTimeout(checkComplete, 50); // Check every 50ms
@@ -3744,16 +4156,28 @@ export class MessageRenderer {
 
     /**
      * Clear streaming state
+     * @param {string} [messageId] - Clear only this stream; omit to clear all streams
      * @private
      */
-    clearStreamingState() {
+    clearStreamingState(messageId) {
+        if (messageId !== undefined) {
+            this.streamingStates.get(messageId)?.cursor?.remove();
+            this.streamingStates.delete(messageId);
+            this.streamRenderChains.delete(messageId);
+            this.renderingInProgress.delete(messageId);
+            this.streamingSpeedMap?.delete(messageId);
+            return;
+        }
+
         console.log('Clearing all streaming states. Count:', this.streamingStates.size);
 
         this.streamingStates.forEach((state, messageId) => {
             console.log('Clearing streaming state for message:', messageId);
+            state.cursor?.remove();
         });
 
         this.streamingStates.clear();
+        this.streamRenderChains.clear();
         this.renderingInProgress.clear();
     }
 
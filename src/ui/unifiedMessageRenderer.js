@@ -6,6 +6,7 @@
 
 import { DOMUtils } from '../utils/domUtils.js';
 import { Utils } from '../utils/helpers.js';
+import { codeHighlighter } from '../utils/codeHighlighter.js';
 
 /**
  * Message Types
@@ -420,7 +421,7 @@ export class UnifiedMessageRenderer {
             messageBody.textContent = message.content;
         } else {
             // Handle markdown processing
-            this.setMessageContent(messageBody, message.content);
+            this.setMessageContent(messageBody, message.content, message.type !== MessageTypes.USER);
         }
 
         return messageBody;
@@ -430,14 +431,16 @@ export class UnifiedMessageRenderer {
      * Set message content with proper processing
      * @param {HTMLElement} element - Target element
      * @param {string} content - Content to set
+     * @param {boolean} [highlightCode=true] - Turn code blocks into highlighted code panels
      */
-    setMessageContent(element, content) {
+    setMessageContent(element, content, highlightCode = true) {
         try {
             // Try markdown processing if available
             if (typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined') {
                 const htmlContent = marked.parse(content);
                 const sanitizedContent = DOMPurify.sanitize(htmlContent);
                 element.innerHTML = sanitizedContent;
+                if (highlightCode) codeHighlighter.enhance(element);
                 
                 // Add target="_blank" to external links after setting content
                 this.addTargetBlankToExternalLinks(element);
@@ -583,7 +586,7 @@ export class UnifiedMessageRenderer {
         if (!streamingState) return;
 
         // Update content
-        this.setMessageContent(streamingState.contentElement, content);
+        this.setMessageContent(streamingState.contentElement, content, streamingState.message.type !== MessageTypes.USER);
 
         // Handle completion
         if (isComplete) {
@@ -0,0 +1,516 @@
+/**
+ * Code Highlighter
+ *
+ * Turns the fenced code blocks marked renders (`pre > code.language-*`) into
+ * code panels: a header with the language label, a wrap toggle and a copy
+ * button, and a body with line numbers and syntax highlighting.
+ *
+ * Highlighting is done here, without a library or network access: a small
+ * tokenizer per language family marks comments, strings, numbers, keywords,
+ * literals, function calls and (per language) properties, variables and tags.
+ * It works line by line and carries its state across lines (block comments,
+ * multi-line strings), so the highlighted lines of a block are cached: while a
+ * message streams and its HTML is rebuilt on every chunk, only the lines that
+ * are new or changed are tokenized again.
+ */
+
+import { Utils } from './helpers.js';
+
+// Longer blocks are shown with line numbers but without highlighting
+const MAX_HIGHLIGHT_LENGTH = 50000;
+const WRAP_STORAGE_KEY = 'codeBlockWrap';
+const COPIED_FEEDBACK_MS = 1500;
+
+const words = (list) => new Set(list.split(' '));
+
+const C_LIKE_COMMENTS = { lineComment: ['//'], blockComment: [['/*', '*/']] };
+const QUOTES = [{ open: '"' }, { open: "'" }];
+const FUNCTION_CALL = { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/y };
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield get set';
+
+const GRAMMARS = {
+    javascript: {
+        label: 'JavaScript',
+        ...C_LIKE_COMMENTS,
+        strings: [...QUOTES, { open: '`', multiline: true }],
+        keywords: words(JS_KEYWORDS),
+        literals: words('true false null undefined NaN Infinity')
+    },
+    typescript: {
+        label: 'TypeScript',
+        ...C_LIKE_COMMENTS,
+        strings: [...QUOTES, { open: '`', multiline: true }],
+        keywords: words(`${JS_KEYWORDS} abstract as declare enum implements interface keyof namespace private protected public readonly type any boolean number string unknown never`),
+        literals: words('true false null undefined NaN Infinity')
+    },
+    json: {
+        label: 'JSON',
+        lineComment: [],
+        blockComment: [],
+        strings: [{ open: '"' }],
+        rules: [{ type: 'property', pattern: /"(?:[^"\\]|\\.)*"(?=\s*:)/y }],
+        keywords: words(''),
+        literals: words('true false null')
+    },
+    python: {
+        label: 'Python',
+        lineComment: ['#'],
+        blockComment: [],
+        strings: [{ open: '"""', multiline: true }, { open: "'''", multiline: true }, ...QUOTES],
+        rules: [{ type: 'meta', pattern: /@[\w.]+/y }],
+        keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case self'),
+        literals: words('True False None')
+    },
+    bash: {
+        label: 'Bash',
+        lineComment: ['#'],
+        blockComment: [],
+        strings: [{ open: '"' }, { open: "'", raw: true }],
+        rules: [{ type: 'variable', pattern: /\$\{[^}]*\}|\$[\w@#?*!$-]+/y }],
+        keywords: words('if then else elif fi for while until do done case esac function in return export local readonly set unset shift exit source alias sudo echo cd'),
+        literals: words('true false')
+    },
+    powershell: {
+        label: 'PowerShell',
+        lineComment: ['#'],
+        blockComment: [['<#', '#>']],
+        strings: [{ open: '"' }, { open: "'", raw: true }],
+        rules: [
+            { type: 'literal', pattern: /\$(?:true|false|null)\b/iy },
+            { type: 'variable', pattern: /\$[\w:]+/y },
+            { type: 'function', pattern: /[A-Za-z]+-[A-Za-z]\w*/y }
+        ],
+        caseInsensitive: true,
+        keywords: words('begin break catch class continue data do dynamicparam else elseif end exit filter finally for foreach from function if in param process return switch throw trap try until using while -eq -ne -gt -ge -lt -le -like -notlike -match -notmatch -and -or -not'),
+        literals: words('')
+    },
+    csharp: {
+        label: 'C#',
+        ...C_LIKE_COMMENTS,
+        strings: [{ open: '@"', multiline: true, raw: true }, { open: '$"' }, ...QUOTES],
+        keywords: words('abstract as async await base bool break byte case catch char checked class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get goto if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly record ref return sealed set short sizeof static string struct switch this throw try typeof uint ulong unchecked unsafe ushort using var virtual void volatile while yield'),
+        literals: words('true false null')
+    },
+    java: {
+        label: 'Java',
+        ...C_LIKE_COMMENTS,
+        strings: [{ open: '"""', multiline: true }, ...QUOTES],
+        rules: [{ type: 'meta', pattern: /@\w+/y }],
+        keywords: words('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public return short static super switch synchronized this throw throws transient try var void volatile while record'),
+        literals: words('true false null')
+    },
+    cpp: {
+        label: 'C++',
+        ...C_LIKE_COMMENTS,
+        strings: QUOTES,
+        rules: [{ type: 'meta', pattern: /#\s*\w+/y }],
+        keywords: words('auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long namespace new operator private protected public return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while'),
+        literals: words('true false nullptr NULL')
+    },
+    go: {
+        label: 'Go',
+        ...C_LIKE_COMMENTS,
+        strings: [{ open: '`', multiline: true, raw: true }, ...QUOTES],
+        keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var'),
+        literals: words('true false nil iota')
+    },
+    sql: {
+        label: 'SQL',
+        lineComment: ['--'],
+        blockComment: [['/*', '*/']],
+        strings: [{ open: "'" }, { open: '"' }],
+        caseInsensitive: true,
+        keywords: words('select from where and or not in is like between join inner left right outer full on as group by order having limit offset insert into values update set delete create alter drop table view index primary key foreign references distinct union all case when then else end exists top with declare begin commit rollback'),
+        literals: words('null true false')
+    },
+    powerfx: {
+        label: 'Power Fx',
+        ...C_LIKE_COMMENTS,
+        strings: [{ open: '"' }],
+        keywords: words('And Or Not In As Self Parent ThisItem ThisRecord exactin'),
+        literals: words('true false Blank')
+    },
+    css: {
+        label: 'CSS',
+        lineComment: [],
+        blockComment: [['/*', '*/']],
+        strings: QUOTES,
+        rules: [
+            { type: 'keyword', pattern: /@[\w-]+/y },
+            { type: 'number', pattern: /#[\da-fA-F]{3,8}\b/y },
+            { type: 'property', pattern: /--?[A-Za-z][\w-]*(?=\s*:(?!:))|[A-Za-z][\w-]*(?=\s*:\s)/y }
+        ],
+        numberPattern: /-?\d*\.?\d+(?:[a-z]+|%)?/y,
+        keywords: words('!important'),
+        literals: words('inherit initial unset none auto')
+    },
+    yaml: {
+        label: 'YAML',
+        lineComment: ['#'],
+        blockComment: [],
+        strings: QUOTES,
+        rules: [{ type: 'property', pattern: /[\w.-]+(?=\s*:(?:\s|$))/y }],
+        keywords: words(''),
+        literals: words('true false null yes no on off ~')
+    },
+    markup: { label: 'HTML', markup: true }
+};
+
+// Fence names → grammar
+const ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    jsonc: 'json', json5: 'json',
+    py: 'python', python3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    ps: 'powershell', ps1: 'powershell', pwsh: 'powershell',
+    cs: 'csharp', 'c#': 'csharp', dotnet: 'csharp',
+    c: 'cpp', 'c++': 'cpp', h: 'cpp', hpp: 'cpp',
+    golang: 'go',
+    tsql: 'sql', mysql: 'sql', postgresql: 'sql', kql: 'sql',
+    fx: 'powerfx', 'power-fx': 'powerfx',
+    scss: 'css', less: 'css',
+    yml: 'yaml',
+    html: 'markup', xml: 'markup', svg: 'markup', xaml: 'markup', vue: 'markup'
+};
+
+const MARKUP_LABELS = { xml: 'XML', svg: 'SVG', xaml: 'XAML', vue: 'Vue' };
+
+export class CodeHighlighter {
+    constructor() {
+        // Per message element: the highlighted lines of each of its code blocks
+        this._cache = new WeakMap();
+    }
+
+    /**
+     * Replace the code blocks in a rendered message with code panels.
+     * Safe to call on every streaming update of the same element.
+     * @param {HTMLElement} container - Element holding the rendered markdown
+     */
+    enhance(container) {
+        if (!container) return;
+        const blocks = container.querySelectorAll('pre > code');
+        if (!blocks.length) return;
+
+        const cache = this._cache.get(container) || [];
+        this._cache.set(container, cache);
+
+        blocks.forEach((code, index) => {
+            const pre = code.parentElement;
+            if (pre.classList.contains('code-block-body')) return;
+
+            const fence = this.getLanguage(code);
+            const name = ALIASES[fence] || fence;
+            const grammar = GRAMMARS[name] || null;
+            const text = code.textContent.replace(/\n$/, '');
+
+            const previous = cache[index]?.language === name ? cache[index].lines : [];
+            const lines = grammar && text.length <= MAX_HIGHLIGHT_LENGTH
+                ? this._highlightLines(text.split('\n'), grammar, previous)
+                : text.split('\n').map(line => ({ text: line, html: Utils.escapeHtml(line) }));
+            cache[index] = { language: name, lines };
+
+            pre.replaceWith(this._createPanel(text, lines, this._label(fence, name, grammar), name));
+        });
+    }
+
+    /**
+     * Highlight code to HTML (escaped, tokens wrapped in `<span class="tok-*">`)
+     * @param {string} code
+     * @param {string} language - Fence name or alias
+     * @returns {string} HTML, lines separated by newlines
+     */
+    highlight(code, language) {
+        const grammar = GRAMMARS[ALIASES[language] || language];
+        if (!grammar) return Utils.escapeHtml(code);
+        return this._highlightLines(code.split('\n'), grammar, []).map(line => line.html).join('\n');
+    }
+
+    /**
+     * Language of a code element, from marked's `language-*` class
+     * @param {HTMLElement} code
+     * @returns {string} Lower-case fence name, '' when none
+     */
+    getLanguage(code) {
+        const match = (code.className || '').match(/(?:^|\s)language-(\S+)/);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    // ── Private helpers ──────────────────────────────────────────
+
+    _label(fence, name, grammar) {
+        if (!fence) return 'Code';
+        if (!grammar) return fence;
+        return grammar.markup ? (MARKUP_LABELS[fence] || grammar.label) : grammar.label;
+    }
+
+    _createPanel(text, lines, label, language) {
+        const wrapped = localStorage.getItem(WRAP_STORAGE_KEY) === 'true';
+        const panel = document.createElement('div');
+        panel.className = `code-block${wrapped ? ' wrapped' : ''}`;
+        panel.innerHTML = `
+            <div class="code-block-header">
+                <span class="code-block-language">${Utils.escapeHtml(label)}</span>
+                <button type="button" class="code-block-wrap" aria-pressed="${wrapped}" title="Wrap long lines">Wrap</button>
+                <button type="button" class="code-block-copy" title="Copy code">Copy</button>
+            </div>
+            <pre class="code-block-body"><code class="language-${Utils.escapeHtml(language || 'plaintext')}">${lines.map(line => `<span class="code-line">${line.html}</span>`).join('\n')}</code></pre>`;
+
+        const copyButton = panel.querySelector('.code-block-copy');
+        copyButton.addEventListener('click', async () => {
+            const copied = await Utils.copyToClipboard(text);
+            copyButton.textContent = copied ? 'Copied' : 'Copy failed';
+            setTimeout(() => { copyButton.textContent = 'Copy'; }, COPIED_FEEDBACK_MS);
+        });
+
+        // One preference for every code block; toggling updates the ones on screen
+        panel.querySelector('.code-block-wrap').addEventListener('click', () => {
+            const wrap = localStorage.getItem(WRAP_STORAGE_KEY) !== 'true';
+            localStorage.setItem(WRAP_STORAGE_KEY, String(wrap));
+            document.querySelectorAll('.code-block').forEach(block => {
+                block.classList.toggle('wrapped', wrap);
+                block.querySelector('.code-block-wrap')?.setAttribute('aria-pressed', String(wrap));
+            });
+        });
+
+        return panel;
+    }
+
+    /**
+     * Highlight lines, reusing cached lines whose text and start state are unchanged
+     * @returns {Array} { text, start, end, html } per line
+     */
+    _highlightLines(texts, grammar, previous) {
+        const lines = [];
+        let state = null;
+        texts.forEach((text, i) => {
+            const cached = previous[i];
+            if (cached && cached.text === text && this._sameState(cached.start, state)) {
+                lines.push(cached);
+            } else {
+                const result = grammar.markup
+                    ? this._tokenizeMarkup(text, state)
+                    : this._tokenize(text, grammar, state);
+                lines.push({ text, start: state, end: result.state, html: result.html });
+            }
+            state = lines[i].end;
+        });
+        return lines;
+    }
+
+    _sameState(a, b) {
+        if (!a || !b) return a === b;
+        return a.type === b.type && a.end === b.end && a.raw === b.raw && a.inTag === b.inTag;
+    }
+
+    _span(type, text) {
+        return text ? `<span class="tok-${type}">${Utils.escapeHtml(text)}</span>` : '';
+    }
+
+    /**
+     * Tokenize one line of a programming language
+     * @param {string} line
+     * @param {Object} grammar
+     * @param {Object|null} state - Open block comment or string from the previous line
+     * @returns {{html: string, state: Object|null}}
+     */
+    _tokenize(line, grammar, state) {
+        let html = '';
+        let i = 0;
+
+        if (state) {
+            const end = this._findClose(line, 0, state.end, state.raw);
+            if (end === -1) return { html: this._span(state.type, line), state };
+            html += this._span(state.type, line.slice(0, end));
+            i = end;
+        }
+
+        const identifier = /[A-Za-z_$@!~-][\w$-]*|[A-Za-z_$][\w$]*/y;
+        const simpleIdentifier = /[A-Za-z_$][\w$]*/y;
+        const number = grammar.numberPattern || /0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+        const match = (pattern) => {
+            pattern.lastIndex = i;
+            const m = pattern.exec(line);
+            return m ? m[0] : null;
+        };
+
+        while (i < line.length) {
+            // Line comment: the rest of the line
+            if (grammar.lineComment.some(prefix => line.startsWith(prefix, i))) {
+                html += this._span('comment', line.slice(i));
+                return { html, state: null };
+            }
+
+            // Block comment, possibly left open
+            const block = grammar.blockComment.find(([open]) => line.startsWith(open, i));
+            if (block) {
+                const end = this._findClose(line, i + block[0].length, block[1], true);
+                if (end === -1) {
+                    html += this._span('comment', line.slice(i));
+                    return { html, state: { type: 'comment', end: block[1], raw: true } };
+                }
+                html += this._span('comment', line.slice(i, end));
+                i = end;
+                continue;
+            }
+
+            // Language-specific tokens (properties, variables, decorators, ...)
+            const rule = (grammar.rules || []).find(({ pattern }) => match(pattern) !== null);
+            if (rule) {
+                const text = match(rule.pattern);
+                html += this._span(rule.type, text);
+                i += text.length;
+                continue;
+            }
+
+            // String; multi-line strings may stay open
+            const quote = grammar.strings.find(({ open }) => line.startsWith(open, i));
+            if (quote) {
+                const close = quote.open.replace(/^[@$]/, '');
+                const end = this._findClose(line, i + quote.open.length, close, !!quote.raw);
+                if (end === -1) {
+                    html += this._span('string', line.slice(i));
+                    return { html, state: quote.multiline ? { type: 'string', end: close, raw: !!quote.raw } : null };
+                }
+                html += this._span('string', line.slice(i, end));
+                i = end;
+                continue;
+            }
+
+            const previousChar = i > 0 ? line[i - 1] : '';
+            if (!/[\w$]/.test(previousChar)) {
+                const num = match(number);
+                if (num) {
+                    html += this._span('number', num);
+                    i += num.length;
+                    continue;
+                }
+            }
+
+            // Keywords may carry a sigil (-eq, $true, !important); plain identifiers may not
+            const word = match(identifier);
+            if (word) {
+                // Keyword lists of case-insensitive languages are lower case
+                const key = grammar.caseInsensitive ? word.toLowerCase() : word;
+                if (grammar.keywords.has(key) || grammar.literals.has(key)) {
+                    html += this._span(grammar.keywords.has(key) ? 'keyword' : 'literal', word);
+                    i += word.length;
+                    continue;
+                }
+                const plain = match(simpleIdentifier);
+                if (plain) {
+                    const call = match(FUNCTION_CALL.pattern);
+                    html += call === plain ? this._span('function', plain) : Utils.escapeHtml(plain);
+                    i += plain.length;
+                    continue;
+                }
+            }
+
+            html += Utils.escapeHtml(line[i]);
+            i++;
+        }
+
+        return { html, state: null };
+    }
+
+    /**
+     * Tokenize one line of HTML / XML
+     * @param {string} line
+     * @param {Object|null} state - Open comment or tag from the previous line
+     * @returns {{html: string, state: Object|null}}
+     */
+    _tokenizeMarkup(line, state) {
+        let html = '';
+        let i = 0;
+        let inTag = !!state?.inTag;
+
+        if (state?.type === 'comment') {
+            const end = this._findClose(line, 0, '-->', true);
+            if (end === -1) return { html: this._span('comment', line), state };
+            html += this._span('comment', line.slice(0, end));
+            i = end;
+        }
+
+        while (i < line.length) {
+            if (!inTag) {
+                const next = line.indexOf('<', i);
+                if (next === -1) {
+                    html += Utils.escapeHtml(line.slice(i));
+                    break;
+                }
+                html += Utils.escapeHtml(line.slice(i, next));
+                i = next;
+
+                if (line.startsWith('<!--', i)) {
+                    const end = this._findClose(line, i + 4, '-->', true);
+                    if (end === -1) {
+                        html += this._span('comment', line.slice(i));
+                        return { html, state: { type: 'comment', end: '-->', raw: true } };
+                    }
+                    html += this._span('comment', line.slice(i, end));
+                    i = end;
+                    continue;
+                }
+
+                const tag = /<\/?[A-Za-z!?][\w:.-]*/y;
+                tag.lastIndex = i;
+                const m = tag.exec(line);
+                if (m) {
+                    html += this._span('tag', m[0]);
+                    i += m[0].length;
+                    inTag = true;
+                } else {
+                    html += '&lt;';
+                    i++;
+                }
+                continue;
+            }
+
+            // Inside a tag: attributes, values and the closing bracket
+            const rest = line.slice(i);
+            const close = rest.match(/^\/?\??>/);
+            if (close) {
+                html += this._span('tag', close[0]);
+                i += close[0].length;
+                inTag = false;
+                continue;
+            }
+            if (rest[0] === '"' || rest[0] === "'") {
+                const end = this._findClose(line, i + 1, rest[0], true);
+                const stop = end === -1 ? line.length : end;
+                html += this._span('string', line.slice(i, stop));
+                i = stop;
+                continue;
+            }
+            const attribute = rest.match(/^[^\s=>/"']+/);
+            if (attribute) {
+                html += this._span('property', attribute[0]);
+                i += attribute[0].length;
+                continue;
+            }
+            html += Utils.escapeHtml(rest[0]);
+            i++;
+        }
+
+        return { html, state: inTag ? { type: 'tag', end: '>', inTag: true } : null };
+    }
+
+    /**
+     * Index just past the closing delimiter, honouring backslash escapes
+     * @returns {number} -1 when the delimiter does not occur on the line
+     */
+    _findClose(line, from, close, raw) {
+        for (let i = from; i < line.length; i++) {
+            if (!raw && line[i] === '\\') {
+                i++;
+                continue;
+            }
+            if (line.startsWith(close, i)) return i + close.length;
+        }
+        return -1;
+    }
+}
+
+// Create singleton instance
+export const codeHighlighter = new CodeHighlighter();
@@ -3,6 +3,9 @@
  * Provides AES-256-GCM encryption for sensitive application data
  */
 
+// PBKDF2 work factor for passphrase-derived keys (portable exports)
+const PASSPHRASE_KDF_ITERATIONS = 200000;
+
 export const EncryptionUtils = {
     /**
      * Generate a new AES-256 encryption key
@@ -91,5 +94,68 @@ export const EncryptionUtils = {
 
         const decoder = new TextDecoder();
         return decoder.decode(decrypted);
+    },
+
+    /**
+     * Derive an AES-256 key from a user passphrase (PBKDF2-SHA256)
+     * @param {string} passphrase - User passphrase
+     * @param {Uint8Array} salt - Random salt (16 bytes)
+     * @returns {Promise<CryptoKey>} Derived key (not extractable)
+     */
+    async deriveKeyFromPassphrase(passphrase, salt) {
+        const baseKey = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return await window.crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: PASSPHRASE_KDF_ITERATIONS,
+                hash: 'SHA-256'
+            },
+            baseKey,
+            {
+                name: 'AES-GCM',
+                length: 256
+            },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encrypt text under a passphrase. The result is portable: it carries its
+     * own salt and IV, so any browser with the passphrase can decrypt it.
+     * @param {string} text - Text to encrypt
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<string>} Base64 of salt (16) + IV (12) + ciphertext
+     */
+    async encryptWithPassphrase(text, passphrase) {
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKeyFromPassphrase(passphrase, salt);
+        const { encrypted, iv } = await this.encrypt(text, key);
+
+        const blob = new Uint8Array(salt.length + iv.length + encrypted.length);
+        blob.set(salt, 0);
+        blob.set(iv, salt.length);
+        blob.set(encrypted, salt.length + iv.length);
+        return btoa(String.fromCharCode(...blob));
+    },
+
+    /**
+     * Decrypt text produced by encryptWithPassphrase
+     * @param {string} blob - Base64 blob
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<string>} Decrypted text (rejects on a wrong passphrase)
+     */
+    async decryptWithPassphrase(blob, passphrase) {
+        const bytes = Uint8Array.from(atob(blob), c => c.charCodeAt(0));
+        const key = await this.deriveKeyFromPassphrase(passphrase, bytes.slice(0, 16));
+        return await this.decrypt(bytes.slice(28), bytes.slice(16, 28), key);
     }
 };
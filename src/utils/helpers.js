@@ -259,5 +259,32 @@ export const Utils = {
             localStorage.removeItem(key);
             return defaultValue;
         }
+    },
+
+    /**
+     * Copy text to the clipboard, with a fallback for browsers without the
+     * async Clipboard API (or pages not served over HTTPS)
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} Whether the text was copied
+     */
+    async copyToClipboard(text) {
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(text);
+                return true;
+            }
+            const textArea = document.createElement('textarea');
+            textArea.value = text;
+            textArea.style.position = 'fixed';
+            textArea.style.left = '-999999px';
+            document.body.appendChild(textArea);
+            textArea.select();
+            const copied = document.execCommand('copy');
+            document.body.removeChild(textArea);
+            return copied;
+        } catch (error) {
+            console.error('[Utils] Copy failed:', error);
+            return false;
+        }
     }
 };
@@ -18,14 +18,63 @@ const locales = {
         'home.messages': 'Messages',
         'home.lastActive': 'Last Active',
         'home.params': 'params',
+        'home.exportAgents': 'Export agents',
+        'home.importAgents': 'Import agents…',
+        'home.searchPlaceholder': 'Search agents by name, description, group or tag…',
+        'home.ungrouped': 'Ungrouped',
+        'home.noMatches': 'No agents match the current search or tag filter.',
+        'home.clearFilters': 'Clear filters',
+        'home.health.up': 'Healthy',
+        'home.health.degraded': 'No greeting',
+        'home.health.down': 'Unreachable',
+        'home.health.checking': 'Checking…',
+        'home.health.unknown': 'Not checked yet',
+        'home.health.checkNow': 'Click to check now',
+        'home.health.lastChecked': 'Last checked ${time}',
+        'home.health.summary': '${uptime} up · avg ${latency}',
+        'home.health.history': 'Recent health checks',
+        'home.duplicateAgent': 'Duplicate agent',
+        'home.variantStats': '${sessions} conv · ${messages} msg · ${last}',
 
         // Agent edit form
         'agentEdit.type': 'Agent Type:',
         'agentEdit.typeCopilot': 'Copilot Studio Agent (Direct Line)',
         'agentEdit.typeDirectEngine': 'Copilot Studio Agent (Direct-to-Engine)',
         'agentEdit.typeWebsite': 'Website',
+        'agentEdit.typeLLM': 'LLM Agent (registered model)',
+        'agentEdit.typeMock': 'Mock Bot (offline transcript)',
         'agentEdit.websiteUrl': 'Website URL:',
         'agentEdit.websiteUrlHelp': 'The URL to embed in the chat area when this agent is opened',
+        'agentEdit.group': 'Group:',
+        'agentEdit.groupPlaceholder': 'e.g., Customer Service',
+        'agentEdit.groupHelp': 'Agents with the same group are shown together on the home page',
+        'agentEdit.tags': 'Tags:',
+        'agentEdit.tagsPlaceholder': 'e.g., prod, faq, internal',
+        'agentEdit.tagsHelp': 'Comma-separated; click a tag on the home page to filter by it',
+        'agentEdit.variants': 'Connection Variants:',
+        'agentEdit.variantsHelp': 'Other targets for the same agent, e.g. dev / test / prod secrets or environment IDs. The settings above are the default target; the start screen lets you choose.',
+        'agentEdit.addVariant': '+ Add Variant',
+        'agentEdit.variantNamePlaceholder': 'Variant name, e.g. Test',
+        'agentEdit.removeVariant': 'Remove variant',
+        'agentSplash.target': 'Target:',
+        'agentSplash.defaultVariant': 'Default',
+
+        // Init parameters (agent edit form + splash)
+        'initParams.typeLabel': 'Field type',
+        'initParams.type.text': 'Text',
+        'initParams.type.number': 'Number',
+        'initParams.type.select': 'Select',
+        'initParams.type.boolean': 'Yes/No',
+        'initParams.type.date': 'Date',
+        'initParams.required': 'Required',
+        'initParams.optional': '(optional)',
+        'initParams.defaultPlaceholder': 'Default value',
+        'initParams.optionsPlaceholder': 'Options, comma-separated',
+        'initParams.selectPlaceholder': 'Select…',
+        'initParams.savePreset': 'Save these values as a preset…',
+        'initParams.presetNamePlaceholder': 'Preset name, e.g. EU tenant',
+        'initParams.save': 'Save',
+        'initParams.deletePreset': 'Delete preset',
 
         // Navigation & sidebar
         'nav.backToHome': 'Back to Home',
@@ -90,12 +139,25 @@ const locales = {
         'appearance.openCitationsHelp': 'View citation sources within the app instead of external browser',
         'appearance.autoOpenCitations': 'Auto-open message links in side browser',
         'appearance.autoOpenCitationsHelp': 'Automatically open URLs in agent replies as a tab in the analysis panel',
+        'appearance.inlineAdaptiveCards': 'Interactive Adaptive Cards in the chat',
+        'appearance.inlineAdaptiveCardsHelp': 'Fill in and submit cards where they appear instead of opening them in a dialog. Applies to cards shown from now on',
         'appearance.openAttachmentsSideBrowser': 'Open attachments in side browser',
         'appearance.openAttachmentsSideBrowserHelp': 'Open file attachments in a side browser tab instead of the overlay preview',
         'appearance.fullWidthMessages': 'Display agent messages in full width',
         'appearance.fullWidthMessagesHelp': 'Show agent responses across the full panel width',
         'appearance.language': 'Language:',
         'appearance.languageHelp': 'Interface and AI Companion output language',
+        'appearance.groupDiagnostics': 'Diagnostics',
+        'appearance.healthMonitor': 'Monitor agent health',
+        'appearance.healthMonitorHelp': 'Periodically open a test conversation with every Direct Line and mock agent, wait for the greeting, and show status and latency history on the home cards',
+        'appearance.healthInterval': 'Check every:',
+        'appearance.checkAgentsNow': 'Check all agents now',
+        'appearance.recordTraces': 'Record activity traces',
+        'appearance.recordTracesHelp': 'Capture every raw bot activity of the conversation, with timing, as a JSON trace for bug reports',
+        'appearance.traceReplaySpeed': 'Trace replay speed:',
+        'appearance.downloadTrace': 'Download trace',
+        'appearance.replayTrace': 'Replay trace…',
+        'appearance.traceHelp': 'Replaying feeds a trace file back through the message pipeline without a live bot',
 
         // Leave confirm overlay
         'leave.title': 'Leave Current Session?',
@@ -110,6 +172,30 @@ const locales = {
         'delete.cancel': 'Cancel',
         'delete.confirm': 'Delete',
 
+        // Agent import / export
+        'agentBundle.exportTitle': 'Export Agents',
+        'agentBundle.exportDesc': 'Saves the selected agents, their settings and the home card order to a JSON file. When a selected agent stores a secret, it is encrypted with a passphrase you enter below.',
+        'agentBundle.importTitle': 'Import Agents',
+        'agentBundle.importDesc': 'This bundle contains ${n} agent(s).',
+        'agentBundle.passphrase': 'Passphrase:',
+        'agentBundle.passphraseConfirm': 'Confirm passphrase:',
+        'agentBundle.passphraseHelp': 'Share it separately from the file.',
+        'agentBundle.passphraseRequired': 'Enter a passphrase: some selected agents store a secret.',
+        'agentBundle.passphraseMismatch': 'The passphrases do not match.',
+        'agentBundle.selectAgents': 'Select at least one agent.',
+        'agentBundle.noAgents': 'There are no agents to export.',
+        'agentBundle.mode': 'Import mode:',
+        'agentBundle.modeMerge': 'Merge with my agents',
+        'agentBundle.modeReplace': 'Replace all my agents',
+        'agentBundle.replaceConfirm': 'Replace all your agents with the imported ones? Agents that are not in the file will be removed.',
+        'agentBundle.conflicts': 'Already exists:',
+        'agentBundle.resolution.overwrite': 'Overwrite mine',
+        'agentBundle.resolution.keep': 'Keep mine',
+        'agentBundle.resolution.copy': 'Import as a copy',
+        'agentBundle.cancel': 'Cancel',
+        'agentBundle.export': 'Export',
+        'agentBundle.import': 'Import',
+
         // Chat area
         'chat.title': 'Agent Conversation',
         'chat.inputPlaceholder': 'Type your message...',
@@ -139,6 +225,8 @@ const locales = {
         'chat.conversations': 'Conversations',
         'chat.newChat': 'New chat',
         'chat.clearAllHistory': 'Clear All History',
+        'chat.searchHistory': 'Search history',
+        'chat.historyStorage': 'Storage and retention',
         'chat.loadingHistory': 'Loading chat history...',
         'chat.welcomeTitle': 'Welcome to Copilot Studio Companion',
         'chat.welcomeMessage': 'Connect with your Copilot Studio agent to test and improve the agent user interactive experience, configure your bot in settings or start typing to begin.',
@@ -160,6 +248,107 @@ const locales = {
         'chat.expandPanel': 'Expand panel to 50/50 layout',
         'chat.mobileTitle': 'Copilot Studio Companion',
 
+        // History search
+        'historySearch.title': 'Search Conversation History',
+        'historySearch.placeholder': 'Search all messages… use "quotes" for phrases',
+        'historySearch.agent': 'Agent',
+        'historySearch.allAgents': 'All agents',
+        'historySearch.sender': 'Sender',
+        'historySearch.anySender': 'Anyone',
+        'historySearch.fromUser': 'You',
+        'historySearch.fromAgent': 'Agent',
+        'historySearch.dateFrom': 'From',
+        'historySearch.dateTo': 'To',
+        'historySearch.hint': 'Type to search every session of every agent.',
+        'historySearch.count': '${count} matching messages',
+        'historySearch.countCapped': '${count} matching messages, showing the newest ${shown}',
+        'historySearch.unknownAgent': 'Deleted agent',
+        'historySearch.untitled': 'Untitled conversation',
+        'historySearch.close': 'Close',
+
+        // Transcript export
+        'transcriptExport.title': 'Export Conversation',
+        'transcriptExport.format': 'Format',
+        'transcriptExport.markdown': 'Markdown',
+        'transcriptExport.markdownHint': 'Plain text for reports, tickets and wikis',
+        'transcriptExport.html': 'HTML',
+        'transcriptExport.htmlHint': 'Self-contained file with card snapshots and citations',
+        'transcriptExport.print': 'Print / PDF',
+        'transcriptExport.printHint': 'Opens a print-optimized view; choose "Save as PDF" to keep a copy',
+        'transcriptExport.includeKpi': 'Include AI Companion KPI scores',
+        'transcriptExport.kpiUnavailable': 'KPI scores are only available for the open conversation after the AI Companion has analyzed it.',
+        'transcriptExport.export': 'Export',
+        'transcriptExport.cancel': 'Cancel',
+        'transcriptExport.empty': 'This conversation has no messages to export.',
+        'transcriptExport.popupBlocked': 'The print view was blocked. Allow pop-ups for this site and try again.',
+        'transcriptExport.failed': 'Export failed: ${error}',
+
+        // Session branching
+        'sessionBranch.title': 'Edit and Fork',
+        'sessionBranch.help': 'A new branch starts a fresh conversation with the agent, replays the ${count} earlier messages and then sends your edited message. The original conversation is kept.',
+        'sessionBranch.helpFirst': 'A new branch starts a fresh conversation with the agent and sends your edited message. The original conversation is kept.',
+        'sessionBranch.fork': 'Fork Conversation',
+        'sessionBranch.cancel': 'Cancel',
+        'sessionBranch.connecting': 'Starting a new conversation for the branch...',
+        'sessionBranch.replaying': 'Replaying message ${current} of ${total}...',
+        'sessionBranch.busy': 'A branch is still being created. Wait for it to finish.',
+        'sessionBranch.notFound': 'This message can no longer be edited.',
+        'sessionBranch.otherAgent': 'Open this conversation\'s agent to fork it.',
+        'sessionBranch.connectFailed': 'Could not start a new conversation for the branch.',
+        'sessionBranch.failed': 'Creating the branch failed: ${error}',
+
+        // Annotations
+        'annotations.sessionTitle': 'Annotate Conversation',
+        'annotations.messageTitle': 'Annotate Message',
+        'annotations.pinned': 'Pin to top',
+        'annotations.starred': 'Star',
+        'annotations.note': 'Note',
+        'annotations.notePlaceholder': 'e.g. hallucinated price, good escalation',
+        'annotations.help': 'Notes are searchable and included in exported transcripts.',
+        'annotations.cancel': 'Cancel',
+        'annotations.save': 'Save',
+        'annotations.notFound': 'This message is not in the chat history.',
+        'annotations.sessionNote': 'Session note',
+
+        // Message actions and feedback
+        'messageActions.quote': 'Regarding "${text}": ',
+        'messageActions.retryNotFound': 'There is no earlier question to send again.',
+        'messageFeedback.likeTitle': 'Good Response',
+        'messageFeedback.dislikeTitle': 'Bad Response',
+        'messageFeedback.comment': 'Comment',
+        'messageFeedback.likePlaceholder': 'What was good about this answer? (optional)',
+        'messageFeedback.dislikePlaceholder': 'What was wrong or missing? (optional)',
+        'messageFeedback.help': 'Feedback is saved with the conversation and included in exported transcripts. Copilot Studio agents also receive it.',
+        'messageFeedback.remove': 'Remove Feedback',
+        'messageFeedback.cancel': 'Cancel',
+        'messageFeedback.send': 'Send',
+        'messageFeedback.sendFailed': 'The feedback was saved, but the agent did not accept it: ${error}',
+
+        // History storage
+        'historyStorage.title': 'Chat History Storage',
+        'historyStorage.summary': 'Chat history: ${size} in ${sessions} sessions (${messages} messages)',
+        'historyStorage.backendIndexedDB': 'Stored in the browser database (IndexedDB).',
+        'historyStorage.backendLocalStorage': 'Stored in localStorage: this browser does not allow IndexedDB here, so space is limited to about 5 MB.',
+        'historyStorage.siteUsage': 'This site uses ${usage} of ${quota} available browser storage.',
+        'historyStorage.retention': 'Retention',
+        'historyStorage.maxAge': 'Delete sessions older than',
+        'historyStorage.maxSize': 'Limit history to',
+        'historyStorage.days': '${count} days',
+        'historyStorage.keepForever': 'Never',
+        'historyStorage.noLimit': 'No limit',
+        'historyStorage.apply': 'Apply',
+        'historyStorage.retentionHelp': 'Applied now, on every start and whenever a new chat starts. The size limit deletes the least recently used sessions first. The open conversation is never deleted.',
+        'historyStorage.applyConfirm': 'This policy deletes ${count} sessions now. Continue?',
+        'historyStorage.largest': 'Largest sessions',
+        'historyStorage.messages': '${count} messages',
+        'historyStorage.untitled': 'Untitled session',
+        'historyStorage.unknownAgent': 'Unknown agent',
+        'historyStorage.deleteSession': 'Delete session',
+        'historyStorage.deleteConfirm': 'Are you sure you want to delete this session?',
+        'historyStorage.empty': 'No chat history',
+        'historyStorage.close': 'Close',
+        'historyStorage.full': 'Browser storage is full, so new messages are no longer saved to the chat history. Delete old sessions or set a retention policy under Storage and retention.',
+
         // KPI panel
         'kpi.agentPerformance': 'Agent Performance',
         'kpi.accuracy': 'Accuracy',
@@ -372,14 +561,63 @@ const locales = {
         'home.messages': '消息数',
         'home.lastActive': '最后活跃',
         'home.params': '个参数',
+        'home.exportAgents': '导出智能体',
+        'home.importAgents': '导入智能体…',
+        'home.searchPlaceholder': '按名称、描述、分组或标签搜索智能体…',
+        'home.ungrouped': '未分组',
+        'home.noMatches': '没有符合当前搜索或标签筛选的智能体。',
+        'home.clearFilters': '清除筛选',
+        'home.health.up': '正常',
+        'home.health.degraded': '无问候语',
+        'home.health.down': '无法连接',
+        'home.health.checking': '检查中…',
+        'home.health.unknown': '尚未检查',
+        'home.health.checkNow': '点击立即检查',
+        'home.health.lastChecked': '上次检查：${time}',
+        'home.health.summary': '可用率 ${uptime} · 平均 ${latency}',
+        'home.health.history': '最近的健康检查',
+        'home.duplicateAgent': '复制智能体',
+        'home.variantStats': '${sessions} 次对话 · ${messages} 条消息 · ${last}',
 
         // Agent edit form
         'agentEdit.type': '智能体类型：',
         'agentEdit.typeCopilot': 'Copilot Studio 智能体（Direct Line）',
         'agentEdit.typeDirectEngine': 'Copilot Studio 智能体（Direct-to-Engine）',
         'agentEdit.typeWebsite': '网站',
+        'agentEdit.typeLLM': 'LLM 智能体（已注册模型）',
+        'agentEdit.typeMock': '模拟机器人（离线脚本）',
         'agentEdit.websiteUrl': '网站地址：',
         'agentEdit.websiteUrlHelp': '打开此智能体时在聊天区域中嵌入的网页地址',
+        'agentEdit.group': '分组：',
+        'agentEdit.groupPlaceholder': '例如：客户服务',
+        'agentEdit.groupHelp': '同一分组的智能体在主页上显示在一起',
+        'agentEdit.tags': '标签：',
+        'agentEdit.tagsPlaceholder': '例如：prod, faq, internal',
+        'agentEdit.tagsHelp': '用逗号分隔；在主页上点击标签即可按其筛选',
+        'agentEdit.variants': '连接变体：',
+        'agentEdit.variantsHelp': '同一智能体的其他连接目标，例如开发 / 测试 / 生产环境的密钥或环境 ID。上方设置为默认目标；开始界面中可以选择。',
+        'agentEdit.addVariant': '+ 添加变体',
+        'agentEdit.variantNamePlaceholder': '变体名称，例如：测试',
+        'agentEdit.removeVariant': '删除变体',
+        'agentSplash.target': '目标：',
+        'agentSplash.defaultVariant': '默认',
+
+        // Init parameters (agent edit form + splash)
+        'initParams.typeLabel': '字段类型',
+        'initParams.type.text': '文本',
+        'initParams.type.number': '数字',
+        'initParams.type.select': '下拉选择',
+        'initParams.type.boolean': '是/否',
+        'initParams.type.date': '日期',
+        'initParams.required': '必填',
+        'initParams.optional': '（可选）',
+        'initParams.defaultPlaceholder': '默认值',
+        'initParams.optionsPlaceholder': '选项，用逗号分隔',
+        'initParams.selectPlaceholder': '请选择…',
+        'initParams.savePreset': '将这些值保存为预设…',
+        'initParams.presetNamePlaceholder': '预设名称，例如：EU 租户',
+        'initParams.save': '保存',
+        'initParams.deletePreset': '删除预设',
 
         // Navigation & sidebar
         'nav.backToHome': '返回主页',
@@ -444,12 +682,25 @@ const locales = {
         'appearance.openCitationsHelp': '在应用内查看引文来源，而非跳转外部浏览器',
         'appearance.autoOpenCitations': '自动在侧边浏览器中打开消息链接',
         'appearance.autoOpenCitationsHelp': '自动将智能体回复中的链接在分析面板中以标签页打开',
+        'appearance.inlineAdaptiveCards': '在聊天中直接交互自适应卡片',
+        'appearance.inlineAdaptiveCardsHelp': '在卡片所在位置填写并提交，而不是在对话框中打开。仅对之后显示的卡片生效',
         'appearance.openAttachmentsSideBrowser': '将附件在侧边浏览器中打开',
         'appearance.openAttachmentsSideBrowserHelp': '点击消息中的附件时在侧边浏览器标签页中打开，而非弹出预览浮层',
         'appearance.fullWidthMessages': '全宽显示智能体消息',
         'appearance.fullWidthMessagesHelp': '智能体回复跨越整个面板宽度',
         'appearance.language': '界面语言：',
         'appearance.languageHelp': '界面及 AI 助手输出语言',
+        'appearance.groupDiagnostics': '诊断',
+        'appearance.healthMonitor': '监控智能体健康状况',
+        'appearance.healthMonitorHelp': '定期与每个 Direct Line 和模拟智能体建立测试对话并等待问候语，在主页卡片上显示状态和延迟历史',
+        'appearance.healthInterval': '检查间隔：',
+        'appearance.checkAgentsNow': '立即检查所有智能体',
+        'appearance.recordTraces': '录制活动轨迹',
+        'appearance.recordTracesHelp': '记录会话中每条原始机器人活动及其时序，导出为 JSON 轨迹用于问题报告',
+        'appearance.traceReplaySpeed': '轨迹回放速度：',
+        'appearance.downloadTrace': '下载轨迹',
+        'appearance.replayTrace': '回放轨迹…',
+        'appearance.traceHelp': '回放会将轨迹文件重新送入消息管道，无需在线机器人',
 
         // Leave confirm overlay
         'leave.title': '离开当前会话？',
@@ -464,6 +715,30 @@ const locales = {
         'delete.cancel': '取消',
         'delete.confirm': '删除',
 
+        // 智能体导入 / 导出
+        'agentBundle.exportTitle': '导出智能体',
+        'agentBundle.exportDesc': '将所选智能体、其设置以及主页卡片顺序保存为 JSON 文件。当所选智能体保存了密钥时，密钥将使用下方输入的口令加密。',
+        'agentBundle.importTitle': '导入智能体',
+        'agentBundle.importDesc': '此文件包含 ${n} 个智能体。',
+        'agentBundle.passphrase': '口令：',
+        'agentBundle.passphraseConfirm': '确认口令：',
+        'agentBundle.passphraseHelp': '请与文件分开分享。',
+        'agentBundle.passphraseRequired': '请输入口令：部分所选智能体保存了密钥。',
+        'agentBundle.passphraseMismatch': '两次输入的口令不一致。',
+        'agentBundle.selectAgents': '请至少选择一个智能体。',
+        'agentBundle.noAgents': '没有可导出的智能体。',
+        'agentBundle.mode': '导入方式：',
+        'agentBundle.modeMerge': '与现有智能体合并',
+        'agentBundle.modeReplace': '替换全部现有智能体',
+        'agentBundle.replaceConfirm': '确定用导入的智能体替换全部现有智能体吗？文件中没有的智能体将被删除。',
+        'agentBundle.conflicts': '已存在：',
+        'agentBundle.resolution.overwrite': '覆盖现有',
+        'agentBundle.resolution.keep': '保留现有',
+        'agentBundle.resolution.copy': '作为副本导入',
+        'agentBundle.cancel': '取消',
+        'agentBundle.export': '导出',
+        'agentBundle.import': '导入',
+
         // Chat area
         'chat.title': '智能体对话',
         'chat.inputPlaceholder': '输入你的消息...',
@@ -493,6 +768,8 @@ const locales = {
         'chat.conversations': '历史对话',
         'chat.newChat': '新对话',
         'chat.clearAllHistory': '清除所有历史',
+        'chat.searchHistory': '搜索历史记录',
+        'chat.historyStorage': '存储与保留',
         'chat.loadingHistory': '加载对话历史...',
         'chat.welcomeTitle': '欢迎使用 Copilot Studio Companion',
         'chat.welcomeMessage': '连接你的 Copilot Studio 智能体来测试和改善用户交互体验，在设置中配置机器人或直接开始输入。',
@@ -514,6 +791,107 @@ const locales = {
         'chat.expandPanel': '展开面板至 50/50 布局',
         'chat.mobileTitle': 'Copilot Studio Companion',
 
+        // History search
+        'historySearch.title': '搜索对话历史',
+        'historySearch.placeholder': '搜索所有消息… 用"引号"搜索短语',
+        'historySearch.agent': '智能体',
+        'historySearch.allAgents': '所有智能体',
+        'historySearch.sender': '发送者',
+        'historySearch.anySender': '任何人',
+        'historySearch.fromUser': '你',
+        'historySearch.fromAgent': '智能体',
+        'historySearch.dateFrom': '从',
+        'historySearch.dateTo': '到',
+        'historySearch.hint': '输入关键字即可搜索所有智能体的全部会话。',
+        'historySearch.count': '${count} 条匹配的消息',
+        'historySearch.countCapped': '${count} 条匹配的消息，显示最新的 ${shown} 条',
+        'historySearch.unknownAgent': '已删除的智能体',
+        'historySearch.untitled': '未命名对话',
+        'historySearch.close': '关闭',
+
+        // Transcript export
+        'transcriptExport.title': '导出对话',
+        'transcriptExport.format': '格式',
+        'transcriptExport.markdown': 'Markdown',
+        'transcriptExport.markdownHint': '纯文本，适用于报告、工单和 Wiki',
+        'transcriptExport.html': 'HTML',
+        'transcriptExport.htmlHint': '独立文件，包含卡片快照和引用',
+        'transcriptExport.print': '打印 / PDF',
+        'transcriptExport.printHint': '打开适合打印的视图；选择"另存为 PDF"即可保存',
+        'transcriptExport.includeKpi': '包含 AI 助手 KPI 评分',
+        'transcriptExport.kpiUnavailable': 'KPI 评分仅适用于当前打开且已由 AI 助手分析的对话。',
+        'transcriptExport.export': '导出',
+        'transcriptExport.cancel': '取消',
+        'transcriptExport.empty': '此对话没有可导出的消息。',
+        'transcriptExport.popupBlocked': '打印视图被拦截。请允许此网站的弹出窗口后重试。',
+        'transcriptExport.failed': '导出失败：${error}',
+
+        // Session branching
+        'sessionBranch.title': '编辑并分支',
+        'sessionBranch.help': '新分支会与智能体开始新的对话，重放之前的 ${count} 条消息，然后发送你编辑后的消息。原对话会保留。',
+        'sessionBranch.helpFirst': '新分支会与智能体开始新的对话并发送你编辑后的消息。原对话会保留。',
+        'sessionBranch.fork': '创建分支',
+        'sessionBranch.cancel': '取消',
+        'sessionBranch.connecting': '正在为分支开始新对话...',
+        'sessionBranch.replaying': '正在重放第 ${current} 条消息，共 ${total} 条...',
+        'sessionBranch.busy': '分支仍在创建中，请等待完成。',
+        'sessionBranch.notFound': '此消息已无法编辑。',
+        'sessionBranch.otherAgent': '请先打开此对话所属的智能体，再创建分支。',
+        'sessionBranch.connectFailed': '无法为分支开始新对话。',
+        'sessionBranch.failed': '创建分支失败：${error}',
+
+        // Annotations
+        'annotations.sessionTitle': '标注对话',
+        'annotations.messageTitle': '标注消息',
+        'annotations.pinned': '置顶',
+        'annotations.starred': '加星标',
+        'annotations.note': '备注',
+        'annotations.notePlaceholder': '例如：价格是编造的、升级处理得当',
+        'annotations.help': '备注可被搜索，并包含在导出的对话记录中。',
+        'annotations.cancel': '取消',
+        'annotations.save': '保存',
+        'annotations.notFound': '聊天记录中没有这条消息。',
+        'annotations.sessionNote': '会话备注',
+
+        // Message actions and feedback
+        'messageActions.quote': '关于“${text}”：',
+        'messageActions.retryNotFound': '没有可以重新发送的上一个问题。',
+        'messageFeedback.likeTitle': '回答很好',
+        'messageFeedback.dislikeTitle': '回答不好',
+        'messageFeedback.comment': '评论',
+        'messageFeedback.likePlaceholder': '这个回答好在哪里？（可选）',
+        'messageFeedback.dislikePlaceholder': '哪里有误或缺少什么？（可选）',
+        'messageFeedback.help': '反馈会随对话保存，并包含在导出的对话记录中。Copilot Studio 智能体也会收到反馈。',
+        'messageFeedback.remove': '移除反馈',
+        'messageFeedback.cancel': '取消',
+        'messageFeedback.send': '发送',
+        'messageFeedback.sendFailed': '反馈已保存，但智能体未接受：${error}',
+
+        // History storage
+        'historyStorage.title': '聊天记录存储',
+        'historyStorage.summary': '聊天记录：${size}，共 ${sessions} 个会话（${messages} 条消息）',
+        'historyStorage.backendIndexedDB': '存储在浏览器数据库（IndexedDB）中。',
+        'historyStorage.backendLocalStorage': '存储在 localStorage 中：此浏览器在当前环境下不允许使用 IndexedDB，空间限制约为 5 MB。',
+        'historyStorage.siteUsage': '此网站已使用 ${usage}，浏览器可用存储共 ${quota}。',
+        'historyStorage.retention': '保留策略',
+        'historyStorage.maxAge': '删除早于以下时间的会话',
+        'historyStorage.maxSize': '聊天记录上限',
+        'historyStorage.days': '${count} 天',
+        'historyStorage.keepForever': '从不',
+        'historyStorage.noLimit': '不限制',
+        'historyStorage.apply': '应用',
+        'historyStorage.retentionHelp': '立即应用，并在每次启动和开始新对话时应用。大小限制会优先删除最久未使用的会话。当前打开的对话不会被删除。',
+        'historyStorage.applyConfirm': '此策略将立即删除 ${count} 个会话。是否继续？',
+        'historyStorage.largest': '最大的会话',
+        'historyStorage.messages': '${count} 条消息',
+        'historyStorage.untitled': '未命名会话',
+        'historyStorage.unknownAgent': '未知智能体',
+        'historyStorage.deleteSession': '删除会话',
+        'historyStorage.deleteConfirm': '确定要删除此会话吗？',
+        'historyStorage.empty': '暂无聊天记录',
+        'historyStorage.close': '关闭',
+        'historyStorage.full': '浏览器存储已满，新消息将不再保存到聊天记录中。请删除旧会话，或在"存储与保留"中设置保留策略。',
+
         // KPI panel
         'kpi.agentPerformance': '智能体性能',
         'kpi.accuracy': '准确性',
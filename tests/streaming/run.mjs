@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * StreamAssembler conformance suite
+ * ---------------------------------------------------------------------------
+ * Replays fixture streams through `StreamAssembler` and checks the actions it
+ * produces and the final texts it settles on, plus table-driven cases for
+ * `mergeStreamingText`. No dependencies, no browser, no bot:
+ *
+ *   node tests/streaming/run.mjs                 # whole corpus
+ *   node tests/streaming/run.mjs path/to/x.json  # selected fixtures
+ *
+ * Stream fixture format (fixtures/streams/*.json):
+ *   {
+ *     name, description,
+ *     activities: [Activity | { t, activity }],  // raw activities, or a recorded
+ *                                                 // activity trace's entries
+ *     expected: {
+ *       actions: ['streamStart', 'ignore:outOfOrder', { type, text }, …],
+ *       finals:  [{ ref, type, text, fallbackText }]
+ *     }
+ *   }
+ * `actions` lists every non-passthrough action in order (`passthrough` is
+ * included too when `includePassthrough` is set). An object entry also checks
+ * the action's accumulated `text`. `finals` lists, in order, every
+ * streamFinal / fallbackSplit / streamCancelled action; omitted keys are not
+ * checked. A recorded activity trace (Appearance → Diagnostics) becomes a
+ * fixture by adding `name` and `expected` to it.
+ *
+ * Merge cases (fixtures/merge-cases.json):
+ *   [{ name, current, incoming, chunkType, expected }]
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { dirname, join, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+
+import { StreamAssembler } from '../../src/components/directline/StreamAssembler.js';
+import { mergeStreamingText } from '../../src/utils/streamingActivity.js';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const STREAMS_DIR = join(FIXTURES_DIR, 'streams');
+const FINAL_TYPES = new Set(['streamFinal', 'fallbackSplit', 'streamCancelled']);
+
+// ── Stream fixtures ──────────────────────────────────────────────
+
+function describeAction(action) {
+    return action.type === 'ignore' ? `ignore:${action.reason}` : action.type;
+}
+
+/** Feed a fixture through a fresh assembler and collect what it produced. */
+function replayFixture(fixture) {
+    const assembler = new StreamAssembler();
+    const actions = [];
+    const finals = [];
+
+    for (const item of fixture.activities) {
+        const activity = item && item.activity ? item.activity : item;
+        const action = assembler.ingest(activity);
+        if (action.type !== 'passthrough' || fixture.expected.includePassthrough) {
+            actions.push({ type: describeAction(action), text: action.text });
+        }
+        if (FINAL_TYPES.has(action.type)) {
+            finals.push({
+                ref: action.ref,
+                type: action.type,
+                text: action.text,
+                fallbackText: action.fallbackText,
+            });
+        }
+    }
+    return { actions, finals };
+}
+
+function checkFixture(fixture) {
+    const errors = [];
+    const { actions, finals } = replayFixture(fixture);
+    const expected = fixture.expected || {};
+
+    if (expected.actions) {
+        const got = actions.map(a => a.type);
+        const want = expected.actions.map(a => (typeof a === 'string' ? a : a.type));
+        if (!isDeepStrictEqual(got, want)) {
+            errors.push(`actions\n      expected ${JSON.stringify(want)}\n      received ${JSON.stringify(got)}`);
+        } else {
+            expected.actions.forEach((a, i) => {
+                if (typeof a === 'object' && a.text !== undefined && a.text !== actions[i].text) {
+                    errors.push(`actions[${i}].text\n      expected ${JSON.stringify(a.text)}\n      received ${JSON.stringify(actions[i].text)}`);
+                }
+            });
+        }
+    }
+
+    if (expected.finals) {
+        if (finals.length !== expected.finals.length) {
+            errors.push(`finals: expected ${expected.finals.length}, received ${finals.length} ${JSON.stringify(finals.map(f => f.type))}`);
+        }
+        expected.finals.forEach((want, i) => {
+            const got = finals[i];
+            if (!got) return;
+            for (const key of Object.keys(want)) {
+                if (got[key] !== want[key]) {
+                    errors.push(`finals[${i}].${key}\n      expected ${JSON.stringify(want[key])}\n      received ${JSON.stringify(got[key])}`);
+                }
+            }
+        });
+    }
+
+    if (!expected.actions && !expected.finals) errors.push('fixture has no expected.actions or expected.finals');
+    return errors;
+}
+
+// ── Merge cases ──────────────────────────────────────────────────
+
+function checkMergeCase(c) {
+    const got = mergeStreamingText(c.current, c.incoming, c.chunkType);
+    return got === c.expected
+        ? []
+        : [`expected ${JSON.stringify(c.expected)}\n      received ${JSON.stringify(got)}`];
+}
+
+// ── Runner ───────────────────────────────────────────────────────
+
+function readJson(file) {
+    return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+function run(files) {
+    const results = [];
+    const report = (name, errors) => {
+        results.push(errors.length === 0);
+        console.log(`${errors.length ? '✗' : '✓'} ${name}`);
+        errors.forEach(e => console.log(`    ${e}`));
+    };
+
+    const fixtureFiles = files.length
+        ? files
+        : readdirSync(STREAMS_DIR).filter(f => f.endsWith('.json')).sort().map(f => join(STREAMS_DIR, f));
+
+    console.log('StreamAssembler fixtures');
+    for (const file of fixtureFiles) {
+        let fixture;
+        try {
+            fixture = readJson(file);
+        } catch (err) {
+            report(basename(file), [`cannot read fixture: ${err.message}`]);
+            continue;
+        }
+        report(fixture.name || basename(file), checkFixture(fixture));
+    }
+
+    if (!files.length) {
+        console.log('\nmergeStreamingText');
+        for (const c of readJson(join(FIXTURES_DIR, 'merge-cases.json'))) {
+            report(c.name, checkMergeCase(c));
+        }
+    }
+
+    const failed = results.filter(ok => !ok).length;
+    console.log(`\n${results.length - failed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+process.exitCode = run(process.argv.slice(2)) ? 0 : 1;